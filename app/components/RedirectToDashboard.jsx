@@ -1,38 +1,50 @@
-import { useState, useMemo } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useFetcher } from "@remix-run/react";
 
 const DASHBOARD = "https://upselldashboard.netlify.app";
 
 export function RedirectToDashboard({ path }) {
   const [loading, setLoading] = useState(true);
+  const session = useFetcher();
+  const requested = useRef(false);
 
-  const url = useMemo(() => {
-    if (typeof window === "undefined") return `${DASHBOARD}${path}`;
-    const shop =
-      (typeof sessionStorage !== "undefined" &&
-        sessionStorage.getItem("shopify_shop")) ||
-      new URLSearchParams(window.location.search).get("shop") ||
-      "";
-    return `${DASHBOARD}${path}${shop ? `?shop=${shop}` : ""}`;
-  }, [path]);
+  // Short-lived dashboard token for this shop (app.dashboard-session.jsx)
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+    session.load("/app/dashboard-session");
+  }, [session]);
+
+  const token = session.data?.token;
+  const shop =
+    session.data?.shop ||
+    (typeof sessionStorage !== "undefined" && sessionStorage.getItem("shopify_shop")) ||
+    "";
+  // Token goes in the fragment — never sent to the dashboard host or logged
+  const url = token
+    ? `${DASHBOARD}${path}?shop=${encodeURIComponent(shop)}#session=${encodeURIComponent(token)}`
+    : null;
 
   return (
     <div style={{ width: "100%", height: "100vh", position: "relative" }}>
-      {loading && (
+      {(loading || !url) && (
         <div style={{ display: "flex", alignItems: "center", justifyContent: "center", height: "200px", color: "#6b7280", fontSize: "14px" }}>
-          Loading dashboard…
+          {session.data?.error ? "Could not open the dashboard. Reload the page to try again." : "Loading dashboard…"}
         </div>
       )}
-      <iframe
-        src={url}
-        onLoad={() => setLoading(false)}
-        style={{
-          width: "100%",
-          height: "100%",
-          border: "none",
-          display: loading ? "none" : "block",
-        }}
-        title="AI Upsell Dashboard"
-      />
+      {url && (
+        <iframe
+          src={url}
+          onLoad={() => setLoading(false)}
+          style={{
+            width: "100%",
+            height: "100%",
+            border: "none",
+            display: loading ? "none" : "block",
+          }}
+          title="AI Upsell Dashboard"
+        />
+      )}
     </div>
   );
 }
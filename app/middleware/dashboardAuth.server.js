@@ -0,0 +1,52 @@
+/**
+ * Dashboard Authentication Middleware
+ * Verifies requests to the dashboard API (session token, API key or admin key)
+ */
+
+import { json } from "@remix-run/node";
+import {
+  resolveDashboardCredential,
+  authorizeDashboardAccess,
+} from "../../backend/services/dashboardAuth.js";
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+/**
+ * Authenticate a dashboard API request and resolve the shop it may act on.
+ *
+ * The shop comes from `?shop=` (or `shopParam`) and must match the
+ * credential's shop; it defaults to the credential's shop when omitted.
+ * Reads need the `read` scope, everything else `write`, unless `scope` is
+ * given. `role: 'admin'` limits the route to DASHBOARD_ADMIN_KEY.
+ *
+ * @param {Request} request
+ * @param {{ scope?: 'read'|'write', role?: 'admin', shopParam?: string }} [options]
+ * @returns {Promise<{shop: string, role: 'merchant'|'admin', via: 'session'|'api_key'|'admin_key', keyId: string|null}>}
+ * @throws {Response} 204 for preflight, 400 / 401 / 403 when the request is not allowed
+ */
+export async function authenticateDashboardRequest(request, { scope, role, shopParam = "shop" } = {}) {
+  if (request.method === "OPTIONS") {
+    throw new Response(null, { status: 204, headers: JSON_HEADERS });
+  }
+
+  const url = new URL(request.url);
+  const credential = await resolveDashboardCredential(request.headers.get("Authorization"));
+  const access = authorizeDashboardAccess(credential, {
+    shopId: url.searchParams.get(shopParam),
+    scope: scope || (["GET", "HEAD"].includes(request.method) ? "read" : "write"),
+    role,
+  });
+
+  if (!access.allowed) {
+    const reason = credential.valid ? access.error : credential.reason;
+    console.warn(`🚫 Dashboard request rejected (${url.pathname}): ${reason}`);
+    throw json({ error: access.error }, { status: access.status, headers: JSON_HEADERS });
+  }
+
+  return {
+    shop: access.shopId,
+    role: credential.role,
+    via: credential.via,
+    keyId: credential.keyId || null,
+  };
+}
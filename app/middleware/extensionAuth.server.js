@@ -0,0 +1,60 @@
+/**
+ * Extension Authentication Middleware
+ * Verifies requests from checkout, thank-you and post-purchase extensions
+ */
+
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { verifyPostPurchaseToken } from "../../backend/services/postPurchase.js";
+
+export const EXTENSION_CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+function shopFromDest(dest) {
+  const raw = String(dest || "");
+  if (!raw) return null;
+  try {
+    return new URL(raw.includes("://") ? raw : `https://${raw}`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Authenticate an extension request.
+ *
+ * Accepts `Authorization: Bearer <token>` with either a checkout UI extension
+ * session token (`api.sessionToken.get()`) or the post-purchase `inputData.token`.
+ * Both are signed with this app's API secret, so a token minted for another
+ * environment's app is rejected.
+ *
+ * @param {Request} request
+ * @returns {Promise<{shop: string, source: 'checkout'|'post_purchase', customerId: string|null, referenceId: string|null}>}
+ * @throws {Response} 204 for preflight, 401 when the token is missing or invalid
+ */
+export async function authenticateExtensionRequest(request) {
+  if (request.method === "OPTIONS") {
+    throw new Response(null, { status: 204, headers: EXTENSION_CORS_HEADERS });
+  }
+
+  const bearer = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const postPurchase = bearer ? verifyPostPurchaseToken(bearer) : { valid: false };
+  if (postPurchase.valid) {
+    return { shop: postPurchase.shopId, source: "post_purchase", customerId: null, referenceId: postPurchase.referenceId };
+  }
+
+  try {
+    const { sessionToken } = await authenticate.public.checkout(request);
+    const shop = shopFromDest(sessionToken?.dest);
+    if (!shop) throw new Error("Session token has no shop");
+    const customerId = sessionToken?.sub ? String(sessionToken.sub).split("/").pop() : null;
+    return { shop, source: "checkout", customerId, referenceId: null };
+  } catch (err) {
+    const reason = err instanceof Response ? `status ${err.status}` : err?.message;
+    console.warn(`🚫 Extension request rejected (${new URL(request.url).pathname}): ${reason}`);
+    throw json({ error: "Unauthorized" }, { status: 401, headers: EXTENSION_CORS_HEADERS });
+  }
+}
@@ -1,6 +1,14 @@
 import { json } from "@remix-run/node";
-import { decideCartOffers } from "../../backend/services/decisionEngine.js";
+import { runPlacement } from "../../backend/services/placementPipeline.js";
 import { getSafetyMode } from "../../backend/services/safetyMode.js";
+import { getExperimentAssignment } from "../../backend/services/experimentService.js";
+import { getHoldoutAssignment, isHoldout, isHoldoutEnabled } from "../../backend/services/holdoutService.js";
+import { resolvePostPurchaseVisitor } from "../../backend/services/postPurchase.js";
+import { parseBuyerContext, localizeRecommendations } from "../../backend/services/marketPricing.js";
+import { ensurePurchasableOffers } from "../../backend/services/offerAvailability.js";
+import { resolveRequestSegments } from "../../backend/services/segmentation.js";
+import { attachOfferTokens } from "../../backend/services/offerTokens.js";
+import { authenticateExtensionRequest, EXTENSION_CORS_HEADERS } from "../middleware/extensionAuth.server.js";
 
 function getOfferTypeExtras(offerType, discountPercent) {
   if (offerType === 'bundle') {
@@ -26,38 +34,53 @@ function getOfferTypeExtras(offerType, discountPercent) {
 /**
  * GET /api/checkout-upsell
  *
- * Direct API called by Shopify checkout UI extensions and thank-you page extensions.
- * Does NOT go through the App Proxy (no HMAC signature required).
- * Extensions authenticate by passing their shop domain — we verify it exists in our DB.
+ * Direct API called by Shopify checkout, thank-you and post-purchase extensions.
+ * Does NOT go through the App Proxy. Requests carry `Authorization: Bearer <token>`
+ * (checkout session token or post-purchase input token, see extensionAuth.server.js);
+ * the shop comes from the token.
  *
  * Query params:
- *   shop        — myshopify domain (e.g. mystore.myshopify.com)
+ *   shop        — optional myshopify domain; must match the token's shop
  *   ids         — JSON array of numeric product IDs already in cart/order
  *   placement   — 'checkout' | 'post_purchase' (default: 'checkout')
  *   limit       — number of offers to return (default: 1 for checkout, 2 for post_purchase)
+ *   userId      — storefront visitor id (`ai_uid` cart attribute) for holdout / A/B assignment
+ *   country     — buyer's country (ISO alpha-2); offers are priced for that market
+ *   currency    — buyer's presentment currency (ISO 4217)
+ *   loggedIn, orders, cartValue, … — optional segment signals (see segmentation.js)
+ *
+ * Offers carry `currencyCode` and `discountedPrice` when priced for the buyer, and
+ * an `offerToken` when discounted (see offerTokens.js).
  */
 export const loader = async ({ request }) => {
   const corsHeaders = {
     "Content-Type": "application/json",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    ...EXTENSION_CORS_HEADERS,
   };
 
-  if (request.method === "OPTIONS") {
-    return new Response(null, { status: 204, headers: corsHeaders });
+  let auth;
+  try {
+    auth = await authenticateExtensionRequest(request);
+  } catch (response) {
+    return response;
   }
 
   try {
     const url = new URL(request.url);
-    const shop = url.searchParams.get("shop");
+    const shop = auth.shop;
+    const requestedShop = url.searchParams.get("shop");
+    if (requestedShop && requestedShop !== shop) {
+      console.warn(`🚫 Checkout upsell shop mismatch — token: ${shop}, query: ${requestedShop}`);
+      return json({ offers: [], offer: null, error: "Shop mismatch" }, { status: 403, headers: corsHeaders });
+    }
     const idsParam = url.searchParams.get("ids");
     const placement = url.searchParams.get("placement") || "checkout";
     const limitParam = url.searchParams.get("limit");
-
-    if (!shop) {
-      return json({ offers: [], offer: null }, { status: 400, headers: corsHeaders });
-    }
+    // Post-purchase: the visitor comes from the order behind the signed input token, never the query
+    const userId = placement === "post_purchase"
+      ? await resolvePostPurchaseVisitor(shop, auth.referenceId).catch(() => null)
+      : url.searchParams.get("userId") || null;
+    const buyer = parseBuyerContext(url.searchParams);
 
     let productIds = [];
     if (idsParam) {
@@ -91,11 +114,34 @@ export const loader = async ({ request }) => {
       );
     }
 
-    const decision = await decideCartOffers({
+    // An unknown post-purchase visitor might be in the holdout — show nothing rather than leak an offer
+    if (placement === "post_purchase" && !userId && await isHoldoutEnabled(shop)) {
+      return json(
+        { offers: [], offer: null, count: 0, placement, holdout: true, meta: { reason: 'holdout_unresolved_visitor', status: 'holdout' } },
+        { headers: corsHeaders }
+      );
+    }
+
+    const [holdout, experiment, segmentation] = await Promise.all([
+      getHoldoutAssignment(shop, userId).catch(() => null),
+      getExperimentAssignment(shop, userId).catch(() => null),
+      resolveRequestSegments(shop, url.searchParams, request.headers, { rate: buyer?.rate, userId }),
+    ]);
+    if (isHoldout(holdout)) {
+      return json(
+        { offers: [], offer: null, count: 0, placement, holdout: true, meta: { reason: 'holdout', status: 'holdout' } },
+        { headers: corsHeaders }
+      );
+    }
+
+    const decision = await runPlacement({
       shopId: shop,
       cartProductIds: productIds,
+      userId,
       limit,
       placement,
+      experiment,
+      segments: segmentation.segments,
     });
 
     const rawOffers = decision.offers || [];
@@ -106,7 +152,7 @@ export const loader = async ({ request }) => {
       console.log(`📊 [Checkout API] First offer - productId: ${rawOffers[0].productId}, product.discountPercent: ${rawOffers[0].discountPercent}`);
     }
 
-    const formattedOffers = rawOffers.map(product => {
+    const shopCurrencyOffers = rawOffers.map(product => {
       const price = String(product.aiData?.price || product.variants?.[0]?.price || "0");
       const compareAtPrice = product.aiData?.compareAtPrice || product.variants?.[0]?.compareAtPrice || null;
       const offerType = product.offerType || "addon_upsell";
@@ -135,6 +181,10 @@ export const loader = async ({ request }) => {
         ...offerTypeExtras,
       };
     });
+    // Fills in / swaps variantId for an in-stock variant and drops sold-out products
+    const purchasableOffers = await ensurePurchasableOffers(shop, shopCurrencyOffers);
+    // Signed so the post-purchase changeset endpoint can verify the granted discount
+    const formattedOffers = await attachOfferTokens(shop, await localizeRecommendations(shop, purchasableOffers, buyer));
 
     console.log(`📊 [Checkout API] Returning offer:`, formattedOffers[0] ? { id: formattedOffers[0].id, price: formattedOffers[0].price, compareAtPrice: formattedOffers[0].compareAtPrice, discountPercent: formattedOffers[0].discountPercent } : null);
 
@@ -145,6 +195,7 @@ export const loader = async ({ request }) => {
         count: formattedOffers.length,
         placement,
         meta: decision.meta || null,
+        experiment: experiment ? { testId: experiment.testId, variant: experiment.variant } : null,
       },
       { headers: corsHeaders }
     );
@@ -0,0 +1,74 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  listConfigShadows,
+  startConfigShadow,
+  stopConfigShadow,
+  getConfigShadowReport
+} from "../../backend/services/configShadow.js";
+
+/**
+ * GET /api/config-shadow                    — list the shop's config shadows, newest first
+ * GET /api/config-shadow?shadowId=shadow_…  — live vs candidate report for one shadow
+ *
+ * POST /api/config-shadow
+ *
+ * Payload:
+ * {
+ *   "action": "start" | "stop"
+ *   "shadowId": "shadow_…"   (stop)
+ *   "name": "Try aggressive risk",
+ *   "candidate": { goal, riskTolerance, guardrails, offerPriority },
+ *   "days": 7,
+ *   "sampleRate": 0.2
+ * }
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shadowId = new URL(request.url).searchParams.get("shadowId");
+
+  try {
+    if (shadowId) {
+      const report = await getConfigShadowReport(session.shop, shadowId);
+      return json(report, { status: report.success ? 200 : 404 });
+    }
+    const shadows = await listConfigShadows(session.shop);
+    return json({ success: true, shadows });
+  } catch (error) {
+    console.error("❌ Config shadow API failed:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const { session } = await authenticate.admin(request);
+  const shopId = session.shop;
+  const body = await request.json();
+
+  try {
+    const { action, shadowId, name, candidate, days, sampleRate } = body;
+
+    if (action === "start") {
+      const result = await startConfigShadow(shopId, { name, candidate, days, sampleRate });
+      return json(result, { status: result.success ? 201 : 400 });
+    }
+
+    if (action === "stop") {
+      const result = await stopConfigShadow(shopId, shadowId);
+      return json(result, { status: result.success ? 200 : 404 });
+    }
+
+    return json({ error: "Unknown action", action }, { status: 400 });
+
+  } catch (error) {
+    console.error("❌ Config shadow API failed:", error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+};
@@ -5,8 +5,10 @@ import { json } from "@remix-run/node";
  *
  * Auto-optimization cron endpoint for Pillar 5: Learning & Optimization Loop.
  *
- * Called by an external scheduler (cron job, Vercel cron, etc.) to run
+ * Called by an external scheduler (cron job, Vercel cron, etc.) to queue
  * optimization for all shops that haven't been optimized in the last 24 hours.
+ * The background worker (backend/jobs/worker.js) runs the jobs; the
+ * response only reports what was queued.
  *
  * Protected by CRON_SECRET environment variable.
  * Set CRON_SECRET in your .env and configure your cron to send:
@@ -62,45 +64,20 @@ export const action = async ({ request }) => {
   }
 
   try {
-    const {
-      getAllActiveShopIds,
-      shouldRunOptimization,
-      runScheduledOptimization
-    } = await import("../../backend/services/schedulerService.js");
+    const { enqueueDueOptimizations } = await import("../../backend/jobs/worker.js");
 
-    const shopIds = await getAllActiveShopIds();
-
-    const results = [];
-    for (const shopId of shopIds) {
-      const overdue = await shouldRunOptimization(shopId);
-      if (!overdue) {
-        results.push({ shopId, skipped: true, reason: "not_due" });
-        continue;
-      }
-
-      console.log(`[Cron] Running optimization for shop: ${shopId}`);
-      const result = await runScheduledOptimization(shopId, "cron");
-      results.push({
-        shopId,
-        skipped: false,
-        success: result.success,
-        reason: result.reason || null,
-        updatesMade: result.optimization?.updatesMade || 0,
-        bundleRecommendations: result.optimization?.bundleRecommendations || 0
-      });
-    }
-
-    const optimized = results.filter((r) => !r.skipped && r.success).length;
+    const results = await enqueueDueOptimizations("cron");
+    const queued = results.filter((r) => r.queued).length;
+    const alreadyQueued = results.filter((r) => !r.skipped && !r.queued).length;
     const skipped = results.filter((r) => r.skipped).length;
-    const failed = results.filter((r) => !r.skipped && !r.success).length;
 
-    console.log(`[Cron] Optimization complete: ${optimized} optimized, ${skipped} skipped, ${failed} failed`);
+    console.log(`[Cron] Optimization queued: ${queued} queued, ${alreadyQueued} already queued, ${skipped} skipped`);
 
     return json({
       success: true,
-      summary: { total: shopIds.length, optimized, skipped, failed },
+      summary: { total: results.length, queued, alreadyQueued, skipped },
       results
-    });
+    }, { status: 202 });
   } catch (error) {
     console.error("[Cron] Optimization failed:", error);
     return json({ success: false, error: error.message }, { status: 500 });
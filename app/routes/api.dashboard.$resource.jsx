@@ -1,3 +1,5 @@
+import { authenticateDashboardRequest } from '../middleware/dashboardAuth.server.js';
+
 const CORS = {
   'Content-Type': 'application/json',
 };
@@ -11,12 +13,11 @@ export const loader = async ({ request, params }) => {
     return new Response(null, { status: 204, headers: CORS });
   }
 
+  // Session token, API key or admin key — and only for the shop it was issued to
+  const { shop } = await authenticateDashboardRequest(request, { scope: 'read' });
   const url = new URL(request.url);
-  const shop = url.searchParams.get('shop');
   const resource = params.resource;
 
-  if (!shop) return json({ error: 'Missing shop parameter' }, 400);
-
   try {
     const { getDb, collections } = await import('../../backend/database/mongodb.js');
     const db = await getDb();
@@ -79,13 +80,27 @@ export const loader = async ({ request, params }) => {
       }
 
       case 'bundles': {
+        const { BUNDLE_STATUSES } = await import('../../backend/services/bundleEngine.js');
         const bundles = await db.collection(collections.bundles)
-          .find({ shopId: shop }).sort({ createdAt: -1 }).limit(50).toArray();
+          .find({ shopId: shop, status: { $in: BUNDLE_STATUSES } }).sort({ createdAt: -1 }).limit(50).toArray();
         return json({ bundles: bundles.map(b => ({ ...b, _id: b._id.toString() })) });
       }
 
       case 'guardrails': {
-        const config = await db.collection(collections.merchantConfig).findOne({ shopId: shop });
+        const { DEFAULT_CONFIG } = await import('../../backend/services/merchantConfig.js');
+        const [config, fatigueEvents] = await Promise.all([
+          db.collection(collections.merchantConfig).findOne({ shopId: shop }),
+          db.collection(collections.guardrailEvents).aggregate([
+            {
+              $match: {
+                shopId: shop,
+                guardrailType: { $in: ['offer_fatigue', 'daily_offer_cap'] },
+                timestamp: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+              },
+            },
+            { $group: { _id: '$guardrailType', count: { $sum: 1 } } },
+          ]).toArray(),
+        ]);
         return json({
           guardrails: config?.guardrails || {
             maxDiscountCap: 25,
@@ -93,6 +108,8 @@ export const loader = async ({ request, params }) => {
             sessionOfferLimit: 4,
             subscriptionProtection: false,
           },
+          fatigue: { ...DEFAULT_CONFIG.fatigue, ...(config?.fatigue || {}) },
+          fatigueEvents7d: Object.fromEntries(fatigueEvents.map((e) => [e._id, e.count])),
         });
       }
 
@@ -125,6 +142,29 @@ export const loader = async ({ request, params }) => {
         });
       }
 
+      case 'incrementality': {
+        const { getIncrementalityReport } = await import('../../backend/services/holdoutService.js');
+        const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '30', 10) || 30, 1), 365);
+        return json(await getIncrementalityReport(shop, { days }));
+      }
+
+      case 'engine-shadow': {
+        const { getShadowDiffReport } = await import('../../backend/services/placementPipeline.js');
+        const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '7', 10) || 7, 1), 30);
+        return json(await getShadowDiffReport(shop, { days }));
+      }
+
+      case 'compliance': {
+        const { listComplianceJobs, getComplianceExport } = await import('../../backend/services/complianceService.js');
+        const jobId = url.searchParams.get('jobId');
+        if (jobId) {
+          const exported = await getComplianceExport(shop, jobId);
+          if (!exported) return json({ error: 'Export not found or expired' }, 404);
+          return json(exported);
+        }
+        return json({ jobs: await listComplianceJobs(shop) });
+      }
+
       default:
         return json({ error: `Unknown resource: ${resource}` }, 404);
     }
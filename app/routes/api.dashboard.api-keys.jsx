@@ -0,0 +1,78 @@
+import { authenticateDashboardRequest } from '../middleware/dashboardAuth.server.js';
+import {
+  createDashboardApiKey,
+  listDashboardApiKeys,
+  revokeDashboardApiKey,
+} from '../../backend/services/dashboardAuth.js';
+
+const CORS = {
+  'Content-Type': 'application/json',
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: CORS });
+}
+
+// Keys are managed from a dashboard session (or the admin key) — an API key cannot mint or revoke keys
+async function authenticateKeyManager(request, scope) {
+  const auth = await authenticateDashboardRequest(request, { scope });
+  if (auth.via === 'api_key') {
+    throw json({ error: 'API keys cannot manage API keys' }, 403);
+  }
+  return auth;
+}
+
+/**
+ * GET /api/dashboard/api-keys?shop=…
+ *   → { keys: [{ keyId, name, scopes, keyPreview, createdAt, lastUsedAt, revokedAt }] }
+ */
+export const loader = async ({ request }) => {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: CORS });
+  }
+  const { shop } = await authenticateKeyManager(request, 'read');
+
+  try {
+    return json({ keys: await listDashboardApiKeys(shop) });
+  } catch (err) {
+    console.error('[dashboard API] api-keys:', err);
+    return json({ error: err.message }, 500);
+  }
+};
+
+/**
+ * POST /api/dashboard/api-keys?shop=…
+ *   { name, scopes: ['read'] | ['read', 'write'] } → { key, apiKey } — `key` is shown once
+ *   { action: 'revoke', keyId }                    → { success }
+ */
+export const action = async ({ request }) => {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: CORS });
+  }
+  if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+  const { shop, via } = await authenticateKeyManager(request, 'write');
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'Invalid JSON' }, 400);
+  }
+
+  try {
+    if (body?.action === 'revoke') {
+      const result = await revokeDashboardApiKey(shop, body.keyId);
+      return json(result, result.success ? 200 : 404);
+    }
+
+    const result = await createDashboardApiKey(shop, {
+      name: body?.name,
+      scopes: body?.scopes,
+      createdBy: via,
+    });
+    return json(result, result.success ? 201 : 400);
+  } catch (err) {
+    console.error('[dashboard API] api-keys:', err);
+    return json({ error: err.message }, 500);
+  }
+};
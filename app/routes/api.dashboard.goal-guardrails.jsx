@@ -1,17 +1,10 @@
 import { getMerchantConfig, saveMerchantConfig } from "../services/merchantConfig.server";
-
-const ALLOWED_ORIGIN = process.env.DASHBOARD_URL || "*";
+import { authenticateDashboardRequest } from "../middleware/dashboardAuth.server.js";
 
 function corsHeaders() {
   return {};
 }
 
-function checkAuth(request) {
-  const apiKey = process.env.DASHBOARD_API_KEY;
-  if (!apiKey) return true;
-  return request.headers.get("X-Dashboard-Key") === apiKey;
-}
-
 function parseDelimitedList(value) {
   return String(value || "")
     .split(/[\n,]+/)
@@ -34,15 +27,7 @@ export const loader = async ({ request }) => {
     return new Response(null, { status: 204, headers: corsHeaders() });
   }
 
-  if (!checkAuth(request)) {
-    return Response.json({ error: "Unauthorized" }, { status: 401, headers: corsHeaders() });
-  }
-
-  const url = new URL(request.url);
-  const shop = url.searchParams.get("shop");
-  if (!shop) {
-    return Response.json({ error: "Missing shop parameter" }, { status: 400, headers: corsHeaders() });
-  }
+  const { shop } = await authenticateDashboardRequest(request, { scope: "read" });
 
   try {
     const config = await getMerchantConfig(shop);
@@ -63,19 +48,11 @@ export const action = async ({ request }) => {
     return new Response(null, { status: 204, headers: corsHeaders() });
   }
 
-  if (!checkAuth(request)) {
-    return Response.json({ error: "Unauthorized" }, { status: 401, headers: corsHeaders() });
-  }
-
-  const url = new URL(request.url);
-  const shop = url.searchParams.get("shop");
-  if (!shop) {
-    return Response.json({ error: "Missing shop parameter" }, { status: 400, headers: corsHeaders() });
-  }
+  const { shop } = await authenticateDashboardRequest(request, { scope: "write" });
 
   try {
     const body = await request.json();
-    const { goal, riskTolerance, offerDisplayMode, guardrails } = body;
+    const { goal, riskTolerance, offerDisplayMode, guardrails, llm, holdout, engine, segmentation, fatigue, productAttributes } = body;
 
     let excludedProductIds = guardrails?.excludedProductIds || [];
     let excludedProductHandles = guardrails?.excludedProductHandles || [];
@@ -99,12 +76,19 @@ export const action = async ({ request }) => {
       goal,
       riskTolerance,
       offerDisplayMode,
+      llm,
+      holdout,
+      engine,
+      segmentation,
+      fatigue,
+      productAttributes,
       guardrails: {
         maxDiscountCap: guardrails?.maxDiscountCap ?? 20,
         inventoryMinThreshold: guardrails?.inventoryMinThreshold ?? 0,
         sessionOfferLimit: guardrails?.sessionOfferLimit ?? 4,
         premiumSkuProtection: !!guardrails?.premiumSkuProtection,
         subscriptionProtection: !!guardrails?.subscriptionProtection,
+        minMarginPercent: guardrails?.minMarginPercent ?? 0,
         excludedProductIds,
         excludedProductHandles,
         excludedCollectionIds,
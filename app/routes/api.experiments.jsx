@@ -0,0 +1,114 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  createExperiment,
+  updateExperiment,
+  startExperiment,
+  stopExperiment,
+  archiveExperiment,
+  listExperiments,
+  computeSampleSize
+} from "../../backend/services/experimentService.js";
+import { getABTestResults } from "../../backend/services/explainabilityService.js";
+
+/**
+ * GET /api/experiments
+ *   ?testId=exp_…          — results for one experiment
+ *   ?includeArchived=true  — include archived experiments in the list
+ *
+ * POST /api/experiments
+ *
+ * Payload:
+ * {
+ *   "action": "create" | "update" | "start" | "stop" | "archive" | "results" | "sample_size"
+ *   ... action-specific params
+ * }
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopId = session.shop;
+  const url = new URL(request.url);
+
+  try {
+    const testId = url.searchParams.get("testId");
+    if (testId) {
+      const result = await getABTestResults(shopId, testId);
+      return json(result, { status: result.success ? 200 : 404 });
+    }
+
+    const experiments = await listExperiments(shopId, {
+      includeArchived: url.searchParams.get("includeArchived") === "true"
+    });
+    return json({ success: true, experiments });
+  } catch (error) {
+    console.error("❌ Experiments API failed:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const { session } = await authenticate.admin(request);
+  const shopId = session.shop;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return json({ success: false, error: "Invalid JSON body" }, { status: 400 });
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return json({ success: false, error: "Request body must be a JSON object" }, { status: 400 });
+  }
+
+  try {
+    const { action, testId, ...params } = body;
+
+    // ─── CREATE DRAFT ─────────────────────────────────────────────────
+    if (action === "create") {
+      const result = await createExperiment(shopId, params);
+      return json(result, { status: result.success ? 201 : 400 });
+    }
+
+    // ─── EDIT DRAFT ───────────────────────────────────────────────────
+    if (action === "update") {
+      const result = await updateExperiment(shopId, testId, params);
+      return json(result, { status: result.success ? 200 : 400 });
+    }
+
+    // ─── LIFECYCLE ────────────────────────────────────────────────────
+    if (action === "start" || action === "stop" || action === "archive") {
+      const handler = { start: startExperiment, stop: stopExperiment, archive: archiveExperiment }[action];
+      const result = await handler(shopId, testId);
+      return json(result, { status: result.success ? 200 : 400 });
+    }
+
+    // ─── RESULTS ──────────────────────────────────────────────────────
+    if (action === "results") {
+      const result = await getABTestResults(shopId, testId);
+      return json(result, { status: result.success ? 200 : 404 });
+    }
+
+    // ─── SAMPLE SIZE PLANNING ─────────────────────────────────────────
+    if (action === "sample_size") {
+      const perVariant = computeSampleSize(params.baselineRate, params.mde);
+      if (!perVariant) {
+        return json({ success: false, error: "baselineRate must be between 0 and 1 and mde must be positive" }, { status: 400 });
+      }
+      const variantCount = Math.max(2, Number(params.variantCount) || 2);
+      return json({ success: true, perVariant, total: perVariant * variantCount });
+    }
+
+    return json({ error: "Unknown action", action }, { status: 400 });
+
+  } catch (error) {
+    console.error("❌ Experiments API failed:", error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+};
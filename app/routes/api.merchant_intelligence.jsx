@@ -1,17 +1,17 @@
 import { json } from "@remix-run/node";
 import { getDb, collections } from "../../backend/database/mongodb.js";
+import { authenticateDashboardRequest } from "../middleware/dashboardAuth.server.js";
 
 /**
- * Public debug API: /api/merchant_intelligence?shopId=...
+ * Debug API: /api/merchant_intelligence?shopId=... — admin only
+ * (Authorization: Bearer <DASHBOARD_ADMIN_KEY>), shopId required.
  * Mirrors server.js endpoint so it works with `shopify app dev`.
  */
 export const loader = async ({ request }) => {
+  const { shop: shopId } = await authenticateDashboardRequest(request, { role: "admin", shopParam: "shopId" });
   try {
-    const url = new URL(request.url);
-    const shopId = url.searchParams.get("shopId");
-
     const db = await getDb();
-    const filter = shopId ? { shopId } : {};
+    const filter = { shopId };
     const docs = await db.collection(collections.merchantIntelligence)
       .find(filter)
       .sort({ updatedAt: -1 })
@@ -43,7 +43,7 @@ export const OPTIONS = async () => {
     headers: {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
     }
   });
 };
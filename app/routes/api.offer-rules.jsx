@@ -0,0 +1,76 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  listOfferRules,
+  createOfferRule,
+  updateOfferRule,
+  setOfferRuleEnabled,
+  deleteOfferRule
+} from "../../backend/services/offerRules.js";
+
+/**
+ * GET /api/offer-rules — list the shop's offer rules, highest priority first
+ *
+ * POST /api/offer-rules
+ *
+ * Payload:
+ * {
+ *   "action": "create" | "update" | "enable" | "disable" | "delete"
+ *   "ruleId": "rule_…"   (all but create)
+ *   "rule": { name, priority, conditions, offer, placements, schedule, cap }
+ * }
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const rules = await listOfferRules(session.shop);
+    return json({ success: true, rules });
+  } catch (error) {
+    console.error("❌ Offer rules API failed:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const { session } = await authenticate.admin(request);
+  const shopId = session.shop;
+  const body = await request.json();
+
+  try {
+    const { action, ruleId, rule } = body;
+
+    if (action === "create") {
+      const result = await createOfferRule(shopId, rule);
+      return json(result, { status: result.success ? 201 : 400 });
+    }
+
+    if (action === "update") {
+      const result = await updateOfferRule(shopId, ruleId, rule);
+      return json(result, { status: result.success ? 200 : 400 });
+    }
+
+    if (action === "enable" || action === "disable") {
+      const result = await setOfferRuleEnabled(shopId, ruleId, action === "enable");
+      return json(result, { status: result.success ? 200 : 404 });
+    }
+
+    if (action === "delete") {
+      const result = await deleteOfferRule(shopId, ruleId);
+      return json(result, { status: result.success ? 200 : 404 });
+    }
+
+    return json({ error: "Unknown action", action }, { status: 400 });
+
+  } catch (error) {
+    console.error("❌ Offer rules API failed:", error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+};
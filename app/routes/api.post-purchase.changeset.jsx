@@ -0,0 +1,83 @@
+import { json } from "@remix-run/node";
+import {
+  verifyPostPurchaseToken,
+  signPostPurchaseChangeset,
+  recordChangesetResult,
+} from "../../backend/services/postPurchase.js";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+/**
+ * POST /api/post-purchase/changeset
+ *
+ * Called by the post-purchase extension (extensions/post-purchase-offer).
+ * Authorization: Bearer <inputData.token> — Shopify's JWT for the order's
+ * post-purchase page; its shop and referenceId scope the request.
+ *
+ * Body:
+ *   { productId, variantId, quantity, offerToken }
+ *     → { token, changesetId, discountPercent, ... } — pass `token` to applyChangeset
+ *   { action: 'result', changesetId, status: 'applied' | 'failed', error }
+ *     → records the outcome on the `post_purchase_accept` event
+ */
+export const action = async ({ request }) => {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+  if (request.method !== "POST") {
+    return json({ success: false, error: "Method not allowed" }, { status: 405, headers: corsHeaders });
+  }
+
+  const bearer = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const auth = verifyPostPurchaseToken(bearer);
+  if (!auth.valid) {
+    console.warn(`🚫 Post-purchase request rejected: ${auth.reason}`);
+    return json({ success: false, error: "Unauthorized" }, { status: 401, headers: corsHeaders });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ success: false, error: "Invalid JSON" }, { status: 400, headers: corsHeaders });
+  }
+  if (body?.referenceId && String(body.referenceId) !== String(auth.referenceId)) {
+    return json({ success: false, error: "referenceId mismatch" }, { status: 400, headers: corsHeaders });
+  }
+
+  try {
+    if (body?.action === "result") {
+      const result = await recordChangesetResult(auth.shopId, body.changesetId, {
+        status: body.status,
+        error: body.error,
+      });
+      return json(result, { status: result.success ? 200 : 400, headers: corsHeaders });
+    }
+
+    const result = await signPostPurchaseChangeset(auth.shopId, auth.referenceId, {
+      productId: body?.productId,
+      variantId: body?.variantId,
+      quantity: body?.quantity,
+      offerToken: body?.offerToken || null,
+    });
+    if (!result.success) {
+      console.warn(`🚫 Post-purchase changeset refused for ${auth.shopId}: ${result.reason}`);
+      return json(result, { status: 422, headers: corsHeaders });
+    }
+    return json(result, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Post-purchase changeset error:", error);
+    return json({ success: false, error: error.message }, { status: 500, headers: corsHeaders });
+  }
+};
+
+export const loader = async ({ request }) => {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+  return json({ success: false, error: "Method not allowed" }, { status: 405, headers: corsHeaders });
+};
@@ -1,14 +1,12 @@
 import { json } from "@remix-run/node";
 import { getDb, collections } from "../../backend/database/mongodb.js";
+import { authenticateDashboardRequest } from "../middleware/dashboardAuth.server.js";
 
 /**
- * Public debug API: /api/post_purchase
- *
- * GET /api/post_purchase
- *   All purchase_events records.
+ * Debug API: /api/post_purchase — admin only (Authorization: Bearer <DASHBOARD_ADMIN_KEY>)
  *
  * GET /api/post_purchase?shopId=store.myshopify.com
- *   Filter by shop.
+ *   purchase_events records for the shop (shopId is required).
  *
  * GET /api/post_purchase?shopId=...&type=aov
  *   AOV impact records from aov_impact collection.
@@ -20,14 +18,14 @@ import { getDb, collections } from "../../backend/database/mongodb.js";
  *   Limit number of results (max 500, default 100).
  */
 export const loader = async ({ request }) => {
+  const { shop: shopId } = await authenticateDashboardRequest(request, { role: "admin", shopParam: "shopId" });
   try {
     const url = new URL(request.url);
-    const shopId = url.searchParams.get("shopId");
     const type = url.searchParams.get("type") || "events";
     const limit = Math.min(parseInt(url.searchParams.get("limit") || "100"), 500);
 
     const db = await getDb();
-    const shopFilter = shopId ? { shopId } : {};
+    const shopFilter = { shopId };
 
     if (type === "aov") {
       const docs = await db
@@ -99,7 +97,7 @@ export const OPTIONS = async () => {
     headers: {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
     },
   });
 };
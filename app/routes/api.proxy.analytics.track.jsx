@@ -1,6 +1,9 @@
 import { json } from "@remix-run/node";
 import crypto from "node:crypto";
 import { trackUpsellEvent } from "../../backend/services/analyticsService.js";
+import { getExperimentAssignment } from "../../backend/services/experimentService.js";
+import { getVisitorSegments } from "../../backend/services/segmentation.js";
+import { recordVisitorEvent } from "../../backend/services/visitorProfiles.js";
 
 /**
  * Shopify App Proxy Handler for Analytics Tracking
@@ -86,6 +89,22 @@ export const action = async ({ request }) => {
 
         const resolvedSessionId = sessionId || userId || customerId || null;
 
+        // Stamp the visitor's sticky A/B variant so results can be split by variant.
+        // Always the server-side assignment — a client-sent testId/variant is dropped.
+        delete enrichedMetadata.testId;
+        delete enrichedMetadata.variant;
+        const experiment = await getExperimentAssignment(shopId, userId || resolvedSessionId).catch(() => null);
+        if (experiment) {
+            enrichedMetadata.testId = experiment.testId;
+            enrichedMetadata.variant = experiment.variant;
+        }
+
+        // Segments resolved for this visitor's latest offer request
+        if (!Array.isArray(enrichedMetadata.segments)) {
+            const segments = getVisitorSegments(shopId, userId || resolvedSessionId);
+            if (segments) enrichedMetadata.segments = segments;
+        }
+
         const result = await trackUpsellEvent({
             eventType,
             shopId,
@@ -102,6 +121,13 @@ export const action = async ({ request }) => {
             metadata: enrichedMetadata
         });
 
+        // Views feed the profile's seen products (no repeat exposure across placements)
+        const visitorId = userId || resolvedSessionId;
+        if (visitorId) {
+            await recordVisitorEvent(shopId, visitorId, { eventType, upsellProductId })
+                .catch((err) => console.warn("⚠️ Visitor profile update failed:", err.message));
+        }
+
         return json({
             success: true,
             data: result
@@ -1,10 +1,16 @@
 import { json } from "@remix-run/node";
 import crypto from "node:crypto";
 import { authenticate } from "../shopify.server";
-import { decideCartOffers } from "../../backend/services/decisionEngine.js";
+import { runPlacement } from "../../backend/services/placementPipeline.js";
 import { ensureProductFromAdminGraphQL, getProductById } from "../../backend/database/collections.js";
 import { getSafetyMode } from "../../backend/services/safetyMode.js";
+import { getExperimentAssignment } from "../../backend/services/experimentService.js";
+import { getHoldoutAssignment, isHoldout } from "../../backend/services/holdoutService.js";
 import { getOfferTypeExtras, applyDisplayModeFilter } from "../../backend/services/offerDisplayFilter.js";
+import { attachOfferTokens } from "../../backend/services/offerTokens.js";
+import { parseBuyerContext, localizeRecommendations } from "../../backend/services/marketPricing.js";
+import { ensurePurchasableOffers } from "../../backend/services/offerAvailability.js";
+import { resolveRequestSegments } from "../../backend/services/segmentation.js";
 
 // Pre-warm MongoDB at module load — eliminates cold-start delay on first request after server restart
 import("../../backend/database/mongodb.js").then(({ getDb }) => getDb()).catch(() => {});
@@ -52,7 +58,8 @@ async function fetchLiveInventory(admin, productIds) {
       if (!node || !node.id) continue;
       const numericId = node.id.match(/Product\/(\d+)/)?.[1];
       if (numericId) {
-        const variant = node.variants?.edges?.[0]?.node;
+        const variantEdges = node.variants?.edges || [];
+        const variant = (variantEdges.find(e => e.node && (e.node.inventoryQuantity > 0 || e.node.inventoryPolicy !== 'DENY')) || variantEdges[0])?.node;
         const policy = variant?.inventoryPolicy === 'DENY' ? 'deny' : 'continue';
         const totalInv = node.totalInventory ?? variant?.inventoryQuantity ?? 0;
         const allVariants = (node.variants?.edges || []).map(e => {
@@ -131,6 +138,11 @@ export const loader = async ({ request }) => {
     const shop = params.shop;
     const productGidsJson = params.ids; // Format: JSON array of GIDs
     const userId = params.userId || null;
+    const buyer = parseBuyerContext(url.searchParams);
+    // The storefront sends the subtotal in the buyer's currency — the engine works in shop currency
+    const cartSubtotal = params.subtotal != null && Number.isFinite(Number(params.subtotal))
+      ? Number(params.subtotal) / (buyer?.rate || 1)
+      : null;
 
     if (!shop || !productGidsJson) {
       return json({ error: "Missing required parameters" }, { status: 400 });
@@ -167,13 +179,16 @@ export const loader = async ({ request }) => {
 
     console.log(`🛒 Cart-based recommendations for ${productIds.length} products`);
 
-    // Run safetyMode check + auth in parallel
-    const [safetyActive, authResult] = await Promise.all([
+    // Run safetyMode check + auth + holdout/A/B assignment + segments in parallel
+    const [safetyActive, authResult, holdout, experiment, segmentation] = await Promise.all([
       getSafetyMode(shop).catch(() => false),
       authenticate.public.appProxy(request).catch(err => {
         console.error('⚠️ Cart appProxy auth failed:', err.message);
         return null;
       }),
+      getHoldoutAssignment(shop, userId).catch(() => null),
+      getExperimentAssignment(shop, userId).catch(() => null),
+      resolveRequestSegments(shop, url.searchParams, request.headers, { rate: buyer?.rate, cartValue: cartSubtotal, userId }),
     ]);
 
     if (safetyActive) {
@@ -194,6 +209,25 @@ export const loader = async ({ request }) => {
       });
     }
 
+    // Holdout visitors are the incrementality control group — they never see the widget
+    if (isHoldout(holdout)) {
+      return json({
+        success: true,
+        cartProductIds: productIds,
+        shop,
+        recommendations: [],
+        count: 0,
+        holdout: true,
+        decision: { reason: 'holdout', status: 'holdout' }
+      }, {
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Cache-Control": "no-store",
+        }
+      });
+    }
+
     const adminClient = authResult?.admin || null;
 
     // Self-heal: sync cart products missing from MongoDB — only block if product doesn't exist yet
@@ -232,13 +266,18 @@ export const loader = async ({ request }) => {
       offerDisplayMode = config?.offerDisplayMode || 'both';
       merchantGoal = config?.goal || 'increase_aov';
     } catch (_) {}
+    if (segmentation.goal) merchantGoal = segmentation.goal;
+    if (experiment?.overrides?.goal) merchantGoal = experiment.overrides.goal;
 
-    const decision = await decideCartOffers({
+    const decision = await runPlacement({
       shopId: shop,
       cartProductIds: productIds,
       userId,
       limit: 4,
-      placement: "cart_drawer"
+      placement: "cart_drawer",
+      experiment,
+      segments: segmentation.segments,
+      cartSubtotal
     });
 
     // Use cart products already fetched by AI engine — no extra DB query needed
@@ -278,6 +317,7 @@ export const loader = async ({ request }) => {
         confidence: product.confidence,
         type: recommendationType,
         offerType,
+        bundleId: product.bundleId || null,
         discountPercent,
         sellingPlanId,
         sellingPlanIdNumeric,
@@ -293,15 +333,21 @@ export const loader = async ({ request }) => {
       };
     });
 
+    const purchasableRecommendations = await ensurePurchasableOffers(shop, formattedRecommendations, { liveVariants: Boolean(adminClient) });
+    const localizedRecommendations = await localizeRecommendations(shop, purchasableRecommendations, buyer, { admin: adminClient });
+    const signedRecommendations = await attachOfferTokens(shop, localizedRecommendations);
+
     // Return response in Liquid-compatible format
     return json({
       success: true,
       cartProductIds: productIds,
       shop,
       sourceTitle: cartSourceTitle, // <--- Added source title for frontend tracking
-      recommendations: formattedRecommendations,
-      count: formattedRecommendations.length,
-      decision: decision.meta || null
+      recommendations: signedRecommendations,
+      count: signedRecommendations.length,
+      decision: decision.meta || null,
+      experiment: experiment ? { testId: experiment.testId, variant: experiment.variant } : null,
+      segments: segmentation.segments
     }, {
       headers: {
         "Content-Type": "application/json",
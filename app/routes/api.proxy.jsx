@@ -1,10 +1,16 @@
 import { json } from "@remix-run/node";
 import crypto from "node:crypto";
 import { authenticate } from "../shopify.server";
-import { decideProductOffers } from "../../backend/services/decisionEngine.js";
+import { runPlacement, serveCachedPlacement } from "../../backend/services/placementPipeline.js";
 import { ensureProductFromAdminGraphQL, getProductById } from "../../backend/database/collections.js";
 import { getSafetyMode } from "../../backend/services/safetyMode.js";
+import { getExperimentAssignment } from "../../backend/services/experimentService.js";
+import { getHoldoutAssignment, isHoldout } from "../../backend/services/holdoutService.js";
 import { getOfferTypeExtras, applyDisplayModeFilter } from "../../backend/services/offerDisplayFilter.js";
+import { attachOfferTokens } from "../../backend/services/offerTokens.js";
+import { parseBuyerContext, localizeRecommendations } from "../../backend/services/marketPricing.js";
+import { resolveRequestSegments } from "../../backend/services/segmentation.js";
+import { ensurePurchasableOffers } from "../../backend/services/offerAvailability.js";
 
 // Pre-warm MongoDB at module load — eliminates cold-start delay on first request after server restart
 import("../../backend/database/mongodb.js").then(({ getDb }) => getDb()).catch(() => {});
@@ -54,19 +60,26 @@ export const loader = async ({ request }) => {
     const shop = params.shop;
     const productGid = params.id; // Format: gid://shopify/Product/{id}
     const userId = params.userId || null;
+    // Buyer's market (country / currency) — cached payloads stay in shop currency
+    const buyer = parseBuyerContext(url.searchParams);
 
     if (!shop || !productGid) {
       return json({ error: "Missing required parameters" }, { status: 400 });
     }
 
-    // Pillar 5: Lazy-trigger optimization in background if overdue (fire-and-forget)
+    // Pillar 5: Lazy-trigger optimization if overdue — queued for the background worker
     if (shop) {
       import("../../backend/services/schedulerService.js")
-        .then(({ shouldRunOptimization, runScheduledOptimization }) =>
+        .then(({ shouldRunOptimization }) =>
           shouldRunOptimization(shop).then((overdue) => {
-            if (overdue) {
-              runScheduledOptimization(shop, "lazy_proxy").catch(() => {});
-            }
+            if (!overdue) return;
+            return import("../../backend/services/jobQueue.js").then(({ enqueueJob }) =>
+              enqueueJob("optimization", {
+                shopId: shop,
+                payload: { triggeredBy: "lazy_proxy", onlyIfDue: true },
+                dedupeKey: `optimization:${shop}`
+              })
+            );
           })
         )
         .catch(() => {}); // Never block the response
@@ -107,8 +120,26 @@ export const loader = async ({ request }) => {
       );
     }
 
+    // Holdout visitors are the incrementality control group — they never see the widget
+    const holdout = await getHoldoutAssignment(shop, userId).catch(() => null);
+    if (isHoldout(holdout)) {
+      return json(
+        { success: true, productId, shop, recommendations: [], count: 0, holdout: true, decision: { reason: 'holdout', status: 'holdout' } },
+        { headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", "Cache-Control": "no-store" } }
+      );
+    }
+
+    // Sticky A/B variant for this visitor. Enrolled visitors bypass the shared
+    // response cache — it is keyed per product, not per variant.
+    const experiment = await getExperimentAssignment(shop, userId).catch(() => null);
+    const experimentInfo = experiment ? { testId: experiment.testId, variant: experiment.variant } : null;
+
+    // Visitor segments — visitors with a merchant segment override bypass the shared cache too
+    const segmentation = await resolveRequestSegments(shop, url.searchParams, request.headers, { rate: buyer?.rate, userId });
+    const bypassCache = Boolean(experiment) || segmentation.overridden;
+
     const [cachedDoc, merchantConfig] = await Promise.all([
-      import("../../backend/database/mongodb.js")
+      bypassCache ? Promise.resolve(null) : import("../../backend/database/mongodb.js")
         .then(({ getDb }) => getDb().then(db =>
           db.collection('upsell_response_cache').findOne(
             { shopId: shop, productId },
@@ -145,68 +176,47 @@ export const loader = async ({ request }) => {
       const hasVariants = Array.isArray(rec?.variants) && rec.variants.length > 0;
       return !rec?.handle || (!hasVariants && (!variantId || variantId === productIdStr));
     });
-    if (cachedDoc && cacheAge < CACHE_FRESH_MS && cachedDoc.decision?.reason !== 'safety_mode_active' && !cachedCountLow && !cachedBundleVariantRisk) {
-      console.log(`⚡ Cache hit for product ${productId} (age: ${Math.round(cacheAge / 1000)}s)`);
+
+    // Cached offers still go through the visitor's fatigue rules and decision logging
+    const serveFromCache = async () => {
+      const served = await serveCachedPlacement({
+        shopId: shop,
+        placement: "product_page",
+        productId,
+        userId,
+        offers: cachedDoc.recommendations,
+        meta: cachedDoc.decision,
+        segments: segmentation.segments
+      });
       const cachedDiscountPct = cachedDoc.decision?.discountPercent ?? null;
-      const filteredRecs = applyDisplayModeFilter(cachedDoc.recommendations, cachedGoal, cachedDisplayMode, cachedDiscountPct);
+      const filteredRecs = await attachOfferTokens(
+        shop,
+        await localizeRecommendations(shop, await ensurePurchasableOffers(shop, applyDisplayModeFilter(served.offers, cachedGoal, cachedDisplayMode, cachedDiscountPct)), buyer),
+        { sourceProductId: productId }
+      );
       return json(
-        { success: true, productId, shop, recommendations: filteredRecs, count: filteredRecs.length, decision: cachedDoc.decision || null },
+        { success: true, productId, shop, recommendations: filteredRecs, count: filteredRecs.length, decision: served.meta || null, segments: segmentation.segments },
         { headers: _cacheHeaders }
       );
+    };
+
+    if (cachedDoc && cacheAge < CACHE_FRESH_MS && cachedDoc.decision?.reason !== 'safety_mode_active' && !cachedCountLow && !cachedBundleVariantRisk) {
+      console.log(`⚡ Cache hit for product ${productId} (age: ${Math.round(cacheAge / 1000)}s)`);
+      return serveFromCache();
     }
 
     if (cachedDoc && cacheAge < CACHE_STALE_MS && !cachedCountLow && !cachedBundleVariantRisk) {
       console.log(`⏱️ Stale cache for product ${productId} — serving stale, refreshing in background`);
-      // Background refresh — fire and forget, never blocks response
-      ;(async () => {
-        try {
-          const freshDecision = await decideProductOffers({ shopId: shop, productId, userId, limit: 4, placement: "product_page" });
-          const bgGoal = merchantConfig?.goal || 'increase_aov';
-          const bgDisplayMode = merchantConfig?.offerDisplayMode || 'both';
-          const freshOffers = applyDisplayModeFilter(
-            freshDecision.offers || [],
-            bgGoal,
-            bgDisplayMode,
-            freshDecision.meta?.discountPercent ?? null
-          );
-          const freshRecs = freshOffers.map(product => {
-            const recType = product.recommendationType || "similar";
-            const offerType = product.offerType || "addon_upsell";
-            const baseDiscount = product.discountPercent ?? freshDecision.meta?.discountPercent ?? null;
-            const discountPercent = (offerType === 'volume_discount' || offerType === 'subscription_upgrade') ? 0 : baseDiscount;
-            const sellingPlanId = product.sellingPlanId || product.sellingPlanIds?.[0] || null;
-            const sellingPlanIdNumeric = product.sellingPlanIdNumeric || extractNumericId(sellingPlanId);
-            return {
-              id: product.productId, title: product.title, handle: product.handle,
-              price: product.aiData?.price || "0", compareAtPrice: product.aiData?.compareAtPrice || null,
-              image: product.images?.[0]?.src || product.image?.src || "",
-              reason: product.aiReason, confidence: product.confidence,
-              type: recType, offerType, discountPercent, sellingPlanId, sellingPlanIdNumeric,
-              decisionScore: product.decisionScore ?? null, decisionReason: product.decisionReason ?? null,
-              url: `/products/${product.handle}`,
-              availableForSale: product.status?.toUpperCase() === 'ACTIVE',
-              variantId: (product.variants || []).find(v => v?.inventoryPolicy === 'CONTINUE' || Number(v?.inventoryQuantity || 0) > 0)?.variantId || product.variants?.[0]?.variantId || null,
-              ...getOfferTypeExtras(offerType, baseDiscount),
-            };
-          });
-          const { getDb } = await import("../../backend/database/mongodb.js");
-          const db = await getDb();
-          await db.collection('upsell_response_cache').updateOne(
-            { shopId: shop, productId },
-            { $set: { recommendations: freshRecs, decision: freshDecision.meta || null, cachedAt: new Date() } },
-            { upsert: true }
-          );
-          console.log(`✅ Background cache refresh done for product ${productId}`);
-        } catch (bgErr) {
-          console.warn('⚠️ Background cache refresh failed:', bgErr.message);
-        }
-      })();
-      const staleDiscountPct = cachedDoc.decision?.discountPercent ?? null;
-      const filteredRecs = applyDisplayModeFilter(cachedDoc.recommendations, cachedGoal, cachedDisplayMode, staleDiscountPct);
-      return json(
-        { success: true, productId, shop, recommendations: filteredRecs, count: filteredRecs.length, decision: cachedDoc.decision || null },
-        { headers: _cacheHeaders }
-      );
+      // Refresh via the job queue (responseCacheWarmer.js) — never blocks the response
+      import("../../backend/services/jobQueue.js")
+        .then(({ enqueueJob }) => enqueueJob("cache_warm", {
+          shopId: shop,
+          payload: { productIds: [productId] },
+          dedupeKey: `cache_warm:${shop}:${productId}`,
+          priority: 1
+        }))
+        .catch((bgErr) => console.warn('⚠️ Background cache refresh enqueue failed:', bgErr.message));
+      return serveFromCache();
     }
     // ── End cache check — falling through to full pipeline ───────────────────
 
@@ -222,7 +232,7 @@ export const loader = async ({ request }) => {
     if (hasSignature && !admin) console.warn('⚠️ No admin client from appProxy auth');
 
     let offerDisplayMode = merchantConfig?.offerDisplayMode || 'both';
-    let merchantGoal = merchantConfig?.goal || 'increase_aov';
+    let merchantGoal = experiment?.overrides?.goal || segmentation.goal || merchantConfig?.goal || 'increase_aov';
 
     // Self-heal: if webhook missed, fetch product via Admin GraphQL and upsert
     if (admin?.graphql) {
@@ -242,12 +252,14 @@ export const loader = async ({ request }) => {
     }
 
     // Run decision engine to select offers (pass userId for personalization)
-    const decision = await decideProductOffers({
+    const decision = await runPlacement({
       shopId: shop,
       productId,
       userId,
       limit: 4,
-      placement: "product_page"
+      placement: "product_page",
+      experiment,
+      segments: segmentation.segments
     });
     let recommendations = decision.offers || [];
 
@@ -278,6 +290,7 @@ export const loader = async ({ request }) => {
       confidence: product.confidence,
       type: recommendationType,
       offerType,
+      bundleId: product.bundleId || null,
       discountPercent,
       sellingPlanId,
       sellingPlanIdNumeric,
@@ -362,8 +375,9 @@ export const loader = async ({ request }) => {
          formattedRecommendations.forEach((rec, i) => {
            const live = inventoryMap[String(rec.id)] || {};
            if (live.availableForSale !== undefined) {
-             // Get live price from variants if available
-             const livePrice = live.variants && live.variants[0] ? String(live.variants[0].price) : rec.price;
+             // Price of the variant actually offered (first in-stock one), not simply the first variant
+             const liveVariant = (live.variants || []).find(v => v.id === live.variantId) || live.variants?.[0];
+             const livePrice = liveVariant ? String(liveVariant.price) : rec.price;
              formattedRecommendations[i] = {
                ...rec,
                availableForSale: live.availableForSale,
@@ -371,7 +385,7 @@ export const loader = async ({ request }) => {
                inventoryPolicy: live.inventoryPolicy,
                variantId: live.variantId || rec.variantId,
                price: livePrice,
-               compareAtPrice: (live.variants && live.variants[0]?.compareAtPrice) || live.compareAtPrice || rec.compareAtPrice,
+               compareAtPrice: liveVariant?.compareAtPrice || live.compareAtPrice || rec.compareAtPrice,
                variants: live.variants || []
              };
            }
@@ -381,25 +395,36 @@ export const loader = async ({ request }) => {
       console.error('⚠️ Inventory enrichment failed:', invError.message);
     }
 
-    // Persist result to MongoDB cache for instant future loads (fire-and-forget)
-    import("../../backend/database/mongodb.js")
-      .then(({ getDb }) => getDb().then(db =>
-        db.collection('upsell_response_cache').updateOne(
-          { shopId: shop, productId },
-          { $set: { recommendations: formattedRecommendations, decision: decision.meta || null, cachedAt: new Date() } },
-          { upsert: true }
-        )
-      ))
-      .catch(() => {}); // never block the response
+    // Persist result to MongoDB cache for instant future loads (fire-and-forget).
+    // Stored unfiltered: availability is re-checked on every read, so a restock
+    // brings an offer back without waiting for the cache to expire.
+    if (!bypassCache) {
+      import("../../backend/database/mongodb.js")
+        .then(({ getDb }) => getDb().then(db =>
+          db.collection('upsell_response_cache').updateOne(
+            { shopId: shop, productId },
+            { $set: { recommendations: formattedRecommendations, decision: decision.meta || null, cachedAt: new Date() } },
+            { upsert: true }
+          )
+        ))
+        .catch(() => {}); // never block the response
+    }
+
+    // Localized and signed per response — the cached copy above stays in shop currency and token-free
+    const purchasableRecommendations = await ensurePurchasableOffers(shop, formattedRecommendations, { liveVariants: Boolean(admin) });
+    const localizedRecommendations = await localizeRecommendations(shop, purchasableRecommendations, buyer, { admin });
+    const signedRecommendations = await attachOfferTokens(shop, localizedRecommendations, { sourceProductId: productId });
 
     // Return response in Liquid-compatible format
     return json({
       success: true,
       productId,
       shop,
-      recommendations: formattedRecommendations,
-      count: formattedRecommendations.length,
-      decision: decision.meta || null
+      recommendations: signedRecommendations,
+      count: signedRecommendations.length,
+      decision: decision.meta || null,
+      experiment: experimentInfo,
+      segments: segmentation.segments
     }, {
       headers: {
         "Content-Type": "application/json",
@@ -19,7 +19,7 @@ export const action = async ({ request }) => {
     }
 
     const body = await request.json();
-    const { orderId, totalPrice, lineItems } = body;
+    const { orderId, totalPrice, currency, currencyRate, lineItems } = body;
 
     console.log('[proxy/purchase] Received from order status page:', { shopId, orderId, lineItemCount: lineItems?.length });
 
@@ -30,6 +30,9 @@ export const action = async ({ request }) => {
     const orderPayload = {
       id: String(orderId),
       total_price: String(totalPrice || '0'),
+      // Order status page amounts are in the buyer's presentment currency
+      currency: currency || null,
+      currencyRate: currencyRate || null,
       line_items: lineItems.map(item => ({
         product_id: item.product_id,
         variant_id: item.variant_id,
@@ -1,11 +1,15 @@
 import { json } from "@remix-run/node";
 import crypto from "node:crypto";
 import { authenticate } from "../shopify.server";
-import { GroqAIEngine } from "../../backend/services/groqAIEngine.js";
+import { runPlacement } from "../../backend/services/placementPipeline.js";
+import { parseBuyerContext, localizeRecommendations } from "../../backend/services/marketPricing.js";
+import { ensurePurchasableOffers } from "../../backend/services/offerAvailability.js";
+import { resolveRequestSegments } from "../../backend/services/segmentation.js";
 
 /**
  * Shopify App Proxy Handler for Secondary Recommendations
- * Returns AI recommendations based on a single product (the upsell product that was just added)
+ * Returns same-type recommendations for a single product (the upsell product that was just added)
+ * through the placement pipeline (see backend/services/secondaryCandidates.js)
  *
  * URL Format: /apps/ai-upsell/secondary?id=gid://shopify/Product/{productId}
  * Maps to: /api/proxy/secondary?id=...&shop={shop}&...
@@ -31,57 +35,6 @@ function verifyProxySignature(query) {
   return calculatedSignature === signature;
 }
 
-function normalizeText(value) {
-  return (value || '').toString().toLowerCase();
-}
-
-const STOPWORDS = new Set([
-  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-  'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
-  'this', 'that', 'these', 'those', 'from', 'new', 'sale', 'best', 'top', 'set', 'pack',
-  'piece', 'pieces', 'pair', 'pairs', 'size', 'sizes', 'women', 'woman', 'men', 'man',
-  'unisex', 'limited', 'edition', 'collection'
-]);
-
-function tokenize(text) {
-  const tokens = normalizeText(text).match(/[a-z0-9]+/g) || [];
-  return tokens.filter(token => token.length >= 3 && !STOPWORDS.has(token));
-}
-
-function buildSearchText(product) {
-  const tags = Array.isArray(product.tags) ? product.tags.join(' ') : (product.tags || '');
-  return `${product.productType || ''} ${product.aiData?.category || ''} ${product.title || ''} ${tags}`.toLowerCase();
-}
-
-function extractTokensFromProduct(product) {
-  const text = buildSearchText(product);
-  return Array.from(new Set(tokenize(text)));
-}
-
-function inferCategoryLabel(product, tokens) {
-  const typeTokens = tokenize(product.productType || product.aiData?.category || '');
-  if (typeTokens.length > 0) return typeTokens[0];
-  if (tokens && tokens.length > 0) return tokens[0];
-  const titleTokens = tokenize(product.title || '');
-  return titleTokens[0] || null;
-}
-
-function matchesByTokens(product, tokens) {
-  if (!tokens || tokens.length === 0) return false;
-  const text = buildSearchText(product);
-  return tokens.some(token => text.includes(token));
-}
-
-function uniqueByProductId(products) {
-  const seen = new Set();
-  return products.filter(product => {
-    const id = product?.productId ?? product?.id;
-    if (!id || seen.has(id)) return false;
-    seen.add(id);
-    return true;
-  });
-}
-
 async function fetchLiveInventory(admin, productIds) {
   const inventoryMap = {};
   if (!admin) return inventoryMap;
@@ -160,87 +113,22 @@ export const loader = async ({ request }) => {
     }
 
     const productId = parseInt(productIdMatch[1], 10);
+    const userId = params.userId || null;
+    const buyer = parseBuyerContext(url.searchParams);
+    const segmentation = await resolveRequestSegments(shop, url.searchParams, request.headers, { rate: buyer?.rate, userId });
 
     console.log(`🔄 Secondary recommendations for product: ${productId}`);
 
-    const aiEngine = new GroqAIEngine();
-    const config = await aiEngine.getMerchantConfigSafe(shop);
-    const guardrails = config?.guardrails || {};
-    const excludedIds = new Set([String(productId)]);
-    const DISPLAY_LIMIT = aiEngine.getEffectiveLimit(4, guardrails, null, shop);
-    if (DISPLAY_LIMIT <= 0) {
-      return json({ success: true, productId, shop, recommendations: [], count: 0 }, {
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-        }
-      });
-    }
-
-    // Enforce same-category recommendations (broader match like "bracelet" regardless of material)
-    let filteredRecommendations = [];
-    let sourceTokens = [];
-    let sourceTitleTokens = []; // title-only tokens — used for strict type filtering
-    let sourceCategoryLabel = null;
-    try {
-      const sourceProduct = await aiEngine.getProductById(shop, productId);
-      sourceTokens = extractTokensFromProduct(sourceProduct);
-      sourceCategoryLabel = inferCategoryLabel(sourceProduct, sourceTokens);
-
-      // Use TITLE-only tokens — category/tag tokens are too broad
-      // (e.g. "Jewelry" matches both bracelets and earrings)
-      sourceTitleTokens = tokenize(sourceProduct?.title || '');
-      const sourceCategory = (sourceProduct?.aiData?.category || '').toLowerCase().trim();
-
-      if (sourceTitleTokens.length > 0) {
-        const allProducts = await aiEngine.getProductsByShop(shop);
-        const candidates = aiEngine.filterProductsByGuardrails(
-          allProducts.filter(p => p.productId !== productId),
-          guardrails,
-          excludedIds
-        );
-
-        // Step 1: Same-type products (title word match — e.g. bracelet → bracelet)
-        const sameType = candidates.filter(p => matchesByTokens(p, sourceTitleTokens));
-
-        if (sameType.length >= DISPLAY_LIMIT) {
-          // Enough same-type products — show only same type
-          filteredRecommendations = uniqueByProductId(sameType).slice(0, DISPLAY_LIMIT);
-          console.log(`✅ ${sameType.length} same-type products found — showing same type only`);
-        } else {
-          // Not enough same-type — fill remaining slots with same-category products
-          // e.g. necklace gets bracelets too (both are jewelry)
-          const sameTypeIds = new Set(sameType.map(p => String(p.productId)));
-          const sameCat = sourceCategory
-            ? candidates.filter(p =>
-                !sameTypeIds.has(String(p.productId)) &&
-                (p.aiData?.category || '').toLowerCase().trim() === sourceCategory
-              )
-            : [];
-
-          filteredRecommendations = uniqueByProductId([...sameType, ...sameCat]).slice(0, DISPLAY_LIMIT);
-          console.log(`✅ ${sameType.length} same-type + ${sameCat.length} same-category products`);
-
-          if (filteredRecommendations.length === 0) {
-            console.warn('⚠️ No same-type or same-category products found for:', sourceTitleTokens);
-          }
-        }
-      } else {
-        console.warn('⚠️ Source product title missing; cannot filter secondary recommendations');
-      }
-    } catch (filterErr) {
-      console.warn('⚠️ Failed to filter secondary recommendations by type:', filterErr?.message || filterErr);
-    }
-
-    if (filteredRecommendations.length === 0) {
-      const recommendations = await aiEngine.findUpsellProducts(shop, productId, 8);
-      if (sourceTitleTokens.length > 0) {
-        const sameType = recommendations.filter(p => matchesByTokens(p, sourceTitleTokens));
-        filteredRecommendations = (sameType.length > 0 ? sameType : recommendations).slice(0, DISPLAY_LIMIT);
-      } else {
-        filteredRecommendations = recommendations.slice(0, DISPLAY_LIMIT);
-      }
-    }
+    // Same-type candidates, ranked and guardrailed by the shop's decision engine
+    const decision = await runPlacement({
+      shopId: shop,
+      productId,
+      userId,
+      limit: 4,
+      placement: "secondary",
+      segments: segmentation.segments
+    });
+    const filteredRecommendations = decision.offers || [];
 
     // Get admin client for inventory enrichment
     let adminClient = null;
@@ -259,7 +147,7 @@ export const loader = async ({ request }) => {
       const live = inventoryMap[productIdValue] || {};
       const recommendationType = product.recommendationType || 'similar';
       const confidence = product.confidence ?? 0.8;
-      const reason = product.aiReason || (sourceCategoryLabel ? `More ${sourceCategoryLabel} styles` : 'Recommended for you');
+      const reason = product.aiReason || 'Recommended for you';
       return {
         id: productIdValue,
         title: product.title,
@@ -276,13 +164,17 @@ export const loader = async ({ request }) => {
         variantId: live.variantId || product.variants?.[0]?.id || null
       };
     });
+    // Only the first variant is fetched live — the product mirror picks an in-stock sibling
+    const purchasableRecommendations = await ensurePurchasableOffers(shop, formattedRecommendations);
+    const localizedRecommendations = await localizeRecommendations(shop, purchasableRecommendations, buyer, { admin: adminClient });
 
     return json({
       success: true,
       productId,
       shop,
-      recommendations: formattedRecommendations,
-      count: formattedRecommendations.length
+      recommendations: localizedRecommendations,
+      count: localizedRecommendations.length,
+      segments: segmentation.segments
     }, {
       headers: {
         "Content-Type": "application/json",
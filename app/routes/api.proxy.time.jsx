@@ -1,7 +1,7 @@
 import { json } from "@remix-run/node";
 import crypto from "node:crypto";
 import { getDb, collections } from "../../backend/database/mongodb.js";
-import { clearUserProductCache } from "../../backend/services/groqAIEngine.js";
+import { recordProductTime, recordCartSnapshot } from "../../backend/services/visitorProfiles.js";
 
 /**
  * Shopify App Proxy – Time Tracking (Product + Cart Analytics)
@@ -11,6 +11,8 @@ import { clearUserProductCache } from "../../backend/services/groqAIEngine.js";
  * Payload:
  *   Product: { context: "product", productId, productTitle, shop, timeSpentSeconds, userId }
  *   Cart:    { context: "cart", shop, timeSpentSeconds, userId, cartItemCount?, cartTotalPrice? }
+ *
+ * Events from known visitors also update their visitor profile (visitorProfiles.js).
  */
 
 const CORS_HEADERS = {
@@ -121,6 +123,14 @@ export const action = async ({ request }) => {
       }
 
       await db.collection(collections.cartTimeEvents).insertOne(record);
+
+      if (userId) {
+        await recordCartSnapshot(shop, userId, {
+          cartProductIds: record.cartProductIds || [],
+          cartItemCount: record.cartItemCount ?? null,
+          cartTotalPrice: record.cartTotalPrice ?? null
+        }).catch((err) => console.warn("⚠️ Visitor profile update failed:", err.message));
+      }
       console.log(`🧺 Cart time tracked: shop=${shop} seconds=${seconds} userId=${userId || 'anonymous'} products=${record.cartProductIds?.length || 0}`);
     } else {
       const record = {
@@ -134,10 +144,11 @@ export const action = async ({ request }) => {
 
       await db.collection(collections.productTimeEvents).insertOne(record);
 
-      // Invalidate the recommendation cache for this user+product so the next
-      // visit gets a fresh, profile-aware Groq call instead of a stale cached result
+      // The profile's new lastAt for this product also invalidates the user's cached
+      // recommendation on every server, so the next visit gets a profile-aware call
       if (userId) {
-        clearUserProductCache(shop, productId, userId);
+        await recordProductTime(shop, userId, { productId, productTitle: productTitle || null, seconds })
+          .catch((err) => console.warn("⚠️ Visitor profile update failed:", err.message));
       }
 
       console.log(`⏱️ Time tracked: product=${productId} shop=${shop} seconds=${seconds} userId=${userId || 'anonymous'}`);
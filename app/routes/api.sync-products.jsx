@@ -1,20 +1,30 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { syncProductsWithGraphQL } from "../../backend/database/collections.js";
+import { enqueueJob } from "../../backend/services/jobQueue.js";
+import { getProductSyncState } from "../../backend/services/productSync.js";
+
+// GET → sync checkpoints / last run; POST → queue a full (bulk) product sync
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const state = await getProductSyncState(session.shop);
+  return json({ success: true, state });
+};
 
 export const action = async ({ request }) => {
   try {
-    const { session, admin } = await authenticate.admin(request);
+    const { session } = await authenticate.admin(request);
     const shop = session.shop;
 
-    console.log(`[sync-products] Starting full product sync for ${shop}`);
-
-    const result = await syncProductsWithGraphQL(shop, admin.graphql);
-    const count = typeof result === "number" ? result : result?.count ?? 0;
+    console.log(`[sync-products] Queueing full product sync for ${shop}`);
 
-    console.log(`[sync-products] Sync complete: ${count} products synced for ${shop}`);
+    const result = await enqueueJob("product_reconciliation", {
+      shopId: shop,
+      payload: { reason: "manual", mode: "full" },
+      dedupeKey: `product_reconciliation:${shop}`,
+      priority: 1
+    });
 
-    return json({ success: true, count });
+    return json({ success: result.success, jobId: result.jobId, queued: result.queued }, { status: 202 });
   } catch (err) {
     console.error("[sync-products] Error:", err);
     return json({ success: false, error: err.message }, { status: 500 });
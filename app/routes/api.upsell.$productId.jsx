@@ -1,7 +1,8 @@
 import { json } from "@remix-run/node";
-import { decideProductOffers } from "../../backend/services/decisionEngine.js";
+import { runPlacement } from "../../backend/services/placementPipeline.js";
 import { getMerchantConfig } from "../../backend/services/merchantConfig.js";
 import { getOfferTypeExtras, applyDisplayModeFilter } from "../../backend/services/offerDisplayFilter.js";
+import { ensurePurchasableOffers } from "../../backend/services/offerAvailability.js";
 
 /**
  * API endpoint to get AI-powered upsell recommendations
@@ -25,7 +26,7 @@ export const loader = async ({ params, request }) => {
     }
 
     // Run decision engine to select offers
-    const decision = await decideProductOffers({
+    const decision = await runPlacement({
       shopId: shop,
       productId,
       userId: null,
@@ -45,7 +46,7 @@ export const loader = async ({ params, request }) => {
     recommendations = applyDisplayModeFilter(recommendations, merchantGoal, offerDisplayMode, decision.meta?.discountPercent ?? null);
 
     // Format response for frontend (inventory will be enriched by proxy route)
-    const formattedRecommendations = recommendations.map(product => {
+    const formattedRecommendations = await ensurePurchasableOffers(shop, recommendations.map(product => {
       const offerType = product.offerType || "addon_upsell";
       const baseDiscountPercent = product.discountPercent ?? decision.meta?.discountPercent ?? null;
       const offerTypeExtras = getOfferTypeExtras(offerType, baseDiscountPercent);
@@ -69,7 +70,7 @@ export const loader = async ({ params, request }) => {
       availableForSale: product.status?.toUpperCase() === 'ACTIVE',
       variantId: product.variants?.[0]?.id || null,
       ...offerTypeExtras
-    })});
+    })}));
 
     console.log('📊 Recommendations (before inventory enrichment):', formattedRecommendations.map(r => ({
       title: r.title,
@@ -40,13 +40,19 @@ export const loader = async ({ request }) => {
     if (admin?.graphql) {
       (async () => {
         try {
-          const { syncProductsWithGraphQL } = await import("../../backend/database/collections.js");
-          if (productCount === 0) {
-            await syncProductsWithGraphQL(session.shop, admin.graphql);
-          } else {
+          let needsFullSync = productCount === 0;
+          if (!needsFullSync) {
             const { ProductService } = await import("../../backend/services/productService.js");
-            const needsBackfill = await new ProductService().needsVariantBackfill(session.shop);
-            if (needsBackfill) await syncProductsWithGraphQL(session.shop, admin.graphql);
+            needsFullSync = await new ProductService().needsVariantBackfill(session.shop);
+          }
+          if (needsFullSync) {
+            const { enqueueJob } = await import("../../backend/services/jobQueue.js");
+            await enqueueJob("product_reconciliation", {
+              shopId: session.shop,
+              payload: { reason: "backfill", mode: "full" },
+              dedupeKey: `product_reconciliation:${session.shop}`,
+              priority: 1
+            });
           }
         } catch (err) {
           console.error("Background product sync failed:", err.message);
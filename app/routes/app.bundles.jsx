@@ -30,14 +30,15 @@ export const loader = async ({ request }) => {
     const config = await db.collection(collections.merchantConfig).findOne({ shopId: session.shop });
     const offerDisplayMode = config?.offerDisplayMode || 'both';
 
-    const bundlesResult = await getBundles(session.shop);
+    // Every lifecycle status — the page splits them into the approval inbox and the rest
+    const bundlesResult = await getBundles(session.shop, { status: null, limit: 100 });
 
     const bundleProducts = new Map();
     for (const bundle of bundlesResult.bundles) {
       for (const productId of bundle.productIds) {
         if (!bundleProducts.has(productId)) {
           const product = await db.collection(collections.products)
-            .findOne({ productId: productId.toString() });
+            .findOne({ shopId: session.shop, productId: { $in: [productId.toString(), Number(productId)] } });
           bundleProducts.set(productId, product?.title || `Product ${productId}`);
         }
       }
@@ -75,7 +76,7 @@ export const loader = async ({ request }) => {
 export const action = async ({ request }) => {
   if (request.method === 'POST') {
     const { session } = await authenticate.admin(request);
-    const { actionType, bundleId, name, productIds, discountPercent, offerDisplayMode } = await request.json();
+    const { actionType, bundleId, name, productIds, discountPercent, offerDisplayMode, draft } = await request.json();
 
     try {
       const { getDb, collections } = await import("../../backend/database/mongodb.js");
@@ -90,7 +91,42 @@ export const action = async ({ request }) => {
         return json({ success: true, message: 'Offer display mode saved' });
       }
 
-      const { pauseBundle, createBundle } = await import("../../backend/services/bundleEngine.js");
+      const { pauseBundle, createBundle, approveBundle, rejectBundle, transitionBundle } = await import("../../backend/services/bundleEngine.js");
+      if (actionType === 'approve') {
+        const result = await approveBundle(session.shop, bundleId);
+        return json({ success: result.success, message: result.success ? 'Bundle approved' : `Could not approve bundle (${result.reason || result.error})` });
+      }
+
+      if (actionType === 'reject') {
+        const result = await rejectBundle(session.shop, bundleId);
+        return json({ success: result.success, message: result.success ? 'Bundle rejected' : `Could not reject bundle (${result.reason || result.error})` });
+      }
+
+      if (actionType === 'submit') {
+        const result = await transitionBundle(session.shop, bundleId, 'pending_approval', { reason: 'submitted' });
+        return json({ success: result.success, message: result.success ? 'Bundle submitted for approval' : `Could not submit bundle (${result.reason || result.error})` });
+      }
+
+      if (actionType === 'retire') {
+        const result = await transitionBundle(session.shop, bundleId, 'retired', { reason: 'merchant' });
+        return json({ success: result.success, message: result.success ? 'Bundle retired' : `Could not retire bundle (${result.reason || result.error})` });
+      }
+
+      if (actionType === 'detect') {
+        const { enqueueJob } = await import("../../backend/services/jobQueue.js");
+        const result = await enqueueJob('bundle_detection', {
+          shopId: session.shop,
+          dedupeKey: `bundle_detection:${session.shop}`,
+          priority: 1
+        });
+        return json({
+          success: result.success,
+          message: result.queued
+            ? 'Bundle detection started — new proposals appear in the inbox when it finishes'
+            : 'Bundle detection is already running'
+        });
+      }
+
       if (actionType === 'pause') {
         const result = await pauseBundle(session.shop, bundleId, true);
         return json({ success: result.success, message: 'Bundle paused' });
@@ -108,11 +144,12 @@ export const action = async ({ request }) => {
           productIds,
           discountPercent: Number(discountPercent) || 10,
           bundleType: 'merchant',
-          confidence: 0.9
+          confidence: 0.9,
+          status: draft ? 'draft' : 'active'
         });
         return json({
           success: result.success,
-          message: result.action === 'created' ? 'Bundle created' : 'Bundle updated',
+          message: result.action === 'created' ? (draft ? 'Draft saved' : 'Bundle created') : 'Bundle updated',
           bundleId: result.bundleId
         });
       }
@@ -127,6 +164,33 @@ export const action = async ({ request }) => {
   return json({ success: false, error: 'Method not allowed' }, { status: 405 });
 };
 
+const STATUS_TONES = {
+  draft: undefined,
+  pending_approval: 'attention',
+  active: 'success',
+  paused: 'critical',
+  retired: undefined,
+};
+
+const STATUS_LABELS = {
+  draft: 'draft',
+  pending_approval: 'pending approval',
+  active: 'active',
+  paused: 'paused',
+  retired: 'retired',
+};
+
+const RETIRED_REASONS = {
+  lift_decay: 'lift decayed',
+  rejected: 'rejected',
+  merchant: 'retired by you',
+};
+
+function ruleSummary(rule) {
+  if (!rule) return null;
+  return `Lift ${Number(rule.lift || 0).toFixed(2)} · confidence ${(Number(rule.confidence || 0) * 100).toFixed(0)}% · in ${rule.orders || 0} orders (${(Number(rule.support || 0) * 100).toFixed(1)}%)`;
+}
+
 export default function BundlesPage() {
   const { bundles, offerDisplayMode: initialOfferMode } = useLoaderData();
   const fetcher = useFetcher();
@@ -135,6 +199,11 @@ export default function BundlesPage() {
   const [offerMode, setOfferMode] = useState([initialOfferMode || 'both']);
   const [modeSaved, setModeSaved] = useState(false);
   const [formData, setFormData] = useState({ name: '', productIds: '', discountPercent: '10' });
+  const [showRetired, setShowRetired] = useState(false);
+
+  const pendingBundles = bundles.filter(b => b.status === 'pending_approval');
+  const retiredCount = bundles.filter(b => b.status === 'retired').length;
+  const listedBundles = bundles.filter(b => b.status !== 'pending_approval' && (showRetired || b.status !== 'retired'));
 
   const handleSaveOfferMode = () => {
     fetcher.submit(
@@ -154,10 +223,10 @@ export default function BundlesPage() {
     });
   };
 
-  const handleCreateBundle = () => {
+  const handleCreateBundle = (draft = false) => {
     const productIds = formData.productIds.split(',').map(s => s.trim()).filter(Boolean);
     fetcher.submit(
-      { actionType: 'create', name: formData.name, productIds, discountPercent: formData.discountPercent },
+      { actionType: 'create', name: formData.name, productIds, discountPercent: formData.discountPercent, draft },
       { method: 'POST', encType: 'application/json' }
     );
     setShowCreate(false);
@@ -171,6 +240,13 @@ export default function BundlesPage() {
     );
   };
 
+  const handleBundleAction = (actionType, bundleId) => {
+    fetcher.submit(
+      { actionType, bundleId },
+      { method: 'POST', encType: 'application/json' }
+    );
+  };
+
   const offerModeChoices = [
     { value: 'bundle', label: 'Bundle & Save', helpText: 'Show only bundle offers' },
     { value: 'volume_discount', label: 'Buy More, Save More', helpText: 'Show only volume discount offers' },
@@ -182,10 +258,57 @@ export default function BundlesPage() {
   return (
     <Page
       title="Bundle Review"
-      subtitle="Manage auto-generated and merchant bundles. View performance metrics and adjust configurations."
+      subtitle="Approve detected bundles and manage their lifecycle: draft, pending approval, active, paused and retired."
       primaryAction={{ content: showCreate ? 'Cancel' : 'Create Bundle', onAction: () => setShowCreate(!showCreate) }}
+      secondaryActions={[{
+        content: 'Detect bundles from orders',
+        loading: fetcher.state !== 'idle' && fetcher.json?.actionType === 'detect',
+        onAction: () => handleBundleAction('detect'),
+      }]}
     >
       <BlockStack gap="500">
+        {fetcher.data?.message && (
+          <Banner tone={fetcher.data.success ? 'success' : 'critical'}>
+            <p>{fetcher.data.message}</p>
+          </Banner>
+        )}
+
+        {/* Approval Inbox */}
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="headingMd" as="h2">Approval Inbox</Text>
+                {pendingBundles.length > 0 && <Badge tone="attention">{pendingBundles.length}</Badge>}
+              </InlineStack>
+              <Text variant="bodySm" tone="subdued">
+                Bundles detected from products your customers buy together. Nothing is shown to shoppers until you approve it.
+              </Text>
+            </BlockStack>
+            {pendingBundles.length === 0 ? (
+              <Text variant="bodySm" tone="subdued">No bundles waiting for approval.</Text>
+            ) : (
+              <BlockStack gap="300">
+                {pendingBundles.map(bundle => (
+                  <Box key={bundle._id} background="bg-surface-secondary" padding="300" borderRadius="200">
+                    <InlineStack align="space-between" blockAlign="center" gap="300">
+                      <BlockStack gap="100">
+                        <Text variant="bodyMd" fontWeight="bold">{bundle.displayNames.join(' + ')}</Text>
+                        {bundle.rule && <Text variant="bodySm" tone="subdued">{ruleSummary(bundle.rule)}</Text>}
+                        <Text variant="bodySm">Suggested discount: <strong>{bundle.discountPercent}%</strong></Text>
+                      </BlockStack>
+                      <InlineStack gap="200">
+                        <Button variant="primary" onClick={() => handleBundleAction('approve', bundle._id)}>Approve</Button>
+                        <Button tone="critical" onClick={() => handleBundleAction('reject', bundle._id)}>Reject</Button>
+                      </InlineStack>
+                    </InlineStack>
+                  </Box>
+                ))}
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Card>
+
         {/* Offer Display Mode */}
         <Card>
           <BlockStack gap="400">
@@ -240,10 +363,16 @@ export default function BundlesPage() {
                 <Button
                   variant="primary"
                   disabled={!formData.name || productIdsArray.length < 2}
-                  onClick={handleCreateBundle}
+                  onClick={() => handleCreateBundle(false)}
                 >
                   Create
                 </Button>
+                <Button
+                  disabled={!formData.name || productIdsArray.length < 2}
+                  onClick={() => handleCreateBundle(true)}
+                >
+                  Save as draft
+                </Button>
                 <Button onClick={() => setShowCreate(false)}>Cancel</Button>
               </InlineStack>
             </BlockStack>
@@ -251,20 +380,27 @@ export default function BundlesPage() {
         )}
 
         {/* Bundle Cards */}
-        {bundles.length === 0 ? (
+        {retiredCount > 0 && (
+          <InlineStack align="end">
+            <Button variant="plain" onClick={() => setShowRetired(!showRetired)}>
+              {showRetired ? 'Hide retired bundles' : `Show retired bundles (${retiredCount})`}
+            </Button>
+          </InlineStack>
+        )}
+        {listedBundles.length === 0 ? (
           <EmptyState heading="No bundles yet" image="">
             <p>Create your first bundle or wait for autonomous recommendations to appear.</p>
           </EmptyState>
         ) : (
           <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
-            {bundles.map(bundle => (
+            {listedBundles.map(bundle => (
               <Card key={bundle._id}>
                 <BlockStack gap="300">
                   <BlockStack gap="100">
                     <InlineStack align="space-between" blockAlign="center">
                       <Text variant="bodyMd" fontWeight="bold">{bundle.name}</Text>
-                      <Badge tone={bundle.status === 'paused' ? 'critical' : 'success'}>
-                        {bundle.status}
+                      <Badge tone={STATUS_TONES[bundle.status]}>
+                        {STATUS_LABELS[bundle.status] || bundle.status}
                       </Badge>
                     </InlineStack>
                     <Text variant="bodySm" tone="subdued">{bundle.displayNames.join(' + ')}</Text>
@@ -283,7 +419,11 @@ export default function BundlesPage() {
                     <Box background="bg-surface-secondary" padding="300" borderRadius="200">
                       <BlockStack gap="100">
                         <Text variant="bodySm" fontWeight="bold">Bundle Details</Text>
-                        <Text variant="bodySm">Source: {bundle.bundleType === 'auto' ? 'Auto-generated' : 'Merchant-created'}</Text>
+                        <Text variant="bodySm">Source: {bundle.bundleType === 'recommended' ? 'Detected from orders' : 'Merchant-created'}</Text>
+                        {bundle.rule && <Text variant="bodySm">{ruleSummary(bundle.rule)}</Text>}
+                        {bundle.status === 'retired' && (
+                          <Text variant="bodySm">Retired: {RETIRED_REASONS[bundle.retiredReason] || bundle.retiredReason || '—'}{bundle.retiredAt ? ` on ${new Date(bundle.retiredAt).toLocaleDateString()}` : ''}</Text>
+                        )}
                         <Text variant="bodySm">Confidence: {bundle.confidence != null ? `${(bundle.confidence * 100).toFixed(0)}%` : '—'}</Text>
                         <Text variant="bodySm">Products ({bundle.productIds?.length || 0}): {bundle.displayNames.join(', ')}</Text>
                         <Text variant="bodySm">Click-through: {bundle.analytics?.stats?.view > 0 ? `${((bundle.analytics.stats.click || 0) / bundle.analytics.stats.view * 100).toFixed(1)}%` : '—'}</Text>
@@ -293,12 +433,23 @@ export default function BundlesPage() {
                   )}
 
                   <InlineStack gap="200">
-                    <Button
-                      tone={bundle.status === 'paused' ? 'success' : 'critical'}
-                      onClick={() => handlePauseBundle(bundle._id, bundle.status === 'paused')}
-                    >
-                      {bundle.status === 'paused' ? 'Resume' : 'Pause'}
-                    </Button>
+                    {(bundle.status === 'active' || bundle.status === 'paused') && (
+                      <Button
+                        tone={bundle.status === 'paused' ? 'success' : 'critical'}
+                        onClick={() => handlePauseBundle(bundle._id, bundle.status === 'paused')}
+                      >
+                        {bundle.status === 'paused' ? 'Resume' : 'Pause'}
+                      </Button>
+                    )}
+                    {bundle.status === 'draft' && (
+                      <Button variant="primary" onClick={() => handleBundleAction('approve', bundle._id)}>Activate</Button>
+                    )}
+                    {bundle.status === 'draft' && (
+                      <Button onClick={() => handleBundleAction('submit', bundle._id)}>Submit for approval</Button>
+                    )}
+                    {bundle.status !== 'retired' && (
+                      <Button variant="plain" tone="critical" onClick={() => handleBundleAction('retire', bundle._id)}>Retire</Button>
+                    )}
                     <Button
                       variant={expandedBundles.has(bundle._id) ? 'primary' : undefined}
                       onClick={() => toggleDetails(bundle._id)}
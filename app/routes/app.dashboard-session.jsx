@@ -0,0 +1,20 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { mintDashboardSession } from "../../backend/services/dashboardAuth.js";
+
+/**
+ * GET /app/dashboard-session
+ *
+ * Resource route for RedirectToDashboard: the embedded admin has already
+ * proven the shop (App Bridge session token), so hand the standalone
+ * dashboard a short-lived session token for that shop only.
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const dashboardSession = mintDashboardSession(session.shop);
+  if (!dashboardSession) {
+    console.error("❌ Dashboard session not minted — SHOPIFY_API_SECRET is not set");
+    return json({ error: "Dashboard sessions are not configured" }, { status: 500 });
+  }
+  return json({ shop: session.shop, ...dashboardSession }, { headers: { "Cache-Control": "no-store" } });
+};
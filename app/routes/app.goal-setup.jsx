@@ -20,6 +20,13 @@ import {
 import { authenticate } from "../shopify.server";
 import { getMerchantConfig, saveMerchantConfig } from "../services/merchantConfig.server";
 import { GOAL_MAPPING, RISK_MAPPING } from "../shared/merchantConfig.shared";
+import {
+  listConfigShadows,
+  startConfigShadow,
+  stopConfigShadow,
+  getConfigShadowReport,
+} from "../../backend/services/configShadow.js";
+import { mintDashboardSession } from "../../backend/services/dashboardAuth.js";
 
 // ─── Loader ────────────────────────────────────────────────────────────────
 
@@ -32,11 +39,19 @@ export const loader = async ({ request }) => {
   const db = await getDb();
   const rawConfig = await db.collection(collections.merchantConfig).findOne({ shopId: session.shop });
 
+  // Latest config preview (running or finished) and its live-vs-candidate report
+  const [latestShadow] = await listConfigShadows(session.shop, { limit: 1 }).catch(() => []);
+  const shadowReport = latestShadow
+    ? await getConfigShadowReport(session.shop, latestShadow.shadowId)
+    : null;
+
   return Response.json({
     ...config,
     offerDisplayMode: rawConfig?.offerDisplayMode || "both",
+    configShadow: shadowReport?.success ? shadowReport : null,
     shop: session.shop,
     dashboardUrl: process.env.DASHBOARD_URL || "http://localhost:5173",
+    dashboardToken: mintDashboardSession(session.shop)?.token || null,
   });
 };
 
@@ -59,12 +74,19 @@ export const action = async ({ request }) => {
     return Response.json({ success: true, debug: true });
   }
 
+  const intent = formData.get("intent") || "save";
+  if (intent === "stopShadow") {
+    const result = await stopConfigShadow(session.shop, formData.get("shadowId"));
+    return Response.json({ ...result, intent }, { status: result.success ? 200 : 404 });
+  }
+
   const goal = formData.get("goal");
   const riskTolerance = formData.get("riskTolerance");
   const offerDisplayMode = formData.get("offerDisplayMode") || "both";
   const maxDiscountCap = parseInt(formData.get("maxDiscountCap") || "20", 10);
   const inventoryMinThreshold = parseInt(formData.get("inventoryMinThreshold") || "0", 10);
   const sessionOfferLimit = parseInt(formData.get("sessionOfferLimit") || "3", 10);
+  const minMarginPercent = parseInt(formData.get("minMarginPercent") || "0", 10);
   const premiumSkuProtection = formData.get("premiumSkuProtection") === "on";
   const subscriptionProtection = formData.get("subscriptionProtection") === "on";
   const excludedProductsInput = formData.get("excludedProducts") || "";
@@ -80,27 +102,41 @@ export const action = async ({ request }) => {
   });
 
   console.log("[goal-setup action] parsed values:", {
-    goal, riskTolerance, maxDiscountCap, inventoryMinThreshold, sessionOfferLimit,
+    goal, riskTolerance, maxDiscountCap, inventoryMinThreshold, sessionOfferLimit, minMarginPercent,
     premiumSkuProtection, subscriptionProtection,
     excludedProductIds, excludedProductHandles, excludedCollectionIds, excludedCollectionHandles,
   });
 
+  const guardrails = {
+    maxDiscountCap,
+    inventoryMinThreshold,
+    sessionOfferLimit,
+    premiumSkuProtection,
+    subscriptionProtection,
+    minMarginPercent,
+    excludedProductIds,
+    excludedProductHandles,
+    excludedCollectionIds,
+    excludedCollectionHandles,
+  };
+
+  // Preview: run the form's settings in shadow mode next to the live config
+  if (intent === "startShadow") {
+    const result = await startConfigShadow(session.shop, {
+      name: `${goal} / ${riskTolerance} / cap ${maxDiscountCap}%`,
+      candidate: { goal, riskTolerance, guardrails },
+      days: parseInt(formData.get("shadowDays") || "7", 10),
+    });
+    const errors = result.errors || (result.error ? [result.error] : []);
+    return Response.json({ success: result.success, errors, intent }, { status: result.success ? 201 : 400 });
+  }
+
   try {
     const result = await saveMerchantConfig(session.shop, {
       goal,
       riskTolerance,
       offerDisplayMode,
-      guardrails: {
-        maxDiscountCap,
-        inventoryMinThreshold,
-        sessionOfferLimit,
-        premiumSkuProtection,
-        subscriptionProtection,
-        excludedProductIds,
-        excludedProductHandles,
-        excludedCollectionIds,
-        excludedCollectionHandles,
-      },
+      guardrails,
     });
 
     console.log("[goal-setup action] saveMerchantConfig result:", JSON.stringify(result));
@@ -148,6 +184,11 @@ const GOALS = [
     label: "Inventory Movement",
     desc: "Clear slow-moving stock with intelligent discounting.",
   },
+  {
+    value: "maximize_profit",
+    label: "Maximize Profit",
+    desc: "Rank offers by margin left after discount, using your product costs.",
+  },
 ];
 
 const RISKS = [
@@ -170,7 +211,7 @@ const RISKS = [
 
 // ─── Helpers ───────────────────────────────────────────────────────────────
 
-function validateForm({ maxDiscountCap, inventoryMinThreshold, sessionOfferLimit }) {
+function validateForm({ maxDiscountCap, inventoryMinThreshold, sessionOfferLimit, minMarginPercent }) {
   const errors = [];
   if (isNaN(maxDiscountCap) || maxDiscountCap < 0 || maxDiscountCap > 90)
     errors.push("Max discount cap must be between 0 and 90.");
@@ -178,6 +219,8 @@ function validateForm({ maxDiscountCap, inventoryMinThreshold, sessionOfferLimit
     errors.push("Inventory minimum must be between 0 and 10,000.");
   if (isNaN(sessionOfferLimit) || sessionOfferLimit < 1 || sessionOfferLimit > 10)
     errors.push("Session offer limit must be between 1 and 10.");
+  if (isNaN(minMarginPercent) || minMarginPercent < 0 || minMarginPercent > 90)
+    errors.push("Margin floor must be between 0 and 90.");
   return errors;
 }
 
@@ -268,14 +311,102 @@ function AICallout({ children }) {
   );
 }
 
+// ─── Shadow Preview ────────────────────────────────────────────────────────
+
+function formatPercent(value) {
+  return value == null ? "—" : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatSigned(value, digits = 2) {
+  if (value == null) return "—";
+  return `${value > 0 ? "+" : ""}${Number(value).toFixed(digits)}`;
+}
+
+function ShadowPreviewCard({ report, busy, onStart, onStop }) {
+  const shadow = report?.shadow;
+  const running = shadow?.status === "running" && !report.complete;
+  const rows = report
+    ? [
+        ["Predicted acceptance", formatPercent(report.live.predictedAcceptance), formatPercent(report.candidate.predictedAcceptance), formatSigned(report.delta.predictedAcceptance * 100, 1) + " pts"],
+        ["Discount cost / decision", report.live.discountCostPerDecision.toFixed(2), report.candidate.discountCostPerDecision.toFixed(2), formatSigned(report.delta.discountCostPerDecision)],
+        ["Offers / decision", report.live.offersPerDecision.toFixed(2), report.candidate.offersPerDecision.toFixed(2), formatSigned(report.delta.offersPerDecision)],
+      ]
+    : [];
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text as="h2" variant="headingMd">Preview Before Going Live</Text>
+        <Divider />
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Shadow mode runs the settings above next to your live settings on real storefront requests for 7 days.
+          Shoppers only ever see the live offers — the preview shows what would have changed.
+        </Text>
+
+        {report && (
+          <BlockStack gap="200">
+            <Text as="p" variant="bodySm" fontWeight="semibold">
+              {running ? "Previewing" : "Last preview"}: {shadow.name}
+              {" · "}
+              {new Date(shadow.startedAt).toLocaleDateString()} – {new Date(shadow.endsAt).toLocaleDateString()}
+              {" · "}
+              {report.overlap.comparedPairs} sampled decisions
+            </Text>
+            {report.note ? (
+              <Text as="p" variant="bodySm" tone="subdued">{report.note}</Text>
+            ) : (
+              <>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", color: "#6d7175" }}>
+                      <th style={{ padding: "4px 0" }}>Metric</th>
+                      <th>Live</th>
+                      <th>Preview</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(([label, live, candidate, delta]) => (
+                      <tr key={label} style={{ borderTop: "1px solid #e1e3e5" }}>
+                        <td style={{ padding: "6px 0" }}>{label}</td>
+                        <td>{live}</td>
+                        <td>{candidate}</td>
+                        <td>{delta}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Offer overlap: {formatPercent(report.overlap.avgJaccard)} of offered products shared
+                  {" · "}
+                  same top offer {formatPercent(report.overlap.topOfferMatchRate)} of the time
+                </Text>
+              </>
+            )}
+          </BlockStack>
+        )}
+
+        <InlineStack gap="300">
+          {running ? (
+            <Button onClick={() => onStop(shadow.shadowId)} loading={busy}>Stop Preview</Button>
+          ) : (
+            <Button onClick={onStart} loading={busy}>Preview These Settings</Button>
+          )}
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
 // ─── Component ─────────────────────────────────────────────────────────────
 
 export default function GoalSetup() {
   const data = useLoaderData();
   const actionData = useActionData();
   const fetcher = useFetcher();
+  const shadowFetcher = useFetcher();
   const saving = fetcher.state !== "idle";
-  const { shop, dashboardUrl } = data;
+  const { shop, dashboardUrl, dashboardToken } = data;
 
   const [selectedGoal, setSelectedGoal] = useState(data.goal);
   const [selectedRisk, setSelectedRisk] = useState(data.riskTolerance);
@@ -283,6 +414,7 @@ export default function GoalSetup() {
   const [maxDiscountCap, setMaxDiscountCap] = useState(data.guardrails.maxDiscountCap);
   const [inventoryMin, setInventoryMin] = useState(data.guardrails.inventoryMinThreshold);
   const [sessionLimit, setSessionLimit] = useState(data.guardrails.sessionOfferLimit);
+  const [marginFloor, setMarginFloor] = useState(data.guardrails.minMarginPercent ?? 0);
   const [premiumSkuProtection, setPremiumSkuProtection] = useState(data.guardrails.premiumSkuProtection);
   const [subscriptionProtection, setSubscriptionProtection] = useState(data.guardrails.subscriptionProtection);
   const [excludedProducts, setExcludedProducts] = useState(
@@ -307,33 +439,61 @@ export default function GoalSetup() {
       setIsDefault(false);
       setToast({ message: "Settings saved successfully.", error: false });
       setTimeout(() => setToast(null), 4000);
-      window.open(`${dashboardUrl}/guardrails?shop=${encodeURIComponent(shop)}`, "_blank");
+      window.open(
+        `${dashboardUrl}/guardrails?shop=${encodeURIComponent(shop)}`
+          + (dashboardToken ? `#session=${encodeURIComponent(dashboardToken)}` : ""),
+        "_blank",
+      );
     }
   }, [fetcher.state, fetcher.data]);
 
-  function handleSave() {
+  useEffect(() => {
+    if (shadowFetcher.state !== "idle" || !shadowFetcher.data) return;
+    const result = shadowFetcher.data;
+    if (result?.success === false) {
+      setToast({ message: (result.errors || ["Preview failed."]).join(" | "), error: true });
+    } else if (result?.success === true) {
+      setToast({ message: result.intent === "stopShadow" ? "Preview stopped." : "Preview started — live offers are unchanged.", error: false });
+      setTimeout(() => setToast(null), 4000);
+    }
+  }, [shadowFetcher.state, shadowFetcher.data]);
+
+  function buildFormPayload() {
     const errors = validateForm({
       maxDiscountCap: Number(maxDiscountCap),
       inventoryMinThreshold: Number(inventoryMin),
       sessionOfferLimit: Number(sessionLimit),
+      minMarginPercent: Number(marginFloor),
     });
-    if (errors.length > 0) { setClientErrors(errors); return; }
+    if (errors.length > 0) { setClientErrors(errors); return null; }
     setClientErrors([]);
-    fetcher.submit(
-      {
-        goal: selectedGoal,
-        riskTolerance: selectedRisk,
-        maxDiscountCap: String(maxDiscountCap),
-        inventoryMinThreshold: String(inventoryMin),
-        sessionOfferLimit: String(sessionLimit),
-        premiumSkuProtection: premiumSkuProtection ? "on" : "off",
-        subscriptionProtection: subscriptionProtection ? "on" : "off",
-        excludedProducts: excludedProducts || "",
-        excludedCollections: excludedCollections || "",
-        offerDisplayMode,
-      },
-      { method: "POST" }
-    );
+    return {
+      goal: selectedGoal,
+      riskTolerance: selectedRisk,
+      maxDiscountCap: String(maxDiscountCap),
+      inventoryMinThreshold: String(inventoryMin),
+      sessionOfferLimit: String(sessionLimit),
+      minMarginPercent: String(marginFloor),
+      premiumSkuProtection: premiumSkuProtection ? "on" : "off",
+      subscriptionProtection: subscriptionProtection ? "on" : "off",
+      excludedProducts: excludedProducts || "",
+      excludedCollections: excludedCollections || "",
+      offerDisplayMode,
+    };
+  }
+
+  function handleSave() {
+    const payload = buildFormPayload();
+    if (payload) fetcher.submit(payload, { method: "POST" });
+  }
+
+  function handleStartShadow() {
+    const payload = buildFormPayload();
+    if (payload) shadowFetcher.submit({ ...payload, intent: "startShadow" }, { method: "POST" });
+  }
+
+  function handleStopShadow(shadowId) {
+    shadowFetcher.submit({ intent: "stopShadow", shadowId }, { method: "POST" });
   }
 
   const activeGoalConfig = GOAL_MAPPING[selectedGoal];
@@ -496,6 +656,20 @@ export default function GoalSetup() {
                   helpText="Maximum number of offers shown to a customer in a single session. Range: 1–10."
                 />
 
+                <RangeSlider
+                  label={
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="span" variant="bodyMd" fontWeight="semibold">Margin Floor:</Text>
+                      <div style={{ padding: "2px 8px", backgroundColor: "#d1fae5", borderRadius: "4px", fontSize: "12px", fontWeight: "600", color: "#065f46" }}>{Number(marginFloor) > 0 ? `${marginFloor}%` : "Off"}</div>
+                    </InlineStack>
+                  }
+                  min={0}
+                  max={90}
+                  value={marginFloor}
+                  onChange={(v) => setMarginFloor(v)}
+                  helpText="Never offer a product whose margin after discount drops below this %. Uses the unit cost set on each variant in Shopify; products without a cost are not checked. 0 = off."
+                />
+
                 <Divider />
 
                 <Checkbox
@@ -582,6 +756,13 @@ export default function GoalSetup() {
               </InlineStack>
             </Card>
 
+            <ShadowPreviewCard
+              report={data.configShadow}
+              busy={shadowFetcher.state !== "idle"}
+              onStart={handleStartShadow}
+              onStop={handleStopShadow}
+            />
+
           </BlockStack>
         </Layout.Section>
       </Layout>
@@ -25,6 +25,8 @@ const GUARDRAIL_LABELS = {
   low_confidence:      { label: "Low Confidence",      tone: "info" },
   no_candidates:       { label: "No Candidates",       tone: undefined },
   seen_in_session:     { label: "Already Seen",        tone: "success" },
+  offer_fatigue:       { label: "Offer Fatigue",       tone: "info" },
+  daily_offer_cap:     { label: "Daily Offer Cap",     tone: "attention" },
 };
 
 function guardrailMeta(type) {
@@ -44,6 +46,9 @@ function buildDetails(ev) {
   if (ev.contextKey) lines.push(`Context: ${ev.contextKey}`);
   if (ev.sessionOfferLimit != null) lines.push(`Session limit: ${ev.sessionOfferLimit}`);
   if (ev.seenCount != null) lines.push(`Already seen: ${ev.seenCount}`);
+  if (ev.suppressedCount != null) lines.push(`Fatigued products: ${ev.suppressedCount} (after ${ev.maxImpressionsWithoutClick} views without click)`);
+  if (ev.suppressedProductId) lines.push(`Fatigued product: ${ev.suppressedProductId} (after ${ev.maxImpressionsWithoutClick} views without click)`);
+  if (ev.maxOffersPerDay != null) lines.push(`Offers today: ${ev.offersToday} / ${ev.maxOffersPerDay}`);
   if (ev.confidence != null) lines.push(`Confidence: ${(ev.confidence * 100).toFixed(0)}% (min: ${(ev.minAcceptance * 100).toFixed(0)}%)`);
   if (ev.shiftFrom && ev.shiftTo) lines.push(`Shift: ${ev.shiftFrom} → ${ev.shiftTo}`);
   return lines.length > 0 ? lines : ["—"];
@@ -9,7 +9,7 @@ import {
     setOfferControl,
     getOfferLogs
 } from "../services/merchandisingIntelligence.server";
-import { syncProductsWithGraphQL } from "../../backend/database/collections.js";
+import { enqueueJob } from "../../backend/services/jobQueue.js";
 import {
     Page,
     Card,
@@ -249,9 +249,12 @@ export const action = async ({ request }) => {
         });
 
         if (result.success) {
-            const { admin } = await authenticate.admin(request);
-            syncProductsWithGraphQL(shopId, admin.graphql).catch(err =>
-                console.warn("[intelligence] Background sync failed:", err.message)
+            enqueueJob("product_reconciliation", {
+                shopId,
+                payload: { reason: "merchant_context" },
+                dedupeKey: `product_reconciliation:${shopId}`
+            }).catch(err =>
+                console.warn("[intelligence] Background sync enqueue failed:", err.message)
             );
         }
 
@@ -0,0 +1,203 @@
+import { json } from '@remix-run/node';
+import { useLoaderData, useFetcher, useRevalidator } from '@remix-run/react';
+import { authenticate } from '../shopify.server';
+import {
+  Page,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Badge,
+  Banner,
+  DataTable,
+} from '@shopify/polaris';
+
+// Background job status for this shop (backend/services/jobQueue.js)
+
+const STATUS_TONES = { queued: 'info', running: 'attention', completed: 'success', dead: 'critical' };
+
+const TYPE_LABELS = {
+  optimization: 'Optimization',
+  learning_loop: 'Learning loop',
+  product_reconciliation: 'Product sync',
+  bundle_detection: 'Bundle detection',
+  cache_warm: 'Cache warming',
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { listJobs, getQueueSummary } = await import("../../backend/services/jobQueue.js");
+    const { getProductSyncState } = await import("../../backend/services/productSync.js");
+    const [summary, jobs, deadJobs, productSync] = await Promise.all([
+      getQueueSummary({ shopId: session.shop }),
+      listJobs({ shopId: session.shop, limit: 50 }),
+      listJobs({ shopId: session.shop, status: 'dead', limit: 50 }),
+      getProductSyncState(session.shop),
+    ]);
+    return json({ success: true, summary, jobs, deadJobs, productSync });
+  } catch (error) {
+    console.error('Jobs loader error:', error);
+    return json({ success: false, error: error.message, summary: null, jobs: [], deadJobs: [], productSync: null });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { actionType, jobId } = await request.json();
+
+  try {
+    if (actionType === 'retry') {
+      const { retryDeadJob } = await import("../../backend/services/jobQueue.js");
+      const result = await retryDeadJob(jobId, { shopId: session.shop });
+      return json({ success: result.success, message: result.success ? 'Job re-queued' : result.error });
+    }
+    return json({ success: false, message: 'Unknown action' }, { status: 400 });
+  } catch (error) {
+    console.error('Jobs action error:', error);
+    return json({ success: false, message: error.message }, { status: 500 });
+  }
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function describeResult(job) {
+  if (job.status === 'dead' || (job.status === 'queued' && job.lastError)) return job.lastError || '—';
+  if (!job.result) return '—';
+  return Object.entries(job.result)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ') || '—';
+}
+
+export default function JobsPage() {
+  const { success, error, summary, jobs, deadJobs, productSync } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+
+  const summaryRows = summary
+    ? Object.entries(summary.byType).map(([type, counts]) => [
+        TYPE_LABELS[type] || type,
+        counts.queued,
+        counts.running,
+        counts.completed,
+        counts.dead,
+      ])
+    : [];
+
+  const jobRows = jobs.map((job) => [
+    TYPE_LABELS[job.type] || job.type,
+    <Badge key={job.jobId} tone={STATUS_TONES[job.status]}>{job.status}</Badge>,
+    `${job.attempts}/${job.maxAttempts}`,
+    formatTime(job.createdAt),
+    formatTime(job.status === 'queued' ? job.runAt : job.finishedAt || job.startedAt),
+    describeResult(job),
+  ]);
+
+  return (
+    <Page
+      title="Background Jobs"
+      subtitle="Optimization, learning loop, product sync, bundle detection and cache warming run in the background for your store."
+      primaryAction={{
+        content: 'Refresh',
+        loading: revalidator.state !== 'idle',
+        onAction: () => revalidator.revalidate(),
+      }}
+    >
+      <BlockStack gap="500">
+        {!success && (
+          <Banner tone="critical">
+            <p>Could not load jobs: {error}</p>
+          </Banner>
+        )}
+        {fetcher.data?.message && (
+          <Banner tone={fetcher.data.success ? 'success' : 'critical'}>
+            <p>{fetcher.data.message}</p>
+          </Banner>
+        )}
+
+        <Card>
+          <BlockStack gap="300">
+            <Text variant="headingMd" as="h2">Queue</Text>
+            <DataTable
+              columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric']}
+              headings={['Job', 'Queued', 'Running', 'Completed (7 days)', 'Failed']}
+              rows={summaryRows}
+            />
+          </BlockStack>
+        </Card>
+
+        {productSync && (
+          <Card>
+            <BlockStack gap="200">
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="headingMd" as="h2">Product sync</Text>
+                <Badge tone={productSync.status === 'failed' ? 'critical' : productSync.status === 'running' ? 'attention' : 'success'}>
+                  {productSync.status === 'running' ? `${productSync.mode} sync running` : productSync.status}
+                </Badge>
+              </InlineStack>
+              <Text variant="bodySm">Last full sync: {formatTime(productSync.lastFullSyncAt)} · Last incremental sync: {formatTime(productSync.lastIncrementalSyncAt)}</Text>
+              {productSync.lastRun && (
+                <Text variant="bodySm" tone="subdued">
+                  Last run ({productSync.lastRun.mode}): {productSync.lastRun.products} products stored, {productSync.lastRun.pruned} removed
+                </Text>
+              )}
+              {productSync.status === 'failed' && productSync.lastError && (
+                <Text variant="bodySm" tone="critical">{productSync.lastError} — the next run resumes from the last checkpoint.</Text>
+              )}
+            </BlockStack>
+          </Card>
+        )}
+
+        {deadJobs.length > 0 && (
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="headingMd" as="h2">Failed jobs</Text>
+                <Badge tone="critical">{deadJobs.length}</Badge>
+              </InlineStack>
+              <Text variant="bodySm" tone="subdued">
+                These jobs failed on every retry. Retry once the cause is fixed.
+              </Text>
+              <BlockStack gap="200">
+                {deadJobs.map((job) => (
+                  <InlineStack key={job.jobId} align="space-between" blockAlign="center" gap="300">
+                    <BlockStack gap="100">
+                      <Text variant="bodyMd" fontWeight="bold">{TYPE_LABELS[job.type] || job.type} — {formatTime(job.deadAt)}</Text>
+                      <Text variant="bodySm" tone="subdued">{job.lastError}</Text>
+                    </BlockStack>
+                    <Button
+                      loading={fetcher.state !== 'idle' && fetcher.json?.jobId === job.jobId}
+                      onClick={() => fetcher.submit({ actionType: 'retry', jobId: job.jobId }, { method: 'POST', encType: 'application/json' })}
+                    >
+                      Retry
+                    </Button>
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            </BlockStack>
+          </Card>
+        )}
+
+        <Card>
+          <BlockStack gap="300">
+            <Text variant="headingMd" as="h2">Recent jobs</Text>
+            {jobRows.length === 0 ? (
+              <Text variant="bodySm" tone="subdued">No background jobs yet.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'numeric', 'text', 'text', 'text']}
+                headings={['Job', 'Status', 'Attempts', 'Created', 'Next run / finished', 'Result']}
+                rows={jobRows}
+              />
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -30,6 +30,7 @@ export default function App() {
         <s-link href="/app/optimization">Optimization &amp; Bundles</s-link>
         <s-link href="/app/guardrail-monitor">Guardrail Monitor</s-link>
         <s-link href="/app/recommendations">Recommendations</s-link>
+        <s-link href="/app/jobs">Background Jobs</s-link>
         <s-link href="/app/settings">Settings</s-link>
       </s-app-nav>
       <Outlet />
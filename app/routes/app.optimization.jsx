@@ -132,15 +132,17 @@ export const action = async ({ request }) => {
 
   if (intent === "run_optimization") {
     try {
-      const { runScheduledOptimization } = await import(
-        "../../backend/services/schedulerService.js"
-      );
-      const result = await runScheduledOptimization(shopId, "manual");
+      const { enqueueJob } = await import("../../backend/services/jobQueue.js");
+      const result = await enqueueJob("optimization", {
+        shopId,
+        payload: { triggeredBy: "manual" },
+        dedupeKey: `optimization:${shopId}`,
+        priority: 1
+      });
       return json({
         success: result.success,
-        reason: result.reason,
-        updatesMade: result.optimization?.updatesMade || 0,
-        bundleRecommendations: result.optimization?.bundleRecommendations || 0,
+        jobId: result.jobId,
+        queued: result.queued,
         intent
       });
     } catch (error) {
@@ -95,13 +95,16 @@ export const action = async ({ request }) => {
 
   try {
     if (actionType === "run_optimization") {
-      const { learningLoopEngine } = await import(
-        "../../backend/services/learningLoopEngine.js"
-      );
-      const result = await learningLoopEngine.runFullLearningLoop(session.shop);
+      const { enqueueJob } = await import("../../backend/services/jobQueue.js");
+      const result = await enqueueJob("learning_loop", {
+        shopId: session.shop,
+        dedupeKey: `learning_loop:${session.shop}`,
+        priority: 1,
+      });
       return json({
         success: result.success,
-        message: "Optimization complete",
+        jobId: result.jobId,
+        message: result.queued ? "Optimization queued" : "Optimization is already queued",
       });
     }
 
@@ -2,6 +2,7 @@ import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import { getMerchantConfig } from "../../backend/services/merchantConfig.js";
 import { applyDisplayModeFilter, getOfferTypeExtras } from "../../backend/services/offerDisplayFilter.js";
+import { parseBuyerContext, localizeRecommendations } from "../../backend/services/marketPricing.js";
 
 /**
  * Proxy route for /apps/ai-upsell
@@ -124,6 +125,10 @@ export const loader = async ({ request }) => {
       }
     }
 
+    if (data.success && data.recommendations?.length > 0) {
+      data.recommendations = await localizeRecommendations(shop, data.recommendations, parseBuyerContext(searchParams));
+    }
+
     return json(data, {
       headers: {
         "Access-Control-Allow-Origin": "*",
@@ -23,6 +23,8 @@ export const loader = async () => {
     body: JSON.stringify({
       orderId: checkout.order_id,
       totalPrice: checkout.total_price,
+      currency: checkout.presentment_currency || checkout.currency || null,
+      currencyRate: window.Shopify.currency && window.Shopify.currency.rate ? window.Shopify.currency.rate : null,
       lineItems: lineItems.map(function(item) {
         return {
           product_id: item.product_id,
@@ -1,6 +1,14 @@
 import { authenticate } from "../shopify.server";
-import { getDb } from "../../backend/database/connection.js";
-
+import { startComplianceJob } from "../../backend/services/complianceService.js";
+
+/**
+ * POST /webhooks/compliance
+ *
+ * customers/data_request, customers/redact and shop/redact. Each delivery
+ * becomes a `compliance_jobs` record that runs in the background
+ * (backend/services/complianceService.js); which collections are touched is
+ * defined in backend/services/dataInventory.js.
+ */
 export const action = async ({ request }) => {
   const { shop, topic, payload } = await authenticate.webhook(request);
 
@@ -8,27 +16,14 @@ export const action = async ({ request }) => {
 
   switch (topic) {
     case "CUSTOMERS_DATA_REQUEST":
-      // Customer requested their data. This app stores no personal customer data.
-      break;
-
     case "CUSTOMERS_REDACT":
-      // Customer requested deletion of their data. This app stores no personal customer data.
-      break;
-
     case "SHOP_REDACT":
-      // Fired 48 hours after shop uninstalls. Delete all shop data.
       try {
-        const db = await getDb();
-
-        const productsResult = await db.collection("products").deleteMany({ shopId: shop });
-        console.log(`Deleted ${productsResult.deletedCount} products for shop ${shop}`);
-
-        const sessionsResult = await db.collection("shopify_sessions").deleteMany({
-          _id: { $regex: shop.replace(/\./g, "\\.") },
-        });
-        console.log(`Deleted ${sessionsResult.deletedCount} sessions for shop ${shop}`);
+        await startComplianceJob(shop, topic, payload);
       } catch (error) {
-        console.error(`Error redacting shop data for ${shop}:`, error);
+        // Shopify retries on non-2xx — let it, the job was not recorded
+        console.error(`Error recording ${topic} job for ${shop}:`, error);
+        return new Response(null, { status: 500 });
       }
       break;
 
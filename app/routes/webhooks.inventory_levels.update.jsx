@@ -1,5 +1,5 @@
 import { authenticate } from "../shopify.server";
-import { ProductService } from "../../backend/services/productService.js";
+import { applyInventoryLevel } from "../../backend/services/offerAvailability.js";
 
 export const action = async ({ request }) => {
   const { shop, topic, payload } = await authenticate.webhook(request);
@@ -11,12 +11,8 @@ export const action = async ({ request }) => {
     const available = payload.available;
 
     try {
-      const productService = new ProductService();
-      const result = await productService.updateInventoryByInventoryItemId(
-        shop,
-        inventoryItemId,
-        available
-      );
+      // Also invalidates cached offers when the variant sells out or restocks
+      const result = await applyInventoryLevel(shop, inventoryItemId, available);
 
       if (result.matchedCount === 0) {
         console.warn(
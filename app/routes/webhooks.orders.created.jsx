@@ -1,47 +1,54 @@
 import { json } from '@remix-run/node';
 import { processPurchaseEvent } from "../../backend/services/orderProcessingService.js";
+import { authenticateExtensionRequest, EXTENSION_CORS_HEADERS } from "../middleware/extensionAuth.server.js";
 
 /**
  * POST /webhooks/orders/created
  *
- * Called from the PostPurchase checkout extension on the thank-you page.
+ * Called from the PostPurchase checkout extension on the thank-you page with
+ * its session token (`Authorization: Bearer …`); the shop comes from the token.
  * Receives order data and attributes any upsell purchases to purchase_events.
  *
- * Body: { shopId, orderId, totalPrice, lineItems: [{ product_id, variant_id, title, price, quantity }], createdAt }
+ * Body: { orderId, totalPrice, lineItems: [{ product_id, variant_id, title, price, quantity }], createdAt, visitorId }
  */
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-};
+const CORS_HEADERS = EXTENSION_CORS_HEADERS;
 
 export const action = async ({ request }) => {
-  // Handle CORS preflight from checkout extension
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  let auth;
+  try {
+    auth = await authenticateExtensionRequest(request);
+  } catch (response) {
+    return response;
   }
 
   if (request.method !== 'POST') {
-    return json({ error: 'Method not allowed' }, { status: 405 });
+    return json({ error: 'Method not allowed' }, { status: 405, headers: CORS_HEADERS });
   }
 
   try {
     const body = await request.json();
-    const { shopId, orderId, totalPrice, lineItems, customerId, createdAt } = body;
+    const { orderId, totalPrice, currency, currencyRate, lineItems, customerId, createdAt, visitorId } = body;
+    const shopId = auth.shop;
+    if (body.shopId && body.shopId !== shopId) {
+      return json({ error: 'Shop mismatch' }, { status: 403, headers: CORS_HEADERS });
+    }
 
     console.log('[orders/created] Received:', { shopId, orderId, lineItemCount: lineItems?.length, lineItems: JSON.stringify(lineItems) });
 
     if (!shopId || !orderId) {
       console.log('[orders/created] Missing fields:', { shopId, orderId });
-      return json({ error: 'Missing required fields: shopId, orderId' }, { status: 400 });
+      return json({ error: 'Missing required fields: shopId, orderId' }, { status: 400, headers: CORS_HEADERS });
     }
 
     const orderPayload = {
       id: orderId,
       total_price: totalPrice,
+      currency: currency || null,
+      currencyRate: currencyRate || null,
       line_items: lineItems,
       customer: customerId ? { id: customerId } : null,
       created_at: createdAt || new Date().toISOString(),
+      visitorId: visitorId || null,
     };
 
     const result = await processPurchaseEvent(shopId, orderPayload);
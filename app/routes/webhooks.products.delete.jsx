@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import { deleteProduct } from "../../backend/database/collections.js";
+import { invalidateProductOffers } from "../../backend/services/offerAvailability.js";
 
 export const action = async ({ request }) => {
   const { shop, topic, payload } = await authenticate.webhook(request);
@@ -24,6 +25,9 @@ export const action = async ({ request }) => {
       if (deleteResult.deletedCount === 0) {
         console.log(`⚠️ Product ${productId} was not found in database (may have already been deleted)`);
       }
+
+      // Cached responses that still offer it would point at a dead product
+      await invalidateProductOffers(shopId, productId);
       
     } catch (error) {
       console.error(`❌ Error deleting product from MongoDB:`, error);
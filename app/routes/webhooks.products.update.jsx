@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import { upsertProductFromWebhookPayload } from "../../backend/database/collections.js";
+import { invalidateProductOffers } from "../../backend/services/offerAvailability.js";
 
 export const action = async ({ request }) => {
   const { shop, topic, payload } = await authenticate.webhook(request);
@@ -10,6 +11,8 @@ export const action = async ({ request }) => {
     try {
       await upsertProductFromWebhookPayload(shop, payload);
       console.log(`✅ Product ${payload.id} updated in MongoDB`);
+      // Status, variant or stock changes make cached offers for it stale
+      await invalidateProductOffers(shop, payload.id);
     } catch (error) {
       console.error(`❌ Error updating product in MongoDB:`, error);
     }
@@ -21,6 +21,11 @@ export const GOAL_MAPPING = {
     placementBias: "cart_drawer",
     description: "Volume discounts and bundles surface slow-moving stock before cart abandonment.",
   },
+  maximize_profit: {
+    offerPriority: ["addon_upsell", "bundle", "subscription_upgrade", "volume_discount"],
+    placementBias: "product_page",
+    description: "Offers are ranked by expected contribution margin after discount, using each variant's unit cost.",
+  },
 };
 
 export const RISK_MAPPING = {
@@ -6,6 +6,9 @@ import {
   shopifyApp,
 } from "@shopify/shopify-app-remix/server";
 import { MongoDBSessionStorage } from "@shopify/shopify-app-session-storage-mongodb";
+import { syncDiscountFunctionConfig } from "../backend/services/discountFunctionConfig.js";
+import { ensureBundleCartTransform, syncBundleTransformConfig } from "../backend/services/bundleProducts.js";
+import { syncExtensionBackendUrl } from "../backend/services/extensionBackend.js";
 
 const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-upsell';
 const mongoOptions = {
@@ -250,6 +253,10 @@ const shopify = shopifyApp({
     afterAuth: async ({ session, admin }) => {
       await registerOrderStatusScriptTag(admin, session.shop);
       await ensureUpsellAutomaticDiscount(admin, session.shop);
+      await syncDiscountFunctionConfig(session.shop, { admin, force: true });
+      await ensureBundleCartTransform(admin, session.shop);
+      await syncBundleTransformConfig(session.shop, { admin, force: true });
+      await syncExtensionBackendUrl(session.shop, { admin });
     }
   },
   webhooks: (() => {
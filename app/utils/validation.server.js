@@ -20,6 +20,7 @@ export function validateGoal(goal) {
     "revenue_per_visitor",
     "subscription_adoption",
     "inventory_movement",
+    "maximize_profit",
   ];
 
   if (!goal || !validGoals.includes(goal)) {
@@ -1,6 +1,10 @@
 import { getDb } from './connection.js';
 import { ProductService } from '../services/productService.js';
 import { collections } from './mongodb.js';
+import { deleteProductEmbeddings } from '../services/productEmbeddings.js';
+import { getMerchantConfig } from '../services/merchantConfig.js';
+import { buildProductFields } from '../services/productSync.js';
+import { hydrateMetafieldReferences, normalizeProductAttributes } from '../services/productAttributes.js';
 
 /**
  * Get all products from MongoDB
@@ -38,135 +42,10 @@ export async function getProductsByShop(shopId) {
   }
 }
 
-/**
- * Sync products from Shopify to MongoDB using GraphQL (preferred method)
- * This implements Step 1 of the AI Upsell Flow with images
- */
-export async function syncProductsWithGraphQL(shopId, adminGraphQL, options = {}) {
-  const productService = new ProductService();
-
-  try {
-    console.log(`🔄 Starting GraphQL product sync for shop: ${shopId}`);
-
-    let hasNextPage = true;
-    let cursor = null;
-    let allProducts = [];
-
-    // Fetch all products using pagination
-    while (hasNextPage) {
-      const response = await adminGraphQL(
-        `#graphql
-        query getProducts($cursor: String) {
-          products(first: 50, after: $cursor) {
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-            edges {
-              node {
-                id
-                legacyResourceId
-                title
-                description
-                handle
-                vendor
-                productType
-                tags
-                status
-                createdAt
-                updatedAt
-                collections(first: 25) {
-                  nodes {
-                    id
-                    handle
-                    title
-                  }
-                }
-                images(first: 10) {
-                  edges {
-                    node {
-                      id
-                      url
-                      altText
-                      width
-                      height
-                    }
-                  }
-                }
-                variants(first: 100) {
-                  edges {
-                    node {
-                      id
-                      price
-                      compareAtPrice
-                      inventoryQuantity
-                      inventoryPolicy
-                      inventoryItem {
-                        id
-                      }
-                    }
-                  }
-                }
-                sellingPlanGroups(first: 5) {
-                  edges {
-                    node {
-                      id
-                      name
-                      sellingPlans(first: 10) {
-                        edges {
-                          node {
-                            id
-                            name
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }`,
-        {
-          variables: {
-            cursor: cursor
-          }
-        }
-      );
-
-      const data = await response.json();
-      const productsData = data.data?.products;
-
-      if (!productsData) {
-        console.error('❌ No products data in GraphQL response');
-        break;
-      }
-
-      allProducts = allProducts.concat(productsData.edges);
-      hasNextPage = productsData.pageInfo.hasNextPage;
-      cursor = productsData.pageInfo.endCursor;
-
-      console.log(`📡 Fetched ${allProducts.length} products so far...`);
-    }
-
-    console.log(`📡 Total fetched: ${allProducts.length} products from Shopify`);
-    const productNodes = allProducts.map(({ node }) => node);
-    const result = await productService.syncProductsFromGraphQL(shopId, productNodes, options);
-
-    const syncedCount = options.returnIds ? result.count : result;
-    console.log(`✅ Successfully synced ${syncedCount} products with images to MongoDB`);
-
-    return result;
-
-  } catch (error) {
-    console.error('❌ Error syncing products with GraphQL:', error);
-    throw error;
-  }
-}
-
 /**
  * Sync products from Shopify to MongoDB using REST API (fallback method)
- * This implements Step 1 of the AI Upsell Flow
+ * This implements Step 1 of the AI Upsell Flow. The GraphQL syncs (bulk
+ * full sync + incremental) live in backend/services/productSync.js.
  */
 export async function syncProductsToMongoDB(shopId, accessToken) {
   const productService = new ProductService();
@@ -247,6 +126,8 @@ export async function deleteProduct(shopId, productId) {
       }
     }
     
+    await deleteProductEmbeddings(shopId, [productId]);
+
     if (totalDeleted === 0) {
       console.log(`⚠️ No product found to delete for ID ${productId} and shop ${shopId}`);
       // Return a result indicating no deletion occurred
@@ -297,69 +178,13 @@ export async function ensureProductFromAdminGraphQL(shopId, adminGraphQL, produc
 
   try {
     const gid = `gid://shopify/Product/${productId}`;
+    const { productAttributes } = await getMerchantConfig(shopId);
+    const metafields = productAttributes.metafields;
     const response = await adminGraphQL(
       `#graphql
       query getProduct($id: ID!) {
         product(id: $id) {
-          id
-          legacyResourceId
-          title
-          description
-          handle
-          vendor
-          productType
-          tags
-          status
-          createdAt
-          updatedAt
-          collections(first: 25) {
-            nodes {
-              id
-              handle
-              title
-            }
-          }
-          images(first: 10) {
-            edges {
-              node {
-                id
-                url
-                altText
-                width
-                height
-              }
-            }
-          }
-          variants(first: 100) {
-            edges {
-              node {
-                id
-                price
-                compareAtPrice
-                inventoryQuantity
-                inventoryPolicy
-                inventoryItem {
-                  id
-                }
-              }
-            }
-          }
-          sellingPlanGroups(first: 5) {
-            edges {
-              node {
-                id
-                name
-                sellingPlans(first: 10) {
-                  edges {
-                    node {
-                      id
-                      name
-                    }
-                  }
-                }
-              }
-            }
-          }
+          ${buildProductFields(metafields)}
         }
       }`,
       { variables: { id: gid } }
@@ -369,8 +194,9 @@ export async function ensureProductFromAdminGraphQL(shopId, adminGraphQL, produc
     const product = data?.data?.product;
     if (!product) return null;
 
-    const mapped = productService.mapProductFromGraphQL(shopId, product);
-    await productService.upsertProducts([mapped]);
+    await hydrateMetafieldReferences(adminGraphQL, [product]);
+    const mapped = { ...productService.mapProductFromGraphQL(shopId, product, { metafields }), syncedAt: new Date() };
+    await productService.upsertProducts([mapped], { ifNewer: true });
 
     console.log(`✅ Self-healed product ${mapped.productId} for shop ${shopId}`);
     return mapped;
@@ -392,7 +218,7 @@ export async function upsertProductFromWebhookPayload(shopId, payload) {
     const db = await getDb();
     const existing = await db.collection(collections.products).findOne(
       { shopId, productId: payload.id },
-      { projection: { collectionIds: 1, collectionHandles: 1, collectionTitles: 1 } }
+      { projection: { collectionIds: 1, collectionHandles: 1, collectionTitles: 1, variants: 1, attributes: 1 } }
     );
 
     const product = productService.mapProductFromRest(shopId, payload);
@@ -400,9 +226,25 @@ export async function upsertProductFromWebhookPayload(shopId, payload) {
       product.collectionIds = existing.collectionIds || [];
       product.collectionHandles = existing.collectionHandles || [];
       product.collectionTitles = existing.collectionTitles || [];
+      // REST payloads carry no unit cost — keep what the last GraphQL sync stored
+      const costs = new Map((existing.variants || []).map((v) => [v.variantId, v.unitCost]));
+      product.variants = product.variants.map((v) => ({ ...v, unitCost: costs.get(v.variantId) ?? null }));
+      // Nor metafields, taxonomy category or SEO — re-derive attributes from the new options plus those
+      product.attributes = normalizeProductAttributes({
+        options: payload.options || [],
+        metafields: existing.attributes?.metafields || [],
+        category: existing.attributes?.category || null,
+        seo: existing.attributes?.seo || null
+      });
     }
-    await productService.upsertProducts([product]);
+    // Authoritative delta — but a retried or out-of-order delivery older than the stored product is dropped
+    product.syncedAt = new Date();
+    const written = await productService.upsertProducts([product], { ifNewer: true });
 
+    if (written === 0) {
+      console.log(`⏭️ Skipped stale webhook for product ${payload.id} (stored copy is newer)`);
+      return null;
+    }
     console.log(`✅ Upserted product ${payload.id} (${payload.title}) for shop ${shopId}`);
     return product;
   } catch (error) {
@@ -425,6 +267,8 @@ export async function createIndexes() {
     await productsCollection.createIndex({ shopId: 1, productType: 1 });
     await productsCollection.createIndex({ shopId: 1, collectionIds: 1 });
     await productsCollection.createIndex({ shopId: 1, collectionHandles: 1 });
+    await productsCollection.createIndex({ shopId: 1, 'attributes.terms': 1 });
+    await productsCollection.createIndex({ shopId: 1, 'attributes.category.id': 1 });
     
     console.log('📊 MongoDB indexes created successfully');
   } catch (error) {
@@ -433,43 +277,6 @@ export async function createIndexes() {
   }
 }
 
-/**
- * Remove products that no longer exist in Shopify.
- * Uses both numeric and string forms of IDs for safety.
- */
-export async function pruneProductsNotInList(shopId, productIds) {
-  if (!Array.isArray(productIds) || productIds.length === 0) {
-    console.warn(`⚠️ Prune skipped for ${shopId}: empty product list`);
-    return 0;
-  }
-
-  const db = await getDb();
-  const productsCollection = db.collection('products');
-
-  const idSet = new Set();
-  productIds.forEach((id) => {
-    idSet.add(String(id));
-    const numeric = Number(id);
-    if (Number.isFinite(numeric)) idSet.add(numeric);
-  });
-
-  const idList = Array.from(idSet);
-
-  try {
-    const result = await productsCollection.deleteMany({
-      shopId,
-      productId: { $nin: idList }
-    });
-    if (result.deletedCount > 0) {
-      console.log(`🧹 Pruned ${result.deletedCount} stale products for ${shopId}`);
-    }
-    return result.deletedCount;
-  } catch (error) {
-    console.error(`❌ Error pruning stale products for ${shopId}:`, error);
-    throw error;
-  }
-}
-
 // Helper functions for data processing
 
 /**
@@ -502,76 +309,3 @@ async function fetchShopifyProducts(shopId, accessToken) {
   console.log(`📦 Successfully fetched ${data.products?.length || 0} products from Shopify`);
   return data.products || [];
 }
-
-/**
- * Extract keywords from product title and description
- */
-function extractKeywords(text) {
-  const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
-  
-  return text.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word))
-    .slice(0, 20); // Limit to top 20 keywords
-}
-
-/**
- * Extract color from product data
- */
-function extractColor(product) {
-  const colors = ['red', 'blue', 'green', 'black', 'white', 'yellow', 'orange', 'purple', 'pink', 'brown', 'gray', 'grey', 'navy', 'teal', 'maroon', 'beige', 'cream', 'gold', 'silver'];
-  const text = (product.title + ' ' + (product.body_html || '')).toLowerCase();
-  
-  for (const color of colors) {
-    if (text.includes(color)) {
-      return color;
-    }
-  }
-  return null;
-}
-
-/**
- * Extract style from product data
- */
-function extractStyle(product) {
-  const styles = ['casual', 'formal', 'sport', 'elegant', 'vintage', 'modern', 'classic', 'minimalist', 'bohemian', 'preppy', 'grunge'];
-  const text = (product.title + ' ' + (product.body_html || '') + ' ' + (product.tags || '')).toLowerCase();
-  
-  for (const style of styles) {
-    if (text.includes(style)) {
-      return style;
-    }
-  }
-  return null;
-}
-
-/**
- * Extract features from product data
- */
-function extractFeatures(product) {
-  const features = [];
-  const text = (product.title + ' ' + (product.body_html || '') + ' ' + (product.tags || '')).toLowerCase();
-  
-  const featurePatterns = [
-    /waterproof|water resistant/,
-    /breathable/,
-    /washable/,
-    /stretch|elastic/,
-    /insulated|warm/,
-    /lightweight/,
-    /durable/,
-    /adjustable/,
-    /portable|foldable/,
-    /wireless|bluetooth/
-  ];
-
-  featurePatterns.forEach((pattern, index) => {
-    if (pattern.test(text)) {
-      features.push(['waterproof', 'breathable', 'washable', 'stretch', 'insulated', 'lightweight', 'durable', 'adjustable', 'portable', 'wireless'][index]);
-    }
-  });
-
-  return features;
-}
-
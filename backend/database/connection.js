@@ -38,6 +38,16 @@ export async function getDb() {
   return db;
 }
 
+/**
+ * Switch to another database on the same server
+ * Used by the offline replay harness (see mongodb.js switchDatabase)
+ */
+export async function switchDatabase(name) {
+  await connectToMongoDB();
+  db = client.db(name);
+  return db;
+}
+
 /**
  * Close MongoDB connection
  * Clean up the connection when shutting down
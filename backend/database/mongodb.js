@@ -26,6 +26,14 @@ export async function getDb() {
   return db;
 }
 
+// Switch getDb() to another database on the same server. Used by the offline
+// replay harness to run the engines against a scratch copy of a shop.
+export async function switchDatabase(name) {
+  await connectToMongoDB();
+  db = client.db(name);
+  return db;
+}
+
 export async function closeMongoDB() {
   if (client) {
     await client.close();
@@ -63,7 +71,34 @@ export const collections = {
    // Response cache — instant upsell loads
    upsellResponseCache: 'upsell_response_cache',
    // Guardrail trigger audit log — Pillar 2
-   guardrailEvents: 'guardrail_events'
+   guardrailEvents: 'guardrail_events',
+   // Product vector index — candidate pre-filtering
+   productEmbeddings: 'product_embeddings',
+   // A/B experiments over merchant config knobs
+   abTests: 'ab_tests',
+   // Holdout (control group) visitor assignments
+   holdoutAssignments: 'holdout_assignments',
+   // Merchant-authored offer rules (evaluated before AI candidates)
+   offerRules: 'offer_rules',
+   // Per-shop HMAC secrets for signed offer tokens
+   offerTokenSecrets: 'offer_token_secrets',
+   // Primary vs shadow engine output per sampled decision
+   engineShadowDiffs: 'engine_shadow_diffs',
+   // Candidate merchant configs evaluated in shadow mode (decisions go to decision_logs)
+   configShadows: 'config_shadows',
+   // Durable per-visitor state: session offer counts, history, last decisions
+   visitorProfiles: 'visitor_profiles',
+   // Scoped API keys for the dashboard API (SHA-256 hashes only)
+   dashboardApiKeys: 'dashboard_api_keys',
+   // GDPR data requests / redacts (audit trail) and their export bundles
+   complianceJobs: 'compliance_jobs',
+   complianceExports: 'compliance_exports',
+   // Background job queue, per-shop job locks and recurring schedules
+   jobs: 'jobs',
+   jobLocks: 'job_locks',
+   jobSchedules: 'job_schedules',
+   // Product sync checkpoints: bulk operation progress, incremental updated_at cursor
+   productSyncState: 'product_sync_state'
  };
 
 export async function initializeCollections() {
@@ -71,6 +106,8 @@ export async function initializeCollections() {
 
   // Response cache index — fast lookup by shop + product
   await database.collection(collections.upsellResponseCache).createIndex({ shopId: 1, productId: 1 }, { unique: true });
+  // …and by offered product, for inventory invalidation
+  await database.collection(collections.upsellResponseCache).createIndex({ shopId: 1, 'recommendations.id': 1 });
 
   // Create indexes for better performance
   await database.collection(collections.products).createIndex({ shopId: 1, productId: 1 }, { unique: true });
@@ -79,8 +116,13 @@ export async function initializeCollections() {
   await database.collection(collections.products).createIndex({ shopId: 1, productType: 1 });
   await database.collection(collections.products).createIndex({ shopId: 1, collectionIds: 1 });
   await database.collection(collections.products).createIndex({ shopId: 1, collectionHandles: 1 });
+  await database.collection(collections.products).createIndex({ shopId: 1, 'attributes.terms': 1 });
+  await database.collection(collections.products).createIndex({ shopId: 1, 'attributes.category.id': 1 });
   await database.collection(collections.upsells).createIndex({ shopId: 1, sourceProductId: 1 });
 
+  // Bundles — lifecycle status lookups (only `active` bundles are offered)
+  await database.collection(collections.bundles).createIndex({ shopId: 1, status: 1 });
+
   // Upsell events collection indexes
   await database.collection(collections.upsellEvents).createIndex({ shopId: 1, timestamp: -1 });
   await database.collection(collections.upsellEvents).createIndex({ shopId: 1, eventType: 1 });
@@ -150,6 +192,74 @@ export async function initializeCollections() {
   // Guardrail Events — Pillar 2 audit log
   await database.collection(collections.guardrailEvents).createIndex({ shopId: 1, timestamp: -1 });
   await database.collection(collections.guardrailEvents).createIndex({ shopId: 1, guardrailType: 1 });
+  await database.collection(collections.guardrailEvents).createIndex(
+    { shopId: 1, guardrailType: 1, onceKey: 1 },
+    { unique: true, partialFilterExpression: { onceKey: { $exists: true } } }
+  );
+
+  // Product embeddings — one vector per product
+  await database.collection(collections.productEmbeddings).createIndex({ shopId: 1, productId: 1 }, { unique: true });
+
+  // A/B experiments — lookup by id and the single running experiment per shop
+  await database.collection(collections.abTests).createIndex({ shopId: 1, testId: 1 }, { unique: true });
+  await database.collection(collections.abTests).createIndex({ shopId: 1, status: 1 });
+  // At most one running experiment per shop
+  await database.collection(collections.abTests).createIndex(
+    { shopId: 1 },
+    { unique: true, partialFilterExpression: { status: 'running' } }
+  );
+  await database.collection(collections.upsellEvents).createIndex({ shopId: 1, 'metadata.testId': 1, timestamp: -1 });
+
+  // Holdout assignments — one sticky group per visitor
+  await database.collection(collections.holdoutAssignments).createIndex({ shopId: 1, userId: 1 }, { unique: true });
+  await database.collection(collections.holdoutAssignments).createIndex({ shopId: 1, lastSeenAt: -1 });
+  await database.collection(collections.purchaseEvents).createIndex({ shopId: 1, visitorId: 1 });
+  await database.collection(collections.purchaseEvents).createIndex(
+    { shopId: 1, checkoutToken: 1 },
+    { partialFilterExpression: { checkoutToken: { $type: 'string' } } }
+  );
+
+  // Offer rules — CRUD by id and priority-ordered evaluation
+  await database.collection(collections.offerRules).createIndex({ shopId: 1, ruleId: 1 }, { unique: true });
+  await database.collection(collections.offerRules).createIndex({ shopId: 1, enabled: 1, priority: -1 });
+
+  // Offer token secrets — one per shop
+  await database.collection(collections.offerTokenSecrets).createIndex({ shopId: 1 }, { unique: true });
+
+  // Engine shadow diffs — per-shop reports; expire after 30 days
+  await database.collection(collections.engineShadowDiffs).createIndex({ shopId: 1, placement: 1, createdAt: -1 });
+  await database.collection(collections.engineShadowDiffs).createIndex({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+  // Config shadows — one running per shop; decision logs joined by shadowId / requestId
+  await database.collection(collections.configShadows).createIndex({ shopId: 1, shadowId: 1 }, { unique: true });
+  await database.collection(collections.configShadows).createIndex({ shopId: 1, status: 1 });
+  await database.collection(collections.decisionLogs).createIndex({ shopId: 1, shadowId: 1, requestId: 1 });
+  await database.collection(collections.decisionLogs).createIndex({ shopId: 1, timestamp: -1 });
+
+  // Visitor profiles — one per shop + visitor (the unique index makes session charges atomic)
+  await database.collection(collections.visitorProfiles).createIndex({ shopId: 1, visitorId: 1 }, { unique: true });
+  await database.collection(collections.visitorProfiles).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Dashboard API keys — looked up by hash on every request, listed per shop
+  await database.collection(collections.dashboardApiKeys).createIndex({ keyHash: 1 }, { unique: true });
+  await database.collection(collections.dashboardApiKeys).createIndex({ shopId: 1, keyId: 1 }, { unique: true });
+
+  // Compliance jobs — audit trail per shop; export bundles expire after 30 days
+  await database.collection(collections.complianceJobs).createIndex({ shopId: 1, jobId: 1 }, { unique: true });
+  await database.collection(collections.complianceJobs).createIndex({ shopId: 1, createdAt: -1 });
+  await database.collection(collections.complianceExports).createIndex({ shopId: 1, jobId: 1 }, { unique: true });
+  await database.collection(collections.complianceExports).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Job queue — claimed by status + runAt; one active job per dedupe key; finished jobs expire
+  await database.collection(collections.jobs).createIndex({ jobId: 1 }, { unique: true });
+  await database.collection(collections.jobs).createIndex({ status: 1, priority: -1, runAt: 1 });
+  await database.collection(collections.jobs).createIndex({ shopId: 1, createdAt: -1 });
+  await database.collection(collections.jobs).createIndex({ activeKey: 1 }, { unique: true, partialFilterExpression: { activeKey: { $exists: true } } });
+  await database.collection(collections.jobs).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Product sync state — one document per shop
+  await database.collection(collections.productSyncState).createIndex({ shopId: 1 }, { unique: true });
+  await database.collection(collections.products).createIndex({ shopId: 1, syncedAt: 1 });
 
   console.log('MongoDB collections initialized');
   }
@@ -1,8 +1,6 @@
 import { connectToMongoDB, getDb } from "../database/connection.js";
-import {
-  pruneProductsNotInList,
-  syncProductsWithGraphQL
-} from "../database/collections.js";
+import { syncShopProducts } from "../services/productSync.js";
+import { enqueueJob } from "../services/jobQueue.js";
 
 // Lazy-loaded to avoid running shopifyApp() before dotenv.config() executes
 let _shopify = null;
@@ -14,9 +12,6 @@ async function getShopify() {
   return _shopify;
 }
 
-let running = false;
-let timer = null;
-
 function getConfig() {
   return {
     intervalMinutes: Number(process.env.RECONCILE_INTERVAL_MINUTES || 60),
@@ -36,10 +31,6 @@ function getIntervalMs() {
   return minutes * 60 * 1000;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 async function getShopsFromSessions() {
   await connectToMongoDB();
   const db = await getDb();
@@ -65,92 +56,56 @@ async function makeAdminGraphQL(session) {
   };
 }
 
-export async function runProductReconciliation(reason = "interval") {
-  const { enabled, shopDelayMs } = getConfig();
-  if (!enabled) return { skipped: true, reason: "disabled" };
-  if (running) return { skipped: true, reason: "already_running" };
-
-  running = true;
-  const startedAt = Date.now();
-  const result = { reason, shops: 0, synced: 0, pruned: 0, skipped: 0 };
-
-  try {
-    const shops = await getShopsFromSessions();
-    result.shops = shops.length;
-
-    if (shops.length === 0) {
-      console.log("ℹ️ Reconcile: no shops found in session storage");
-      return result;
-    }
-
-    console.log(`🔄 Reconcile started (${reason}) for ${shops.length} shops`);
-
-    for (const shop of shops) {
-      try {
-        const session = await getOfflineSession(shop);
-        if (!session) {
-          result.skipped += 1;
-          console.warn(`⚠️ Reconcile skipped for ${shop}: no offline session`);
-          continue;
-        }
+/**
+ * Sync one shop's catalog with Shopify (backend/services/productSync.js):
+ * a bulk full sync with pruning when one is due, otherwise only products
+ * changed since the last sync. Runs as the `product_reconciliation` job.
+ */
+export async function reconcileShopProducts(shop, { mode = "auto" } = {}) {
+  const session = await getOfflineSession(shop);
+  if (!session) {
+    console.warn(`⚠️ Reconcile skipped for ${shop}: no offline session`);
+    return { shop, skipped: true, reason: "no_offline_session" };
+  }
 
-        const adminGraphQL = await makeAdminGraphQL(session);
-        const syncResult = await syncProductsWithGraphQL(
-          shop,
-          adminGraphQL,
-          { returnIds: true }
-        );
+  const adminGraphQL = await makeAdminGraphQL(session);
+  const result = await syncShopProducts(shop, adminGraphQL, { mode });
 
-        result.synced += syncResult.count || 0;
+  return { shop, mode: result.mode, synced: result.products, pruned: result.pruned };
+}
 
-        const pruned = await pruneProductsNotInList(shop, syncResult.productIds);
-        result.pruned += pruned || 0;
-      } catch (error) {
-        result.skipped += 1;
-        console.error(`❌ Reconcile failed for ${shop}:`, error);
-      }
+/**
+ * Enqueue a reconciliation job for every installed shop. Jobs are spaced
+ * RECONCILE_SHOP_DELAY_MS apart to stay under Shopify's rate limits; a shop
+ * whose previous job is still queued is not enqueued twice.
+ */
+export async function enqueueProductReconciliation(reason = "interval", { mode = "auto" } = {}) {
+  const { enabled, shopDelayMs } = getConfig();
+  if (!enabled) return { skipped: true, reason: "disabled" };
 
-      if (shopDelayMs > 0) {
-        await sleep(shopDelayMs);
-      }
-    }
+  const shops = await getShopsFromSessions();
+  if (shops.length === 0) {
+    console.log("ℹ️ Reconcile: no shops found in session storage");
+    return { reason, shops: 0, queued: 0 };
+  }
 
-    console.log(
-      `✅ Reconcile finished (${reason}) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`
-    );
-  } finally {
-    running = false;
+  const now = Date.now();
+  let queued = 0;
+  for (const [index, shop] of shops.entries()) {
+    const result = await enqueueJob("product_reconciliation", {
+      shopId: shop,
+      payload: { reason, mode },
+      runAt: new Date(now + index * Math.max(shopDelayMs, 0)),
+      dedupeKey: `product_reconciliation:${shop}`
+    });
+    if (result.queued) queued += 1;
   }
 
-  return result;
+  console.log(`🔄 Reconcile (${reason}): ${queued} of ${shops.length} shops queued`);
+  return { reason, shops: shops.length, queued };
 }
 
-export function startProductReconciliationJob() {
+export function getReconciliationSchedule() {
   const { enabled, runOnStart, startDelayMs } = getConfig();
-
-  if (!enabled) {
-    console.log("🟡 Reconcile job disabled (RECONCILE_ENABLED=false)");
-    return;
-  }
-
-  if (timer) return;
-
-  const intervalMs = getIntervalMs();
-  console.log(
-    `🧭 Reconcile job scheduled every ${Math.round(intervalMs / 60000)} minutes`
-  );
-
-  if (runOnStart) {
-    setTimeout(() => {
-      runProductReconciliation("startup").catch((error) => {
-        console.error("❌ Reconcile startup run failed:", error);
-      });
-    }, startDelayMs);
-  }
-
-  timer = setInterval(() => {
-    runProductReconciliation("interval").catch((error) => {
-      console.error("❌ Reconcile interval run failed:", error);
-    });
-  }, intervalMs);
+  return { enabled, runOnStart, startDelayMs, intervalMs: getIntervalMs() };
 }
@@ -0,0 +1,147 @@
+/**
+ * Background worker — job handlers and recurring schedules
+ *
+ * Provides:
+ *   - registerJobHandlers()                — handlers for every JOB_TYPES entry
+ *   - enqueueDueOptimizations(triggeredBy) — one `optimization` job per shop that is overdue
+ *   - startBackgroundWorker({ concurrency }) — handlers + queue polling + schedules, returns { stop }
+ *
+ * Runs inside server.js by default. Set JOB_WORKER_IN_PROCESS=false on the
+ * web servers and start `npm run worker` (worker.js) to run jobs in a
+ * separate process; any number of workers can share the queue.
+ *
+ * Schedules (claimed once per interval across all workers, see claimSchedule):
+ *   optimization           — hourly check, enqueues shops past the 24h interval
+ *   product_reconciliation — every RECONCILE_INTERVAL_MINUTES (default 60): changed
+ *                            products, plus a bulk full sync every PRODUCT_FULL_SYNC_HOURS
+ */
+
+import { registerJobHandler, enqueueJob, startJobWorker, claimSchedule } from '../services/jobQueue.js';
+import { shouldRunOptimization, runScheduledOptimization, getAllActiveShopIds } from '../services/schedulerService.js';
+import { runFullLearningLoop } from '../services/learningLoopEngine.js';
+import { recommendBundles } from '../services/bundleEngine.js';
+import { warmResponseCache } from '../services/responseCacheWarmer.js';
+import {
+  reconcileShopProducts,
+  enqueueProductReconciliation,
+  getReconciliationSchedule
+} from './productReconciliation.js';
+
+const SCHEDULE_TICK_MS = 60 * 1000;
+const OPTIMIZATION_CHECK_MS = 60 * 60 * 1000;
+// Give the server two minutes to warm up before the first optimization sweep
+const OPTIMIZATION_START_DELAY_MS = 2 * 60 * 1000;
+
+export function registerJobHandlers() {
+  registerJobHandler('optimization', async (job) => {
+    const { triggeredBy = 'queue', onlyIfDue = false } = job.payload || {};
+    if (onlyIfDue && !(await shouldRunOptimization(job.shopId))) {
+      return { skipped: true, reason: 'not_due' };
+    }
+
+    const result = await runScheduledOptimization(job.shopId, triggeredBy);
+    if (result.error) throw new Error(result.error);
+
+    const updatesMade = result.optimization?.updatesMade || 0;
+    // New weights / discounts — rebuild what shoppers are seeing now
+    if (updatesMade > 0) {
+      await enqueueJob('cache_warm', { shopId: job.shopId, dedupeKey: `cache_warm:${job.shopId}` });
+    }
+    return {
+      success: result.success,
+      reason: result.reason || null,
+      updatesMade,
+      bundleRecommendations: result.optimization?.bundleRecommendations || 0
+    };
+  }, { maxAttempts: 3, leaseSeconds: 600 });
+
+  registerJobHandler('learning_loop', async (job) => {
+    const result = await runFullLearningLoop(job.shopId);
+    if (result.error) throw new Error(result.error);
+    return {
+      success: result.success,
+      reason: result.reason || null,
+      pausedOffers: result.learning?.actions?.pausedOffers?.length || 0
+    };
+  }, { maxAttempts: 3, leaseSeconds: 600 });
+
+  registerJobHandler('product_reconciliation', (job) =>
+    reconcileShopProducts(job.shopId, { mode: job.payload?.mode || 'auto' }), { maxAttempts: 5, leaseSeconds: 900 });
+
+  registerJobHandler('bundle_detection', async (job) => {
+    const result = await recommendBundles(job.shopId);
+    if (!result.success) throw new Error(result.error || 'Bundle detection failed');
+    return { totalOrders: result.totalOrders, proposed: result.count, retired: result.retired.length };
+  }, { maxAttempts: 3 });
+
+  registerJobHandler('cache_warm', async (job) => {
+    const { productIds = null, limit } = job.payload || {};
+    const result = await warmResponseCache(job.shopId, { productIds, limit });
+    if (result.refreshed === 0 && result.failed > 0) throw new Error(result.errors[0].error);
+    return { refreshed: result.refreshed, failed: result.failed };
+  }, { maxAttempts: 3 });
+}
+
+export async function enqueueDueOptimizations(triggeredBy = 'schedule') {
+  const shopIds = await getAllActiveShopIds();
+  const results = [];
+  for (const shopId of shopIds) {
+    if (!(await shouldRunOptimization(shopId))) {
+      results.push({ shopId, skipped: true, reason: 'not_due' });
+      continue;
+    }
+    const result = await enqueueJob('optimization', {
+      shopId,
+      payload: { triggeredBy, onlyIfDue: true },
+      dedupeKey: `optimization:${shopId}`
+    });
+    results.push({ shopId, skipped: false, jobId: result.jobId, queued: result.queued });
+  }
+  return results;
+}
+
+async function runSchedules() {
+  const now = Date.now();
+
+  if (await claimSchedule('optimization', OPTIMIZATION_CHECK_MS, { firstRunAt: new Date(now + OPTIMIZATION_START_DELAY_MS) })) {
+    const results = await enqueueDueOptimizations('schedule');
+    const queued = results.filter((r) => r.queued).length;
+    console.log(`⚙️ [Optimization] ${queued} of ${results.length} shops queued`);
+  }
+
+  const reconcile = getReconciliationSchedule();
+  if (reconcile.enabled && await claimSchedule('product_reconciliation', reconcile.intervalMs, { firstRunAt: new Date(now + reconcile.intervalMs) })) {
+    await enqueueProductReconciliation('interval');
+  }
+}
+
+export function startBackgroundWorker({ concurrency } = {}) {
+  registerJobHandlers();
+  const worker = startJobWorker({ concurrency });
+
+  const tick = () => runSchedules().catch((error) => {
+    console.error('❌ Job schedule tick failed:', error.message);
+  });
+  tick();
+  const scheduleTimer = setInterval(tick, SCHEDULE_TICK_MS);
+
+  const reconcile = getReconciliationSchedule();
+  let startupTimer = null;
+  if (!reconcile.enabled) {
+    console.log('🟡 Reconcile job disabled (RECONCILE_ENABLED=false)');
+  } else if (reconcile.runOnStart) {
+    startupTimer = setTimeout(() => {
+      enqueueProductReconciliation('startup').catch((error) => {
+        console.error('❌ Reconcile startup enqueue failed:', error);
+      });
+    }, reconcile.startDelayMs);
+  }
+
+  return {
+    stop: async () => {
+      clearInterval(scheduleTimer);
+      if (startupTimer) clearTimeout(startupTimer);
+      await worker.stop();
+    }
+  };
+}
@@ -6,6 +6,8 @@ import {
   getConversionRate
 } from '../services/analyticsService.js';
 import { logger } from '../services/logger.js';
+import { requireDashboardAuth } from '../services/dashboardAuth.js';
+import { getExperimentAssignment } from '../services/experimentService.js';
 
 const router = express.Router();
 
@@ -65,6 +67,16 @@ router.post('/track', async (req, res) => {
       });
     }
 
+    // A/B attribution comes from the server-side sticky assignment, never the client
+    const eventMetadata = { ...metadata };
+    delete eventMetadata.testId;
+    delete eventMetadata.variant;
+    const experiment = await getExperimentAssignment(shopId, sessionId || customerId).catch(() => null);
+    if (experiment) {
+      eventMetadata.testId = experiment.testId;
+      eventMetadata.variant = experiment.variant;
+    }
+
     const result = await trackUpsellEvent({
       eventType,
       shopId,
@@ -78,7 +90,7 @@ router.post('/track', async (req, res) => {
       recommendationType,
       confidence,
       quantity: quantity || 1,
-      metadata: metadata || {}
+      metadata: eventMetadata
     });
 
     logger.logRequest(req, res, Date.now() - startTime);
@@ -94,7 +106,7 @@ router.post('/track', async (req, res) => {
  * Get upsell events for a shop
  * GET /api/analytics/events/:shopId
  */
-router.get('/events/:shopId', async (req, res) => {
+router.get('/events/:shopId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   const startTime = Date.now();
   try {
     const { shopId } = req.params;
@@ -128,7 +140,7 @@ router.get('/events/:shopId', async (req, res) => {
  * Get aggregated statistics for a shop
  * GET /api/analytics/stats/:shopId
  */
-router.get('/stats/:shopId', async (req, res) => {
+router.get('/stats/:shopId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   const startTime = Date.now();
   try {
     const { shopId } = req.params;
@@ -153,7 +165,7 @@ router.get('/stats/:shopId', async (req, res) => {
  * Get conversion rate for a shop
  * GET /api/analytics/conversion/:shopId
  */
-router.get('/conversion/:shopId', async (req, res) => {
+router.get('/conversion/:shopId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   const startTime = Date.now();
   try {
     const { shopId } = req.params;
@@ -1,23 +1,25 @@
 /**
  * Cron Routes — Scheduled Automation
  *
- * Triggers background jobs:
+ * Queues background jobs (backend/services/jobQueue.js) and returns 202
+ * right away; progress shows up in GET /api/jobs:
  * - Learning loop optimization every 24 hours
  * - Offer re-evaluation every 12 hours
  * - Guardrail enforcement checks
  */
 
 import express from 'express';
-import { runScheduledOptimization, getAllActiveShopIds } from '../services/schedulerService.js';
-import { runFullLearningLoop } from '../services/learningLoopEngine.js';
+import { getAllActiveShopIds } from '../services/schedulerService.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { enqueueDueOptimizations } from '../jobs/worker.js';
 import { logger } from '../services/logger.js';
 
 const router = express.Router();
 
 /**
  * POST /api/cron/optimize
- * Run learning loop optimization for all shops
- * Triggered by external cron job
+ * Queue learning loop optimization for all shops (or one with { shopId })
+ * Triggered by external cron job; the background worker runs the jobs
  */
 router.post('/optimize', async (req, res) => {
   const startTime = Date.now();
@@ -25,40 +27,35 @@ router.post('/optimize', async (req, res) => {
     const { shopId } = req.body;
 
     if (!shopId) {
-      // Run for all active shops
-      const shopIds = await getAllActiveShopIds();
-      const results = [];
-
-      for (const sid of shopIds) {
-        const result = await runScheduledOptimization(sid, 'cron_global');
-        results.push({
-          shopId: sid,
-          success: result.success,
-          reason: result.reason
-        });
-      }
+      // Queue every active shop that is due
+      const results = await enqueueDueOptimizations('cron_global');
 
       logger.logOptimization('cron_optimize_all', {
-        shopsProcessed: shopIds.length,
-        successCount: results.filter(r => r.success).length,
+        shopsProcessed: results.length,
+        queuedCount: results.filter(r => r.queued).length,
         duration: Date.now() - startTime
       });
 
-      return res.json({
+      return res.status(202).json({
         success: true,
         jobType: 'batch_optimize',
         results,
         duration: Date.now() - startTime
       });
     } else {
-      // Run for single shop
-      const result = await runScheduledOptimization(shopId, 'cron_manual');
+      // Queue a single shop, due or not
+      const result = await enqueueJob('optimization', {
+        shopId,
+        payload: { triggeredBy: 'cron_manual' },
+        dedupeKey: `optimization:${shopId}`
+      });
       logger.logRequest(req, res, Date.now() - startTime);
-      return res.json({
+      return res.status(202).json({
         success: result.success,
         jobType: 'single_optimize',
         shopId,
-        result,
+        jobId: result.jobId,
+        queued: result.queued,
         duration: Date.now() - startTime
       });
     }
@@ -75,61 +72,36 @@ router.post('/optimize', async (req, res) => {
 
 /**
  * POST /api/cron/learning-loop
- * Run full learning loop (includes auto-pause, placement reallocation, incentive tuning)
+ * Queue the full learning loop (includes auto-pause, placement reallocation, incentive tuning)
  * More aggressive than standard optimization
  */
 router.post('/learning-loop', async (req, res) => {
   const startTime = Date.now();
   try {
     const { shopId } = req.body;
+    const shopIds = shopId ? [shopId] : await getAllActiveShopIds();
 
-    if (!shopId) {
-      // Run for all active shops
-      const shopIds = await getAllActiveShopIds();
-      const results = [];
-
-      for (const sid of shopIds) {
-        try {
-          const result = await runFullLearningLoop(sid);
-          results.push({
-            shopId: sid,
-            success: result.success,
-            actions: result.learning?.actions
-          });
-        } catch (err) {
-          results.push({
-            shopId: sid,
-            success: false,
-            error: err.message
-          });
-        }
-      }
-
-      logger.logOptimization('cron_learning_loop_all', {
-        shopsProcessed: shopIds.length,
-        successCount: results.filter(r => r.success).length,
-        totalOffersPaused: results.reduce((sum, r) => sum + (r.actions?.pausedOffers?.length || 0), 0),
-        duration: Date.now() - startTime
-      });
-
-      return res.json({
-        success: true,
-        jobType: 'batch_learning_loop',
-        results,
-        duration: Date.now() - startTime
-      });
-    } else {
-      // Run for single shop
-      const result = await runFullLearningLoop(shopId);
-      logger.logRequest(req, res, Date.now() - startTime);
-      return res.json({
-        success: result.success,
-        jobType: 'single_learning_loop',
-        shopId,
-        learning: result.learning,
-        duration: Date.now() - startTime
+    const results = [];
+    for (const sid of shopIds) {
+      const result = await enqueueJob('learning_loop', {
+        shopId: sid,
+        dedupeKey: `learning_loop:${sid}`
       });
+      results.push({ shopId: sid, jobId: result.jobId, queued: result.queued });
     }
+
+    logger.logOptimization('cron_learning_loop_all', {
+      shopsProcessed: shopIds.length,
+      queuedCount: results.filter(r => r.queued).length,
+      duration: Date.now() - startTime
+    });
+
+    return res.status(202).json({
+      success: true,
+      jobType: shopId ? 'single_learning_loop' : 'batch_learning_loop',
+      results,
+      duration: Date.now() - startTime
+    });
   } catch (error) {
     console.error('Error in cron learning-loop:', error);
     logger.logRequest(req, { statusCode: 500 }, Date.now() - startTime);
@@ -151,8 +123,8 @@ router.get('/health', async (req, res) => {
       success: true,
       status: 'healthy',
       endpoints: [
-        { name: 'optimize', method: 'POST', description: 'Run scheduled optimization' },
-        { name: 'learning-loop', method: 'POST', description: 'Run full learning loop' }
+        { name: 'optimize', method: 'POST', description: 'Queue scheduled optimization' },
+        { name: 'learning-loop', method: 'POST', description: 'Queue full learning loop' }
       ]
     });
   } catch (error) {
@@ -11,6 +11,7 @@
  */
 
 import { getDb } from '../database/mongodb.js';
+import { getVisitorProfile, getSeenProducts } from './visitorProfiles.js';
 
 const CACHE = new Map();
 const CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
@@ -71,26 +72,13 @@ export async function shouldPreferHighConfidenceOnly(shopId, placement) {
  * getSeenProductsInSession(shopId, sessionId)
  *
  * Returns a Set of upsellProductIds already shown in the last 30 minutes
- * for this session. Used to prevent duplicate exposure across placements.
+ * for this session (the visitor profile's seen products). Used to prevent
+ * duplicate exposure across placements.
  */
 export async function getSeenProductsInSession(shopId, sessionId) {
   if (!sessionId) return new Set();
   try {
-    const db = await getDb();
-    const col = db.collection('upsell_events');
-    const since = new Date(Date.now() - 30 * 60 * 1000);
-    const docs = await col
-      .find(
-        {
-          shopId,
-          sessionId,
-          eventType: 'view',
-          timestamp: { $gte: since }
-        },
-        { projection: { upsellProductId: 1 } }
-      )
-      .toArray();
-    return new Set(docs.map(d => String(d.upsellProductId)).filter(Boolean));
+    return getSeenProducts(await getVisitorProfile(shopId, sessionId));
   } catch (err) {
     console.warn('⚠️ getSeenProductsInSession failed:', err.message);
     return new Set();
@@ -1,99 +1,237 @@
 /**
  * Bundle Engine — Autonomous Bundle Creation
  *
- * Detects co-purchase patterns from analytics and autonomously creates
- * recommended bundle configurations. Uses confidence scoring and merchant
- * guardrails to validate bundles before recommendation.
+ * Mines purchased baskets (`purchase_events` order line items) for frequent
+ * 2–4 item sets, scores them as association rules (support / confidence /
+ * lift) and proposes them as bundles for merchant approval. Every bundle goes
+ * through a lifecycle:
+ *
+ *   draft → pending_approval → active ⇄ paused → retired
+ *
+ * Only `active` bundles are offered on the storefront. Detected bundles start
+ * in `pending_approval` (the approval inbox in app.bundles.jsx); merchant
+ * bundles start `active` (or `draft`). Detected bundles whose lift decays
+ * below `retireBelowLift` are retired automatically on the next run.
  */
 
+import { ObjectId } from 'mongodb';
 import { getDb, collections } from '../database/mongodb.js';
 import { logger } from './logger.js';
+import { syncNativeBundle } from './bundleProducts.js';
 
 const BUNDLE_CONFIG = {
-  minCoOccurrences: 5, // Minimum co-purchase count to create bundle
-  minConfidenceScore: 0.65, // Min confidence (normalized)
+  minCoOccurrences: 5, // Minimum orders containing the full set
+  minSupport: 0.005, // …or this share of orders, whichever is higher
+  minConfidenceScore: 0.2, // Min rule confidence P(consequent | antecedent)
+  minLift: 1.2, // Min rule lift to propose a bundle
+  retireBelowLift: 1.0, // Detected bundles below this lift are retired
   maxBundleSize: 4, // Max products per bundle
+  lookbackDays: 90,
+  maxOrders: 20000, // Most recent orders mined per run
+  maxBasketItems: 20, // Larger baskets are trimmed (keeps subset counting bounded)
   bundleName: (productIds) => `Bundle-${productIds.slice(0, 2).join('-')}`
 };
 
+export const BUNDLE_STATUSES = ['draft', 'pending_approval', 'active', 'paused', 'retired'];
+
+// Allowed status moves. retired → pending_approval is only used by detection
+// when a bundle retired for lift decay becomes strong again.
+const BUNDLE_TRANSITIONS = {
+  draft: ['pending_approval', 'active', 'retired'],
+  pending_approval: ['active', 'draft', 'retired'],
+  active: ['paused', 'retired'],
+  paused: ['active', 'retired'],
+  retired: ['pending_approval']
+};
+
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : id;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
 /**
- * Detect co-purchase patterns for a source product
- * Analyzes cart add events to find which products are frequently bought together
+ * Load purchased baskets — one Set of product ids per order.
  */
-export async function detectCoPurchasePatterns(shopId, sourceProductId, options = {}) {
+async function loadBaskets(shopId, { lookbackDays = BUNDLE_CONFIG.lookbackDays, maxOrders = BUNDLE_CONFIG.maxOrders } = {}) {
+  const db = await getDb();
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+  const orders = await db.collection(collections.purchaseEvents)
+    .find(
+      { shopId, eventType: 'order_received', timestamp: { $gte: since } },
+      { projection: { _id: 0, 'lineItems.productId': 1 } }
+    )
+    .sort({ timestamp: -1 })
+    .limit(maxOrders)
+    .toArray();
+
+  return orders.map((order) => new Set(
+    (order.lineItems || [])
+      .map((li) => (li?.productId ? String(li.productId).split('/').pop() : ''))
+      .filter(Boolean)
+  ));
+}
+
+// All k-item combinations of a sorted array
+function combinations(items, k, start = 0, prefix = [], out = []) {
+  if (prefix.length === k) {
+    out.push(prefix);
+    return out;
+  }
+  for (let i = start; i <= items.length - (k - prefix.length); i++) {
+    combinations(items, k, i + 1, [...prefix, items[i]], out);
+  }
+  return out;
+}
+
+/**
+ * Score an item set as a bundle. Each product in turn is the consequent of
+ * "the rest → product"; the rule with the highest confidence represents the
+ * set (its lift is the bundle's lift).
+ */
+function scoreItemset(itemset, counts, totalOrders) {
+  const key = (items) => [...items].sort().join('|');
+  const setCount = counts.get(key(itemset)) || 0;
+  if (!setCount || !totalOrders) return null;
+
+  let best = null;
+  for (const consequent of itemset) {
+    const antecedent = itemset.filter((id) => id !== consequent);
+    const antecedentCount = counts.get(key(antecedent)) || 0;
+    const consequentCount = counts.get(consequent) || 0;
+    if (!antecedentCount || !consequentCount) continue;
+    const confidence = setCount / antecedentCount;
+    const lift = confidence / (consequentCount / totalOrders);
+    if (!best || confidence > best.confidence || (confidence === best.confidence && lift > best.lift)) {
+      best = { antecedent, consequent, confidence, lift };
+    }
+  }
+  if (!best) return null;
+
+  return {
+    productIds: [...itemset],
+    orders: setCount,
+    support: round(setCount / totalOrders),
+    confidence: round(best.confidence),
+    lift: round(best.lift, 3),
+    antecedent: best.antecedent,
+    consequent: best.consequent
+  };
+}
+
+/**
+ * Count item sets in baskets (Apriori). Returns counts keyed by sorted
+ * "id|id" strings for every frequent set up to `maxSize`.
+ */
+function countFrequentItemsets(baskets, minCount, maxSize) {
+  const counts = new Map();
+  for (const basket of baskets) {
+    for (const id of basket) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+
+  let frequent = new Set([...counts].filter(([, c]) => c >= minCount).map(([id]) => id));
+  const frequentItems = frequent;
+
+  for (let size = 2; size <= maxSize && frequent.size > 0; size++) {
+    const levelCounts = new Map();
+    for (const basket of baskets) {
+      const items = [...basket].filter((id) => frequentItems.has(id)).sort().slice(0, BUNDLE_CONFIG.maxBasketItems);
+      if (items.length < size) continue;
+      for (const combo of combinations(items, size)) {
+        // Apriori pruning: every (size-1)-subset must already be frequent
+        if (size > 2 && !combo.every((_, i) => frequent.has(combo.filter((__, j) => j !== i).join('|')))) continue;
+        const key = combo.join('|');
+        levelCounts.set(key, (levelCounts.get(key) || 0) + 1);
+      }
+    }
+    frequent = new Set();
+    for (const [key, count] of levelCounts) {
+      if (count < minCount) continue;
+      counts.set(key, count);
+      frequent.add(key);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Mine association rules from purchased baskets.
+ * Returns bundle candidates (2–maxBundleSize products) that clear the
+ * support, confidence and lift thresholds, strongest first. A set is dropped
+ * when a qualifying superset is at least as strong and covers at least half
+ * of its orders.
+ */
+export async function mineAssociationRules(shopId, options = {}) {
   try {
-    const db = await getDb();
     const {
-      lookbackDays = 30,
-      minOccurrences = BUNDLE_CONFIG.minCoOccurrences
+      lookbackDays = BUNDLE_CONFIG.lookbackDays,
+      minOccurrences = BUNDLE_CONFIG.minCoOccurrences,
+      minSupport = BUNDLE_CONFIG.minSupport,
+      minConfidence = BUNDLE_CONFIG.minConfidenceScore,
+      minLift = BUNDLE_CONFIG.minLift,
+      maxBundleSize = BUNDLE_CONFIG.maxBundleSize
     } = options;
 
-    const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+    const baskets = (await loadBaskets(shopId, { lookbackDays })).filter((b) => b.size > 0);
+    const totalOrders = baskets.length;
+    if (totalOrders === 0) return { rules: [], totalOrders, reason: 'no_orders' };
 
-    // Find all cart_add events where sourceProductId appeared
-    const cartAddEvents = await db.collection(collections.upsellEvents).aggregate([
-      {
-        $match: {
-          shopId,
-          sourceProductId: sourceProductId.toString(),
-          eventType: 'cart_add',
-          timestamp: { $gte: since }
-        }
-      },
-      {
-        $group: {
-          _id: '$sessionId',
-          products: { $addToSet: '$upsellProductId' },
-          count: { $sum: 1 },
-          avgConfidence: { $avg: '$confidence' }
-        }
-      }
-    ]).toArray();
+    const minCount = Math.max(minOccurrences, Math.ceil(minSupport * totalOrders));
+    const counts = countFrequentItemsets(baskets, minCount, Math.min(maxBundleSize, 4));
 
-    if (cartAddEvents.length === 0) {
-      return { patterns: [], sourceProductId, reason: 'no_cart_adds' };
-    }
+    const qualifying = [...counts.keys()]
+      .filter((key) => key.includes('|'))
+      .map((key) => scoreItemset(key.split('|'), counts, totalOrders))
+      .filter((rule) => rule && rule.confidence >= minConfidence && rule.lift >= minLift);
 
-    // Count co-occurrences
-    const coOccurrences = {};
-    for (const session of cartAddEvents) {
-      const products = Array.isArray(session.products) ? session.products : [];
-      for (let i = 0; i < products.length; i++) {
-        for (let j = i + 1; j < products.length; j++) {
-          const key = [products[i], products[j]].sort().join('|');
-          if (!coOccurrences[key]) {
-            coOccurrences[key] = { count: 0, confidence: 0, sessions: 0 };
-          }
-          coOccurrences[key].count += 1;
-          coOccurrences[key].confidence += (session.avgConfidence || 0.5);
-          coOccurrences[key].sessions += 1;
-        }
-      }
-    }
+    const rules = qualifying
+      .filter((rule) => !qualifying.some((other) =>
+        other.productIds.length > rule.productIds.length &&
+        rule.productIds.every((id) => other.productIds.includes(id)) &&
+        other.lift >= rule.lift &&
+        other.orders * 2 >= rule.orders
+      ))
+      .sort((a, b) => (b.lift * b.confidence) - (a.lift * a.confidence));
 
-    // Filter and score patterns
-    const patterns = Object.entries(coOccurrences)
-      .filter(([, data]) => data.count >= minOccurrences)
-      .map(([key, data]) => {
-        const [pid1, pid2] = key.split('|');
-        return {
-          productIds: [pid1, pid2],
-          coOccurrences: data.count,
-          confidenceScore: Math.min(1, data.confidence / data.sessions),
-          sessionCount: data.sessions
-        };
-      })
-      .sort((a, b) => b.coOccurrences - a.coOccurrences);
-
-    return { patterns, sourceProductId, lookbackDays, totalSessions: cartAddEvents.length };
+    return { rules, totalOrders, minCount, lookbackDays };
   } catch (error) {
-    logger.logError('detectCoPurchasePatterns', { shopId, sourceProductId, error: error.message });
-    return { patterns: [], error: error.message };
+    logger.logError('mineAssociationRules', { shopId, error: error.message });
+    return { rules: [], error: error.message };
   }
 }
 
+/**
+ * Detect co-purchase patterns for a source product
+ * Association rules from purchased baskets that contain the product.
+ */
+export async function detectCoPurchasePatterns(shopId, sourceProductId, options = {}) {
+  const sourceId = String(sourceProductId);
+  const { rules, totalOrders, error, reason } = await mineAssociationRules(shopId, options);
+  if (error || reason) return { patterns: [], sourceProductId, ...(error ? { error } : { reason }) };
+
+  const patterns = rules
+    .filter((rule) => rule.productIds.includes(sourceId))
+    .map((rule) => ({
+      productIds: rule.productIds.filter((id) => id !== sourceId),
+      coOccurrences: rule.orders,
+      confidenceScore: rule.confidence,
+      support: rule.support,
+      lift: rule.lift
+    }));
+
+  return { patterns, sourceProductId, lookbackDays: options.lookbackDays ?? BUNDLE_CONFIG.lookbackDays, totalOrders };
+}
+
 /**
  * Create or update a bundle configuration
+ *
+ * Merchant bundles start `active` (pass `status: 'draft'` to save a draft).
+ * Detected bundles start `pending_approval`; re-detecting an existing set only
+ * refreshes its rule metrics and never changes a merchant decision.
  */
 export async function createBundle({
   shopId,
@@ -101,14 +239,22 @@ export async function createBundle({
   productIds = [],
   discountPercent = 10,
   bundleType = 'recommended', // 'merchant' or 'recommended'
-  confidence = 0.7
+  confidence = 0.7,
+  status = null,
+  rule = null
 } = {}) {
   try {
     if (!shopId || productIds.length < 2) {
       return { success: false, reason: 'invalid_input' };
     }
 
+    const initialStatus = status || (bundleType === 'merchant' ? 'active' : 'pending_approval');
+    if (!BUNDLE_STATUSES.includes(initialStatus)) {
+      return { success: false, reason: 'invalid_status' };
+    }
+
     const db = await getDb();
+    const now = new Date();
     const bundleDoc = {
       shopId,
       name: name || BUNDLE_CONFIG.bundleName(productIds),
@@ -116,35 +262,59 @@ export async function createBundle({
       discountPercent: Number(discountPercent) || 10,
       bundleType,
       confidence: Number(confidence) || 0.7,
-      status: 'active',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      stats: {
-        views: 0,
-        clicks: 0,
-        adds: 0,
-        conversionRate: 0
-      }
+      ...(rule ? { rule: { ...rule, computedAt: now } } : {}),
+      updatedAt: now
     };
 
     // Check for duplicates (same product set)
     const existing = await db.collection(collections.bundles).findOne({
       shopId,
+      status: { $in: BUNDLE_STATUSES },
       productIds: { $all: bundleDoc.productIds, $size: bundleDoc.productIds.length }
     });
 
     if (existing) {
-      // Update existing
+      if (bundleType === 'recommended') {
+        // Detection refresh — metrics only; a decayed-then-recovered bundle goes back to the inbox
+        const update = { $set: { confidence: bundleDoc.confidence, updatedAt: now, ...(rule ? { rule: bundleDoc.rule } : {}) } };
+        const reproposed = existing.status === 'retired' && existing.retiredReason === 'lift_decay';
+        if (reproposed) {
+          update.$set.status = 'pending_approval';
+          update.$unset = { retiredReason: '' };
+          update.$push = { history: { from: 'retired', to: 'pending_approval', actor: 'system', reason: 'lift_recovered', at: now } };
+        }
+        await db.collection(collections.bundles).updateOne({ _id: existing._id }, update);
+        return { success: true, bundleId: existing._id, action: reproposed ? 'reproposed' : 'refreshed' };
+      }
+
       const result = await db.collection(collections.bundles).updateOne(
         { _id: existing._id },
-        { $set: { ...bundleDoc, updatedAt: new Date() } }
+        {
+          $set: { ...bundleDoc, status: initialStatus },
+          ...(existing.status !== initialStatus
+            ? { $push: { history: { from: existing.status, to: initialStatus, actor: 'merchant', reason: 'recreated', at: now } } }
+            : {})
+        }
       );
+      if (initialStatus === 'active') syncNativeBundle(shopId, existing._id, 'active');
       return { success: result.modifiedCount > 0, bundleId: existing._id, action: 'updated' };
     }
 
     // Create new
-    const result = await db.collection(collections.bundles).insertOne(bundleDoc);
+    const result = await db.collection(collections.bundles).insertOne({
+      ...bundleDoc,
+      status: initialStatus,
+      createdAt: now,
+      history: [{ from: null, to: initialStatus, actor: bundleType === 'merchant' ? 'merchant' : 'system', reason: 'created', at: now }],
+      stats: {
+        views: 0,
+        clicks: 0,
+        adds: 0,
+        conversionRate: 0
+      }
+    });
     logger.logDatabase('insert', 'bundles', { shopId, bundleId: result.insertedId, productIds });
+    if (initialStatus === 'active') syncNativeBundle(shopId, result.insertedId, 'active');
     return { success: true, bundleId: result.insertedId, action: 'created' };
   } catch (error) {
     logger.logError('createBundle', { shopId, error: error.message });
@@ -152,8 +322,65 @@ export async function createBundle({
   }
 }
 
+/**
+ * Move a bundle to another lifecycle status.
+ * The update is conditional on the current status, so concurrent moves
+ * cannot skip a step. Returns { success, from, to } or { success: false, reason }.
+ */
+export async function transitionBundle(shopId, bundleId, toStatus, { actor = 'merchant', reason = null } = {}) {
+  try {
+    if (!BUNDLE_STATUSES.includes(toStatus)) return { success: false, reason: 'invalid_status' };
+
+    const db = await getDb();
+    const _id = toObjectId(bundleId);
+    const bundle = await db.collection(collections.bundles).findOne({ _id, shopId }, { projection: { status: 1 } });
+    if (!bundle) return { success: false, reason: 'not_found' };
+
+    const from = bundle.status || 'active';
+    if (from === toStatus) return { success: true, from, to: toStatus, unchanged: true };
+    if (!(BUNDLE_TRANSITIONS[from] || []).includes(toStatus)) {
+      return { success: false, reason: 'invalid_transition', from, to: toStatus };
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { status: toStatus, updatedAt: now, ...(toStatus === 'retired' ? { retiredAt: now, retiredReason: reason || 'merchant' } : {}) },
+      $push: { history: { from, to: toStatus, actor, reason, at: now } }
+    };
+    if (toStatus === 'active' && from === 'pending_approval') {
+      update.$set.approvedAt = now;
+    }
+
+    const result = await db.collection(collections.bundles).updateOne(
+      { _id, shopId, status: bundle.status },
+      update
+    );
+    if (result.modifiedCount === 0) return { success: false, reason: 'conflict', from, to: toStatus };
+
+    logger.logDatabase('update', 'bundles', { shopId, bundleId: String(bundleId), from, to: toStatus, actor });
+
+    // Native bundle product + Cart Transform config follow the lifecycle (fire-and-forget)
+    syncNativeBundle(shopId, _id, toStatus);
+    return { success: true, from, to: toStatus };
+  } catch (error) {
+    logger.logError('transitionBundle', { shopId, bundleId, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/** Approve a bundle from the inbox (pending_approval or draft → active). */
+export function approveBundle(shopId, bundleId) {
+  return transitionBundle(shopId, bundleId, 'active', { reason: 'approved' });
+}
+
+/** Reject a proposed bundle — retired so detection does not propose it again. */
+export function rejectBundle(shopId, bundleId) {
+  return transitionBundle(shopId, bundleId, 'retired', { reason: 'rejected' });
+}
+
 /**
  * Get all bundles for a shop
+ * `status` — one status, a list, or null for every lifecycle status.
  */
 export async function getBundles(shopId, options = {}) {
   try {
@@ -164,8 +391,8 @@ export async function getBundles(shopId, options = {}) {
       limit = 50
     } = options;
 
-    const query = { shopId };
-    if (status) query.status = status;
+    // Discount-code logs share the collection but have no lifecycle status
+    const query = { shopId, status: { $in: status ? [].concat(status) : BUNDLE_STATUSES } };
     if (bundleType) query.bundleType = bundleType;
 
     const bundles = await db.collection(collections.bundles)
@@ -189,73 +416,117 @@ export async function getBundles(shopId, options = {}) {
 }
 
 /**
- * Recommend bundles based on co-purchase analysis
- * Autonomously suggests bundles that meet confidence and occurrence thresholds
+ * Retire detected bundles whose lift has decayed.
+ * Re-scores every live (pending / active / paused) detected bundle against
+ * the current baskets — not just the frequent sets, since a decayed bundle
+ * usually no longer is one.
  */
-export async function recommendBundles(shopId, options = {}) {
+export async function retireDecayedBundles(shopId, options = {}) {
   try {
-    const db = await getDb();
     const {
-      minConfidence = BUNDLE_CONFIG.minConfidenceScore,
-      minOccurrences = BUNDLE_CONFIG.minCoOccurrences,
-      maxBundleSize = BUNDLE_CONFIG.maxBundleSize,
-      limit = 10
+      lookbackDays = BUNDLE_CONFIG.lookbackDays,
+      retireBelowLift = BUNDLE_CONFIG.retireBelowLift,
+      minOrders = BUNDLE_CONFIG.minCoOccurrences * 10
     } = options;
 
-    // Get top source products by recommendation count
-    const topSourceProducts = await db.collection(collections.upsellEvents).aggregate([
-      {
-        $match: {
-          shopId,
-          eventType: 'cart_add',
-          sourceProductId: { $ne: null }
-        }
-      },
-      {
-        $group: {
-          _id: '$sourceProductId',
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { count: -1 } },
-      { $limit: 20 }
-    ]).toArray();
+    const db = await getDb();
+    const bundles = await db.collection(collections.bundles)
+      .find({ shopId, bundleType: 'recommended', status: { $in: ['pending_approval', 'active', 'paused'] } })
+      .toArray();
+    if (bundles.length === 0) return { success: true, retired: [], checked: 0 };
+
+    const baskets = (await loadBaskets(shopId, { lookbackDays })).filter((b) => b.size > 0);
+    // Too few orders to tell decay from noise
+    if (baskets.length < minOrders) return { success: true, retired: [], checked: 0, reason: 'insufficient_orders' };
+
+    const retired = [];
+    for (const bundle of bundles) {
+      const ids = (bundle.productIds || []).map(String);
+      const counts = new Map();
+      const subsets = [ids, ...ids.map((id) => ids.filter((other) => other !== id)), ...ids.map((id) => [id])];
+      for (const subset of subsets) {
+        const key = [...subset].sort().join('|');
+        if (!counts.has(key)) counts.set(key, baskets.filter((b) => subset.every((id) => b.has(id))).length);
+      }
 
-    const recommendations = [];
+      const rule = scoreItemset(ids, counts, baskets.length);
+      const lift = rule?.lift ?? 0;
+      await db.collection(collections.bundles).updateOne(
+        { _id: bundle._id },
+        { $set: { rule: { ...(rule || { productIds: ids, orders: 0, support: 0, confidence: 0, lift: 0 }), computedAt: new Date() } } }
+      );
 
-    for (const { _id: sourceProductId } of topSourceProducts) {
-      const patterns = await detectCoPurchasePatterns(shopId, sourceProductId, {
-        minOccurrences
-      });
+      if (lift < retireBelowLift) {
+        const result = await transitionBundle(shopId, bundle._id, 'retired', { actor: 'system', reason: 'lift_decay' });
+        if (result.success) retired.push({ bundleId: bundle._id, productIds: ids, lift });
+      }
+    }
+
+    if (retired.length > 0) {
+      console.log(`🗄️ Retired ${retired.length} bundles for ${shopId} — lift below ${retireBelowLift}`);
+    }
+    return { success: true, retired, checked: bundles.length };
+  } catch (error) {
+    logger.logError('retireDecayedBundles', { shopId, error: error.message });
+    return { success: false, retired: [], error: error.message };
+  }
+}
+
+/**
+ * Recommend bundles based on co-purchase analysis
+ * Proposes bundles from association rules into the approval inbox, then
+ * retires detected bundles whose lift decayed.
+ */
+export async function recommendBundles(shopId, options = {}) {
+  try {
+    const { limit = 10 } = options;
+
+    const mined = await mineAssociationRules(shopId, options);
+    if (mined.error) return { success: false, recommendations: [], error: mined.error };
 
-      for (const pattern of patterns.patterns) {
-        if (pattern.confidenceScore >= minConfidence && pattern.productIds.length <= maxBundleSize) {
-          const bundleResult = await createBundle({
-            shopId,
-            productIds: [sourceProductId, ...pattern.productIds],
-            discountPercent: computeBundleDiscount(pattern.confidenceScore),
-            bundleType: 'recommended',
-            confidence: pattern.confidenceScore
-          });
-
-          if (bundleResult.success) {
-            recommendations.push({
-              bundleId: bundleResult.bundleId,
-              productIds: [sourceProductId, ...pattern.productIds],
-              confidence: pattern.confidenceScore,
-              coOccurrences: pattern.coOccurrences,
-              action: bundleResult.action
-            });
-          }
-
-          if (recommendations.length >= limit) break;
+    const recommendations = [];
+    for (const rule of mined.rules) {
+      const bundleResult = await createBundle({
+        shopId,
+        productIds: rule.productIds,
+        discountPercent: computeBundleDiscount(rule.confidence),
+        bundleType: 'recommended',
+        confidence: rule.confidence,
+        rule: {
+          productIds: rule.productIds,
+          orders: rule.orders,
+          support: rule.support,
+          confidence: rule.confidence,
+          lift: rule.lift,
+          antecedent: rule.antecedent,
+          consequent: rule.consequent,
+          totalOrders: mined.totalOrders
         }
+      });
+
+      if (bundleResult.success) {
+        recommendations.push({
+          bundleId: bundleResult.bundleId,
+          productIds: rule.productIds,
+          confidence: rule.confidence,
+          lift: rule.lift,
+          coOccurrences: rule.orders,
+          action: bundleResult.action
+        });
       }
 
       if (recommendations.length >= limit) break;
     }
 
-    return { success: true, recommendations, count: recommendations.length };
+    const decay = await retireDecayedBundles(shopId, options);
+
+    return {
+      success: true,
+      recommendations,
+      count: recommendations.filter((r) => r.action !== 'refreshed').length,
+      retired: decay.retired || [],
+      totalOrders: mined.totalOrders || 0
+    };
   } catch (error) {
     logger.logError('recommendBundles', { shopId, error: error.message });
     return { success: false, recommendations: [], error: error.message };
@@ -293,7 +564,7 @@ export async function trackBundleEvent({
     if (bundleId) {
       const statField = `stats.${getStatFieldName(eventType)}`;
       await db.collection(collections.bundles).updateOne(
-        { _id: bundleId },
+        { _id: toObjectId(bundleId) },
         { $inc: { [statField]: 1, 'stats.totalInteractions': 1 } }
       );
     }
@@ -365,18 +636,7 @@ export async function getBundleAnalytics(shopId, bundleId = null, options = {})
  * Pause/unpause a bundle
  */
 export async function pauseBundle(shopId, bundleId, paused = true) {
-  try {
-    const db = await getDb();
-    const result = await db.collection(collections.bundles).updateOne(
-      { _id: bundleId, shopId },
-      { $set: { status: paused ? 'paused' : 'active' } }
-    );
-
-    return { success: result.modifiedCount > 0 };
-  } catch (error) {
-    logger.logError('pauseBundle', { shopId, bundleId, error: error.message });
-    return { success: false, error: error.message };
-  }
+  return transitionBundle(shopId, bundleId, paused ? 'paused' : 'active');
 }
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
@@ -0,0 +1,347 @@
+/**
+ * Bundle Products — native Shopify bundles for the bundle-transform Cart Transform
+ *
+ * Provides:
+ *   - buildBundleTransformConfig(bundles, config)              — metafield payload from active bundles
+ *   - ensureBundleParentProduct(shopId, bundleId, { admin })   — create / refresh the bundle's parent product
+ *   - archiveBundleParentProduct(shopId, bundleId, { admin })  — archive it once the bundle is retired
+ *   - syncBundleTransformConfig(shopId, { admin, force })      — write the Cart Transform's shop metafield
+ *   - ensureBundleCartTransform(admin, shop)                   — register the Cart Transform (on install)
+ *   - syncNativeBundle(shopId, bundleId, status)               — lifecycle hook called by bundleEngine
+ *
+ * Every active bundle gets a parent product in Shopify (tagged
+ * `ai-upsell-bundle`, variant `requiresComponents`, so it cannot be bought
+ * on its own). The Cart Transform reads `$app:ai-upsell.bundle-config`:
+ *
+ *   { bundles: [{ id, parentVariantId, title, productIds, discountPercent }] }
+ *
+ * and merges cart lines the widget tagged `_bundle_id` into one line of the
+ * parent variant at the bundle discount, so cart drawer and checkout show a
+ * single bundle item. Discounts are clamped to the merchant's maxDiscountCap
+ * here; the storefront cannot touch the namespace.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig } from './merchantConfig.js';
+import { DISCOUNT_CONFIG_NAMESPACE } from './discountFunctionConfig.js';
+
+export const BUNDLE_CONFIG_KEY = 'bundle-config';
+export const BUNDLE_PRODUCT_TAG = 'ai-upsell-bundle';
+
+// Last payload written per shop — skips redundant metafield writes
+const _lastSynced = new Map();
+
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : id;
+}
+
+function numericId(gid) {
+  return gid ? String(gid).split('/').pop() : null;
+}
+
+// Offline admin client, for callers outside a request (lifecycle changes from jobs)
+async function getOfflineAdmin(shopId) {
+  const { unauthenticated } = await import('../../app/shopify.server.js');
+  const { admin } = await unauthenticated.admin(shopId);
+  return admin;
+}
+
+async function graphql(client, query, variables) {
+  const res = await client.graphql(query, variables ? { variables } : undefined);
+  const data = await res.json();
+  if (Array.isArray(data.errors) && data.errors.length > 0) {
+    throw new Error(data.errors[0]?.message || 'GraphQL error');
+  }
+  return data.data || {};
+}
+
+function firstUserError(payload) {
+  const errors = payload?.userErrors || [];
+  return errors.length > 0 ? (errors[0]?.message || 'userErrors') : null;
+}
+
+export function buildBundleTransformConfig(bundles, config) {
+  const cap = Number(config?.guardrails?.maxDiscountCap);
+  const maxPct = Number.isFinite(cap) ? Math.max(0, Math.min(90, cap)) : 0;
+  return {
+    bundles: (bundles || [])
+      .filter((b) => b?.status === 'active' && b?.nativeProduct?.variantId && (b.productIds || []).length >= 2)
+      .map((b) => ({
+        id: String(b._id),
+        parentVariantId: b.nativeProduct.variantId,
+        title: b.name,
+        productIds: b.productIds.map(String),
+        discountPercent: Math.min(Number(b.discountPercent) || 0, maxPct)
+      }))
+  };
+}
+
+/**
+ * syncBundleTransformConfig(shopId, { admin, force })
+ *
+ * Writes every active native bundle to the Cart Transform's shop metafield.
+ * Never throws — returns { success, skipped?, error? }.
+ */
+export async function syncBundleTransformConfig(shopId, { admin = null, force = false } = {}) {
+  if (!shopId) return { success: false, error: 'Missing shopId' };
+
+  try {
+    const db = await getDb();
+    const [bundles, config] = await Promise.all([
+      db.collection(collections.bundles)
+        .find({ shopId, status: 'active', 'nativeProduct.variantId': { $exists: true } })
+        .toArray(),
+      getMerchantConfig(shopId)
+    ]);
+    const payload = buildBundleTransformConfig(bundles, config);
+    const value = JSON.stringify(payload);
+    if (!force && _lastSynced.get(shopId) === value) {
+      return { success: true, skipped: true };
+    }
+
+    const client = admin || await getOfflineAdmin(shopId);
+    const shopData = await graphql(client, `#graphql
+      query ShopId { shop { id } }`);
+    const ownerId = shopData.shop?.id;
+    if (!ownerId) return { success: false, error: 'Shop id unavailable' };
+
+    const data = await graphql(client, `#graphql
+      mutation SetBundleConfig($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        metafields: [{
+          ownerId,
+          namespace: DISCOUNT_CONFIG_NAMESPACE,
+          key: BUNDLE_CONFIG_KEY,
+          type: 'json',
+          value
+        }]
+      }
+    );
+    const error = firstUserError(data.metafieldsSet);
+    if (error) {
+      console.warn(`[Bundles] Transform config metafield rejected for ${shopId}:`, error);
+      return { success: false, error };
+    }
+
+    _lastSynced.set(shopId, value);
+    console.log(`[Bundles] Cart Transform config synced for ${shopId} (${payload.bundles.length} bundles)`);
+    return { success: true };
+  } catch (err) {
+    console.warn(`[Bundles] syncBundleTransformConfig failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * ensureBundleParentProduct(shopId, bundleId, { admin })
+ *
+ * Creates the bundle's parent product on first activation, then keeps its
+ * title, status and price (sum of component prices less the bundle discount)
+ * in step. Stores `nativeProduct: { productId, variantId }` on the bundle.
+ */
+export async function ensureBundleParentProduct(shopId, bundleId, { admin = null } = {}) {
+  try {
+    const db = await getDb();
+    const bundle = await db.collection(collections.bundles).findOne({ _id: toObjectId(bundleId), shopId });
+    if (!bundle) return { success: false, error: 'Bundle not found' };
+
+    const ids = (bundle.productIds || []).map(String);
+    const components = await db.collection(collections.products)
+      .find(
+        { shopId, productId: { $in: [...ids, ...ids.map(Number)] } },
+        { projection: { _id: 0, productId: 1, title: 1, variants: 1, images: 1, image: 1 } }
+      )
+      .toArray();
+    const fullPrice = components.reduce((sum, p) => sum + (Number(p.variants?.[0]?.price) || 0), 0);
+    const bundlePrice = (fullPrice * (1 - (Number(bundle.discountPercent) || 0) / 100)).toFixed(2);
+    const title = bundle.name || components.map((p) => p.title).join(' + ');
+
+    const client = admin || await getOfflineAdmin(shopId);
+    let productId = bundle.nativeProduct?.productId || null;
+    let variantId = bundle.nativeProduct?.variantId || null;
+
+    if (productId) {
+      const data = await graphql(client, `#graphql
+        mutation UpdateBundleProduct($product: ProductUpdateInput!) {
+          productUpdate(product: $product) {
+            product { id }
+            userErrors { field message }
+          }
+        }`,
+        { product: { id: productId, title, status: 'ACTIVE' } }
+      );
+      const error = firstUserError(data.productUpdate);
+      if (error) return { success: false, error };
+    } else {
+      const image = components.map((p) => p.images?.[0]?.src || p.image?.src).find(Boolean);
+      const data = await graphql(client, `#graphql
+        mutation CreateBundleProduct($product: ProductCreateInput!, $media: [CreateMediaInput!]) {
+          productCreate(product: $product, media: $media) {
+            product { id variants(first: 1) { nodes { id } } }
+            userErrors { field message }
+          }
+        }`,
+        {
+          product: {
+            title,
+            status: 'ACTIVE',
+            productType: 'Bundle',
+            tags: [BUNDLE_PRODUCT_TAG],
+            claimOwnership: { bundles: true }
+          },
+          media: image ? [{ originalSource: image, mediaContentType: 'IMAGE' }] : null
+        }
+      );
+      const error = firstUserError(data.productCreate);
+      if (error) return { success: false, error };
+      productId = data.productCreate?.product?.id || null;
+      variantId = data.productCreate?.product?.variants?.nodes?.[0]?.id || null;
+      if (!productId || !variantId) return { success: false, error: 'Parent product not created' };
+      console.log(`📦 Bundle parent product ${numericId(productId)} created for bundle ${bundle._id} (${shopId})`);
+    }
+
+    const variantData = await graphql(client, `#graphql
+      mutation UpdateBundleVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        productId,
+        variants: [{
+          id: variantId,
+          price: bundlePrice,
+          requiresComponents: true,
+          inventoryPolicy: 'CONTINUE',
+          inventoryItem: { tracked: false }
+        }]
+      }
+    );
+    const variantError = firstUserError(variantData.productVariantsBulkUpdate);
+    if (variantError) console.warn(`[Bundles] Parent variant update failed for bundle ${bundle._id}:`, variantError);
+
+    await db.collection(collections.bundles).updateOne(
+      { _id: bundle._id },
+      { $set: { nativeProduct: { productId, variantId, price: bundlePrice, syncedAt: new Date() } } }
+    );
+    return { success: true, productId, variantId };
+  } catch (err) {
+    console.warn(`[Bundles] ensureBundleParentProduct failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * archiveBundleParentProduct(shopId, bundleId, { admin })
+ *
+ * Archives a retired bundle's parent product so it leaves the catalog.
+ */
+export async function archiveBundleParentProduct(shopId, bundleId, { admin = null } = {}) {
+  try {
+    const db = await getDb();
+    const bundle = await db.collection(collections.bundles).findOne(
+      { _id: toObjectId(bundleId), shopId },
+      { projection: { nativeProduct: 1 } }
+    );
+    const productId = bundle?.nativeProduct?.productId;
+    if (!productId) return { success: true, skipped: true };
+
+    const client = admin || await getOfflineAdmin(shopId);
+    const data = await graphql(client, `#graphql
+      mutation ArchiveBundleProduct($product: ProductUpdateInput!) {
+        productUpdate(product: $product) {
+          product { id }
+          userErrors { field message }
+        }
+      }`,
+      { product: { id: productId, status: 'ARCHIVED' } }
+    );
+    const error = firstUserError(data.productUpdate);
+    return error ? { success: false, error } : { success: true };
+  } catch (err) {
+    console.warn(`[Bundles] archiveBundleParentProduct failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * ensureBundleCartTransform(admin, shop)
+ *
+ * Registers the bundle-transform Function as the shop's Cart Transform.
+ * Called after auth next to the discount Function registration.
+ */
+export async function ensureBundleCartTransform(admin, shop) {
+  if (!admin?.graphql) return;
+  try {
+    const data = await graphql(admin, `#graphql
+      query BundleTransform {
+        shopifyFunctions(first: 50) { nodes { id title apiType } }
+        cartTransforms(first: 10) { nodes { id functionId } }
+      }`);
+    const fn = (data.shopifyFunctions?.nodes || []).find((f) =>
+      String(f?.apiType || '').toUpperCase() === 'CART_TRANSFORM' && /bundle\s*transform/i.test(String(f?.title || ''))
+    );
+    if (!fn?.id) {
+      console.warn(`[Bundles] No cart transform function found for ${shop}`);
+      return;
+    }
+    if ((data.cartTransforms?.nodes || []).some((t) => t?.functionId === fn.id)) return;
+
+    const created = await graphql(admin, `#graphql
+      mutation CreateCartTransform($functionId: String!) {
+        cartTransformCreate(functionId: $functionId) {
+          cartTransform { id }
+          userErrors { field message }
+        }
+      }`,
+      { functionId: fn.id }
+    );
+    const error = firstUserError(created.cartTransformCreate);
+    if (error) {
+      console.warn(`[Bundles] Failed to register cart transform for ${shop}:`, error);
+      return;
+    }
+    console.log(`[Bundles] Cart transform registered for ${shop}: ${created.cartTransformCreate?.cartTransform?.id}`);
+  } catch (err) {
+    console.error(`[Bundles] ensureBundleCartTransform failed for ${shop}:`, err?.message || err);
+  }
+}
+
+/**
+ * syncNativeBundle(shopId, bundleId, status)
+ *
+ * Lifecycle hook: an activated bundle gets (or reactivates) its parent
+ * product, a retired one has it archived, and the Cart Transform config is
+ * rewritten either way. Never throws.
+ */
+export async function syncNativeBundle(shopId, bundleId, status) {
+  try {
+    if (status === 'active') {
+      const result = await ensureBundleParentProduct(shopId, bundleId);
+      if (!result.success) console.warn(`[Bundles] Bundle ${bundleId} stays emulated (no parent product):`, result.error);
+    } else if (status === 'retired') {
+      await archiveBundleParentProduct(shopId, bundleId);
+    }
+    return await syncBundleTransformConfig(shopId);
+  } catch (err) {
+    console.warn(`[Bundles] syncNativeBundle failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+export const bundleProducts = {
+  buildBundleTransformConfig,
+  ensureBundleParentProduct,
+  archiveBundleParentProduct,
+  syncBundleTransformConfig,
+  ensureBundleCartTransform,
+  syncNativeBundle
+};
@@ -5,7 +5,9 @@
  * candidates from MongoDB.
  *
  * V1 rules:
- *   - Same productType as the base product
+ *   - Same productType as the base product — or, with an attribute match
+ *     rule, the rule instead (e.g. same material, different category; see
+ *     productAttributes.js)
  *   - Exclude the base product itself
  *   - Exclude products below inventoryMinThreshold (any variant)
  *   - Exclude products tagged "premium" when premiumSkuProtection is on
@@ -13,16 +15,18 @@
  */
 
 import { getDb, collections } from '../database/mongodb.js';
+import { attributeMatchQuery } from './productAttributes.js';
 
 /**
- * fetchCandidates(shopId, baseProduct, guardrails)
+ * fetchCandidates(shopId, baseProduct, guardrails, { attributeMatch })
  *
  * @param {string} shopId        - e.g. "store.myshopify.com"
  * @param {object} baseProduct   - full MongoDB product document for the viewed product
  * @param {object} guardrails    - from getMerchantConfig: { inventoryMinThreshold, premiumSkuProtection, excludedProductIds, excludedProductHandles, excludedCollectionIds, excludedCollectionHandles }
+ * @param {object} [options.attributeMatch] - { same: ['material'], different: ['category'] }, e.g. getMerchantConfig().productAttributes.match
  * @returns {Promise<object[]>}  - array of eligible MongoDB product documents
  */
-export async function fetchCandidates(shopId, baseProduct, guardrails) {
+export async function fetchCandidates(shopId, baseProduct, guardrails, { attributeMatch = null } = {}) {
   const {
     inventoryMinThreshold = 5,
     premiumSkuProtection = false,
@@ -90,6 +94,14 @@ export async function fetchCandidates(shopId, baseProduct, guardrails) {
     query.tags = { $not: { $elemMatch: { $regex: /^premium$/i } } };
   }
 
+  // An attribute rule replaces the same-productType rule. Attributes the base
+  // product has no value for are skipped, so an unsynced product keeps V1.
+  const attributeQuery = attributeMatch ? attributeMatchQuery(baseProduct, attributeMatch) : null;
+  if (attributeQuery) {
+    delete query.productType;
+    query.$and = attributeQuery.$and;
+  }
+
   const candidates = await col.find(query).toArray();
 
   return candidates;
@@ -0,0 +1,349 @@
+/**
+ * Compliance Service — GDPR data requests and redacts
+ *
+ * Provides:
+ *   - startComplianceJob(shopId, topic, payload)   — record a compliance_jobs entry and run it in the background
+ *   - runComplianceJob(shopId, jobId)              — run (or retry) a recorded job
+ *   - exportCustomerData(shopId, ids)              — JSON export bundle for one customer
+ *   - redactCustomerData(shopId, ids)              — anonymize / delete per DATA_INVENTORY
+ *   - redactShopData(shopId)                       — delete every shop-scoped collection
+ *   - listComplianceJobs(shopId, { limit })        — audit trail for the dashboard
+ *   - getComplianceExport(shopId, jobId)           — export bundle of a data request
+ *
+ * Topics (webhooks.compliance.jsx):
+ *   CUSTOMERS_DATA_REQUEST — bundle every document the inventory links to the
+ *                            customer; stored in compliance_exports for 30 days
+ *                            for the merchant to download and send on
+ *   CUSTOMERS_REDACT       — anonymize analytics documents, delete visitor-only ones
+ *   SHOP_REDACT            — delete all of the shop's data (48h after uninstall)
+ *
+ * A customer is matched by Shopify customer id and order ids, plus the
+ * storefront visitor ids recorded on those orders — that is how time-on-page
+ * events and visitor profiles reach a customer. Every job is kept in
+ * `compliance_jobs` with its status and per-collection counts; the job
+ * stores ids only, never the exported data.
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { DATA_INVENTORY, SHOP_DATA_COLLECTIONS, buildIdentifierFilter } from './dataInventory.js';
+
+export const COMPLIANCE_TOPICS = ['CUSTOMERS_DATA_REQUEST', 'CUSTOMERS_REDACT', 'SHOP_REDACT'];
+
+const EXPORT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const EXPORT_LIMIT_PER_COLLECTION = 5000;
+const REDACT_BATCH_SIZE = 500;
+
+// Ids are stored as strings, numbers or GIDs depending on the writer
+function expandIds(values, gidType) {
+  const out = new Set();
+  for (const value of values || []) {
+    if (value == null || value === '') continue;
+    const raw = String(value).split('/').pop();
+    out.add(raw);
+    if (/^\d+$/.test(raw)) {
+      out.add(Number(raw));
+      out.add(`gid://shopify/${gidType}/${raw}`);
+    }
+  }
+  return [...out];
+}
+
+function pseudonym(shopId, field, value) {
+  const digest = crypto.createHash('sha256').update(`${shopId}:${field}:${value}`).digest('hex');
+  return `redacted:${digest.slice(0, 16)}`;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Customer id + requested orders → every id the inventory can match on.
+ * Must run before any redact — the links live in the documents being redacted.
+ */
+async function resolveIdentifiers(db, shopId, { customerId, orderIds = [] }) {
+  const customerIds = expandIds(customerId ? [customerId] : [], 'Customer');
+  const requestedOrders = expandIds(orderIds, 'Order');
+
+  const [eventOrders, storedOrders] = customerIds.length > 0
+    ? await Promise.all([
+      db.collection(collections.purchaseEvents).distinct('orderId', { shopId, customerId: { $in: customerIds } }),
+      db.collection(collections.orders).distinct('orderId', { shopId, customerId: { $in: customerIds } })
+    ])
+    : [[], []];
+  const allOrderIds = expandIds([...requestedOrders, ...eventOrders, ...storedOrders], 'Order');
+
+  const orderOrCustomer = [
+    ...(allOrderIds.length > 0 ? [{ orderId: { $in: allOrderIds } }] : []),
+    ...(customerIds.length > 0 ? [{ customerId: { $in: customerIds } }] : [])
+  ];
+  const [orderVisitors, eventSessions, eventUsers] = orderOrCustomer.length > 0
+    ? await Promise.all([
+      db.collection(collections.purchaseEvents).distinct('visitorId', { shopId, $or: orderOrCustomer }),
+      customerIds.length > 0
+        ? db.collection(collections.upsellEvents).distinct('sessionId', { shopId, customerId: { $in: customerIds } })
+        : [],
+      customerIds.length > 0
+        ? db.collection(collections.upsellEvents).distinct('metadata.userId', { shopId, customerId: { $in: customerIds } })
+        : []
+    ])
+    : [[], [], []];
+
+  const visitorIds = [...new Set([...orderVisitors, ...eventSessions, ...eventUsers]
+    .filter((id) => id != null && id !== '')
+    .map(String))];
+
+  return { customerId: customerIds, orderId: allOrderIds, visitorId: visitorIds };
+}
+
+function countIds(ids) {
+  return {
+    customerIds: ids.customerId.length,
+    orderIds: ids.orderId.length,
+    visitorIds: ids.visitorId.length
+  };
+}
+
+/**
+ * exportCustomerData(shopId, { customerId, orderIds })
+ *
+ * Returns { bundle, results } — bundle is plain JSON (ObjectIds and dates stringified).
+ */
+export async function exportCustomerData(shopId, { customerId, orderIds = [] } = {}) {
+  const db = await getDb();
+  const ids = await resolveIdentifiers(db, shopId, { customerId, orderIds });
+
+  const sections = [];
+  const results = [];
+  for (const entry of DATA_INVENTORY) {
+    const filter = buildIdentifierFilter(entry, shopId, ids);
+    if (!filter) continue;
+    const docs = await db.collection(entry.collection)
+      .find(filter)
+      .limit(EXPORT_LIMIT_PER_COLLECTION + 1)
+      .toArray();
+    const truncated = docs.length > EXPORT_LIMIT_PER_COLLECTION;
+    const documents = docs.slice(0, EXPORT_LIMIT_PER_COLLECTION);
+    results.push({ collection: entry.collection, action: 'export', matched: documents.length, truncated });
+    if (documents.length === 0) continue;
+    sections.push({
+      collection: entry.collection,
+      description: entry.description,
+      count: documents.length,
+      truncated,
+      documents: JSON.parse(JSON.stringify(documents))
+    });
+  }
+
+  return {
+    bundle: {
+      shopId,
+      customerId: customerId ? String(customerId) : null,
+      ordersRequested: (orderIds || []).map(String),
+      generatedAt: new Date().toISOString(),
+      identifiers: {
+        customerIds: ids.customerId.filter((id) => typeof id === 'string' && !id.startsWith('gid:')),
+        orderIds: ids.orderId.filter((id) => typeof id === 'string' && !id.startsWith('gid:')),
+        visitorIds: ids.visitorId
+      },
+      data: sections
+    },
+    identifierCounts: countIds(ids),
+    results
+  };
+}
+
+async function anonymizeMatching(db, entry, shopId, filter) {
+  const col = db.collection(entry.collection);
+  const projection = { _id: 1, ...Object.fromEntries(entry.pseudonymizeFields.map((field) => [field, 1])) };
+  const unset = Object.fromEntries(entry.personalFields.map((field) => [field, '']));
+  const redactedAt = new Date();
+  let matched = 0;
+  let modified = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const res = await col.bulkWrite(ops, { ordered: false });
+    modified += res.modifiedCount || 0;
+    ops = [];
+  };
+
+  const cursor = col.find(filter, { projection });
+  for await (const doc of cursor) {
+    matched++;
+    const set = { redactedAt };
+    for (const field of entry.pseudonymizeFields) {
+      const value = getPath(doc, field);
+      if (value != null && !String(value).startsWith('redacted:')) set[field] = pseudonym(shopId, field, value);
+    }
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: set, ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}) }
+      }
+    });
+    if (ops.length >= REDACT_BATCH_SIZE) await flush();
+  }
+  await flush();
+  return { matched, modified };
+}
+
+/**
+ * redactCustomerData(shopId, { customerId, orderIds })
+ */
+export async function redactCustomerData(shopId, { customerId, orderIds = [] } = {}) {
+  const db = await getDb();
+  const ids = await resolveIdentifiers(db, shopId, { customerId, orderIds });
+
+  const results = [];
+  for (const entry of DATA_INVENTORY) {
+    const filter = buildIdentifierFilter(entry, shopId, ids);
+    if (!filter) continue;
+    if (entry.onRedact === 'delete') {
+      const res = await db.collection(entry.collection).deleteMany(filter);
+      results.push({ collection: entry.collection, action: 'delete', matched: res.deletedCount, deleted: res.deletedCount });
+    } else {
+      const res = await anonymizeMatching(db, entry, shopId, filter);
+      results.push({ collection: entry.collection, action: 'anonymize', ...res });
+    }
+  }
+
+  return { identifierCounts: countIds(ids), results };
+}
+
+/**
+ * redactShopData(shopId)
+ *
+ * Deletes the shop's documents from every shop-scoped collection. Export
+ * bundles go too; compliance_jobs stays as the record that it happened.
+ */
+export async function redactShopData(shopId) {
+  const db = await getDb();
+  const results = [];
+  for (const { collection, shopField } of SHOP_DATA_COLLECTIONS) {
+    const res = await db.collection(collection).deleteMany({ [shopField]: shopId });
+    if (res.deletedCount > 0) {
+      results.push({ collection, action: 'delete', matched: res.deletedCount, deleted: res.deletedCount });
+    }
+  }
+  return { results };
+}
+
+/**
+ * startComplianceJob(shopId, topic, payload)
+ *
+ * Records the job and starts it without awaiting, so the webhook can answer
+ * Shopify right away. Returns the job id.
+ */
+export async function startComplianceJob(shopId, topic, payload = {}) {
+  if (!COMPLIANCE_TOPICS.includes(topic)) throw new Error(`Unknown compliance topic: ${topic}`);
+
+  const db = await getDb();
+  const jobId = crypto.randomUUID();
+  await db.collection(collections.complianceJobs).insertOne({
+    jobId,
+    shopId,
+    topic,
+    status: 'pending',
+    request: {
+      customerId: payload.customer?.id != null ? String(payload.customer.id) : null,
+      orderIds: (payload.orders_requested || payload.orders_to_redact || []).map(String),
+      dataRequestId: payload.data_request?.id != null ? String(payload.data_request.id) : null,
+      // Matching never uses email / phone (neither is stored) — note only that they were sent
+      hasEmail: !!payload.customer?.email,
+      hasPhone: !!payload.customer?.phone
+    },
+    attempts: 0,
+    createdAt: new Date()
+  });
+  console.log(`🛡️ Compliance job ${jobId} (${topic}) recorded for ${shopId}`);
+
+  runComplianceJob(shopId, jobId).catch((err) =>
+    console.error(`❌ Compliance job ${jobId} crashed:`, err?.message || err));
+  return jobId;
+}
+
+/**
+ * runComplianceJob(shopId, jobId)
+ *
+ * Safe to call again for a failed job — redacts are idempotent.
+ */
+export async function runComplianceJob(shopId, jobId) {
+  const db = await getDb();
+  const jobs = db.collection(collections.complianceJobs);
+  const job = await jobs.findOneAndUpdate(
+    { shopId, jobId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!job) return { success: false, error: 'Job not found or already running' };
+
+  try {
+    const ids = { customerId: job.request?.customerId, orderIds: job.request?.orderIds || [] };
+    let outcome;
+    if (job.topic === 'CUSTOMERS_DATA_REQUEST') {
+      const { bundle, identifierCounts, results } = await exportCustomerData(shopId, ids);
+      await db.collection(collections.complianceExports).updateOne(
+        { shopId, jobId },
+        {
+          $set: {
+            shopId,
+            jobId,
+            customerId: ids.customerId,
+            bundle,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+          }
+        },
+        { upsert: true }
+      );
+      outcome = { identifierCounts, results, exportAvailableUntil: new Date(Date.now() + EXPORT_TTL_MS) };
+    } else if (job.topic === 'CUSTOMERS_REDACT') {
+      outcome = await redactCustomerData(shopId, ids);
+    } else {
+      outcome = await redactShopData(shopId);
+    }
+
+    await jobs.updateOne(
+      { shopId, jobId },
+      { $set: { status: 'completed', ...outcome, completedAt: new Date(), error: null } }
+    );
+    const touched = outcome.results.reduce((sum, r) => sum + (r.matched || 0), 0);
+    console.log(`✅ Compliance job ${jobId} (${job.topic}) completed for ${shopId} — ${touched} documents`);
+    return { success: true, jobId, ...outcome };
+  } catch (err) {
+    await jobs.updateOne(
+      { shopId, jobId },
+      { $set: { status: 'failed', error: err?.message || String(err), failedAt: new Date() } }
+    );
+    console.error(`❌ Compliance job ${jobId} (${job.topic}) failed for ${shopId}:`, err?.message || err);
+    return { success: false, jobId, error: err?.message || String(err) };
+  }
+}
+
+export async function listComplianceJobs(shopId, { limit = 50 } = {}) {
+  const db = await getDb();
+  return db.collection(collections.complianceJobs)
+    .find({ shopId }, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .toArray();
+}
+
+export async function getComplianceExport(shopId, jobId) {
+  const db = await getDb();
+  return db.collection(collections.complianceExports)
+    .findOne({ shopId, jobId: String(jobId) }, { projection: { _id: 0 } });
+}
+
+export const complianceService = {
+  startComplianceJob,
+  runComplianceJob,
+  exportCustomerData,
+  redactCustomerData,
+  redactShopData,
+  listComplianceJobs,
+  getComplianceExport
+};
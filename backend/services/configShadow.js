@@ -0,0 +1,473 @@
+/**
+ * Config Shadow — preview a merchant config change on real traffic
+ *
+ * Provides:
+ *   - validateCandidateConfig(candidate)        — knobs a shadow may change
+ *   - startConfigShadow(shopId, input)          — begin shadowing a candidate config
+ *   - stopConfigShadow(shopId, shadowId)        — end it early
+ *   - listConfigShadows(shopId) / getRunningConfigShadow(shopId)
+ *   - buildCandidateConfig(liveConfig, candidate) — merged config the engine decides with
+ *   - logShadowDecisions(entry)                 — write the live + shadow pair to decision_logs
+ *   - summarizeTrace(meta)                      — flat trace steps stored on each decision log
+ *   - getConfigShadowReport(shopId, shadowId)   — live vs candidate comparison
+ *
+ * While a shadow runs, a sampled share of storefront decisions (see
+ * placementPipeline.js) is decided a second time with the candidate config in
+ * dry-run mode. Only the live decision is rendered; both are written to
+ * `decision_logs` under one requestId (mode 'live' | 'shadow'), so the report
+ * compares the two configs on exactly the same requests. Logs keep the full
+ * request (user, limit, cart subtotal) and trace, so decisionReplay.js can
+ * replay them offline.
+ *
+ * Knobs a candidate may change:
+ *   goal            — one of GOAL_MAPPING keys
+ *   riskTolerance   — one of RISK_MAPPING keys
+ *   guardrails      — any guardrail field, merged over the live guardrails
+ *   offerPriority   — ordered list of offer types
+ *
+ * Predicted acceptance is the engine's own acceptance estimate (offer
+ * confidence after conversion boosts), combined per decision as the chance
+ * that at least one offer is taken. Discount cost is that chance times price
+ * times the offered discount, summed over offers. Requests in an A/B
+ * experiment are not shadowed — their live config already differs.
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { GOAL_MAPPING, RISK_MAPPING } from '../../app/shared/merchantConfig.shared.js';
+import { validateGuardrails } from './merchantConfig.js';
+
+const OFFER_TYPES = ['bundle', 'volume_discount', 'addon_upsell', 'subscription_upgrade'];
+const DEFAULT_DAYS = 7;
+const DEFAULT_SAMPLE_RATE = 0.2;
+const REPORT_PAIR_LIMIT = 20000;
+
+// Running shadow per shop — looked up on every storefront decision
+const _runningCache = new Map();
+const RUNNING_CACHE_TTL = 60 * 1000; // 60 seconds
+
+function _invalidateRunningCache(shopId) {
+  if (shopId) _runningCache.delete(shopId);
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates a candidate config (goal, riskTolerance, guardrails, offerPriority).
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateCandidateConfig(candidate) {
+  const errors = [];
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { valid: false, errors: ['Candidate config must be an object.'] };
+  }
+
+  const { goal, riskTolerance, guardrails, offerPriority } = candidate;
+  if (goal == null && riskTolerance == null && guardrails == null && offerPriority == null) {
+    errors.push('Candidate config must change at least one of: goal, riskTolerance, guardrails, offerPriority.');
+  }
+
+  if (goal != null && !GOAL_MAPPING[goal]) {
+    errors.push(`Invalid goal: "${goal}". Must be one of: ${Object.keys(GOAL_MAPPING).join(', ')}.`);
+  }
+
+  if (riskTolerance != null && !RISK_MAPPING[riskTolerance]) {
+    errors.push(`Invalid risk tolerance: "${riskTolerance}". Must be one of: ${Object.keys(RISK_MAPPING).join(', ')}.`);
+  }
+
+  if (guardrails != null) {
+    if (typeof guardrails !== 'object' || Array.isArray(guardrails)) {
+      errors.push('Guardrails must be an object.');
+    } else {
+      // Only the fields being changed are checked — placeholders stand in for the live values
+      const { errors: guardrailErrors } = validateGuardrails({
+        maxDiscountCap: 0,
+        inventoryMinThreshold: 0,
+        sessionOfferLimit: 1,
+        ...guardrails
+      });
+      errors.push(...guardrailErrors);
+    }
+  }
+
+  if (offerPriority != null) {
+    if (!Array.isArray(offerPriority) || offerPriority.length === 0) {
+      errors.push('Offer priority must be a non-empty list of offer types.');
+    } else {
+      const unknown = offerPriority.filter((t) => !OFFER_TYPES.includes(t));
+      if (unknown.length > 0) {
+        errors.push(`Unknown offer type(s): ${unknown.join(', ')}. Must be one of: ${OFFER_TYPES.join(', ')}.`);
+      }
+      if (new Set(offerPriority).size !== offerPriority.length) {
+        errors.push('Offer priority cannot list an offer type twice.');
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function normalizeCandidate(candidate) {
+  const result = {};
+  if (candidate.goal != null) result.goal = candidate.goal;
+  if (candidate.riskTolerance != null) result.riskTolerance = candidate.riskTolerance;
+  if (candidate.guardrails != null) result.guardrails = { ...candidate.guardrails };
+  if (candidate.offerPriority != null) result.offerPriority = [...candidate.offerPriority];
+  return result;
+}
+
+/**
+ * Merge a candidate over the live merchant config (as returned by
+ * getMerchantConfig). Returns a new object tagged with `configShadow`.
+ */
+export function buildCandidateConfig(liveConfig, shadow) {
+  const candidate = shadow?.candidate || {};
+  const goal = candidate.goal || liveConfig.goal;
+  const riskTolerance = candidate.riskTolerance || liveConfig.riskTolerance;
+
+  const next = {
+    ...liveConfig,
+    goal,
+    riskTolerance,
+    guardrails: { ...(liveConfig.guardrails || {}), ...(candidate.guardrails || {}) },
+    goalConfig: GOAL_MAPPING[goal] || liveConfig.goalConfig,
+    riskConfig: RISK_MAPPING[riskTolerance] || liveConfig.riskConfig,
+    configShadow: { shadowId: shadow?.shadowId || null }
+  };
+
+  if (Array.isArray(candidate.offerPriority) && candidate.offerPriority.length > 0) {
+    next.goalConfig = { ...(next.goalConfig || {}), offerPriority: [...candidate.offerPriority] };
+    // An explicit priority under preview must not be reshuffled by the learning loop
+    next.optimization = { ...(liveConfig.optimization || {}), topOfferType: null };
+  }
+
+  return next;
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────────────────────
+
+/**
+ * Start shadowing a candidate config. One shadow may run per shop.
+ *
+ * @param {string} shopId
+ * @param {object} input — { name, candidate, days, sampleRate }
+ */
+export async function startConfigShadow(shopId, input = {}) {
+  if (!shopId) return { success: false, error: 'Missing shopId' };
+
+  const { valid, errors } = validateCandidateConfig(input.candidate);
+  if (!valid) return { success: false, errors };
+
+  const days = Number(input.days ?? DEFAULT_DAYS);
+  if (!Number.isFinite(days) || days < 1 || days > 30) {
+    return { success: false, errors: ['Shadow duration must be between 1 and 30 days.'] };
+  }
+  const sampleRate = Number(input.sampleRate ?? DEFAULT_SAMPLE_RATE);
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0 || sampleRate > 1) {
+    return { success: false, errors: ['Sample rate must be greater than 0 and at most 1.'] };
+  }
+
+  try {
+    const db = await getDb();
+    const running = await getRunningConfigShadow(shopId, { fresh: true });
+    if (running) {
+      return { success: false, error: `Shadow "${running.name}" is already running — stop it first` };
+    }
+
+    const now = new Date();
+    const shadow = {
+      shopId,
+      shadowId: `shadow_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(input.name || '').trim() || 'Config preview',
+      candidate: normalizeCandidate(input.candidate),
+      sampleRate,
+      days,
+      status: 'running',
+      startedAt: now,
+      endsAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000),
+      stoppedAt: null,
+      createdAt: now
+    };
+
+    await db.collection(collections.configShadows).insertOne(shadow);
+    _invalidateRunningCache(shopId);
+    console.log(`👥 Config shadow started for ${shopId}: ${shadow.shadowId} (${shadow.name}, ${days}d)`);
+    return { success: true, shadow };
+  } catch (error) {
+    console.error('❌ startConfigShadow failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function stopConfigShadow(shopId, shadowId) {
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const result = await db.collection(collections.configShadows).updateOne(
+      { shopId, shadowId, status: 'running' },
+      { $set: { status: 'stopped', stoppedAt: now } }
+    );
+    _invalidateRunningCache(shopId);
+    if (result.matchedCount === 0) return { success: false, error: 'Running shadow not found' };
+    console.log(`⏹️ Config shadow stopped for ${shopId}: ${shadowId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ stopConfigShadow failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function listConfigShadows(shopId, { limit = 20 } = {}) {
+  const db = await getDb();
+  return db.collection(collections.configShadows)
+    .find({ shopId }, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Returns the shop's running shadow (cached), or null.
+ * Shadows past their endsAt are completed lazily here.
+ */
+export async function getRunningConfigShadow(shopId, { fresh = false } = {}) {
+  if (!shopId) return null;
+  const cached = _runningCache.get(shopId);
+  if (!fresh && cached && (Date.now() - cached.ts) < RUNNING_CACHE_TTL) {
+    return cached.shadow;
+  }
+
+  try {
+    const db = await getDb();
+    let shadow = await db.collection(collections.configShadows).findOne(
+      { shopId, status: 'running' },
+      { projection: { _id: 0 } }
+    );
+    if (shadow?.endsAt && new Date(shadow.endsAt).getTime() <= Date.now()) {
+      await db.collection(collections.configShadows).updateOne(
+        { shopId, shadowId: shadow.shadowId, status: 'running' },
+        { $set: { status: 'completed', stoppedAt: new Date() } }
+      );
+      shadow = null;
+    }
+    _runningCache.set(shopId, { shadow, ts: Date.now() });
+    return shadow;
+  } catch (err) {
+    console.warn('⚠️ getRunningConfigShadow failed, serving without shadow:', err.message);
+    return null;
+  }
+}
+
+// ─── Decision logging ─────────────────────────────────────────────────────────
+
+function offerPrice(offer) {
+  const price = Number(offer?.aiData?.price ?? offer?.variants?.[0]?.price ?? offer?.price);
+  return Number.isFinite(price) && price > 0 ? price : 0;
+}
+
+function offerAcceptance(offer) {
+  const p = Number(offer?._confidence ?? offer?.confidence);
+  return Number.isFinite(p) ? Math.max(0, Math.min(1, p)) : 0.5;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * summarizeTrace(meta)
+ *
+ * Flat [{ step, status, count }] view of a decision's trace: v2 pipeline
+ * steps (`meta.trace`) followed by v1 offer rule outcomes (`meta.rules`).
+ * Stored on decision logs so replays can diff trace steps across engines.
+ */
+export function summarizeTrace(meta) {
+  const steps = (meta?.trace || []).map((t) => ({
+    step: t.step,
+    status: t.status,
+    count: t.count ?? t.finalCount ?? null
+  }));
+  const rules = (meta?.rules || []).map((r) => ({
+    step: `rule:${r.ruleId}`,
+    status: r.fired ? 'fired' : r.reason,
+    count: null
+  }));
+  return [...steps, ...rules];
+}
+
+function buildDecisionLog({ shopId, requestId, mode, shadowId, request, engineVersion, config, decision, now }) {
+  const offers = (decision?.offers || []).map((offer) => {
+    const discountPercent = Number(offer.discountPercent) || 0;
+    const predictedAcceptance = offerAcceptance(offer);
+    const price = offerPrice(offer);
+    return {
+      productId: String(offer.productId),
+      offerType: offer.offerType || null,
+      discountPercent,
+      price,
+      predictedAcceptance: round(predictedAcceptance),
+      expectedDiscountCost: round(predictedAcceptance * price * discountPercent / 100, 2),
+      decisionScore: Number.isFinite(Number(offer.decisionScore)) ? Number(offer.decisionScore) : null,
+      ruleId: offer.ruleId || null
+    };
+  });
+  const noneAccepted = offers.reduce((acc, o) => acc * (1 - o.predictedAcceptance), 1);
+
+  return {
+    shopId,
+    requestId,
+    mode,
+    shadowId,
+    placement: request.placement,
+    productId: request.productId ? String(request.productId) : null,
+    cartProductIds: (request.cartProductIds || []).map(String),
+    userId: request.userId || null,
+    limit: request.limit ?? null,
+    cartSubtotal: request.cartSubtotal ?? null,
+    segments: request.segments || [],
+    excludeProductIds: request.excludeProductIds || [],
+    engineVersion,
+    status: decision?.meta?.status || decision?.meta?.reason || null,
+    config: {
+      goal: config?.goal || null,
+      riskTolerance: config?.riskTolerance || null,
+      maxDiscountCap: config?.guardrails?.maxDiscountCap ?? null,
+      offerPriority: config?.goalConfig?.offerPriority || [],
+      discountPercent: decision?.meta?.discountPercent ?? null,
+      minConfidence: config?.riskConfig?.minAcceptanceProbability ?? null
+    },
+    offers,
+    offerCount: offers.length,
+    decisionScore: offers[0]?.decisionScore ?? null,
+    predictedAcceptance: offers.length > 0 ? round(1 - noneAccepted) : 0,
+    expectedDiscountCost: round(offers.reduce((sum, o) => sum + o.expectedDiscountCost, 0), 2),
+    guardrailsApplied: [],
+    trace: summarizeTrace(decision?.meta),
+    timestamp: now
+  };
+}
+
+/**
+ * logShadowDecisions({ shopId, shadowId, request, engineVersion, live, shadow })
+ *
+ * `live` / `shadow` are { config, decision }. Writes both under one requestId.
+ */
+export async function logShadowDecisions({ shopId, shadowId, request, engineVersion, live, shadow }) {
+  const db = await getDb();
+  const now = new Date();
+  const requestId = crypto.randomUUID();
+  const base = { shopId, requestId, shadowId, request, engineVersion, now };
+  await db.collection(collections.decisionLogs).insertMany([
+    buildDecisionLog({ ...base, mode: 'live', config: live.config, decision: live.decision }),
+    buildDecisionLog({ ...base, mode: 'shadow', config: shadow.config, decision: shadow.decision })
+  ], { ordered: false });
+}
+
+// ─── Reporting ────────────────────────────────────────────────────────────────
+
+/**
+ * getConfigShadowReport(shopId, shadowId)
+ *
+ * Live vs candidate on the same sampled requests: predicted acceptance,
+ * expected discount cost, offers per decision and offer overlap (Jaccard of
+ * product sets, plus how often the top offer matches).
+ */
+export async function getConfigShadowReport(shopId, shadowId) {
+  try {
+    const db = await getDb();
+    const shadow = await db.collection(collections.configShadows).findOne(
+      { shopId, shadowId },
+      { projection: { _id: 0 } }
+    );
+    if (!shadow) return { success: false, error: 'Shadow not found' };
+
+    const [byMode, pairs] = await Promise.all([
+      db.collection(collections.decisionLogs).aggregate([
+        { $match: { shopId, shadowId } },
+        {
+          $group: {
+            _id: '$mode',
+            decisions: { $sum: 1 },
+            withOffers: { $sum: { $cond: [{ $gt: ['$offerCount', 0] }, 1, 0] } },
+            offers: { $sum: '$offerCount' },
+            predictedAcceptance: { $avg: '$predictedAcceptance' },
+            expectedDiscountCost: { $sum: '$expectedDiscountCost' }
+          }
+        }
+      ]).toArray(),
+      db.collection(collections.decisionLogs).aggregate([
+        { $match: { shopId, shadowId } },
+        { $sort: { timestamp: -1 } },
+        { $limit: REPORT_PAIR_LIMIT * 2 },
+        { $group: { _id: '$requestId', modes: { $push: { mode: '$mode', ids: '$offers.productId' } } } }
+      ]).toArray()
+    ]);
+
+    const summarize = (mode) => {
+      const row = byMode.find((r) => r._id === mode) || {};
+      const decisions = row.decisions || 0;
+      return {
+        decisions,
+        offerRate: decisions > 0 ? round(row.withOffers / decisions) : 0,
+        offersPerDecision: decisions > 0 ? round(row.offers / decisions, 2) : 0,
+        predictedAcceptance: round(row.predictedAcceptance || 0),
+        expectedDiscountCost: round(row.expectedDiscountCost || 0, 2),
+        discountCostPerDecision: decisions > 0 ? round((row.expectedDiscountCost || 0) / decisions, 4) : 0
+      };
+    };
+    const live = summarize('live');
+    const candidate = summarize('shadow');
+
+    let comparedPairs = 0;
+    let jaccardSum = 0;
+    let topMatches = 0;
+    for (const { modes } of pairs) {
+      const liveIds = modes.find((m) => m.mode === 'live')?.ids;
+      const shadowIds = modes.find((m) => m.mode === 'shadow')?.ids;
+      if (!liveIds || !shadowIds) continue;
+      const union = new Set([...liveIds, ...shadowIds]);
+      const shared = liveIds.filter((id) => shadowIds.includes(id)).length;
+      jaccardSum += union.size === 0 ? 1 : shared / union.size;
+      if (liveIds[0] === shadowIds[0]) topMatches += 1;
+      comparedPairs += 1;
+    }
+
+    const endsAt = shadow.endsAt ? new Date(shadow.endsAt) : null;
+    return {
+      success: true,
+      shadow,
+      complete: shadow.status !== 'running' || (endsAt !== null && endsAt.getTime() <= Date.now()),
+      live,
+      candidate,
+      delta: {
+        predictedAcceptance: round(candidate.predictedAcceptance - live.predictedAcceptance),
+        discountCostPerDecision: round(candidate.discountCostPerDecision - live.discountCostPerDecision, 4),
+        offersPerDecision: round(candidate.offersPerDecision - live.offersPerDecision, 2)
+      },
+      overlap: {
+        comparedPairs,
+        avgJaccard: comparedPairs > 0 ? round(jaccardSum / comparedPairs, 3) : null,
+        topOfferMatchRate: comparedPairs > 0 ? round(topMatches / comparedPairs, 3) : null
+      },
+      note: comparedPairs > 0
+        ? null
+        : 'No shadowed decisions yet — the report fills in as storefront traffic arrives.'
+    };
+  } catch (error) {
+    console.error('❌ getConfigShadowReport failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export const configShadow = {
+  validateCandidateConfig,
+  startConfigShadow,
+  stopConfigShadow,
+  listConfigShadows,
+  getRunningConfigShadow,
+  buildCandidateConfig,
+  logShadowDecisions,
+  summarizeTrace,
+  getConfigShadowReport
+};
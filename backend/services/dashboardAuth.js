@@ -0,0 +1,263 @@
+/**
+ * Dashboard Auth — credentials for the dashboard API
+ *
+ * Provides:
+ *   - mintDashboardSession(shopId, { ttlSeconds })              — token for the embedded-admin hand-off
+ *   - createDashboardApiKey(shopId, { name, scopes })            — scoped key for headless use
+ *   - listDashboardApiKeys(shopId)                               — key metadata (never the key)
+ *   - revokeDashboardApiKey(shopId, keyId)
+ *   - resolveDashboardCredential(authorization)                  — `Bearer …` → { valid, shopId, role, scopes, via }
+ *   - authorizeDashboardAccess(credential, { shopId, scope, role, allowAllShops }) — per-route shop / scope / role check
+ *   - requireDashboardAuth({ scope, role, allowAllShops })      — the same checks as Express middleware
+ *
+ * The standalone dashboard and its API (`/api/dashboard/*`, the Express
+ * data routes) accept three bearer credentials:
+ *
+ *   session token — HS256 JWT minted when the embedded admin opens the
+ *                   dashboard (RedirectToDashboard). One shop, read + write.
+ *   API key       — `uak_…`, created by the merchant from dashboard Settings.
+ *                   One shop, `read` and/or `write`. Only the SHA-256 hash
+ *                   is stored; the key is shown once.
+ *   admin key     — DASHBOARD_ADMIN_KEY. Role `admin`: any shop, and the only
+ *                   credential accepted on debug routes.
+ *
+ * Every credential is checked against the shop the route serves. Admins
+ * must still name a shop — no route returns every shop's data. The one
+ * exception is operational status without customer data (`allowAllShops`,
+ * the job queue view).
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { signJwt, verifyJwt } from './jwt.js';
+
+export const DASHBOARD_SCOPES = ['read', 'write'];
+export const API_KEY_PREFIX = 'uak_';
+
+const SESSION_AUDIENCE = 'ai-upsell-dashboard';
+const DEFAULT_SESSION_TTL_SECONDS = Number(process.env.DASHBOARD_SESSION_TTL_HOURS || 8) * 60 * 60;
+const MAX_KEYS_PER_SHOP = 20;
+
+function normalizeShop(shopId) {
+  return String(shopId || '').trim().toLowerCase();
+}
+
+// Separate key from the raw API secret, so a Shopify-issued session token
+// (also signed with SHOPIFY_API_SECRET) can never pass as a dashboard session
+function getSessionSecret() {
+  if (process.env.DASHBOARD_SESSION_SECRET) return process.env.DASHBOARD_SESSION_SECRET;
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+  if (!apiSecret) return null;
+  return crypto.createHmac('sha256', apiSecret).update(SESSION_AUDIENCE).digest('hex');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : [scopes];
+  const valid = [...new Set(list.filter((scope) => DASHBOARD_SCOPES.includes(scope)))];
+  // write implies read — a key that can save settings can load them
+  return valid.includes('write') ? ['read', 'write'] : valid;
+}
+
+/**
+ * mintDashboardSession(shopId, { ttlSeconds })
+ *
+ * Only call after the shop has been authenticated (authenticate.admin).
+ * Returns { token, expiresAt } or null when no signing secret is configured.
+ */
+export function mintDashboardSession(shopId, { ttlSeconds = DEFAULT_SESSION_TTL_SECONDS, now = Date.now() } = {}) {
+  const secret = getSessionSecret();
+  const shop = normalizeShop(shopId);
+  if (!secret || !shop) return null;
+
+  const iat = Math.floor(now / 1000);
+  const exp = iat + Math.max(60, Math.floor(ttlSeconds));
+  const token = signJwt({
+    aud: SESSION_AUDIENCE,
+    sub: shop,
+    role: 'merchant',
+    scopes: ['read', 'write'],
+    jti: crypto.randomUUID(),
+    iat,
+    exp
+  }, secret);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * createDashboardApiKey(shopId, { name, scopes })
+ *
+ * Returns { success, key, apiKey } — `key` is the only time the plaintext
+ * exists outside the caller.
+ */
+export async function createDashboardApiKey(shopId, { name, scopes = ['read'], createdBy = null } = {}) {
+  const shop = normalizeShop(shopId);
+  const granted = normalizeScopes(scopes);
+  if (!shop) return { success: false, error: 'Missing shopId' };
+  if (granted.length === 0) return { success: false, error: `scopes must include one of: ${DASHBOARD_SCOPES.join(', ')}` };
+
+  const db = await getDb();
+  const active = await db.collection(collections.dashboardApiKeys)
+    .countDocuments({ shopId: shop, revokedAt: null });
+  if (active >= MAX_KEYS_PER_SHOP) {
+    return { success: false, error: `At most ${MAX_KEYS_PER_SHOP} active API keys per shop` };
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const doc = {
+    shopId: shop,
+    keyId: crypto.randomUUID(),
+    name: String(name || 'API key').trim().slice(0, 80) || 'API key',
+    scopes: granted,
+    keyHash: hashKey(key),
+    keyPreview: `${key.slice(0, API_KEY_PREFIX.length + 6)}…`,
+    createdBy,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  await db.collection(collections.dashboardApiKeys).insertOne(doc);
+  console.log(`🔑 Dashboard API key "${doc.name}" created for ${shop} (${granted.join(', ')})`);
+
+  const apiKey = {
+    keyId: doc.keyId,
+    name: doc.name,
+    scopes: doc.scopes,
+    keyPreview: doc.keyPreview,
+    createdAt: doc.createdAt
+  };
+  return { success: true, key, apiKey };
+}
+
+export async function listDashboardApiKeys(shopId) {
+  const db = await getDb();
+  return db.collection(collections.dashboardApiKeys)
+    .find({ shopId: normalizeShop(shopId) }, { projection: { _id: 0, keyHash: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+export async function revokeDashboardApiKey(shopId, keyId) {
+  if (!keyId) return { success: false, error: 'Missing keyId' };
+  const db = await getDb();
+  const result = await db.collection(collections.dashboardApiKeys).updateOne(
+    { shopId: normalizeShop(shopId), keyId: String(keyId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) return { success: false, error: 'API key not found' };
+  console.log(`🔑 Dashboard API key ${keyId} revoked for ${shopId}`);
+  return { success: true };
+}
+
+/**
+ * resolveDashboardCredential(authorization)
+ *
+ * Accepts the raw Authorization header (or the bare credential). Never throws.
+ */
+export async function resolveDashboardCredential(authorization) {
+  const bearer = String(authorization || '').replace(/^Bearer\s+/i, '').trim();
+  if (!bearer) return { valid: false, reason: 'missing_credentials' };
+
+  const adminKey = process.env.DASHBOARD_ADMIN_KEY;
+  if (adminKey && safeEqual(bearer, adminKey)) {
+    return { valid: true, shopId: null, role: 'admin', scopes: [...DASHBOARD_SCOPES], via: 'admin_key' };
+  }
+
+  if (bearer.startsWith(API_KEY_PREFIX)) {
+    try {
+      const db = await getDb();
+      const doc = await db.collection(collections.dashboardApiKeys)
+        .findOne({ keyHash: hashKey(bearer), revokedAt: null });
+      if (!doc) return { valid: false, reason: 'unknown_api_key' };
+      db.collection(collections.dashboardApiKeys)
+        .updateOne({ keyHash: doc.keyHash }, { $set: { lastUsedAt: new Date() } })
+        .catch(() => {});
+      return { valid: true, shopId: doc.shopId, role: 'merchant', scopes: doc.scopes || [], via: 'api_key', keyId: doc.keyId };
+    } catch (err) {
+      console.warn('[DashboardAuth] API key lookup failed:', err?.message || err);
+      return { valid: false, reason: 'lookup_failed' };
+    }
+  }
+
+  const secret = getSessionSecret();
+  if (!secret) return { valid: false, reason: 'missing_session_secret' };
+  const result = verifyJwt(bearer, secret);
+  if (!result.valid) return { valid: false, reason: result.reason };
+
+  const { aud, sub, scopes } = result.payload || {};
+  if (aud !== SESSION_AUDIENCE || !sub) return { valid: false, reason: 'wrong_audience' };
+  // Sessions are always merchant-scoped — the admin role only comes from DASHBOARD_ADMIN_KEY
+  return { valid: true, shopId: normalizeShop(sub), role: 'merchant', scopes: normalizeScopes(scopes), via: 'session' };
+}
+
+/**
+ * authorizeDashboardAccess(credential, { shopId, scope, role, allowAllShops })
+ *
+ * shopId — the shop the request names (query / path); defaults to the
+ *          credential's shop. scope — 'read' | 'write'. role — 'admin' to
+ *          restrict the route to the admin key. allowAllShops — admins may
+ *          omit the shop (shopId: null in the result).
+ *
+ * Returns { allowed: true, shopId } or { allowed: false, status, error }.
+ */
+export function authorizeDashboardAccess(credential, { shopId, scope = 'read', role = null, allowAllShops = false } = {}) {
+  if (!credential?.valid) return { allowed: false, status: 401, error: 'Unauthorized' };
+  if (role === 'admin' && credential.role !== 'admin') {
+    return { allowed: false, status: 403, error: 'Admin role required' };
+  }
+  if (scope && !(credential.scopes || []).includes(scope)) {
+    return { allowed: false, status: 403, error: `Credential lacks the ${scope} scope` };
+  }
+
+  const requested = normalizeShop(shopId) || credential.shopId;
+  if (!requested && allowAllShops && credential.role === 'admin') return { allowed: true, shopId: null };
+  if (!requested) return { allowed: false, status: 400, error: 'Missing shop parameter' };
+  if (credential.role !== 'admin' && requested !== credential.shopId) {
+    return { allowed: false, status: 403, error: 'Credential is not valid for this shop' };
+  }
+  return { allowed: true, shopId: requested };
+}
+
+/**
+ * requireDashboardAuth({ scope, role, allowAllShops })
+ *
+ * Express middleware for the data routes in server.js and backend/routes.
+ * The shop comes from `:shopId`, `?shop` or `?shopId`; the authorized shop
+ * is set on `req.dashboardShop`.
+ */
+export function requireDashboardAuth({ scope = 'read', role = null, allowAllShops = false } = {}) {
+  return async (req, res, next) => {
+    const credential = await resolveDashboardCredential(req.get('Authorization'));
+    const access = authorizeDashboardAccess(credential, {
+      shopId: req.params?.shopId || req.query.shop || req.query.shopId,
+      scope,
+      role,
+      allowAllShops
+    });
+    if (!access.allowed) {
+      console.warn(`🚫 Dashboard request rejected (${req.path}): ${credential.valid ? access.error : credential.reason}`);
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    req.dashboardShop = access.shopId;
+    return next();
+  };
+}
+
+export const dashboardAuth = {
+  mintDashboardSession,
+  createDashboardApiKey,
+  listDashboardApiKeys,
+  revokeDashboardApiKey,
+  resolveDashboardCredential,
+  authorizeDashboardAccess,
+  requireDashboardAuth
+};
@@ -0,0 +1,170 @@
+/**
+ * Data Inventory — where customer data lives
+ *
+ * Provides:
+ *   - DATA_INVENTORY                               — collections holding per-customer data
+ *   - IDENTIFIER_KINDS                             — identifier types the registry matches on
+ *   - SHOP_DATA_COLLECTIONS                        — every shop-scoped collection (shop redact)
+ *   - buildIdentifierFilter(entry, shopId, ids)    — Mongo filter for one entry
+ *
+ * The compliance webhooks (complianceService.js) read this registry to
+ * export, anonymize or delete a customer's data. When a new collection
+ * stores a customer id, order id, visitor id or free-text personal data,
+ * add it here — a collection missing from the registry is missed by every
+ * data request and redact.
+ *
+ * Identifier kinds:
+ *   customerId — Shopify customer id
+ *   orderId    — Shopify order id
+ *   visitorId  — storefront visitor id (`ai_uid` / `userId`), linked to a
+ *                customer through their orders' `visitorId`
+ *
+ * `onRedact`:
+ *   delete    — the document only describes the visitor (time on page, profile)
+ *   anonymize — the document also feeds shop analytics: `personalFields`
+ *               are cleared and `pseudonymizeFields` replaced by a one-way
+ *               hash, so counts and per-order de-duplication keep working
+ */
+
+import { collections } from '../database/mongodb.js';
+
+export const IDENTIFIER_KINDS = ['customerId', 'orderId', 'visitorId'];
+
+export const DATA_INVENTORY = [
+  {
+    collection: collections.upsellEvents,
+    shopField: 'shopId',
+    description: 'Upsell views, clicks and cart adds',
+    identifiers: { customerId: ['customerId'], visitorId: ['sessionId', 'metadata.userId'] },
+    personalFields: ['customerId', 'sessionId', 'metadata.userId', 'metadata.ipAddress', 'metadata.userAgent', 'metadata.referrer'],
+    pseudonymizeFields: [],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.purchaseEvents,
+    shopField: 'shopId',
+    description: 'Orders received, attributed upsell purchases and post-purchase accepts',
+    identifiers: { customerId: ['customerId'], orderId: ['orderId'], visitorId: ['visitorId', 'sessionId'] },
+    personalFields: ['customerId', 'visitorId', 'sessionId', 'metadata.ipAddress', 'metadata.userAgent', 'metadata.referrer'],
+    pseudonymizeFields: ['orderId', 'referenceId'],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.orders,
+    shopField: 'shopId',
+    description: 'Order totals for AOV lift',
+    identifiers: { customerId: ['customerId'], orderId: ['orderId'] },
+    personalFields: ['customerId', 'email', 'customerEmail'],
+    pseudonymizeFields: ['orderId'],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.aovImpact,
+    shopField: 'shopId',
+    description: 'Upsell share of each order',
+    identifiers: { orderId: ['orderId'] },
+    personalFields: [],
+    pseudonymizeFields: ['orderId'],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.bundleEvents,
+    shopField: 'shopId',
+    description: 'Bundle views and cart adds',
+    identifiers: { customerId: ['customerId'], visitorId: ['sessionId'] },
+    personalFields: ['customerId', 'sessionId'],
+    pseudonymizeFields: [],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.decisionLogs,
+    shopField: 'shopId',
+    description: 'Recorded offer decisions (config previews, replay)',
+    identifiers: { visitorId: ['userId'] },
+    personalFields: ['userId'],
+    pseudonymizeFields: [],
+    onRedact: 'anonymize'
+  },
+  {
+    collection: collections.productTimeEvents,
+    shopField: 'shop',
+    description: 'Time spent on product pages',
+    identifiers: { visitorId: ['userId'] },
+    personalFields: ['userId'],
+    pseudonymizeFields: [],
+    onRedact: 'delete'
+  },
+  {
+    collection: collections.cartTimeEvents,
+    shopField: 'shop',
+    description: 'Time spent on the cart, cart contents and customer name',
+    identifiers: { visitorId: ['userId'] },
+    personalFields: ['userId', 'customerName'],
+    pseudonymizeFields: [],
+    onRedact: 'delete'
+  },
+  {
+    collection: collections.visitorProfiles,
+    shopField: 'shopId',
+    description: 'Visitor profile: seen offers, affinities, last cart',
+    identifiers: { visitorId: ['visitorId'] },
+    personalFields: ['visitorId'],
+    pseudonymizeFields: [],
+    onRedact: 'delete'
+  },
+  {
+    collection: collections.holdoutAssignments,
+    shopField: 'shopId',
+    description: 'Holdout / exposed group assignment',
+    identifiers: { visitorId: ['userId'] },
+    personalFields: ['userId'],
+    pseudonymizeFields: [],
+    onRedact: 'delete'
+  },
+  {
+    collection: collections.guardrailEvents,
+    shopField: 'shopId',
+    description: 'Fatigue limits reached by a visitor (guardrail monitor)',
+    identifiers: { visitorId: ['visitorId'] },
+    personalFields: ['visitorId'],
+    pseudonymizeFields: ['onceKey'],
+    onRedact: 'anonymize'
+  }
+];
+
+// Everything deleted on shop/redact. compliance_jobs is kept as the audit trail.
+export const SHOP_DATA_COLLECTIONS = [
+  ...Object.values(collections)
+    .filter((name) => ![collections.productTimeEvents, collections.cartTimeEvents, collections.complianceJobs].includes(name))
+    .map((name) => ({ collection: name, shopField: 'shopId' })),
+  { collection: collections.productTimeEvents, shopField: 'shop' },
+  { collection: collections.cartTimeEvents, shopField: 'shop' },
+  { collection: 'safety_mode', shopField: 'shopId' },
+  { collection: 'config_snapshots', shopField: 'shopId' },
+  { collection: 'shopify_sessions', shopField: 'shop' }
+];
+
+/**
+ * buildIdentifierFilter(entry, shopId, { customerId: [...], orderId: [...], visitorId: [...] })
+ *
+ * Returns null when none of the entry's identifier fields can match.
+ */
+export function buildIdentifierFilter(entry, shopId, ids = {}) {
+  const clauses = [];
+  for (const kind of IDENTIFIER_KINDS) {
+    const values = (ids[kind] || []).filter((v) => v != null && v !== '');
+    if (values.length === 0) continue;
+    for (const field of entry.identifiers[kind] || []) {
+      clauses.push({ [field]: { $in: values } });
+    }
+  }
+  if (clauses.length === 0) return null;
+  return { [entry.shopField]: shopId, $or: clauses };
+}
+
+export const dataInventory = {
+  DATA_INVENTORY,
+  IDENTIFIER_KINDS,
+  SHOP_DATA_COLLECTIONS,
+  buildIdentifierFilter
+};
@@ -23,6 +23,9 @@ import {
   logDecisionOffers
 } from './merchandisingIntelligence.js';
 import { getDb, collections } from '../database/mongodb.js';
+import { applyExperimentOverrides } from './experimentService.js';
+import { applySegmentOverrides } from './segmentation.js';
+import { evaluateOfferRules, recordRuleFires } from './offerRules.js';
 
 /**
  * Fire-and-forget guardrail event logger.
@@ -59,12 +62,24 @@ const PLACEMENT_ALIASES = {
   post_purchase: 'post_purchase'
 };
 
+// `dryRun` is set for shadow runs (see placementPipeline.js): the decision is
+// computed as usual but not written to decision logs or rule fire counters.
+// `configOverride` replaces the saved merchant config (config shadow previews).
+// `segments` are the visitor's segment keys (segmentation.js); their merchant
+// overrides are merged into the config before experiment overrides.
+// `excludeProductIds` are left out of the AI candidates (offer fatigue, fatigue.js).
 export async function decideProductOffers({
   shopId,
   productId,
   userId = null,
   limit = DEFAULT_LIMIT,
-  placement = 'product_page'
+  placement = 'product_page',
+  experiment = null,
+  segments = [],
+  excludeProductIds = [],
+  candidates: suppliedCandidates = null,
+  configOverride = null,
+  dryRun = false
 } = {}) {
   if (!shopId || !productId) {
     return { offers: [], meta: { reason: 'missing_inputs' }, sourceProduct: null };
@@ -72,9 +87,9 @@ export async function decideProductOffers({
 
   // Run all independent setup queries in parallel to reduce latency
   const sessionId = userId || null;
-  const [safetyActive, config, merchantContext, placementShift, seenProducts] = await Promise.all([
+  const [safetyActive, baseConfig, merchantContext, placementShift, seenProducts] = await Promise.all([
     getSafetyMode(shopId).catch(() => false),
-    loadConfig(shopId),
+    configOverride ? applySegmentOverrides(configOverride, segments) : loadConfig(shopId, segments),
     getMerchantContext(shopId),
     recommendPlacementShift(shopId).catch(() => null),
     getSeenProductsInSession(shopId, sessionId).catch(() => new Set()),
@@ -86,6 +101,8 @@ export async function decideProductOffers({
     return { offers: [], meta: { reason: 'safety_mode_active', status: 'safety_mode' }, sourceProduct: null };
   }
 
+  // A/B experiment variant knobs (goal, discount cap, offer priority, placements)
+  const config = applyExperimentOverrides(baseConfig, experiment);
   const guardrails = config.guardrails || {};
   const goalConfig = applyOptimizationOverrides(
     config.goalConfig || GOAL_MAPPING[config.goal] || GOAL_MAPPING[DEFAULT_CONFIG.goal],
@@ -148,46 +165,72 @@ export async function decideProductOffers({
     Promise.resolve(new GroqAIEngine())
   ]);
 
-  const recommendations = await aiEngine.findUpsellProducts(
+  // Merchant rules take the first slots — AI only fills what is left
+  const ruleResult = await resolveRuleOffers({
     shopId,
-    productId,
-    effectiveLimit,
-    userId
-  );
+    placement: normalizedPlacement,
+    contextProductIds: [productId],
+    subtotal: null,
+    limit: effectiveLimit,
+    guardrails,
+    aiEngine,
+    dryRun
+  });
+  const aiLimit = effectiveLimit - ruleResult.offers.length;
 
-  const sourceProduct = recommendations?._sourceProduct || null;
-  const sourceProductId = sourceProduct?.productId || productId;
+  let sourceProduct = ruleResult.contextProducts[0] || null;
+  let aiDecision = { offers: [], meta: null };
+  if (aiLimit > 0) {
+    // Callers may supply their own candidate pool (e.g. the secondary placement)
+    const recommendations = Array.isArray(suppliedCandidates)
+      ? suppliedCandidates
+      : await aiEngine.findUpsellProducts(shopId, productId, effectiveLimit, userId, { excludeProductIds });
 
-  // Pre-compute conversion boosts — Pillar 5
-  const candidates = Array.isArray(recommendations) ? recommendations : [];
+    sourceProduct = recommendations?._sourceProduct || sourceProduct;
+    const sourceProductId = sourceProduct?.productId || productId;
 
-  // Inject merchant focus products into candidate pool if not already present
-  await injectFocusProducts(candidates, shopId, merchantContext, sourceProductId);
+    // Pre-compute conversion boosts — Pillar 5
+    const excluded = new Set(excludeProductIds.map(String));
+    const candidates = (Array.isArray(recommendations) ? recommendations : [])
+      .filter((p) => !ruleResult.productIds.has(String(p?.productId)) && !excluded.has(String(p?.productId)));
 
-  const boostMap = {};
-  await Promise.all(candidates.map(async (p) => {
-    boostMap[p.productId] = await getConfidenceBoost(shopId, sourceProductId, p.productId, p.recommendationType).catch(() => 0);
-  }));
+    // Inject merchant focus products into candidate pool if not already present
+    await injectFocusProducts(candidates, shopId, merchantContext, sourceProductId);
+
+    const boostMap = {};
+    await Promise.all(candidates.map(async (p) => {
+      boostMap[p.productId] = await getConfidenceBoost(shopId, sourceProductId, p.productId, p.recommendationType).catch(() => 0);
+    }));
 
-  const { offers, meta } = await decideFromCandidates(candidates, {
+    aiDecision = await decideFromCandidates(candidates, {
+      shopId,
+      config,
+      goalConfig,
+      riskConfig,
+      guardrails,
+      placement: normalizedPlacement,
+      aiEngine,
+      limit: aiLimit,
+      conservativeMode,
+      boostMap,
+      contextKey: 'product',
+      sourceProductId,
+      merchantContext,
+      seenProductIds: seenProducts,
+      contextProductIds: [sourceProductId].filter(Boolean)
+    });
+  }
+
+  const { offers, meta } = combineRuleOffers(ruleResult, aiDecision, {
     shopId,
     config,
     goalConfig,
     riskConfig,
     guardrails,
-    placement: normalizedPlacement,
-    aiEngine,
-    limit: effectiveLimit,
-    conservativeMode,
-    boostMap,
-    contextKey: 'product',
-    sourceProductId,
-    merchantContext,
-    seenProductIds: seenProducts,
-    contextProductIds: [sourceProductId].filter(Boolean)
+    placement: normalizedPlacement
   });
 
-  logDecisionOffers({
+  if (!dryRun) logDecisionOffers({
     shopId,
     contextKey: 'product',
     placement: normalizedPlacement,
@@ -206,7 +249,13 @@ export async function decideCartOffers({
   cartProductIds,
   userId = null,
   limit = DEFAULT_LIMIT,
-  placement = 'cart_drawer'
+  placement = 'cart_drawer',
+  experiment = null,
+  segments = [],
+  excludeProductIds = [],
+  cartSubtotal = null,
+  configOverride = null,
+  dryRun = false
 } = {}) {
   if (!shopId || !Array.isArray(cartProductIds) || cartProductIds.length === 0) {
     return { offers: [], meta: { reason: 'missing_inputs' }, cartProducts: [] };
@@ -214,9 +263,9 @@ export async function decideCartOffers({
 
   // Run all independent setup queries in parallel to reduce latency
   const sessionId = userId || null;
-  const [safetyActive, config, merchantContext, placementShift, seenProducts] = await Promise.all([
+  const [safetyActive, baseConfig, merchantContext, placementShift, seenProducts] = await Promise.all([
     getSafetyMode(shopId).catch(() => false),
-    loadConfig(shopId),
+    configOverride ? applySegmentOverrides(configOverride, segments) : loadConfig(shopId, segments),
     getMerchantContext(shopId),
     recommendPlacementShift(shopId).catch(() => null),
     getSeenProductsInSession(shopId, sessionId).catch(() => new Set()),
@@ -228,6 +277,8 @@ export async function decideCartOffers({
     return { offers: [], meta: { reason: 'safety_mode_active', status: 'safety_mode' }, cartProducts: [] };
   }
 
+  // A/B experiment variant knobs (goal, discount cap, offer priority, placements)
+  const config = applyExperimentOverrides(baseConfig, experiment);
   const guardrails = config.guardrails || {};
   const goalConfig = applyOptimizationOverrides(
     config.goalConfig || GOAL_MAPPING[config.goal] || GOAL_MAPPING[DEFAULT_CONFIG.goal],
@@ -290,48 +341,76 @@ export async function decideCartOffers({
     Promise.resolve(new GroqAIEngine())
   ]);
 
-  const recommendations = await aiEngine.findCartUpsellProducts(
+  // Merchant rules take the first slots — AI only fills what is left
+  const ruleResult = await resolveRuleOffers({
     shopId,
-    cartProductIds,
-    effectiveLimit,
-    userId
-  );
+    placement: normalizedPlacement,
+    contextProductIds: cartProductIds,
+    subtotal: cartSubtotal,
+    limit: effectiveLimit,
+    guardrails,
+    aiEngine,
+    dryRun
+  });
+  const aiLimit = effectiveLimit - ruleResult.offers.length;
 
-  const cartProducts = recommendations?._cartProducts || [];
+  let cartProducts = ruleResult.contextProducts;
+  let aiDecision = { offers: [], meta: null };
+  if (aiLimit > 0) {
+    const recommendations = await aiEngine.findCartUpsellProducts(
+      shopId,
+      cartProductIds,
+      effectiveLimit,
+      userId,
+      { excludeProductIds }
+    );
 
-  // Merchant-approved products: force-include them even if AI didn't pick them
-  const aiCandidates = Array.isArray(recommendations) ? recommendations : [];
+    cartProducts = recommendations?._cartProducts || cartProducts;
 
-  // Inject merchant focus products/collections into candidate pool
-  await injectFocusProducts(aiCandidates, shopId, merchantContext, null);
+    // Merchant-approved products: force-include them even if AI didn't pick them
+    const aiCandidates = (Array.isArray(recommendations) ? recommendations : [])
+      .filter((p) => !ruleResult.productIds.has(String(p?.productId)));
 
-  const mergedCandidates = await mergeApprovedProducts(shopId, 'cart', null, aiCandidates, cartProductIds, guardrails);
+    // Inject merchant focus products/collections into candidate pool
+    await injectFocusProducts(aiCandidates, shopId, merchantContext, null);
 
-  // Pre-compute conversion boosts — Pillar 5
-  const boostMap = {};
-  await Promise.all(mergedCandidates.map(async (p) => {
-    boostMap[p.productId] = await getConfidenceBoost(shopId, null, p.productId, p.recommendationType).catch(() => 0);
-  }));
+    const mergedCandidates = await mergeApprovedProducts(shopId, 'cart', null, aiCandidates, [...cartProductIds, ...ruleResult.productIds], guardrails);
 
-  const { offers, meta } = await decideFromCandidates(mergedCandidates, {
+    // Pre-compute conversion boosts — Pillar 5
+    const boostMap = {};
+    await Promise.all(mergedCandidates.map(async (p) => {
+      boostMap[p.productId] = await getConfidenceBoost(shopId, null, p.productId, p.recommendationType).catch(() => 0);
+    }));
+
+    aiDecision = await decideFromCandidates(mergedCandidates, {
+      shopId,
+      config,
+      goalConfig,
+      riskConfig,
+      guardrails,
+      placement: normalizedPlacement,
+      aiEngine,
+      limit: aiLimit,
+      conservativeMode,
+      boostMap,
+      contextKey: 'cart',
+      sourceProductId: null,
+      merchantContext,
+      seenProductIds: seenProducts,
+      contextProductIds: cartProductIds
+    });
+  }
+
+  const { offers, meta } = combineRuleOffers(ruleResult, aiDecision, {
     shopId,
     config,
     goalConfig,
     riskConfig,
     guardrails,
-    placement: normalizedPlacement,
-    aiEngine,
-    limit: effectiveLimit,
-    conservativeMode,
-    boostMap,
-    contextKey: 'cart',
-    sourceProductId: null,
-    merchantContext,
-    seenProductIds: seenProducts,
-    contextProductIds: cartProductIds
+    placement: normalizedPlacement
   });
 
-  logDecisionOffers({
+  if (!dryRun) logDecisionOffers({
     shopId,
     contextKey: 'cart',
     placement: normalizedPlacement,
@@ -466,10 +545,36 @@ async function decideFromCandidates(candidates, {
       });
     });
   }
-  const base = filtered.length > 0 ? filtered : withConfidence;
+  const confident = filtered.length > 0 ? filtered : withConfidence;
+
+  // Margin floor — unlike the confidence bar this never falls back to the unfiltered list
+  const discountPercent = computeDiscountPercent(guardrails, riskConfig);
+  const base = confident.filter((p) => {
+    const breach = breachesMarginFloor(p, discountPercent, guardrails);
+    if (breach) {
+      logGuardrailEvent(shopId, 'margin_floor', {
+        placement,
+        contextKey,
+        productId: p.productId,
+        productTitle: p.title || null,
+        marginPercent: breach.marginPercent,
+        minMarginPercent: Number(guardrails.minMarginPercent),
+        discountPercent
+      });
+    }
+    return !breach;
+  });
+  if (base.length === 0) {
+    return {
+      offers: [],
+      meta: buildMeta(config, goalConfig, riskConfig, placement, 0, 'margin_floor', { discountPercent })
+    };
+  }
 
+  const marginOf = (p) => computeMarginAfterDiscount(getProductPrice(p), getProductUnitCost(p), discountPercent);
   const maxPrice = Math.max(0, ...base.map(getProductPrice));
   const maxInventory = Math.max(0, ...base.map(getProductInventory));
+  const maxExpectedMargin = Math.max(0, ...base.map((p) => (p._confidence || 0) * (marginOf(p)?.margin ?? 0)));
   const bundleEligibility = await getBundleEligibilityMap({
     shopId,
     sourceProductId,
@@ -481,14 +586,17 @@ async function decideFromCandidates(candidates, {
     const price = getProductPrice(product);
     const inventory = getProductInventory(product);
     const isSubscription = aiEngine.isSubscriptionProduct(product);
-    const bundleEligible = Boolean(bundleEligibility[String(product.productId || product.id)]) || product.recommendationType === 'bundle';
+    const bundleId = bundleEligibility[String(product.productId || product.id)] || null;
+    const bundleEligible = Boolean(bundleId) || product.recommendationType === 'bundle';
     const scoreResult = scoreCandidate(config.goal, {
       confidence: product._confidence,
       price,
       maxPrice,
       inventory,
       maxInventory,
-      isSubscription
+      isSubscription,
+      margin: marginOf(product)?.margin ?? null,
+      maxExpectedMargin
     });
     const controlBoost = getControlBoost(product?._control);
     const contextBoost = getContextBoost(product, merchantContext);
@@ -524,7 +632,8 @@ async function decideFromCandidates(candidates, {
       decisionReason: extraReasons.length > 0
         ? `${scoreResult.reason} • ${extraReasons.join(' • ')}`
         : scoreResult.reason,
-      offerType
+      offerType,
+      ...(offerType === 'bundle' && bundleId ? { bundleId } : {})
     };
   });
 
@@ -537,7 +646,6 @@ async function decideFromCandidates(candidates, {
 
   const conflictResolved = resolveOfferConflicts(scored);
   const limited = conflictResolved.slice(0, limit);
-  const discountPercent = computeDiscountPercent(guardrails, riskConfig);
 
   const offers = limited.map((product) => ({
     ...product,
@@ -552,11 +660,119 @@ async function decideFromCandidates(candidates, {
   };
 }
 
+// ─── Merchant Rules ─────────────────────────────────────────────────────────
+
+/**
+ * Evaluate merchant offer rules for a context and turn the firing rules into
+ * ready-to-serve offers. Rule products still pass guardrail exclusions and the
+ * rule discount is clamped to maxDiscountCap.
+ *
+ * Returns { offers, trace, productIds: Set, contextProducts }.
+ */
+async function resolveRuleOffers({ shopId, placement, contextProductIds, subtotal, limit, guardrails, aiEngine, dryRun = false }) {
+  const empty = { offers: [], trace: [], productIds: new Set(), contextProducts: [] };
+  try {
+    const db = await getDb();
+    const contextProducts = await db.collection(collections.products)
+      .find({ shopId, productId: { $in: contextProductIds.map(Number).filter(Number.isFinite) } })
+      .toArray();
+
+    const { offers: ruleProducts, trace } = await evaluateOfferRules({
+      shopId,
+      placement,
+      contextProducts,
+      subtotal,
+      limit
+    });
+    if (ruleProducts.length === 0) return { ...empty, trace, contextProducts };
+
+    const eligible = aiEngine.filterProductsByGuardrails(ruleProducts, guardrails, new Set(contextProductIds.map(String)));
+    const eligibleIds = new Set(eligible.map((p) => String(p.productId)));
+    for (const blocked of ruleProducts.filter((p) => !eligibleIds.has(String(p.productId)))) {
+      logGuardrailEvent(shopId, 'rule_blocked', { placement, ruleId: blocked.ruleId, productId: blocked.productId });
+      const entry = trace.find((t) => t.ruleId === blocked.ruleId);
+      if (entry) Object.assign(entry, { fired: false, reason: 'guardrail_excluded' });
+    }
+
+    const cap = Number(guardrails?.maxDiscountCap);
+    const offers = eligible
+      .map((product) => {
+        const { ruleDiscountPercent, ...rest } = product;
+        const discountPercent = Number.isFinite(cap) ? Math.min(ruleDiscountPercent, Math.max(0, cap)) : ruleDiscountPercent;
+        return {
+          ...rest,
+          decisionScore: 1,
+          decisionReason: `Merchant rule: ${product.ruleName}`,
+          discountPercent
+        };
+      })
+      .filter((offer) => {
+        const breach = breachesMarginFloor(offer, offer.discountPercent, guardrails);
+        if (!breach) return true;
+        logGuardrailEvent(shopId, 'margin_floor', {
+          placement,
+          ruleId: offer.ruleId,
+          productId: offer.productId,
+          marginPercent: breach.marginPercent,
+          minMarginPercent: Number(guardrails.minMarginPercent),
+          discountPercent: offer.discountPercent
+        });
+        const entry = trace.find((t) => t.ruleId === offer.ruleId);
+        if (entry) Object.assign(entry, { fired: false, reason: 'margin_floor' });
+        return false;
+      });
+
+    if (offers.length > 0) {
+      console.log(`📐 Merchant rules fired for ${placement}: ${offers.map((o) => o.ruleName).join(', ')}`);
+      if (!dryRun) recordRuleFires(shopId, offers.map((o) => o.ruleId));
+    }
+
+    return {
+      offers,
+      trace,
+      productIds: new Set(offers.map((o) => String(o.productId))),
+      contextProducts
+    };
+  } catch (err) {
+    console.warn('⚠️ resolveRuleOffers failed:', err.message);
+    return empty;
+  }
+}
+
+/**
+ * Put rule offers ahead of AI offers and record the rule trace in meta.
+ */
+function combineRuleOffers(ruleResult, aiDecision, { config, goalConfig, riskConfig, guardrails, placement }) {
+  const ruleTrace = ruleResult.trace || [];
+  if (ruleResult.offers.length === 0) {
+    const meta = aiDecision.meta || buildMeta(config, goalConfig, riskConfig, placement, 0, 'no_candidates');
+    return { offers: aiDecision.offers, meta: ruleTrace.length > 0 ? { ...meta, rules: ruleTrace } : meta };
+  }
+
+  const offers = [...ruleResult.offers, ...aiDecision.offers];
+  const baseMeta = aiDecision.meta?.status === 'ok'
+    ? aiDecision.meta
+    : buildMeta(config, goalConfig, riskConfig, placement, 0, 'ok', {
+        discountPercent: computeDiscountPercent(guardrails, riskConfig)
+      });
+
+  return {
+    offers,
+    meta: {
+      ...baseMeta,
+      status: 'ok',
+      count: offers.length,
+      ruleOffers: ruleResult.offers.length,
+      rules: ruleTrace
+    }
+  };
+}
+
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
-async function loadConfig(shopId) {
+async function loadConfig(shopId, segments = []) {
   try {
-    return await getMerchantConfig(shopId);
+    return applySegmentOverrides(await getMerchantConfig(shopId), segments);
   } catch (err) {
     return {
       shopId,
@@ -593,6 +809,16 @@ function applyOptimizationOverrides(goalConfig, optimization) {
   };
 }
 
+// Bundles with a native parent product win, so the Cart Transform can merge the accepted offer
+function pickBundleId(current, bundle) {
+  if (current && !bundle.nativeProduct?.variantId) return current;
+  return String(bundle._id);
+}
+
+/**
+ * Map of candidate productId → id of an active bundle it shares with the
+ * source product (or cart). Truthy values mark bundle eligibility.
+ */
 async function getBundleEligibilityMap({
   shopId,
   sourceProductId = null,
@@ -625,7 +851,7 @@ async function getBundleEligibilityMap({
         for (const pid of bundle.productIds || []) {
           const key = String(pid);
           if (candidateSet.has(key) && key !== sourceId) {
-            map[key] = true;
+            map[key] = pickBundleId(map[key], bundle);
           }
         }
       }
@@ -650,7 +876,7 @@ async function getBundleEligibilityMap({
       for (const pid of bundle.productIds || []) {
         const key = String(pid);
         if (candidateSet.has(key) && !contextIds.includes(key)) {
-          map[key] = true;
+          map[key] = pickBundleId(map[key], bundle);
         }
       }
     }
@@ -721,7 +947,43 @@ function getProductInventory(product) {
   }, 0);
 }
 
-function scoreCandidate(goal, { confidence, price, maxPrice, inventory, maxInventory, isSubscription }) {
+// Unit cost of the first variant that has one (Shopify inventoryItem.unitCost);
+// null when the merchant has not entered costs.
+function getProductUnitCost(product) {
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  for (const v of variants) {
+    if (v?.unitCost == null) continue;
+    const cost = Number(v.unitCost);
+    if (Number.isFinite(cost) && cost >= 0) return cost;
+  }
+  return null;
+}
+
+/**
+ * Contribution margin per unit once the offer discount is applied.
+ * Returns { margin, marginPercent } (percent of the discounted price), or
+ * null when price or unit cost is unknown.
+ */
+function computeMarginAfterDiscount(price, unitCost, discountPercent) {
+  if (unitCost == null || !(price > 0)) return null;
+  const netPrice = price * (1 - (Number(discountPercent) || 0) / 100);
+  const margin = netPrice - unitCost;
+  return {
+    margin: Math.round(margin * 100) / 100,
+    marginPercent: netPrice > 0 ? Math.round((margin / netPrice) * 1000) / 10 : -100
+  };
+}
+
+// Margin guardrail: returns the margin when it falls below guardrails.minMarginPercent.
+// Products without a unit cost cannot be checked and always pass.
+function breachesMarginFloor(product, discountPercent, guardrails) {
+  const floor = Number(guardrails?.minMarginPercent);
+  if (!Number.isFinite(floor) || floor <= 0) return null;
+  const margin = computeMarginAfterDiscount(getProductPrice(product), getProductUnitCost(product), discountPercent);
+  return margin && margin.marginPercent < floor ? margin : null;
+}
+
+function scoreCandidate(goal, { confidence, price, maxPrice, inventory, maxInventory, isSubscription, margin = null, maxExpectedMargin = 0 }) {
   const conf = Number.isFinite(confidence) ? confidence : 0.5;
   const priceScore = maxPrice > 0 ? price / maxPrice : 0;
   const inventoryScore = maxInventory > 0 ? inventory / maxInventory : 0;
@@ -755,6 +1017,21 @@ function scoreCandidate(goal, { confidence, price, maxPrice, inventory, maxInven
     };
   }
 
+  // Expected contribution margin (acceptance × margin after discount), relative to the best candidate
+  if (goal === 'maximize_profit') {
+    if (margin == null) {
+      return { score: roundToThree(conf * 0.5), reason: 'Unit cost unknown — ranked on acceptance' };
+    }
+    if (margin <= 0) {
+      return { score: 0, reason: 'No margin after discount' };
+    }
+    const marginScore = maxExpectedMargin > 0 ? (conf * margin) / maxExpectedMargin : 0;
+    return {
+      score: roundToThree(marginScore),
+      reason: marginScore >= 0.6 ? 'High expected margin after discount' : 'Positive margin after discount'
+    };
+  }
+
   return { score: roundToThree(conf), reason: 'Likely to convert' };
 }
 
@@ -800,12 +1077,16 @@ function buildMeta(config, goalConfig, riskConfig, placement, count, status, ext
     maxOfferFrequency: riskConfig?.maxOfferFrequency ?? null,
     offerPriority: goalConfig?.offerPriority || [],
     placementBias: goalConfig?.placementBias || null,
+    experiment: config?.experiment || null,
+    segments: config?.segments || [],
+    segmentOverrides: config?.segmentOverrides || [],
     guardrails: {
       maxDiscountCap: config?.guardrails?.maxDiscountCap ?? null,
       inventoryMinThreshold: config?.guardrails?.inventoryMinThreshold ?? null,
       sessionOfferLimit: config?.guardrails?.sessionOfferLimit ?? null,
       premiumSkuProtection: config?.guardrails?.premiumSkuProtection ?? null,
-      subscriptionProtection: config?.guardrails?.subscriptionProtection ?? null
+      subscriptionProtection: config?.guardrails?.subscriptionProtection ?? null,
+      minMarginPercent: config?.guardrails?.minMarginPercent ?? null
     },
     ...extra
   };
@@ -7,6 +7,14 @@
  * 3. Autonomous performance tracking + auto-pause underperformers
  * 4. Context-aware placement + incentive tuning
  * 5. Explainability + decision tracing
+ *
+ * Offers come back in the same shape as decisionEngine.js (offerType,
+ * discountPercent, decisionScore, sourceProduct / cartProducts) so either
+ * engine can serve a placement through placementPipeline.js. `dryRun` skips
+ * decision logging for shadow runs; `configOverride` replaces the saved
+ * merchant config (config shadow previews). `segments` merge the visitor's
+ * per-segment merchant overrides into the config (segmentation.js).
+ * `excludeProductIds` are left out of the AI candidates (offer fatigue).
  */
 
 import { getMerchantConfig, DEFAULT_CONFIG } from './merchantConfig.js';
@@ -14,6 +22,8 @@ import { GOAL_MAPPING, RISK_MAPPING } from '../../app/shared/merchantConfig.shar
 import { GroqAIEngine } from './groqAIEngine.js';
 import { getDb, collections } from '../database/mongodb.js';
 import { getSafetyMode } from './safetyMode.js';
+import { applyExperimentOverrides } from './experimentService.js';
+import { applySegmentOverrides } from './segmentation.js';
 import {
   getMerchantContext,
   getOfferControlMap,
@@ -57,7 +67,13 @@ export async function decideProductOffers({
   productId,
   userId = null,
   limit = 4,
-  placement = 'product_page'
+  placement = 'product_page',
+  experiment = null,
+  segments = [],
+  excludeProductIds = [],
+  candidates: suppliedCandidates = null,
+  configOverride = null,
+  dryRun = false
 } = {}) {
   const startTime = Date.now();
   const trace = [];
@@ -80,17 +96,18 @@ export async function decideProductOffers({
     trace.push({ step: 'safety_check', status: 'ok' });
 
     // 2. Load config + guardrails
-    const [config, merchantContext, offerControls] = await Promise.all([
-      getMerchantConfig(shopId),
+    const [baseConfig, merchantContext, offerControls] = await Promise.all([
+      configOverride || getMerchantConfig(shopId),
       getMerchantContext(shopId),
       getOfferControlMap(shopId, [])
     ]);
+    const config = applyExperimentOverrides(applySegmentOverrides(baseConfig, segments), experiment);
 
     const normalizedPlacement = PLACEMENT_ALIASES[placement] || placement;
     trace.push({ step: 'config_load', status: 'ok', placement: normalizedPlacement });
 
     // 3. Check placement allowed by risk config
-    const riskConfig = RISK_MAPPING[config.riskTolerance] || RISK_MAPPING.moderate;
+    const riskConfig = config.riskConfig || RISK_MAPPING[config.riskTolerance] || RISK_MAPPING.moderate;
     if (!isPlacementAllowed(normalizedPlacement, riskConfig)) {
       trace.push({ step: 'placement_check', status: 'blocked', reason: 'risk_config_blocks_placement' });
       return failureResponse('placement_blocked_by_risk', trace);
@@ -99,9 +116,13 @@ export async function decideProductOffers({
     trace.push({ step: 'placement_check', status: 'ok' });
 
     // 4. Get AI recommendations
-    const aiEngine = new GroqAIEngine();
-    const recommendations = await aiEngine.findUpsellProducts(shopId, productId, limit, userId);
-    const candidates = Array.isArray(recommendations) ? recommendations : [];
+    const recommendations = Array.isArray(suppliedCandidates)
+      ? suppliedCandidates
+      : await new GroqAIEngine().findUpsellProducts(shopId, productId, limit, userId, { excludeProductIds });
+    const excluded = new Set(excludeProductIds.map(String));
+    const candidates = (Array.isArray(recommendations) ? recommendations : [])
+      .filter((p) => !excluded.has(String(p?.productId)));
+    const sourceProduct = recommendations?._sourceProduct || null;
 
     trace.push({ 
       step: 'ai_recommendations', 
@@ -152,8 +173,9 @@ export async function decideProductOffers({
     });
 
     // 8. Add explainability
+    const discountPercent = computeDiscountPercent(config.guardrails, riskConfig);
     const offers = stacked.map((offer, idx) => ({
-      ...offer,
+      ...toServableOffer(offer, discountPercent),
       rank: idx + 1,
       explainability: buildExplainability(offer),
       trace: buildOfferTrace(offer)
@@ -161,21 +183,34 @@ export async function decideProductOffers({
 
     trace.push({ step: 'explainability', status: 'ok' });
 
-    return {
-      success: true,
-      offers,
-      meta: {
-        status: 'ok',
-        placement: normalizedPlacement,
-        source: 'product_page',
-        count: offers.length,
-        goal: config.goal,
-        riskTolerance: config.riskTolerance,
-        executionMs: Date.now() - startTime,
-        trace
-      }
+    const meta = {
+      status: 'ok',
+      placement: normalizedPlacement,
+      source: 'product_page',
+      count: offers.length,
+      goal: config.goal,
+      riskTolerance: config.riskTolerance,
+      discountPercent,
+      experiment: config.experiment || null,
+      segments: config.segments || [],
+      segmentOverrides: config.segmentOverrides || [],
+      executionMs: Date.now() - startTime,
+      trace
     };
 
+    if (!dryRun) logDecisionOffers({
+      shopId,
+      contextKey: 'product',
+      placement: normalizedPlacement,
+      sourceProduct,
+      cartProducts: [],
+      offers,
+      meta,
+      merchantContext
+    });
+
+    return { success: true, offers, meta, sourceProduct };
+
   } catch (error) {
     console.error('❌ decideProductOffers failed:', error);
     trace.push({ step: 'error', status: 'failed', reason: error.message });
@@ -191,7 +226,12 @@ export async function decideCartOffers({
   cartProductIds,
   userId = null,
   limit = 4,
-  placement = 'cart_drawer'
+  placement = 'cart_drawer',
+  experiment = null,
+  segments = [],
+  excludeProductIds = [],
+  configOverride = null,
+  dryRun = false
 } = {}) {
   const startTime = Date.now();
   const trace = [];
@@ -212,17 +252,18 @@ export async function decideCartOffers({
     }
 
     // Load config
-    const [config, merchantContext, offerControls] = await Promise.all([
-      getMerchantConfig(shopId),
+    const [baseConfig, merchantContext, offerControls] = await Promise.all([
+      configOverride || getMerchantConfig(shopId),
       getMerchantContext(shopId),
       getOfferControlMap(shopId, [])
     ]);
+    const config = applyExperimentOverrides(applySegmentOverrides(baseConfig, segments), experiment);
 
     const normalizedPlacement = PLACEMENT_ALIASES[placement] || placement;
     trace.push({ step: 'config_load', status: 'ok' });
 
     // Placement check
-    const riskConfig = RISK_MAPPING[config.riskTolerance] || RISK_MAPPING.moderate;
+    const riskConfig = config.riskConfig || RISK_MAPPING[config.riskTolerance] || RISK_MAPPING.moderate;
     if (!isPlacementAllowed(normalizedPlacement, riskConfig)) {
       trace.push({ step: 'placement_check', status: 'blocked' });
       return failureResponse('placement_blocked_by_risk', trace);
@@ -234,9 +275,11 @@ export async function decideCartOffers({
       shopId,
       cartProductIds,
       limit,
-      userId
+      userId,
+      { excludeProductIds }
     );
     const candidates = Array.isArray(recommendations) ? recommendations : [];
+    const cartProducts = recommendations?._cartProducts || [];
 
     trace.push({ step: 'ai_recommendations', status: 'ok', count: candidates.length });
 
@@ -272,8 +315,9 @@ export async function decideCartOffers({
     const stacked = await stackCompatibleOffers(resolved, { shopId, sourceProductId: null });
 
     // Explainability
+    const discountPercent = computeDiscountPercent(config.guardrails, riskConfig);
     const offers = stacked.map((offer, idx) => ({
-      ...offer,
+      ...toServableOffer(offer, discountPercent),
       rank: idx + 1,
       explainability: buildExplainability(offer),
       trace: buildOfferTrace(offer)
@@ -281,21 +325,34 @@ export async function decideCartOffers({
 
     trace.push({ step: 'finalization', status: 'ok' });
 
-    return {
-      success: true,
-      offers,
-      meta: {
-        status: 'ok',
-        placement: normalizedPlacement,
-        source: 'cart',
-        count: offers.length,
-        goal: config.goal,
-        riskTolerance: config.riskTolerance,
-        executionMs: Date.now() - startTime,
-        trace
-      }
+    const meta = {
+      status: 'ok',
+      placement: normalizedPlacement,
+      source: 'cart',
+      count: offers.length,
+      goal: config.goal,
+      riskTolerance: config.riskTolerance,
+      discountPercent,
+      experiment: config.experiment || null,
+      segments: config.segments || [],
+      segmentOverrides: config.segmentOverrides || [],
+      executionMs: Date.now() - startTime,
+      trace
     };
 
+    if (!dryRun) logDecisionOffers({
+      shopId,
+      contextKey: 'cart',
+      placement: normalizedPlacement,
+      sourceProduct: null,
+      cartProducts,
+      offers,
+      meta,
+      merchantContext
+    });
+
+    return { success: true, offers, meta, cartProducts };
+
   } catch (error) {
     console.error('❌ decideCartOffers failed:', error);
     trace.push({ step: 'error', status: 'failed', reason: error.message });
@@ -879,6 +936,31 @@ function isPlacementAllowed(placement, riskConfig) {
   return allowedPlacements.includes(placement);
 }
 
+/**
+ * Same discount rule as decisionEngine.js: the merchant cap scaled by the
+ * risk profile's multiplier.
+ */
+function computeDiscountPercent(guardrails, riskConfig) {
+  const cap = Number(guardrails?.maxDiscountCap);
+  if (!Number.isFinite(cap) || cap <= 0) return 0;
+  const multiplier = Number(riskConfig?.discountMultiplier);
+  const raw = cap * (Number.isFinite(multiplier) ? multiplier : 1);
+  return Math.round(Math.max(0, Math.min(cap, raw)) * 100) / 100;
+}
+
+/**
+ * Fill the fields the storefront routes read from a decision offer.
+ */
+function toServableOffer(offer, discountPercent) {
+  return {
+    ...offer,
+    offerType: offer.offerType || 'addon_upsell',
+    discountPercent: offer.discountPercent ?? discountPercent,
+    decisionScore: parseFloat((offer._score || 0).toFixed(3)),
+    decisionReason: (offer._scoreReasons || []).join(' • ') || null
+  };
+}
+
 function failureResponse(reason, trace) {
   return {
     success: false,
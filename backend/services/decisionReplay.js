@@ -0,0 +1,328 @@
+/**
+ * Decision Replay — reproduce engine decisions offline
+ *
+ * Provides:
+ *   - captureSnapshot(shopId, opts)            — copy a shop's engine inputs out of MongoDB
+ *   - readSnapshotFile(path) / writeSnapshotFile(path, snapshot) — JSON fixtures (Extended JSON)
+ *   - loadSnapshot(snapshot, opts)             — restore a snapshot into a scratch database
+ *   - getReplayRequests(snapshot, opts)        — recorded live requests from decision_logs
+ *   - replayDecisions(snapshot, opts)          — re-decide them and diff offers, scores and trace
+ *
+ * A snapshot holds everything the engines read for one shop: products and
+ * their embeddings, merchant config, merchant context, offer controls, offer
+ * rules, bundles, safety mode and recent events, plus the recorded
+ * `decision_logs` requests and recorded LLM replies (`llmRecordings`).
+ *
+ * Replays run against a scratch database, never the live one. Dates are
+ * shifted by the time since capture so "last N days" windows see the same
+ * events they saw then. Every LLM call is answered by RecordedProvider
+ * (llmProvider.js): recorded replies are replayed as-is, misses fall back to
+ * the mock provider — or, with `record`, go to the shop's real provider and
+ * are added to the snapshot. Requests run in dry-run mode, so nothing is
+ * logged or counted.
+ *
+ * Only the CLI (replay-decisions.js) should call loadSnapshot(): it repoints
+ * the process-wide database handle, which must never happen in the app server.
+ */
+
+import fs from 'node:fs/promises';
+import { BSON } from 'mongodb';
+import { getDb, switchDatabase, collections } from '../database/mongodb.js';
+import { switchDatabase as switchConnectionDatabase } from '../database/connection.js';
+import { RecordedProvider, createLLMProvider, normalizeLLMSettings, setLLMProviderOverride } from './llmProvider.js';
+import { resetRecommendationState } from './groqAIEngine.js';
+import { clearVisitorProfiles } from './visitorProfiles.js';
+import { runEngine, diffDecisions } from './placementPipeline.js';
+import { findSecondaryCandidates } from './secondaryCandidates.js';
+import { summarizeTrace } from './configShadow.js';
+import { DEFAULT_CONFIG } from './merchantConfig.js';
+
+const SNAPSHOT_VERSION = 1;
+const LIVE_DB_NAME = 'ai-upsell';
+export const REPLAY_DB_NAME = process.env.REPLAY_DB_NAME || 'ai-upsell-replay';
+
+// Scores are rounded to 3 places by the engines — anything smaller is noise
+const SCORE_TOLERANCE = 0.001;
+
+// Everything decideProductOffers / decideCartOffers read, by owning field
+const SNAPSHOT_COLLECTIONS = [
+  { name: collections.products, shopField: 'shopId' },
+  { name: collections.productEmbeddings, shopField: 'shopId' },
+  { name: collections.merchantConfig, shopField: 'shopId' },
+  { name: collections.merchantIntelligence, shopField: 'shopId' },
+  { name: collections.offerControls, shopField: 'shopId' },
+  { name: collections.offerRules, shopField: 'shopId' },
+  { name: collections.bundles, shopField: 'shopId' },
+  { name: 'safety_mode', shopField: 'shopId' },
+  { name: collections.upsellEvents, shopField: 'shopId', timeField: 'timestamp' },
+  { name: collections.purchaseEvents, shopField: 'shopId', timeField: 'timestamp' },
+  { name: collections.productTimeEvents, shopField: 'shop', timeField: 'recordedAt' },
+  { name: collections.cartTimeEvents, shopField: 'shop', timeField: 'recordedAt' }
+];
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+
+/**
+ * captureSnapshot(shopId, { days = 30, decisionLimit = 500 })
+ *
+ * Reads from the live database. Events are limited to the last `days`;
+ * decision logs to the newest `decisionLimit` live (non-shadow) entries.
+ */
+export async function captureSnapshot(shopId, { days = 30, decisionLimit = 500 } = {}) {
+  if (!shopId) throw new Error('shopId is required');
+  const db = await getDb();
+  const capturedAt = new Date();
+  const since = new Date(capturedAt.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    shopId,
+    capturedAt,
+    collections: {},
+    llmRecordings: []
+  };
+
+  for (const spec of SNAPSHOT_COLLECTIONS) {
+    const query = { [spec.shopField]: shopId };
+    if (spec.timeField) query[spec.timeField] = { $gte: since };
+    snapshot.collections[spec.name] = await db.collection(spec.name).find(query).toArray();
+  }
+
+  snapshot.collections[collections.decisionLogs] = await db.collection(collections.decisionLogs)
+    .find({ shopId, mode: { $ne: 'shadow' } })
+    .sort({ timestamp: -1 })
+    .limit(decisionLimit)
+    .toArray();
+
+  const counts = Object.entries(snapshot.collections).map(([name, docs]) => `${name}=${docs.length}`);
+  console.log(`📸 Captured ${shopId}: ${counts.join(', ')}`);
+  return snapshot;
+}
+
+export async function readSnapshotFile(path) {
+  const snapshot = BSON.EJSON.parse(await fs.readFile(path, 'utf8'));
+  if (snapshot?.version !== SNAPSHOT_VERSION || !snapshot.shopId) {
+    throw new Error(`${path} is not a decision replay snapshot (version ${SNAPSHOT_VERSION})`);
+  }
+  snapshot.collections = snapshot.collections || {};
+  snapshot.llmRecordings = snapshot.llmRecordings || [];
+  return snapshot;
+}
+
+export async function writeSnapshotFile(path, snapshot) {
+  await fs.writeFile(path, BSON.EJSON.stringify(snapshot, null, 2, { relaxed: true }));
+}
+
+function shiftDates(value, offsetMs) {
+  if (value instanceof Date) return new Date(value.getTime() + offsetMs);
+  if (Array.isArray(value)) return value.map((v) => shiftDates(v, offsetMs));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shiftDates(v, offsetMs)]));
+  }
+  return value;
+}
+
+/**
+ * loadSnapshot(snapshot, { dbName })
+ *
+ * Replaces the shop's documents in the scratch database with the snapshot's
+ * and points both database modules at it for the rest of the process.
+ */
+export async function loadSnapshot(snapshot, { dbName = REPLAY_DB_NAME } = {}) {
+  if (!dbName || dbName === LIVE_DB_NAME) {
+    throw new Error(`Refusing to load a snapshot into the live database (${LIVE_DB_NAME})`);
+  }
+
+  const db = await switchDatabase(dbName);
+  await switchConnectionDatabase(dbName);
+  const offsetMs = Date.now() - new Date(snapshot.capturedAt).getTime();
+  const specs = [
+    ...SNAPSHOT_COLLECTIONS,
+    { name: collections.decisionLogs, shopField: 'shopId' }
+  ];
+
+  for (const spec of specs) {
+    const docs = snapshot.collections[spec.name] || [];
+    await db.collection(spec.name).deleteMany({ [spec.shopField]: snapshot.shopId });
+    if (docs.length > 0) {
+      await db.collection(spec.name).insertMany(docs.map((doc) => shiftDates(doc, offsetMs)), { ordered: false });
+    }
+  }
+
+  console.log(`📦 Loaded ${snapshot.shopId} into ${dbName} (dates shifted ${Math.round(offsetMs / 3600000)}h)`);
+  return db;
+}
+
+// ─── Replay ───────────────────────────────────────────────────────────────────
+
+/**
+ * getReplayRequests(snapshot, { placement, limit })
+ *
+ * Recorded live decisions, oldest first, optionally for one placement.
+ */
+export function getReplayRequests(snapshot, { placement = null, limit = null } = {}) {
+  const logs = (snapshot.collections[collections.decisionLogs] || [])
+    .filter((log) => log.mode !== 'shadow')
+    .filter((log) => !placement || log.placement === placement)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return limit ? logs.slice(-limit) : logs;
+}
+
+function summarizeOffers(offers) {
+  return (offers || []).map((offer) => ({
+    productId: String(offer.productId),
+    offerType: offer.offerType || null,
+    discountPercent: Number(offer.discountPercent) || 0,
+    decisionScore: Number.isFinite(Number(offer.decisionScore)) ? Number(offer.decisionScore) : null
+  }));
+}
+
+function diffScores(recorded, replayed) {
+  const replayedById = new Map(replayed.map((o) => [o.productId, o]));
+  return recorded
+    .map((offer) => {
+      const other = replayedById.get(offer.productId);
+      if (!other || offer.decisionScore == null || other.decisionScore == null) return null;
+      const delta = Math.round((other.decisionScore - offer.decisionScore) * 1000) / 1000;
+      return Math.abs(delta) > SCORE_TOLERANCE
+        ? { productId: offer.productId, recorded: offer.decisionScore, replayed: other.decisionScore, delta }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+function diffTrace(recorded = [], replayed = []) {
+  const byStep = (steps) => new Map(steps.map((s) => [s.step, s]));
+  const recordedSteps = byStep(recorded);
+  const replayedSteps = byStep(replayed);
+  const order = [...new Set([...recorded.map((s) => s.step), ...replayed.map((s) => s.step)])];
+
+  return order
+    .map((step) => {
+      const before = recordedSteps.get(step) || null;
+      const after = replayedSteps.get(step) || null;
+      const same = before && after && before.status === after.status && (before.count ?? null) === (after.count ?? null);
+      return same ? null : { step, recorded: before, replayed: after };
+    })
+    .filter(Boolean);
+}
+
+async function replayOne(log, engineVersion) {
+  const request = {
+    shopId: log.shopId,
+    placement: log.placement,
+    productId: log.productId,
+    cartProductIds: log.cartProductIds || [],
+    userId: log.userId || null,
+    limit: log.limit ?? 4,
+    experiment: null,
+    segments: log.segments || [],
+    excludeProductIds: log.excludeProductIds || [],
+    cartSubtotal: log.cartSubtotal ?? null
+  };
+  const version = engineVersion || log.engineVersion || DEFAULT_CONFIG.engine.version;
+
+  // Each request starts cold — no recommendation cache or visitor profiles from the previous one
+  resetRecommendationState();
+  await clearVisitorProfiles(request.shopId);
+  const candidates = request.placement === 'secondary' && request.productId
+    ? await findSecondaryCandidates(request.shopId, request.productId, request.limit)
+    : null;
+  const decision = await runEngine(version, request, { candidates, dryRun: true });
+
+  const recorded = {
+    status: log.status || null,
+    offers: (log.offers || []).map((o) => ({ ...o, productId: String(o.productId) })),
+    trace: log.trace || []
+  };
+  const replayed = {
+    status: decision?.meta?.status || decision?.meta?.reason || null,
+    offers: summarizeOffers(decision?.offers),
+    trace: summarizeTrace(decision?.meta)
+  };
+
+  const offers = diffDecisions(recorded, replayed);
+  const scoreChanges = diffScores(recorded.offers, replayed.offers);
+  const traceChanges = diffTrace(recorded.trace, replayed.trace);
+  const statusChanged = recorded.status !== replayed.status;
+
+  return {
+    requestId: log.requestId || null,
+    timestamp: log.timestamp,
+    placement: request.placement,
+    productId: request.productId,
+    cartProductIds: request.cartProductIds,
+    engineVersion: version,
+    recorded,
+    replayed,
+    diff: { offers, scoreChanges, traceChanges, statusChanged },
+    changed: !offers.identical || scoreChanges.length > 0 || traceChanges.length > 0 || statusChanged
+  };
+}
+
+/**
+ * replayDecisions(snapshot, { engineVersion, placement, limit, record, dbName })
+ *
+ * Loads the snapshot, replays its recorded requests and diffs each against
+ * what was recorded. `engineVersion` forces v1/v2 for every request (default:
+ * the version each request was decided with).
+ */
+export async function replayDecisions(snapshot, {
+  engineVersion = null,
+  placement = null,
+  limit = null,
+  record = false,
+  dbName = REPLAY_DB_NAME
+} = {}) {
+  const requests = getReplayRequests(snapshot, { placement, limit });
+  if (requests.length === 0) {
+    return { success: false, error: 'Snapshot has no recorded live decisions to replay' };
+  }
+
+  await loadSnapshot(snapshot, { dbName });
+
+  const llmSettings = snapshot.collections[collections.merchantConfig]?.[0]?.llm || {};
+  const provider = new RecordedProvider({
+    recordings: snapshot.llmRecordings,
+    upstream: record ? createLLMProvider(llmSettings) : null,
+    embeddingModel: normalizeLLMSettings(llmSettings).embeddingModel
+  });
+  setLLMProviderOverride(provider);
+
+  const results = [];
+  try {
+    for (const log of requests) {
+      try {
+        results.push(await replayOne(log, engineVersion));
+      } catch (err) {
+        console.error(`❌ Replay failed for request ${log.requestId}:`, err);
+        results.push({ requestId: log.requestId || null, placement: log.placement, error: err.message, changed: true });
+      }
+    }
+  } finally {
+    setLLMProviderOverride(null);
+  }
+
+  const changed = results.filter((r) => r.changed).length;
+  return {
+    success: true,
+    shopId: snapshot.shopId,
+    capturedAt: snapshot.capturedAt,
+    engineVersion: engineVersion || 'recorded',
+    total: results.length,
+    identical: results.length - changed,
+    changed,
+    errors: results.filter((r) => r.error).length,
+    llm: provider.stats,
+    results
+  };
+}
+
+export const decisionReplay = {
+  captureSnapshot,
+  readSnapshotFile,
+  writeSnapshotFile,
+  loadSnapshot,
+  getReplayRequests,
+  replayDecisions
+};
@@ -0,0 +1,125 @@
+/**
+ * Discount Function Config — server-side settings read by the upsell-discount Function
+ *
+ * Provides:
+ *   - buildDiscountFunctionConfig(config, opts)   — metafield payload from merchant config
+ *   - syncDiscountFunctionConfig(shopId, { admin }) — write it to the shop metafield
+ *
+ * The Function reads the `$app:ai-upsell.discount-config` shop metafield:
+ *   - maxDiscountCap — every line discount is clamped to it. While an
+ *                      experiment is running this is the highest cap of the
+ *                      shop and its variants, so a variant's higher cap is not
+ *                      cut off; each line is still held to its signed percent.
+ *   - tokenSecret    — offer tokens (see offerTokens.js) are verified with it;
+ *                      lines without a valid token (or shops without a
+ *                      secret yet) get no discount
+ * Only the app can read or write that namespace, so a tampered cart cannot
+ * exceed the cap or forge a token.
+ */
+
+import { getMerchantConfig } from './merchantConfig.js';
+import { getOfferTokenSecret } from './offerTokens.js';
+import { getRunningExperiment } from './experimentService.js';
+
+export const DISCOUNT_CONFIG_NAMESPACE = '$app:ai-upsell';
+export const DISCOUNT_CONFIG_KEY = 'discount-config';
+
+// Last payload written per shop — skips redundant metafield writes
+const _lastSynced = new Map();
+
+// Highest maxDiscountCap a variant of the running experiment may apply, or null
+function experimentDiscountCap(experiment) {
+  const caps = (experiment?.variants || [])
+    .map((v) => v?.overrides?.maxDiscountCap)
+    .filter((cap) => cap != null && Number.isFinite(Number(cap)))
+    .map(Number);
+  return caps.length > 0 ? Math.max(...caps) : null;
+}
+
+export function buildDiscountFunctionConfig(config, { tokenSecret = null, experiment = null } = {}) {
+  const shopCap = Number(config?.guardrails?.maxDiscountCap);
+  const variantCap = experimentDiscountCap(experiment);
+  const cap = Math.max(Number.isFinite(shopCap) ? shopCap : 0, variantCap ?? 0);
+  return {
+    maxDiscountCap: Math.max(0, Math.min(90, cap)),
+    ...(tokenSecret ? { tokenSecret } : {})
+  };
+}
+
+// Offline admin client, for callers outside a request (config saves from jobs)
+async function getOfflineAdmin(shopId) {
+  const { unauthenticated } = await import('../../app/shopify.server.js');
+  const { admin } = await unauthenticated.admin(shopId);
+  return admin;
+}
+
+/**
+ * syncDiscountFunctionConfig(shopId, { admin, force })
+ *
+ * Writes the current merchant config to the Function's shop metafield.
+ * Pass the request's `admin` when available; otherwise the shop's offline
+ * session is used. Also called when an experiment starts or stops.
+ * Never throws — returns { success, skipped?, error? }.
+ */
+export async function syncDiscountFunctionConfig(shopId, { admin = null, force = false } = {}) {
+  if (!shopId) return { success: false, error: 'Missing shopId' };
+
+  try {
+    const [config, tokenSecret, experiment] = await Promise.all([
+      getMerchantConfig(shopId),
+      getOfferTokenSecret(shopId, { syncOnCreate: false }),
+      getRunningExperiment(shopId)
+    ]);
+    const payload = buildDiscountFunctionConfig(config, { tokenSecret, experiment });
+    const value = JSON.stringify(payload);
+    if (!force && _lastSynced.get(shopId) === value) {
+      return { success: true, skipped: true };
+    }
+
+    const client = admin || await getOfflineAdmin(shopId);
+    const shopRes = await client.graphql(`#graphql
+      query ShopId { shop { id } }`);
+    const shopData = await shopRes.json();
+    const ownerId = shopData.data?.shop?.id;
+    if (!ownerId) return { success: false, error: 'Shop id unavailable' };
+
+    const res = await client.graphql(
+      `#graphql
+      mutation SetDiscountConfig($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        variables: {
+          metafields: [{
+            ownerId,
+            namespace: DISCOUNT_CONFIG_NAMESPACE,
+            key: DISCOUNT_CONFIG_KEY,
+            type: 'json',
+            value
+          }]
+        }
+      }
+    );
+    const data = await res.json();
+    const userErrors = data.data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length > 0) {
+      console.warn(`[Discount] Config metafield rejected for ${shopId}:`, userErrors[0]?.message || userErrors);
+      return { success: false, error: userErrors[0]?.message || 'metafieldsSet failed' };
+    }
+
+    _lastSynced.set(shopId, value);
+    console.log(`[Discount] Function config synced for ${shopId} (cap ${payload.maxDiscountCap}%)`);
+    return { success: true };
+  } catch (err) {
+    console.warn(`[Discount] syncDiscountFunctionConfig failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+export const discountFunctionConfig = {
+  buildDiscountFunctionConfig,
+  syncDiscountFunctionConfig
+};
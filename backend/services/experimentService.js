@@ -0,0 +1,702 @@
+/**
+ * Experiment Service — A/B testing over merchant config knobs
+ *
+ * Provides:
+ *   - createExperiment(shopId, input)          — draft a new experiment
+ *   - updateExperiment(shopId, testId, input)  — edit a draft
+ *   - startExperiment / stopExperiment / archiveExperiment — lifecycle
+ *   - listExperiments(shopId, options)         — admin listing
+ *   - getExperimentAssignment(shopId, userId)  — sticky variant for a visitor
+ *   - applyExperimentOverrides(config, assignment) — merge variant knobs into config
+ *   - computeSignificance(variants)            — chi-square + Bayesian analysis
+ *   - computeSampleSize(baselineRate, mde)     — per-variant sample size guidance
+ *
+ * Lifecycle: draft → running → stopped → archived.
+ * At most one experiment per shop may be running at a time so variant knobs
+ * never interact; a unique partial index on running experiments enforces it.
+ * Starting or stopping re-syncs the discount Function config, which must
+ * allow the highest variant `maxDiscountCap`. Assignment is a pure hash of (testId, userId), so a visitor
+ * keeps the same variant for the lifetime of the experiment without any
+ * per-visitor storage.
+ *
+ * Knobs a variant may override:
+ *   goal            — one of GOAL_MAPPING keys
+ *   maxDiscountCap  — 0–90 (guardrail)
+ *   offerPriority   — ordered list of offer types
+ *   placements      — placements where offers may render for this variant
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { GOAL_MAPPING, RISK_MAPPING } from '../../app/shared/merchantConfig.shared.js';
+
+export const EXPERIMENT_STATUSES = ['draft', 'running', 'stopped', 'archived'];
+export const EXPERIMENT_KNOBS = ['goal', 'maxDiscountCap', 'offerPriority', 'placements'];
+
+const OFFER_TYPES = ['bundle', 'volume_discount', 'addon_upsell', 'subscription_upgrade'];
+const PLACEMENTS = ['product_page', 'cart_drawer', 'checkout', 'post_purchase'];
+
+const DEFAULT_MDE = 0.1;           // 10% relative lift
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_POWER = 0.8;
+const BAYES_SAMPLES = 20000;
+
+// Running experiment per shop — assignment runs on every proxy request
+const _runningCache = new Map();
+const RUNNING_CACHE_TTL = 60 * 1000; // 60 seconds
+
+function _invalidateRunningCache(shopId) {
+  if (shopId) _runningCache.delete(shopId);
+}
+
+// The Function's discount cap follows the running experiment's variant caps
+function _syncDiscountConfig(shopId) {
+  import('./discountFunctionConfig.js')
+    .then(({ syncDiscountFunctionConfig }) => syncDiscountFunctionConfig(shopId))
+    .catch((err) => console.warn('⚠️ Discount config sync after experiment change failed:', err.message));
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates a variant's override object.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateOverrides(overrides) {
+  const errors = [];
+  if (overrides == null) return { valid: true, errors };
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { valid: false, errors: ['Variant overrides must be an object.'] };
+  }
+
+  for (const key of Object.keys(overrides)) {
+    if (!EXPERIMENT_KNOBS.includes(key)) {
+      errors.push(`Unknown experiment knob: "${key}". Must be one of: ${EXPERIMENT_KNOBS.join(', ')}.`);
+    }
+  }
+
+  if (overrides.goal != null && !GOAL_MAPPING[overrides.goal]) {
+    errors.push(`Invalid goal: "${overrides.goal}". Must be one of: ${Object.keys(GOAL_MAPPING).join(', ')}.`);
+  }
+
+  if (overrides.maxDiscountCap != null) {
+    const cap = Number(overrides.maxDiscountCap);
+    if (!Number.isFinite(cap) || cap < 0 || cap > 90) {
+      errors.push('Max discount cap must be a number between 0 and 90.');
+    }
+  }
+
+  if (overrides.offerPriority != null) {
+    const list = overrides.offerPriority;
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push('Offer priority must be a non-empty list.');
+    } else if (list.some((type) => !OFFER_TYPES.includes(type))) {
+      errors.push(`Offer priority may only contain: ${OFFER_TYPES.join(', ')}.`);
+    }
+  }
+
+  if (overrides.placements != null) {
+    const list = overrides.placements;
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push('Placements must be a non-empty list.');
+    } else if (list.some((p) => !PLACEMENTS.includes(p))) {
+      errors.push(`Placements may only contain: ${PLACEMENTS.join(', ')}.`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates an experiment definition (name + variants).
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateExperiment({ name, variants }) {
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('Experiment name is required.');
+  }
+
+  if (!Array.isArray(variants) || variants.length < 2) {
+    errors.push('An experiment needs at least two variants.');
+    return { valid: false, errors };
+  }
+
+  if (variants.length > 5) {
+    errors.push('An experiment can have at most 5 variants.');
+  }
+
+  const names = new Set();
+  let totalWeight = 0;
+  for (const variant of variants) {
+    const variantName = String(variant?.name || '').trim();
+    if (!variantName) {
+      errors.push('Every variant needs a name.');
+      continue;
+    }
+    if (names.has(variantName)) errors.push(`Duplicate variant name: "${variantName}".`);
+    names.add(variantName);
+
+    const weight = Number(variant.weight ?? 1);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(`Variant "${variantName}" weight must be a positive number.`);
+    } else {
+      totalWeight += weight;
+    }
+
+    const { errors: overrideErrors } = validateOverrides(variant.overrides);
+    errors.push(...overrideErrors.map((e) => `Variant "${variantName}": ${e}`));
+  }
+
+  if (totalWeight <= 0) errors.push('Variant weights must add up to more than zero.');
+
+  return { valid: errors.length === 0, errors };
+}
+
+function normalizeVariants(variants) {
+  return variants.map((variant) => ({
+    name: String(variant.name).trim(),
+    weight: Number(variant.weight ?? 1),
+    overrides: normalizeOverrides(variant.overrides)
+  }));
+}
+
+function normalizeOverrides(overrides) {
+  const result = {};
+  if (!overrides) return result;
+  if (overrides.goal != null) result.goal = overrides.goal;
+  if (overrides.maxDiscountCap != null) result.maxDiscountCap = Number(overrides.maxDiscountCap);
+  if (overrides.offerPriority != null) result.offerPriority = [...overrides.offerPriority];
+  if (overrides.placements != null) result.placements = [...overrides.placements];
+  return result;
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────────────────────
+
+/**
+ * Create a draft experiment.
+ *
+ * @param {string} shopId
+ * @param {object} input — { name, hypothesis, variants: [{ name, weight, overrides }],
+ *                          minimumDetectableEffect, endsAt }
+ */
+export async function createExperiment(shopId, input = {}) {
+  if (!shopId) return { success: false, error: 'Missing shopId' };
+
+  const { valid, errors } = validateExperiment(input);
+  if (!valid) return { success: false, errors };
+
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const experiment = {
+      shopId,
+      testId: `exp_${crypto.randomBytes(6).toString('hex')}`,
+      name: input.name.trim(),
+      hypothesis: input.hypothesis || null,
+      variants: normalizeVariants(input.variants),
+      minimumDetectableEffect: Number(input.minimumDetectableEffect) > 0
+        ? Number(input.minimumDetectableEffect)
+        : DEFAULT_MDE,
+      status: 'draft',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      stoppedAt: null,
+      archivedAt: null,
+      endsAt: input.endsAt ? new Date(input.endsAt) : null
+    };
+
+    await db.collection(collections.abTests).insertOne(experiment);
+    console.log(`🧪 Experiment created for ${shopId}: ${experiment.testId} (${experiment.name})`);
+    return { success: true, experiment };
+  } catch (error) {
+    console.error('❌ createExperiment failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Edit a draft experiment. Running experiments are immutable — changing
+ * weights mid-flight would reshuffle visitors between variants.
+ */
+export async function updateExperiment(shopId, testId, input = {}) {
+  try {
+    const db = await getDb();
+    const existing = await db.collection(collections.abTests).findOne({ shopId, testId });
+    if (!existing) return { success: false, error: 'Experiment not found' };
+    if (existing.status !== 'draft') {
+      return { success: false, error: `Only draft experiments can be edited (status: ${existing.status})` };
+    }
+
+    const merged = {
+      name: input.name ?? existing.name,
+      variants: input.variants ?? existing.variants
+    };
+    const { valid, errors } = validateExperiment(merged);
+    if (!valid) return { success: false, errors };
+
+    const update = {
+      name: merged.name.trim(),
+      variants: normalizeVariants(merged.variants),
+      updatedAt: new Date()
+    };
+    if (input.hypothesis !== undefined) update.hypothesis = input.hypothesis || null;
+    if (input.endsAt !== undefined) update.endsAt = input.endsAt ? new Date(input.endsAt) : null;
+    if (Number(input.minimumDetectableEffect) > 0) {
+      update.minimumDetectableEffect = Number(input.minimumDetectableEffect);
+    }
+
+    await db.collection(collections.abTests).updateOne({ shopId, testId }, { $set: update });
+    return { success: true, experiment: { ...existing, ...update } };
+  } catch (error) {
+    console.error('❌ updateExperiment failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function startExperiment(shopId, testId) {
+  try {
+    const db = await getDb();
+    const existing = await db.collection(collections.abTests).findOne({ shopId, testId });
+    if (!existing) return { success: false, error: 'Experiment not found' };
+    if (existing.status !== 'draft') {
+      return { success: false, error: `Only draft experiments can be started (status: ${existing.status})` };
+    }
+
+    const running = await db.collection(collections.abTests).findOne({ shopId, status: 'running' });
+    if (running) {
+      return { success: false, error: `Experiment "${running.name}" is already running — stop it first` };
+    }
+
+    const now = new Date();
+    const result = await db.collection(collections.abTests).updateOne(
+      { shopId, testId, status: 'draft' },
+      { $set: { status: 'running', startedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, error: 'Experiment is no longer a draft' };
+    }
+    _invalidateRunningCache(shopId);
+    _syncDiscountConfig(shopId);
+    console.log(`▶️ Experiment started for ${shopId}: ${testId}`);
+    return { success: true };
+  } catch (error) {
+    // Unique partial index on running experiments — another start won the race
+    if (error?.code === 11000) {
+      return { success: false, error: 'Another experiment is already running — stop it first' };
+    }
+    console.error('❌ startExperiment failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function stopExperiment(shopId, testId) {
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const result = await db.collection(collections.abTests).updateOne(
+      { shopId, testId, status: 'running' },
+      { $set: { status: 'stopped', stoppedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, error: 'No running experiment with that id' };
+    }
+    _invalidateRunningCache(shopId);
+    _syncDiscountConfig(shopId);
+    console.log(`⏹️ Experiment stopped for ${shopId}: ${testId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ stopExperiment failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function archiveExperiment(shopId, testId) {
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const result = await db.collection(collections.abTests).updateOne(
+      { shopId, testId, status: { $in: ['draft', 'stopped'] } },
+      { $set: { status: 'archived', archivedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, error: 'Only draft or stopped experiments can be archived' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('❌ archiveExperiment failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function getExperiment(shopId, testId) {
+  const db = await getDb();
+  return db.collection(collections.abTests).findOne({ shopId, testId });
+}
+
+export async function listExperiments(shopId, { includeArchived = false, limit = 50 } = {}) {
+  const db = await getDb();
+  const query = includeArchived ? { shopId } : { shopId, status: { $ne: 'archived' } };
+  return db.collection(collections.abTests)
+    .find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Returns the shop's running experiment (cached), or null.
+ * Experiments past their endsAt are stopped lazily here.
+ */
+export async function getRunningExperiment(shopId) {
+  if (!shopId) return null;
+  const cached = _runningCache.get(shopId);
+  if (cached && (Date.now() - cached.ts) < RUNNING_CACHE_TTL) {
+    return cached.experiment;
+  }
+
+  try {
+    const db = await getDb();
+    let experiment = await db.collection(collections.abTests).findOne({ shopId, status: 'running' });
+    if (experiment?.endsAt && new Date(experiment.endsAt).getTime() <= Date.now()) {
+      await stopExperiment(shopId, experiment.testId);
+      experiment = null;
+    }
+    _runningCache.set(shopId, { experiment, ts: Date.now() });
+    return experiment;
+  } catch (err) {
+    console.warn('⚠️ getRunningExperiment failed, serving without experiment:', err.message);
+    return null;
+  }
+}
+
+// ─── Assignment ───────────────────────────────────────────────────────────────
+
+/**
+ * Map (testId, userId) to a stable number in [0, 1).
+ */
+export function hashToUnit(testId, userId) {
+  const digest = crypto.createHash('sha256').update(`${testId}:${userId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Pick a variant by weight for a hashed bucket. Pure and deterministic.
+ */
+export function pickVariant(variants, bucket) {
+  const total = variants.reduce((sum, v) => sum + (Number(v.weight) || 0), 0);
+  if (total <= 0) return variants[0] || null;
+  let threshold = bucket * total;
+  for (const variant of variants) {
+    threshold -= Number(variant.weight) || 0;
+    if (threshold < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * getExperimentAssignment(shopId, userId)
+ *
+ * Sticky variant for this visitor in the shop's running experiment.
+ * Returns { testId, variant, overrides } or null when there is no running
+ * experiment or no userId (anonymous traffic is not enrolled).
+ */
+export async function getExperimentAssignment(shopId, userId) {
+  if (!shopId || !userId) return null;
+  const experiment = await getRunningExperiment(shopId);
+  if (!experiment || !Array.isArray(experiment.variants) || experiment.variants.length === 0) {
+    return null;
+  }
+
+  const variant = pickVariant(experiment.variants, hashToUnit(experiment.testId, String(userId)));
+  if (!variant) return null;
+
+  return {
+    testId: experiment.testId,
+    variant: variant.name,
+    overrides: variant.overrides || {}
+  };
+}
+
+/**
+ * Merge a variant's knobs into a merchant config (as returned by
+ * getMerchantConfig) and tag it with { testId, variant } so decision meta
+ * carries the assignment. Returns a new object; the input is never mutated.
+ */
+export function applyExperimentOverrides(config, assignment) {
+  if (!config || !assignment) return config;
+  const overrides = assignment.overrides || {};
+
+  const next = {
+    ...config,
+    experiment: { testId: assignment.testId, variant: assignment.variant }
+  };
+
+  if (overrides.goal && GOAL_MAPPING[overrides.goal]) {
+    next.goal = overrides.goal;
+    next.goalConfig = GOAL_MAPPING[overrides.goal];
+  }
+
+  if (overrides.maxDiscountCap != null) {
+    next.guardrails = { ...(config.guardrails || {}), maxDiscountCap: overrides.maxDiscountCap };
+  }
+
+  if (Array.isArray(overrides.offerPriority) && overrides.offerPriority.length > 0) {
+    next.goalConfig = { ...(next.goalConfig || GOAL_MAPPING[next.goal] || {}), offerPriority: [...overrides.offerPriority] };
+    // An explicit priority under test must not be reshuffled by the learning loop
+    next.optimization = { ...(config.optimization || {}), topOfferType: null };
+  }
+
+  if (Array.isArray(overrides.placements)) {
+    next.riskConfig = { ...(config.riskConfig || RISK_MAPPING[config.riskTolerance] || {}), allowedPlacements: [...overrides.placements] };
+  }
+
+  return next;
+}
+
+// ─── Statistics ───────────────────────────────────────────────────────────────
+
+/**
+ * Regularised upper incomplete gamma Q(a, x) — Numerical Recipes gammq.
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    // Series representation of P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // Continued fraction for Q(a, x)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+function logGamma(z) {
+  // Lanczos approximation
+  const g = 7;
+  const coef = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  z -= 1;
+  let x = coef[0];
+  for (let i = 1; i < g + 2; i++) x += coef[i] / (z + i);
+  const t = z + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation).
+ */
+function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Seeded PRNG so the Bayesian estimate is stable between dashboard refreshes
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Marsaglia–Tsang gamma sampler (shape >= 1 always holds for Beta(1 + x, 1 + y))
+function sampleGamma(shape, rand) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rand);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rand();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, rand) {
+  const x = sampleGamma(alpha, rand);
+  const y = sampleGamma(beta, rand);
+  return x / (x + y);
+}
+
+/**
+ * computeSampleSize(baselineRate, mde, { alpha, power })
+ *
+ * Visitors needed per variant for a two-sided two-proportion z-test to detect
+ * a relative lift of `mde` over `baselineRate`. Returns null when the baseline
+ * is degenerate (0 or 1).
+ */
+export function computeSampleSize(baselineRate, mde = DEFAULT_MDE, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  const p1 = Number(baselineRate);
+  const lift = Number(mde);
+  if (!Number.isFinite(p1) || p1 <= 0 || p1 >= 1 || !Number.isFinite(lift) || lift <= 0) return null;
+  const p2 = Math.min(0.9999, p1 * (1 + lift));
+  const pBar = (p1 + p2) / 2;
+  const zAlpha = normalQuantile(1 - alpha / 2);
+  const zBeta = normalQuantile(power);
+  const numerator = zAlpha * Math.sqrt(2 * pBar * (1 - pBar)) +
+    zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+  return Math.ceil((numerator * numerator) / ((p2 - p1) * (p2 - p1)));
+}
+
+/**
+ * computeSignificance(variants, options)
+ *
+ * @param {Array<{ name, views, conversions }>} variants
+ * @param {object} options — { mde, alpha, seed }
+ * @returns {{
+ *   chiSquare: { statistic, degreesOfFreedom, pValue, significant } | null,
+ *   bayesian: { probabilityToBeBest: Record<string, number>, expectedLoss: Record<string, number> } | null,
+ *   sampleSize: { requiredPerVariant, currentMinPerVariant, progress, baselineRate, mde } | null,
+ *   confidence: number | null
+ * }}
+ */
+export function computeSignificance(variants = [], { mde = DEFAULT_MDE, alpha = DEFAULT_ALPHA, seed = 1 } = {}) {
+  const rows = variants
+    .map((v) => ({
+      name: v.name,
+      views: Math.max(0, Number(v.views) || 0),
+      conversions: Math.max(0, Number(v.conversions) || 0)
+    }))
+    .map((v) => ({ ...v, conversions: Math.min(v.conversions, v.views) }));
+
+  const empty = { chiSquare: null, bayesian: null, sampleSize: null, confidence: null };
+  if (rows.length < 2 || rows.some((v) => v.views === 0)) return empty;
+
+  // ── Chi-square test of independence on the k×2 conversion table ──
+  const totalViews = rows.reduce((s, v) => s + v.views, 0);
+  const totalConversions = rows.reduce((s, v) => s + v.conversions, 0);
+  const pooledRate = totalConversions / totalViews;
+
+  let chiSquare = null;
+  if (pooledRate > 0 && pooledRate < 1) {
+    let statistic = 0;
+    for (const v of rows) {
+      const expectedConv = v.views * pooledRate;
+      const expectedMiss = v.views * (1 - pooledRate);
+      statistic += ((v.conversions - expectedConv) ** 2) / expectedConv;
+      statistic += (((v.views - v.conversions) - expectedMiss) ** 2) / expectedMiss;
+    }
+    const degreesOfFreedom = rows.length - 1;
+    const pValue = gammaQ(degreesOfFreedom / 2, statistic / 2);
+    chiSquare = {
+      statistic: Math.round(statistic * 1000) / 1000,
+      degreesOfFreedom,
+      pValue: Math.round(pValue * 10000) / 10000,
+      significant: pValue < alpha
+    };
+  }
+
+  // ── Bayesian: Beta(1 + conversions, 1 + misses) posterior per variant ──
+  const rand = mulberry32(seed);
+  const wins = new Array(rows.length).fill(0);
+  const loss = new Array(rows.length).fill(0);
+  for (let i = 0; i < BAYES_SAMPLES; i++) {
+    const draws = rows.map((v) => sampleBeta(1 + v.conversions, 1 + v.views - v.conversions, rand));
+    let best = 0;
+    for (let j = 1; j < draws.length; j++) if (draws[j] > draws[best]) best = j;
+    wins[best] += 1;
+    for (let j = 0; j < draws.length; j++) loss[j] += draws[best] - draws[j];
+  }
+  const probabilityToBeBest = {};
+  const expectedLoss = {};
+  rows.forEach((v, idx) => {
+    probabilityToBeBest[v.name] = Math.round((wins[idx] / BAYES_SAMPLES) * 10000) / 10000;
+    expectedLoss[v.name] = Math.round((loss[idx] / BAYES_SAMPLES) * 100000) / 100000;
+  });
+
+  // ── Sample-size guidance against the first (control) variant ──
+  const baselineRate = rows[0].conversions / rows[0].views;
+  const requiredPerVariant = computeSampleSize(baselineRate > 0 ? baselineRate : pooledRate, mde, { alpha });
+  const currentMinPerVariant = Math.min(...rows.map((v) => v.views));
+  const sampleSize = requiredPerVariant
+    ? {
+        requiredPerVariant,
+        currentMinPerVariant,
+        progress: Math.min(1, Math.round((currentMinPerVariant / requiredPerVariant) * 1000) / 1000),
+        baselineRate: Math.round(baselineRate * 10000) / 10000,
+        mde
+      }
+    : null;
+
+  return {
+    chiSquare,
+    bayesian: { probabilityToBeBest, expectedLoss },
+    sampleSize,
+    confidence: chiSquare ? Math.round((1 - chiSquare.pValue) * 10000) / 10000 : null
+  };
+}
+
+export const experimentService = {
+  createExperiment,
+  updateExperiment,
+  startExperiment,
+  stopExperiment,
+  archiveExperiment,
+  getExperiment,
+  listExperiments,
+  getRunningExperiment,
+  getExperimentAssignment,
+  applyExperimentOverrides,
+  computeSignificance,
+  computeSampleSize
+};
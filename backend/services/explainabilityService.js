@@ -10,6 +10,7 @@
  */
 
 import { getDb, collections } from '../database/mongodb.js';
+import { computeSignificance } from './experimentService.js';
 
 // ─── DECISION TRACING ──────────────────────────────────────────────────────
 
@@ -55,7 +56,8 @@ export async function explainOfferDecision(shopId, offerId) {
         confidence: decision.confidence,
         recommendationType: decision.recommendationType,
         aiReason: decision.aiReason,
-        decisionReason: decision.decisionReason
+        decisionReason: decision.decisionReason,
+        rule: decision.ruleId ? { ruleId: decision.ruleId, name: decision.ruleName || null } : null
       },
       scoreBreakdown: decision._scoreBreakdown || {
         aiConfidence: decision.confidence * 0.3,
@@ -462,7 +464,7 @@ export async function getABTestResults(shopId, testId) {
           $match: {
             shopId,
             'metadata.testId': testId,
-            timestamp: { $gte: new Date(test.createdAt) }
+            timestamp: { $gte: new Date(test.startedAt || test.createdAt) }
           }
         },
         {
@@ -477,11 +479,19 @@ export async function getABTestResults(shopId, testId) {
       ])
       .toArray();
 
+    // Keep the experiment's variant order (first variant is the control)
+    const order = (test.variants || []).map((v) => v.name);
+    const rank = (name) => (order.indexOf(name) === -1 ? order.length : order.indexOf(name));
+    variants.sort((a, b) => rank(a._id) - rank(b._id));
+
     const results = {
       testId,
+      name: test.name,
       hypothesis: test.hypothesis,
       status: test.status,
       createdAt: test.createdAt,
+      startedAt: test.startedAt || null,
+      stoppedAt: test.stoppedAt || null,
       endsAt: test.endsAt,
       variants: []
     };
@@ -498,18 +508,24 @@ export async function getABTestResults(shopId, testId) {
           conversions: variant.conversions,
           conversionRate: parseFloat((conv * 100).toFixed(2)),
           totalRevenue: variant.revenue,
-          avgRevenuePerView: parseFloat((variant.revenue / variant.views).toFixed(2))
+          avgRevenuePerView: variant.views > 0 ? parseFloat((variant.revenue / variant.views).toFixed(2)) : 0
         }
       });
     }
 
-    // Compute winner
-    const winner = results.variants.reduce((max, v) => 
-      v.metrics.conversionRate > (max?.metrics.conversionRate || 0) ? v : max
+    const significance = computeSignificance(
+      variants.map((v) => ({ name: v._id, views: v.views, conversions: v.conversions })),
+      { mde: test.minimumDetectableEffect }
     );
 
-    results.winner = winner?.name;
-    results.confidence = computeStatisticalConfidence(variants);
+    // Winner = highest probability to be best, only once the chi-square test is significant
+    const probabilities = significance.bayesian?.probabilityToBeBest || {};
+    const leader = Object.keys(probabilities).sort((a, b) => probabilities[b] - probabilities[a])[0] || null;
+
+    results.leader = leader;
+    results.winner = significance.chiSquare?.significant ? leader : null;
+    results.confidence = significance.confidence;
+    results.significance = significance;
 
     return { success: true, results };
 
@@ -519,26 +535,6 @@ export async function getABTestResults(shopId, testId) {
   }
 }
 
-function computeStatisticalConfidence(variants) {
-  // Simplified: compute confidence that winner is statistically significant
-  // In production, use proper chi-square or t-test
-  const sorted = variants.sort((a, b) => 
-    (b.conversions / b.views) - (a.conversions / a.views)
-  );
-
-  if (sorted.length < 2) return null;
-
-  const topConv = sorted[0].conversions / sorted[0].views;
-  const secondConv = sorted[1].conversions / sorted[1].views;
-  const diff = topConv - secondConv;
-
-  // Placeholder: return confidence based on difference magnitude
-  if (diff > 0.05) return 0.95;
-  if (diff > 0.02) return 0.85;
-  if (diff > 0.01) return 0.7;
-  return 0.5;
-}
-
 export const explainabilityService = {
   explainOfferDecision,
   getOfferAutomationJourney,
@@ -0,0 +1,83 @@
+/**
+ * Extension Backend — tells checkout / post-purchase extensions which server to call
+ *
+ * Provides:
+ *   - getExtensionBackendUrl()                       — this deployment's public URL
+ *   - syncExtensionBackendUrl(shopId, { admin })     — write it to the shop metafield
+ *
+ * Checkout, thank-you and post-purchase extensions run on Shopify's domain
+ * and cannot use the app proxy, so they read the backend URL from the
+ * `$app:ai-upsell.backend-url` shop metafield. Each deployment (production,
+ * staging, a local tunnel) is its own app with its own SHOPIFY_APP_URL and
+ * writes the metafield on install, so a store always calls the environment
+ * it is installed on. A merchant-set `backend_url` extension setting wins.
+ */
+
+import { DISCOUNT_CONFIG_NAMESPACE } from './discountFunctionConfig.js';
+
+export const BACKEND_URL_KEY = 'backend-url';
+
+export function getExtensionBackendUrl() {
+  const url = process.env.SHOPIFY_APP_URL || process.env.APP_URL || process.env.HOST || '';
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * syncExtensionBackendUrl(shopId, { admin })
+ *
+ * Called after auth. Never throws — returns { success, error? }.
+ */
+export async function syncExtensionBackendUrl(shopId, { admin } = {}) {
+  const url = getExtensionBackendUrl();
+  if (!shopId || !admin?.graphql) return { success: false, error: 'Missing shopId or admin' };
+  if (!/^https:\/\//.test(url)) {
+    console.warn(`[Extensions] SHOPIFY_APP_URL is not https — backend URL not published for ${shopId}`);
+    return { success: false, error: 'SHOPIFY_APP_URL must be https' };
+  }
+
+  try {
+    const shopRes = await admin.graphql(`#graphql
+      query ShopId { shop { id } }`);
+    const shopData = await shopRes.json();
+    const ownerId = shopData.data?.shop?.id;
+    if (!ownerId) return { success: false, error: 'Shop id unavailable' };
+
+    const res = await admin.graphql(
+      `#graphql
+      mutation SetBackendUrl($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        variables: {
+          metafields: [{
+            ownerId,
+            namespace: DISCOUNT_CONFIG_NAMESPACE,
+            key: BACKEND_URL_KEY,
+            type: 'single_line_text_field',
+            value: url
+          }]
+        }
+      }
+    );
+    const data = await res.json();
+    const errors = data.data?.metafieldsSet?.userErrors || [];
+    if (errors.length > 0) {
+      console.warn(`[Extensions] Backend URL metafield rejected for ${shopId}:`, errors[0]?.message);
+      return { success: false, error: errors[0]?.message || 'userErrors' };
+    }
+
+    console.log(`[Extensions] Backend URL for ${shopId}: ${url}`);
+    return { success: true };
+  } catch (err) {
+    console.warn(`[Extensions] syncExtensionBackendUrl failed for ${shopId}:`, err?.message || err);
+    return { success: false, error: err?.message || String(err) };
+  }
+}
+
+export const extensionBackend = {
+  getExtensionBackendUrl,
+  syncExtensionBackendUrl
+};
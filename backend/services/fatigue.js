@@ -0,0 +1,206 @@
+/**
+ * Offer Fatigue — per-visitor frequency caps across all placements
+ *
+ * Provides:
+ *   - getFatigueState(shopId, userId)       — { suppressed, offersToday, dailyRemaining } or null
+ *   - getSuppressedUntil(impression, rules) — when a product's suppression ends (ms, 0 = not suppressed)
+ *   - applyFatigue(decision, state)         — drop suppressed offers and cap to today's budget
+ *   - logFatigueEvent(shopId, type, context, opts) — guardrail monitor entry
+ *   - logFatigueLimits(shopId, userId, state, context) — one event per suppression / capped day
+ *
+ * Rules come from merchant config `fatigue`:
+ *   maxImpressionsWithoutClick — suppress an upsell product for the visitor
+ *     after this many views with no click / cart add since (0 = off)
+ *   suppressDays               — how long that suppression lasts
+ *   maxOffersPerDay            — offer views per visitor per UTC day (0 = off)
+ *
+ * Impressions and daily counts come from the visitor profile
+ * (visitorProfiles.js), so the caps hold across product page, cart drawer,
+ * secondary, checkout and post-purchase and across servers.
+ * placementPipeline.runPlacement() enforces them for every placement.
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig, DEFAULT_CONFIG } from './merchantConfig.js';
+import { getVisitorProfile, dayKey } from './visitorProfiles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : 0;
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * getSuppressedUntil(impression, { maxImpressionsWithoutClick, suppressDays })
+ *
+ * Walks the product's views after the last click: every run of
+ * `maxImpressionsWithoutClick` views starts a `suppressDays` suppression,
+ * and views during a suppression do not count towards the next one.
+ */
+export function getSuppressedUntil(impression, { maxImpressionsWithoutClick, suppressDays }) {
+  const maxViews = Number(maxImpressionsWithoutClick) || 0;
+  if (maxViews <= 0 || !impression) return 0;
+
+  const clickedAt = toTime(impression.clickedAt);
+  const suppressMs = (Number(suppressDays) || 0) * DAY_MS;
+  const views = (impression.views || []).map(toTime).sort((a, b) => a - b);
+
+  let count = 0;
+  let until = 0;
+  for (const at of views) {
+    if (at <= clickedAt || at < until) continue;
+    count += 1;
+    if (count >= maxViews) {
+      until = at + suppressMs;
+      count = 0;
+    }
+  }
+  return until;
+}
+
+/**
+ * getFatigueState(shopId, userId)
+ *
+ * Returns null for anonymous visitors or when no fatigue rule is on.
+ */
+export async function getFatigueState(shopId, userId) {
+  if (!shopId || !userId) return null;
+  const config = await getMerchantConfig(shopId);
+  const rules = config?.fatigue || DEFAULT_CONFIG.fatigue;
+  const maxPerDay = Number(rules.maxOffersPerDay) || 0;
+  if (!(Number(rules.maxImpressionsWithoutClick) > 0) && maxPerDay <= 0) return null;
+
+  const profile = await getVisitorProfile(shopId, userId);
+  const now = Date.now();
+
+  const suppressed = new Set();
+  const suppressedUntil = new Map();
+  for (const [productId, impression] of Object.entries(profile?.impressions || {})) {
+    const until = getSuppressedUntil(impression, rules);
+    if (until > now) {
+      suppressed.add(productId);
+      suppressedUntil.set(productId, until);
+    }
+  }
+
+  const offersToday = Number(profile?.dailyOffers?.[dayKey()]) || 0;
+  return {
+    rules,
+    suppressed,
+    suppressedUntil,
+    offersToday,
+    dailyRemaining: maxPerDay > 0 ? Math.max(0, maxPerDay - offersToday) : Infinity
+  };
+}
+
+/**
+ * applyFatigue(decision, state)
+ *
+ * Final pass over an engine decision: removes suppressed products (merchant
+ * rule offers included) and trims to the visitor's remaining daily budget.
+ * Adds `meta.fatigue` with what was removed. Offers may be engine offers
+ * (`productId`) or formatted recommendations (`id`).
+ */
+export function applyFatigue(decision, state) {
+  if (!state || !decision) return decision;
+  const offers = Array.isArray(decision.offers) ? decision.offers : [];
+  const allowed = offers.filter((o) => !state.suppressed.has(String(o?.productId ?? o?.id)));
+  const capped = Number.isFinite(state.dailyRemaining) ? allowed.slice(0, state.dailyRemaining) : allowed;
+
+  return {
+    ...decision,
+    offers: capped,
+    meta: {
+      ...(decision.meta || {}),
+      fatigue: {
+        suppressedProducts: state.suppressed.size,
+        removed: offers.filter((o) => !capped.includes(o)).map((o) => String(o.productId ?? o.id)),
+        offersToday: state.offersToday,
+        dailyRemaining: Number.isFinite(state.dailyRemaining) ? state.dailyRemaining : null
+      }
+    }
+  };
+}
+
+// onceKeys already written by this process — skips the upsert on repeat requests
+const MAX_LOGGED_KEYS = 10000;
+const _loggedOnceKeys = new Set();
+
+/**
+ * Fire-and-forget guardrail event (shown in the guardrail monitor).
+ * With `onceKey`, the event is written only the first time that key is seen
+ * (upsert on { shopId, guardrailType, onceKey }), so a limit that holds for
+ * many requests is logged once.
+ * Never throws — fatigue logging must never block offer delivery.
+ */
+export async function logFatigueEvent(shopId, guardrailType, context = {}, { onceKey = null } = {}) {
+  try {
+    if (onceKey) {
+      const cacheKey = `${shopId}|${guardrailType}|${onceKey}`;
+      if (_loggedOnceKeys.has(cacheKey)) return;
+      if (_loggedOnceKeys.size >= MAX_LOGGED_KEYS) _loggedOnceKeys.clear();
+      _loggedOnceKeys.add(cacheKey);
+    }
+
+    const db = await getDb();
+    const event = { shopId, guardrailType, timestamp: new Date(), ...context };
+    if (!onceKey) {
+      await db.collection(collections.guardrailEvents).insertOne(event);
+      return;
+    }
+    await db.collection(collections.guardrailEvents).updateOne(
+      { shopId, guardrailType, onceKey },
+      { $setOnInsert: { ...event, onceKey } },
+      { upsert: true }
+    );
+  } catch (_) {
+    // intentionally silent
+  }
+}
+
+// onceKeys carry a hash of the visitor id, never the id itself — the id is
+// kept in `visitorId`, which the data inventory clears on customer redact
+function visitorKey(shopId, userId) {
+  return crypto.createHash('sha256').update(`${shopId}:${userId}`).digest('hex').slice(0, 24);
+}
+
+/**
+ * logFatigueLimits(shopId, userId, state, { placement, productId })
+ *
+ * Guardrail events for the limits a visitor has reached: `daily_offer_cap`
+ * once per visitor per UTC day, `offer_fatigue` once per product suppression.
+ */
+export function logFatigueLimits(shopId, userId, state, { placement = null, productId = null } = {}) {
+  if (!state || !userId) return;
+  const visitorId = String(userId);
+  const key = visitorKey(shopId, visitorId);
+  if (state.dailyRemaining <= 0) {
+    logFatigueEvent(shopId, 'daily_offer_cap', {
+      visitorId,
+      placement,
+      productId,
+      offersToday: state.offersToday,
+      maxOffersPerDay: state.rules.maxOffersPerDay
+    }, { onceKey: `${key}:${dayKey()}` });
+  }
+  for (const [suppressedProductId, until] of state.suppressedUntil || []) {
+    logFatigueEvent(shopId, 'offer_fatigue', {
+      visitorId,
+      placement,
+      productId,
+      suppressedProductId,
+      suppressedUntil: new Date(until),
+      maxImpressionsWithoutClick: state.rules.maxImpressionsWithoutClick
+    }, { onceKey: `${key}:${suppressedProductId}:${until}` });
+  }
+}
+
+export const fatigue = {
+  getFatigueState,
+  getSuppressedUntil,
+  applyFatigue,
+  logFatigueEvent,
+  logFatigueLimits
+};
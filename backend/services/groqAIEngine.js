@@ -2,43 +2,44 @@ import { getDb } from '../database/connection.js';
 import { getMerchantConfig } from './merchantConfig.js';
 import { getConversionStats } from './conversionEngine.js';
 import { getMerchantContext } from './merchandisingIntelligence.js';
-
-// Simple in-memory cache with TTL for recommendations
+import { resolveLLMProvider } from './llmProvider.js';
+import { BUNDLE_PRODUCT_TAG } from './bundleProducts.js';
+import { sharedAttributes, matchesAttributes, describeAttributes } from './productAttributes.js';
+import {
+  getVisitorProfile,
+  getSessionOfferUsage,
+  chargeSessionOffers,
+  getInterestProfile,
+  getCartHistory
+} from './visitorProfiles.js';
+import {
+  getSimilarCandidatePool,
+  ensureProductEmbeddings,
+  DEFAULT_TOP_K,
+  embedTexts,
+  buildEmbeddingText,
+  cosineSimilarity
+} from './productEmbeddings.js';
+
+// Simple in-memory cache with TTL for recommendations. Session offer counts
+// and visitor history live in visitor_profiles (visitorProfiles.js).
 const recommendationCache = new Map();
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-// Session offer counters (best-effort, in-memory)
-const sessionOfferCounters = new Map();
-const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-function getSessionKey(shopId, userId, contextKey = 'session') {
-  return `${shopId}:${userId || 'anon'}:${contextKey}`;
-}
-
-function getSessionCount(key) {
-  const entry = sessionOfferCounters.get(key);
-  if (!entry) return 0;
-  if (Date.now() - entry.timestamp > SESSION_TTL_MS) {
-    sessionOfferCounters.delete(key);
-    return 0;
-  }
-  return entry.count || 0;
-}
-
-function incrementSessionCount(key, delta) {
-  const entry = sessionOfferCounters.get(key);
-  const current = entry && Date.now() - entry.timestamp <= SESSION_TTL_MS ? entry.count || 0 : 0;
-  sessionOfferCounters.set(key, { count: current + delta, timestamp: Date.now() });
-}
+// Most candidates listed in one LLM prompt (the vector pool plus history products)
+const MAX_PROMPT_CANDIDATES = DEFAULT_TOP_K + 20;
 
 function getCacheKey(type, shopId, productId, userId) {
   return `${type}:${shopId}:${productId}:${userId || 'anon'}`;
 }
 
-function getFromCache(key) {
+// `notBefore` — entries cached before this time are stale (e.g. the visitor's
+// profile recorded new time on the product since, possibly on another server)
+function getFromCache(key, notBefore = null) {
   const entry = recommendationCache.get(key);
   if (!entry) return null;
-  if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
+  const stale = notBefore && entry.timestamp < new Date(notBefore).getTime();
+  if (stale || Date.now() - entry.timestamp > CACHE_TTL_MS) {
     recommendationCache.delete(key);
     return null;
   }
@@ -55,15 +56,26 @@ function setCache(key, data) {
 }
 
 /**
- * Clear the cached recommendation for a specific user+product.
- * Called after new time-tracking data is saved so the next visit
- * gets a fresh, profile-aware Groq call instead of a stale cache hit.
+ * Drop all cached recommendations.
+ * Used by the replay harness so each replayed request starts cold
+ * (it clears the scratch database's visitor profiles separately).
  */
-export function clearUserProductCache(shopId, productId, userId) {
-  const key = getCacheKey('product', shopId, String(productId), userId);
-  const deleted = recommendationCache.delete(key);
-  if (deleted) {
-    console.log(`🗑️ Cache invalidated for userId=${userId} product=${productId}`);
+export function resetRecommendationState() {
+  recommendationCache.clear();
+}
+
+/**
+ * Drop this server's cached recommendations for a shop that are for, or
+ * contain, the product. Called when its stock or status changes
+ * (offerAvailability.invalidateProductOffers).
+ */
+export function invalidateCachedProduct(shopId, productId) {
+  const id = String(productId);
+  for (const [key, entry] of recommendationCache) {
+    const [, keyShop, keyProduct] = key.split(':');
+    if (keyShop !== shopId) continue;
+    const contains = Array.isArray(entry.data) && entry.data.some((p) => String(p?.productId) === id);
+    if (contains || String(keyProduct).split(',').includes(id)) recommendationCache.delete(key);
   }
 }
 
@@ -96,61 +108,91 @@ function computeTypeScore(sourceTitleTokens, candidateTitle) {
 
 /**
  * AI Engine powered by Groq LLM for intelligent upsell recommendations
- * Uses Groq's fast inference for real-time product suggestions
+ * Uses Groq's fast inference for real-time product suggestions.
+ *
+ * The LLM call goes through the provider layer (llmProvider.js), so the
+ * vendor is picked per shop from merchant config `llm.provider`. Pass
+ * `{ provider }` to pin a specific provider instance (e.g. in scripts).
  */
+function hasAttributeRule(match) {
+  return (match?.same?.length || 0) + (match?.different?.length || 0) > 0;
+}
+
+// { same: ['material'], different: ['category'] } → "the same material and a different category"
+function describeAttributeRule(match) {
+  return [
+    ...(match?.same || []).map(attribute => `the same ${attribute}`),
+    ...(match?.different || []).map(attribute => `a different ${attribute}`)
+  ].join(' and ');
+}
+
 export class GroqAIEngine {
-  constructor() {
-    this.groqApiKey = process.env.GROQ_API_KEY;
-    // Use llama-3.1-70b-versatile or llama-3.3-70b-versatile for better compatibility
-    this.groqModel = 'llama-3.3-70b-versatile';
-    this.groqUrl = 'https://api.groq.com/openai/v1/chat/completions';
+  constructor({ provider = null } = {}) {
+    this.provider = provider;
+  }
+
+  /**
+   * Resolve the LLM provider for a shop's merchant config.
+   * An explicitly injected provider always wins.
+   */
+  getLLMProvider(config = null) {
+    return this.provider || resolveLLMProvider(config);
   }
 
   /**
    * Find upsell products using Groq LLM intelligence
    * Implements Steps 3-4 of the AI Upsell Flow
+   * `excludeProductIds` — extra products to leave out (e.g. fatigued offers)
    */
-  async findUpsellProducts(shopId, currentProductId, limit = 4, userId = null) {
+  async findUpsellProducts(shopId, currentProductId, limit = 4, userId = null, { excludeProductIds = [] } = {}) {
     try {
       console.log(`🤖 Starting Groq AI analysis for product ${currentProductId} (userId: ${userId || 'anonymous'})`);
 
       const config = await this.getMerchantConfigSafe(shopId);
       const guardrails = config?.guardrails || {};
       const contextKey = `product:${String(currentProductId)}`;
-      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, shopId, contextKey);
+      const profile = await this.getVisitorProfileSafe(shopId, userId);
+      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, profile, contextKey);
       if (effectiveLimit <= 0) return [];
 
-      // Check cache first (per-user cache key)
+      // Check cache first (per-user cache key); new time on this product invalidates it
       const cacheKey = getCacheKey('product', shopId, currentProductId, userId);
-      const cached = getFromCache(cacheKey);
+      const cached = getFromCache(cacheKey, profile?.products?.[String(currentProductId)]?.lastAt);
       if (cached) {
         console.log(`⚡ Cache hit for product ${currentProductId}`);
         const filtered = this.applyGuardrailsToRecommendations(
           cached,
           guardrails,
-          new Set([String(currentProductId)]),
+          new Set([String(currentProductId), ...excludeProductIds.map(String)]),
           { goal: config?.goal }
         );
         const capped = filtered.slice(0, effectiveLimit);
         capped._sourceProduct = cached._sourceProduct;
-        return this.finalizeSessionLimit(capped, effectiveLimit, userId, shopId, contextKey);
+        return await this.finalizeSessionLimit(capped, effectiveLimit, userId, shopId, profile, contextKey);
       }
 
-      // Fetch current product, all shop products, user interest profile, cart history, and conversion context in parallel
-      const [currentProduct, allProducts, userProfile, rawCartHistory, conversionContext, merchantContext] = await Promise.all([
+      // Fetch current product, user interest profile, cart history, and conversion context in parallel
+      const [currentProduct, userProfile, rawCartHistory, conversionContext, merchantContext] = await Promise.all([
         this.getProductById(shopId, currentProductId),
-        this.getProductsByShop(shopId),
-        this.getUserInterestProfile(userId, shopId),
-        this.getUserCartHistory(userId, shopId),
+        this.getUserInterestProfile(userId, shopId, profile),
+        this.getUserCartHistory(userId, shopId, profile),
         this.getConversionContext(shopId),
         getMerchantContext(shopId).catch(() => null)
       ]);
 
+      // Vector pre-filter: nearest neighbours + history products instead of the whole catalogue
+      const allProducts = await this.getCandidateProducts(
+        shopId,
+        [currentProductId],
+        [...userProfile.map(p => p.productId), ...rawCartHistory.map(c => c.productId)],
+        config
+      );
+
       if (!currentProduct) {
         throw new Error('Current product not found');
       }
 
-      const excludedIds = new Set([String(currentProductId)]);
+      const excludedIds = new Set([String(currentProductId), ...excludeProductIds.map(String)]);
       const otherProducts = this.filterProductsByGuardrails(
         allProducts.filter(p => String(p.productId) !== String(currentProductId)),
         guardrails,
@@ -162,6 +204,9 @@ export class GroqAIEngine {
         return [];
       }
 
+      const attributeMatch = config?.productAttributes?.match || null;
+      const ruleCandidates = this.applyAttributeMatch([currentProduct], otherProducts, attributeMatch, effectiveLimit);
+
       // Enrich cart history with product titles from allProducts
       const allProductsMap = new Map(allProducts.map(p => [String(p.productId), p]));
       const cartHistory = rawCartHistory
@@ -195,7 +240,7 @@ export class GroqAIEngine {
 
       let recommendations;
       try {
-        recommendations = await this.analyzeWithGroq(currentProduct, otherProducts, effectiveLimit, userProfile, cartHistory, mergedContext);
+        recommendations = await this.analyzeWithGroq(currentProduct, ruleCandidates, effectiveLimit, userProfile, cartHistory, mergedContext, this.getLLMProvider(config), { attributeMatch });
         if (!recommendations || recommendations.length === 0) {
           console.warn(`⚠️ No AI recommendations for product ${currentProductId}; using fallback`);
           recommendations = await this.fallbackRecommendations(shopId, currentProductId, effectiveLimit);
@@ -217,7 +262,7 @@ export class GroqAIEngine {
         excludedIds,
         { goal: config?.goal }
       );
-      const filled = this.fillToLimit(filtered, otherProducts, effectiveLimit);
+      const filled = this.fillToLimit(filtered, ruleCandidates, effectiveLimit);
 
       // Attach source product info so callers don't need to re-fetch
       filled._sourceProduct = currentProduct;
@@ -227,7 +272,7 @@ export class GroqAIEngine {
       // Cache the result
       setCache(cacheKey, filled);
 
-      return this.finalizeSessionLimit(filled, effectiveLimit, userId, shopId, contextKey);
+      return await this.finalizeSessionLimit(filled, effectiveLimit, userId, shopId, profile, contextKey);
 
     } catch (error) {
       console.error('❌ Groq AI Engine error:', error);
@@ -235,15 +280,16 @@ export class GroqAIEngine {
       const config = await this.getMerchantConfigSafe(shopId);
       const guardrails = config?.guardrails || {};
       const contextKey = `product:${String(currentProductId)}`;
-      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, shopId, contextKey);
+      const profile = await this.getVisitorProfileSafe(shopId, userId);
+      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, profile, contextKey);
       const fallback = await this.fallbackRecommendations(shopId, currentProductId, effectiveLimit);
       const filtered = this.applyGuardrailsToRecommendations(
         fallback,
         guardrails,
-        new Set([String(currentProductId)]),
+        new Set([String(currentProductId), ...excludeProductIds.map(String)]),
         { goal: config?.goal }
       );
-      return this.finalizeSessionLimit(filtered, effectiveLimit, userId, shopId, contextKey);
+      return this.finalizeSessionLimit(filtered, effectiveLimit, userId, shopId, profile, contextKey);
     }
   }
 
@@ -251,7 +297,7 @@ export class GroqAIEngine {
    * Find cart-based upsell products using Groq LLM intelligence
    * Analyzes multiple products in cart to suggest complementary items
    */
-  async findCartUpsellProducts(shopId, cartProductIds, limit = 4, userId = null) {
+  async findCartUpsellProducts(shopId, cartProductIds, limit = 4, userId = null, { excludeProductIds = [] } = {}) {
     try {
       console.log(`🛒 Starting Groq AI analysis for ${cartProductIds.length} cart products`);
 
@@ -259,7 +305,8 @@ export class GroqAIEngine {
       const guardrails = config?.guardrails || {};
       const sortedIds = [...cartProductIds].map(String).sort().join(',');
       const contextKey = `cart:${sortedIds}`;
-      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, shopId, contextKey);
+      const profile = await this.getVisitorProfileSafe(shopId, userId);
+      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, profile, contextKey);
       if (effectiveLimit <= 0) return [];
 
       // Check cache (sort IDs for consistent key, include userId for per-user caching)
@@ -267,34 +314,42 @@ export class GroqAIEngine {
       const cached = getFromCache(cacheKey);
       if (cached) {
         console.log(`⚡ Cache hit for cart [${sortedIds}] userId=${userId || 'anon'}`);
-        const excludedIds = new Set(cartProductIds.map(String));
+        const excludedIds = new Set([...cartProductIds, ...excludeProductIds].map(String));
         const filtered = this.applyGuardrailsToRecommendations(cached, guardrails, excludedIds, {
           goal: config?.goal
         });
         const capped = filtered.slice(0, effectiveLimit);
         capped._cartProducts = cached._cartProducts;
-        return this.finalizeSessionLimit(capped, effectiveLimit, userId, shopId, contextKey);
+        return await this.finalizeSessionLimit(capped, effectiveLimit, userId, shopId, profile, contextKey);
       }
 
-      // Fetch all products, user profile, cart history, and conversion context in parallel
-      const [allProducts, userProfile, rawCartHistory, conversionContext, merchantContext] = await Promise.all([
-        this.getProductsByShop(shopId),
-        this.getUserInterestProfile(userId, shopId),
-        this.getUserCartHistory(userId, shopId),
+      // Fetch user profile, cart history, and conversion context in parallel
+      const [userProfile, rawCartHistory, conversionContext, merchantContext] = await Promise.all([
+        this.getUserInterestProfile(userId, shopId, profile),
+        this.getUserCartHistory(userId, shopId, profile),
         this.getConversionContext(shopId),
         getMerchantContext(shopId).catch(() => null)
       ]);
 
+      // Vector pre-filter around the cart centroid (cart products are always included)
+      const allProducts = await this.getCandidateProducts(
+        shopId,
+        cartProductIds,
+        [...userProfile.map(p => p.productId), ...rawCartHistory.map(c => c.productId)],
+        config
+      );
+
       if (userProfile.length > 0) {
         console.log(`👤 Cart upsell: user profile loaded (${userProfile.length} products) for userId=${userId}`);
       }
 
       const cartProductIdSet = new Set(cartProductIds.map(String));
+      const excludedIds = new Set([...cartProductIdSet, ...excludeProductIds.map(String)]);
       const validCartProducts = allProducts.filter(p => cartProductIdSet.has(String(p.productId)));
       const otherProducts = this.filterProductsByGuardrails(
         allProducts.filter(p => !cartProductIdSet.has(String(p.productId))),
         guardrails,
-        cartProductIdSet,
+        excludedIds,
         { goal: config?.goal }
       );
 
@@ -320,11 +375,14 @@ export class GroqAIEngine {
         return [];
       }
 
+      const attributeMatch = config?.productAttributes?.match || null;
+      const ruleCandidates = this.applyAttributeMatch(validCartProducts, otherProducts, attributeMatch, effectiveLimit);
+
       const historyCandidates = this.buildHistoryCandidates(
         otherProducts,
         userProfile,
         cartHistory,
-        cartProductIdSet
+        excludedIds
       );
 
       const merchantContextBlock = this.buildMerchantContextBlock(merchantContext);
@@ -337,7 +395,7 @@ export class GroqAIEngine {
 
       let recommendations;
       try {
-        recommendations = await this.analyzeCartWithGroq(validCartProducts, otherProducts, effectiveLimit, userProfile, cartHistory, mergedContext);
+        recommendations = await this.analyzeCartWithGroq(validCartProducts, ruleCandidates, effectiveLimit, userProfile, cartHistory, mergedContext, this.getLLMProvider(config), { attributeMatch });
         if (!recommendations || recommendations.length === 0) {
           console.warn(`⚠️ No AI cart recommendations; using fallback`);
           recommendations = await this.fallbackCartRecommendations(shopId, cartProductIds, effectiveLimit);
@@ -356,10 +414,10 @@ export class GroqAIEngine {
       const filtered = this.applyGuardrailsToRecommendations(
         boosted,
         guardrails,
-        cartProductIdSet,
+        excludedIds,
         { goal: config?.goal }
       );
-      const filled = this.fillToLimit(filtered, otherProducts, effectiveLimit);
+      const filled = this.fillToLimit(filtered, ruleCandidates, effectiveLimit);
 
       // Attach cart product info so callers don't need to re-fetch
       filled._cartProducts = validCartProducts;
@@ -369,7 +427,7 @@ export class GroqAIEngine {
       // Cache the result
       setCache(cacheKey, filled);
 
-      return this.finalizeSessionLimit(filled, effectiveLimit, userId, shopId, contextKey);
+      return await this.finalizeSessionLimit(filled, effectiveLimit, userId, shopId, profile, contextKey);
 
     } catch (error) {
       console.error('❌ Groq AI Engine error for cart:', error);
@@ -378,30 +436,27 @@ export class GroqAIEngine {
       const guardrails = config?.guardrails || {};
       const sortedIds = [...cartProductIds].map(String).sort().join(',');
       const contextKey = `cart:${sortedIds}`;
-      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, shopId, contextKey);
+      const profile = await this.getVisitorProfileSafe(shopId, userId);
+      const effectiveLimit = this.getEffectiveLimit(limit, guardrails, userId, profile, contextKey);
       const fallback = await this.fallbackCartRecommendations(shopId, cartProductIds, effectiveLimit);
       const filtered = this.applyGuardrailsToRecommendations(
         fallback,
         guardrails,
-        new Set(cartProductIds.map(String)),
+        new Set([...cartProductIds, ...excludeProductIds].map(String)),
         { goal: config?.goal }
       );
-      return this.finalizeSessionLimit(filtered, effectiveLimit, userId, shopId, contextKey);
+      return this.finalizeSessionLimit(filtered, effectiveLimit, userId, shopId, profile, contextKey);
     }
   }
 
   /**
-   * Analyze products using Groq LLM
+   * Analyze products using the shop's LLM provider (Groq by default)
    */
-  async analyzeWithGroq(currentProduct, candidateProducts, limit, userProfile = [], cartHistory = [], conversionContext = '') {
+  async analyzeWithGroq(currentProduct, candidateProducts, limit, userProfile = [], cartHistory = [], conversionContext = '', llm = this.getLLMProvider(), { attributeMatch = null } = {}) {
     try {
-      // Validate API key
-      if (!this.groqApiKey) {
-        throw new Error('GROQ_API_KEY is not configured in environment variables');
-      }
-
       // Pre-score candidates by title-word overlap with current product
       const currentTokens = getTitleTokens(currentProduct.title);
+      const matchesRule = (product) => hasAttributeRule(attributeMatch) && matchesAttributes(currentProduct, product, attributeMatch);
       const productData = candidateProducts.map(product => ({
         id: product.productId,
         title: product.title,
@@ -410,61 +465,28 @@ export class GroqAIEngine {
         price: product.aiData?.price || '0',
         keywords: product.aiData?.keywords || [],
         features: product.aiData?.features || [],
+        attributes: describeAttributes(product),
+        shared: sharedAttributes(currentProduct, product),
+        matchesRule: matchesRule(product),
         sameType: computeTypeScore(currentTokens, product.title) > 0
       }));
 
-      // Sort: same-type candidates first, then others
-      productData.sort((a, b) => (b.sameType ? 1 : 0) - (a.sameType ? 1 : 0));
-
-      const prompt = this.buildAnalysisPrompt(currentProduct, productData, limit, userProfile, cartHistory) + conversionContext;
+      // Sort: rule matches first, then same-type candidates, then others
+      productData.sort((a, b) =>
+        ((b.matchesRule ? 1 : 0) - (a.matchesRule ? 1 : 0)) || ((b.sameType ? 1 : 0) - (a.sameType ? 1 : 0)));
+      productData.splice(MAX_PROMPT_CANDIDATES);
 
-      console.log(`🤖 Calling Groq API with model: ${this.groqModel}`);
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 8000); // 8-second timeout
-      let response;
-      try {
-        response = await fetch(this.groqUrl, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.groqApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          signal: controller.signal,
-          body: JSON.stringify({
-            model: this.groqModel,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an AI shopping assistant specialized in product recommendations. Analyze products and provide intelligent upsell suggestions.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            temperature: 0.3,
-            max_tokens: 1000
-          })
-        });
-      } finally {
-        clearTimeout(timeoutId);
-      }
+      const prompt = this.buildAnalysisPrompt(currentProduct, productData, limit, userProfile, cartHistory, { attributeMatch }) + conversionContext;
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        console.error('❌ Groq API Response:', errorBody);
-        throw new Error(`Groq API error: ${response.status} ${response.statusText} - ${errorBody}`);
-      }
+      console.log(`🤖 Calling ${llm.name} LLM with model: ${llm.model}`);
 
-      const data = await response.json();
-      const aiResponse = data.choices[0]?.message?.content;
+      const aiResponse = await llm.complete({
+        system: 'You are an AI shopping assistant specialized in product recommendations. Analyze products and provide intelligent upsell suggestions.',
+        prompt,
+        temperature: 0.3,
+        maxTokens: 1000
+      });
 
-      if (!aiResponse) {
-        console.error('❌ No AI response in data:', JSON.stringify(data));
-        throw new Error('No AI response received from Groq');
-      }
-      
       const results = this.parseGroqRecommendations(aiResponse, candidateProducts);
 
       // Post-filter: when user has a profile, Groq intentionally picks cross-type products
@@ -475,7 +497,7 @@ export class GroqAIEngine {
         base = results;
         console.log(`🔍 Personalized mode: keeping all ${results.length} Groq results (cross-type allowed)`);
       } else {
-        const filtered = results.filter(p => computeTypeScore(currentTokens, p.title) > 0);
+        const filtered = results.filter(p => computeTypeScore(currentTokens, p.title) > 0 || matchesRule(p));
         console.log(`🔍 Post-filter: ${results.length} → ${filtered.length} same-type results`);
         base = filtered.length > 0 ? filtered : results;
       }
@@ -514,17 +536,14 @@ export class GroqAIEngine {
   }
 
   /**
-   * Analyze cart products using Groq LLM for cart-based recommendations
+   * Analyze cart products using the shop's LLM provider for cart-based recommendations
    */
-  async analyzeCartWithGroq(cartProducts, candidateProducts, limit, userProfile = [], cartHistory = [], conversionContext = '') {
+  async analyzeCartWithGroq(cartProducts, candidateProducts, limit, userProfile = [], cartHistory = [], conversionContext = '', llm = this.getLLMProvider(), { attributeMatch = null } = {}) {
     try {
-      // Validate API key
-      if (!this.groqApiKey) {
-        throw new Error('GROQ_API_KEY is not configured in environment variables');
-      }
-
       // Pre-score candidates by title-word overlap with cart products
       const cartTokens = [...new Set(cartProducts.flatMap(p => getTitleTokens(p.title)))];
+      const matchesRule = (product) => hasAttributeRule(attributeMatch)
+        && cartProducts.some(cartProduct => matchesAttributes(cartProduct, product, attributeMatch));
       const productData = candidateProducts.map(product => ({
         id: product.productId,
         title: product.title,
@@ -533,59 +552,27 @@ export class GroqAIEngine {
         price: product.aiData?.price || '0',
         keywords: product.aiData?.keywords || [],
         features: product.aiData?.features || [],
+        attributes: describeAttributes(product),
+        shared: [...new Set(cartProducts.flatMap(cartProduct => sharedAttributes(cartProduct, product)))],
+        matchesRule: matchesRule(product),
         sameType: computeTypeScore(cartTokens, product.title) > 0
       }));
 
-      // Sort: same-type candidates first, then others
-      productData.sort((a, b) => (b.sameType ? 1 : 0) - (a.sameType ? 1 : 0));
+      // Sort: rule matches first, then same-type candidates, then others
+      productData.sort((a, b) =>
+        ((b.matchesRule ? 1 : 0) - (a.matchesRule ? 1 : 0)) || ((b.sameType ? 1 : 0) - (a.sameType ? 1 : 0)));
+      productData.splice(MAX_PROMPT_CANDIDATES);
 
-      const prompt = this.buildCartAnalysisPrompt(cartProducts, productData, limit, userProfile, cartHistory) + conversionContext;
+      const prompt = this.buildCartAnalysisPrompt(cartProducts, productData, limit, userProfile, cartHistory, { attributeMatch }) + conversionContext;
 
-      console.log(`🤖 Calling Groq API for cart analysis with model: ${this.groqModel}`);
+      console.log(`🤖 Calling ${llm.name} LLM for cart analysis with model: ${llm.model}`);
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 8000); // 8-second timeout
-      let response;
-      try {
-        response = await fetch(this.groqUrl, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.groqApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          signal: controller.signal,
-          body: JSON.stringify({
-            model: this.groqModel,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an AI shopping assistant specialized in cart-based product recommendations. Analyze cart contents and provide intelligent cross-sell and upsell suggestions.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            temperature: 0.3,
-            max_tokens: 1000
-          })
-        });
-      } finally {
-        clearTimeout(timeoutId);
-      }
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        console.error('❌ Groq API Response:', errorBody);
-        throw new Error(`Groq API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const aiResponse = data.choices[0]?.message?.content;
-
-      if (!aiResponse) {
-        throw new Error('No AI response received from Groq');
-      }
+      const aiResponse = await llm.complete({
+        system: 'You are an AI shopping assistant specialized in cart-based product recommendations. Analyze cart contents and provide intelligent cross-sell and upsell suggestions.',
+        prompt,
+        temperature: 0.3,
+        maxTokens: 1000
+      });
 
       const results = this.parseGroqRecommendations(aiResponse, candidateProducts);
 
@@ -593,7 +580,7 @@ export class GroqAIEngine {
       // When no profile, keep same-type filter to ensure cart-relevant results
       const filtered = userProfile.length > 0
         ? results
-        : results.filter(p => computeTypeScore(cartTokens, p.title) > 0);
+        : results.filter(p => computeTypeScore(cartTokens, p.title) > 0 || matchesRule(p));
       console.log(`🔍 Cart post-filter: ${results.length} → ${filtered.length} same-type results`);
 
       if (filtered.length >= limit) return filtered.slice(0, limit);
@@ -632,15 +619,18 @@ export class GroqAIEngine {
   /**
    * Build comprehensive prompt for Groq analysis
    */
-  buildAnalysisPrompt(currentProduct, candidateProducts, limit, userProfile = [], cartHistory = []) {
+  buildAnalysisPrompt(currentProduct, candidateProducts, limit, userProfile = [], cartHistory = [], { attributeMatch = null } = {}) {
     const currentData = {
       title: currentProduct.title,
       category: currentProduct.aiData?.category || '',
       brand: currentProduct.aiData?.brand || '',
       price: currentProduct.aiData?.price || '0',
       keywords: currentProduct.aiData?.keywords || [],
-      features: currentProduct.aiData?.features || []
+      features: currentProduct.aiData?.features || [],
+      attributes: describeAttributes(currentProduct)
     };
+    const ruleBlock = this.buildAttributeRuleBlock(attributeMatch);
+    const currentAttributes = currentData.attributes ? `\n- Attributes: ${currentData.attributes}` : '';
 
     // When the user has a browsing history or cart history, use a personalized split-slot prompt
     if (userProfile.length > 0 || cartHistory.length > 0) {
@@ -673,21 +663,21 @@ CURRENT PRODUCT (what they are viewing now):
 - Title: ${currentData.title}
 - Category: ${currentData.category}
 - Brand: ${currentData.brand}
-- Price: $${currentData.price}
+- Price: $${currentData.price}${currentAttributes}
 
 TASK: Select exactly ${limit} upsell products using this split:
 - ${sameTypeSlots} products of the SAME TYPE as "${currentData.title}" (labeled [SAME TYPE] below)
 - ${interestSlots} products that relate to or complement the customer's browsing history and cart history above
 
 If you cannot find enough products for one group, fill all ${limit} slots from the other group.
-
+${ruleBlock}
 CANDIDATE PRODUCTS:
 ${candidateProducts.map((p, i) => `
-${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}
+${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}${p.matchesRule ? ' [MATCHES RULE]' : ''}
    Title: ${p.title}
    Category: ${p.category || 'N/A'}
    Brand: ${p.brand || 'N/A'}
-   Price: $${p.price}
+   Price: $${p.price}${this.formatCandidateAttributes(p)}
 `).join('\n')}
 
 CRITICAL INSTRUCTIONS:
@@ -721,7 +711,7 @@ CURRENT PRODUCT:
 - Brand: ${currentData.brand}
 - Price: $${currentData.price}
 - Keywords: ${currentData.keywords.join(', ')}
-- Features: ${currentData.features.join(', ')}
+- Features: ${currentData.features.join(', ')}${currentAttributes}
 
 STEP 1 — Identify the specific product type:
 Look at the current product's title and determine its exact type (e.g., "Bangle Bracelet" → type is "bracelet", "Leather Wallet" → type is "wallet", "Running Shoes" → type is "shoes"). Use the title, not the category field, since category may be generic.
@@ -731,14 +721,14 @@ From the candidate list below, select ONLY products whose title contains the SAM
 
 STEP 3 — If fewer than ${limit} same-type products exist:
 Fill remaining slots with products from the same broad category. If still not enough, fill with any available products.
-
+${ruleBlock}
 CANDIDATE PRODUCTS - labeled [SAME TYPE] or [DIFFERENT TYPE] based on title similarity:
 ${candidateProducts.map((p, i) => `
-${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}
+${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}${p.matchesRule ? ' [MATCHES RULE]' : ''}
    Title: ${p.title}
    Category: ${p.category || 'N/A'}
    Brand: ${p.brand || 'N/A'}
-   Price: $${p.price}
+   Price: $${p.price}${this.formatCandidateAttributes(p)}
 `).join('\n')}
 
 CRITICAL INSTRUCTIONS:
@@ -765,15 +755,17 @@ Return ONLY the JSON array, nothing else. Do not include any text before or afte
   /**
    * Build comprehensive prompt for cart-based Groq analysis
    */
-  buildCartAnalysisPrompt(cartProducts, candidateProducts, limit, userProfile = [], cartHistory = []) {
+  buildCartAnalysisPrompt(cartProducts, candidateProducts, limit, userProfile = [], cartHistory = [], { attributeMatch = null } = {}) {
     const cartData = cartProducts.map(product => ({
       title: product.title,
       category: product.aiData?.category || '',
       brand: product.aiData?.brand || '',
       price: product.aiData?.price || '0',
       keywords: product.aiData?.keywords || [],
-      features: product.aiData?.features || []
+      features: product.aiData?.features || [],
+      attributes: describeAttributes(product)
     }));
+    const ruleBlock = this.buildAttributeRuleBlock(attributeMatch);
 
     const hasProfile = userProfile.length > 0 || cartHistory.length > 0;
 
@@ -817,18 +809,18 @@ ${i + 1}. ${p.title}
    - Category: ${p.category}
    - Brand: ${p.brand}
    - Price: $${p.price}
-   - Keywords: ${p.keywords.join(', ')}
+   - Keywords: ${p.keywords.join(', ')}${p.attributes ? `\n   - Attributes: ${p.attributes}` : ''}
 `).join('\n')}
 ${profileSection}
 ${taskSection}
-
+${ruleBlock}
 CANDIDATE PRODUCTS - labeled [SAME TYPE] or [DIFFERENT TYPE] based on title similarity to cart items:
 ${candidateProducts.map((p, i) => `
-${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}
+${i + 1}. ProductID: ${p.id} ${p.sameType ? '[SAME TYPE]' : '[DIFFERENT TYPE]'}${p.matchesRule ? ' [MATCHES RULE]' : ''}
    Title: ${p.title}
    Category: ${p.category || 'N/A'}
    Brand: ${p.brand || 'N/A'}
-   Price: $${p.price}
+   Price: $${p.price}${this.formatCandidateAttributes(p)}
 `).join('\n')}
 
 CRITICAL INSTRUCTIONS:
@@ -853,6 +845,24 @@ Return ONLY the JSON array, nothing else. Do not include any text before or afte
 `;
   }
 
+  /**
+   * Candidate attribute lines: structured attributes, plus the ones shared
+   * with the current product / cart (productAttributes.js).
+   */
+  formatCandidateAttributes(candidate) {
+    let lines = '';
+    if (candidate.attributes) lines += `\n   Attributes: ${candidate.attributes}`;
+    if (candidate.shared?.length > 0) lines += `\n   Shares: ${candidate.shared.slice(0, 6).join(', ')}`;
+    return lines;
+  }
+
+  buildAttributeRuleBlock(attributeMatch) {
+    if (!hasAttributeRule(attributeMatch)) return '';
+    return `
+MERCHANT ATTRIBUTE RULE: recommend products with ${describeAttributeRule(attributeMatch)}. Candidates that satisfy it are labeled [MATCHES RULE] — pick those first, even when they are a different type.
+`;
+  }
+
   buildMerchantContextBlock(context) {
     if (!context) return '';
     const {
@@ -935,12 +945,13 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
   }
 
   /**
-   * Fallback to rule-based system if Groq fails
+   * Fallback to rule-based system if Groq fails.
+   * Ranks by vector similarity (when the shop is indexed) blended with the
+   * attribute-overlap score, so the non-LLM path stays relevant.
    */
   async fallbackRecommendations(shopId, currentProductId, limit) {
     console.log('🔄 Using fallback rule-based recommendations');
 
-    // Simple rule-based similarity (your original implementation)
     const db = await getDb();
     const productsCollection = db.collection('products');
 
@@ -948,7 +959,7 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
 
     if (!currentProduct) {
       console.log('⚠️ Current product not found in fallback, returning random products');
-      const randomProducts = await productsCollection.find({ shopId }).limit(limit).toArray();
+      const randomProducts = await productsCollection.find({ shopId, tags: { $ne: BUNDLE_PRODUCT_TAG } }).limit(limit).toArray();
       return randomProducts.map(product => ({
         ...product,
         aiReason: 'You might also like this product',
@@ -957,13 +968,17 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
       }));
     }
 
-    const allProducts = await productsCollection.find({ shopId }).toArray();
-    const otherProducts = allProducts.filter(p => String(p.productId) !== String(currentProductId));
+    const pool = await this.getCandidateProducts(shopId, [currentProductId]);
+    const otherProducts = pool.filter(p => String(p.productId) !== String(currentProductId));
+    const vectorScores = await this.getVectorSimilarities(shopId, [currentProduct], otherProducts);
 
     // Calculate similarity scores
     const productsWithScores = otherProducts.map(product => ({
       ...product,
-      similarityScore: this.calculateSimilarity(currentProduct, product)
+      similarityScore: this.blendSimilarity(
+        this.calculateSimilarity(currentProduct, product),
+        vectorScores.get(String(product.productId))
+      )
     })).sort((a, b) => b.similarityScore - a.similarityScore);
 
     return productsWithScores.slice(0, limit).map(product => ({
@@ -991,7 +1006,7 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
 
     if (cartProducts.length === 0) {
       console.log('⚠️ No cart products found in fallback, returning random products');
-      const randomProducts = await productsCollection.find({ shopId }).limit(limit).toArray();
+      const randomProducts = await productsCollection.find({ shopId, tags: { $ne: BUNDLE_PRODUCT_TAG } }).limit(limit).toArray();
       return randomProducts.map(product => ({
         ...product,
         aiReason: 'You might also like this product',
@@ -1000,9 +1015,11 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
       }));
     }
 
-    // Get all products except those in cart
-    const allProducts = await productsCollection.find({ shopId }).toArray();
-    const otherProducts = allProducts.filter(p => !cartProductIds.includes(p.productId));
+    // Candidate pool (vector pre-filtered when indexed) minus the cart itself
+    const cartIdSet = new Set(cartProductIds.map(String));
+    const pool = await this.getCandidateProducts(shopId, cartProductIds);
+    const otherProducts = pool.filter(p => !cartIdSet.has(String(p.productId)));
+    const vectorScores = await this.getVectorSimilarities(shopId, cartProducts, otherProducts);
 
     // Calculate aggregate similarity scores across all cart items
     const productsWithScores = otherProducts.map(product => {
@@ -1014,7 +1031,7 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
 
       return {
         ...product,
-        similarityScore: averageScore
+        similarityScore: this.blendSimilarity(averageScore, vectorScores.get(String(product.productId)))
       };
     }).sort((a, b) => b.similarityScore - a.similarityScore);
 
@@ -1026,6 +1043,60 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
     }));
   }
 
+  // ─── Vector Similarity ──────────────────────────────────────────────────
+
+  /**
+   * Candidate products for a context (viewed product or cart).
+   * Uses the vector index to keep only the nearest neighbours (plus any
+   * history products); before the shop is indexed the pool is scored with the
+   * local embedder. The full catalogue is only loaded when it is no larger
+   * than the pool would be.
+   */
+  async getCandidateProducts(shopId, contextProductIds, extraProductIds = [], config = null) {
+    const pool = await getSimilarCandidatePool(shopId, contextProductIds, {
+      extraProductIds,
+      provider: config ? this.getLLMProvider(config) : this.provider
+    });
+    return pool || this.getProductsByShop(shopId);
+  }
+
+  /**
+   * Cosine similarity of each candidate to the centroid of the context products.
+   * Returns Map productId (string) → similarity in [-1, 1]; empty on failure.
+   */
+  async getVectorSimilarities(shopId, contextProducts, candidates) {
+    const scores = new Map();
+    try {
+      const vectors = await ensureProductEmbeddings(shopId, [...contextProducts, ...candidates], {
+        provider: this.provider
+      });
+      const contextVectors = contextProducts
+        .map(p => vectors.get(String(p.productId)))
+        .filter(Boolean);
+      if (contextVectors.length === 0) return scores;
+
+      for (const candidate of candidates) {
+        const vector = vectors.get(String(candidate.productId));
+        if (!vector) continue;
+        const best = Math.max(...contextVectors.map(cv => cosineSimilarity(cv, vector)));
+        scores.set(String(candidate.productId), best);
+      }
+    } catch (err) {
+      console.warn('⚠️ Vector similarity unavailable (non-critical):', err.message);
+    }
+    return scores;
+  }
+
+  /**
+   * Blend the 0–100 attribute score with a cosine similarity (60/40 in favour
+   * of the vector). Without a vector the attribute score is used as-is.
+   */
+  blendSimilarity(attributeScore, vectorSimilarity) {
+    if (!Number.isFinite(vectorSimilarity)) return attributeScore;
+    const vectorScore = Math.max(0, vectorSimilarity) * 100;
+    return Math.round((vectorScore * 0.6 + attributeScore * 0.4) * 100) / 100;
+  }
+
   // ─── Guardrails ─────────────────────────────────────────────────────────
 
   async getMerchantConfigSafe(shopId) {
@@ -1037,19 +1108,32 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
     }
   }
 
-  getEffectiveLimit(limit, guardrails, userId, shopId, contextKey = 'session') {
+  /**
+   * Visitor profile for session limits and history; null for anonymous
+   * visitors or when the profile store is unavailable.
+   */
+  async getVisitorProfileSafe(shopId, userId) {
+    if (!userId) return null;
+    try {
+      return await getVisitorProfile(shopId, userId);
+    } catch (err) {
+      console.warn('⚠️ Failed to load visitor profile (session limit per view only):', err.message);
+      return null;
+    }
+  }
+
+  getEffectiveLimit(limit, guardrails, userId, profile, contextKey = 'session') {
     const rawLimit = Number(limit) || 0;
     if (rawLimit <= 0) return 0;
 
     const guardrailLimit = Number(guardrails?.sessionOfferLimit);
 
-    if (userId) {
-      const key = getSessionKey(shopId, userId, contextKey);
-      const used = getSessionCount(key);
+    if (userId && profile) {
+      const { used, context } = getSessionOfferUsage(profile, contextKey);
 
       // Repeat view of the same context (page refresh) — bypass session budget,
       // show up to rawLimit without consuming more quota.
-      if (used > 0) return rawLimit;
+      if (context > 0) return rawLimit;
 
       if (Number.isFinite(guardrailLimit)) {
         // sessionOfferLimit is the cumulative session cap (e.g. 3 total offers per session).
@@ -1062,20 +1146,18 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
       return rawLimit;
     }
 
-    // No userId — no session tracking; apply guardrail as a per-view cap only.
+    // No userId or profile — no session tracking; apply guardrail as a per-view cap only.
     return Number.isFinite(guardrailLimit) ? Math.min(rawLimit, guardrailLimit) : rawLimit;
   }
 
-  finalizeSessionLimit(recommendations, limit, userId, shopId, contextKey = 'session') {
+  async finalizeSessionLimit(recommendations, limit, userId, shopId, profile, contextKey = 'session') {
     const safe = Array.isArray(recommendations) ? recommendations : [];
     const capped = safe.slice(0, limit);
-    if (userId && capped.length > 0) {
-      const key = getSessionKey(shopId, userId, contextKey);
-      // Only charge the session budget on the FIRST view of this context.
-      // Repeat views (refresh) are free — counter stays at its original value.
-      if (getSessionCount(key) === 0) {
-        incrementSessionCount(key, capped.length);
-      }
+    // Only charge the session budget on the FIRST view of this context.
+    // Repeat views (refresh) are free — the charge stays at its original value.
+    if (userId && profile && capped.length > 0 && getSessionOfferUsage(profile, contextKey).context === 0) {
+      await chargeSessionOffers(shopId, userId, contextKey, capped.length)
+        .catch((err) => console.warn('⚠️ Failed to charge session offers:', err.message));
     }
     return capped;
   }
@@ -1090,6 +1172,19 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
     return (products || []).filter(product => this.isEligibleProduct(product, guardrails, excluded, options));
   }
 
+  /**
+   * Apply the merchant's attribute rule (productAttributes.match) to the
+   * candidate pool: matching products first, and only those when there are
+   * enough of them. Unsynced products (no attributes) never fail a rule.
+   */
+  applyAttributeMatch(contextProducts, products, attributeMatch, limit) {
+    if (!hasAttributeRule(attributeMatch)) return products;
+    const matching = products.filter(p => contextProducts.some(base => matchesAttributes(base, p, attributeMatch)));
+    if (matching.length >= limit) return matching;
+    const matchingIds = new Set(matching.map(p => String(p.productId)));
+    return [...matching, ...products.filter(p => !matchingIds.has(String(p.productId)))];
+  }
+
   fillToLimit(currentList, candidateProducts, limit) {
     const safe = Array.isArray(currentList) ? currentList : [];
     if (safe.length >= limit) return safe.slice(0, limit);
@@ -1249,7 +1344,10 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
     const overlap = keywords1.filter(k => keywords2.includes(k)).length;
     score += Math.min(overlap * 5, 20);
 
-    return score;
+    // Structured attribute overlap (material, size, metafields…)
+    score += Math.min(sharedAttributes(product1, product2).length * 5, 15);
+
+    return Math.min(score, 100);
   }
 
   /**
@@ -1262,43 +1360,22 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
   }
 
   /**
-   * Get all products for a shop
+   * Get all products for a shop (native bundle parent products are never candidates)
    */
   async getProductsByShop(shopId) {
     const db = await getDb();
     const productsCollection = db.collection('products');
-    return await productsCollection.find({ shopId }).toArray();
+    return await productsCollection.find({ shopId, tags: { $ne: BUNDLE_PRODUCT_TAG } }).toArray();
   }
 
   /**
-   * Build a per-user interest profile from their time-tracking history.
+   * Per-user interest profile from the visitor profile's time-tracking history.
    * Returns top 5 products this specific user spent the most time on (last 30 days).
    */
-  async getUserInterestProfile(userId, shopId) {
+  async getUserInterestProfile(userId, shopId, profile = null) {
     if (!userId) return [];
     try {
-      const db = await getDb();
-      const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      const rows = await db.collection('product_time_events')
-        .aggregate([
-          { $match: { userId, shop: shopId, recordedAt: { $gte: thirtyDaysAgo } } },
-          {
-            $group: {
-              _id: '$productId',
-              productTitle: { $first: '$productTitle' },
-              totalTimeSeconds: { $sum: '$timeSpentSeconds' }
-            }
-          },
-          { $sort: { totalTimeSeconds: -1 } },
-          { $limit: 5 }
-        ])
-        .toArray();
-
-      return rows.map(r => ({
-        productId: r._id,
-        productTitle: r.productTitle,
-        totalTimeSeconds: r.totalTimeSeconds
-      }));
+      return getInterestProfile(profile || await getVisitorProfile(shopId, userId));
     } catch (err) {
       console.warn('⚠️ getUserInterestProfile failed (non-critical):', err.message);
       return [];
@@ -1306,25 +1383,13 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
   }
 
   /**
-   * Build a per-user cart history profile from past cart sessions.
+   * Per-user cart history from the visitor profile's cart snapshots.
    * Returns top products this user most frequently had in their cart (last 30 days).
    */
-  async getUserCartHistory(userId, shopId) {
+  async getUserCartHistory(userId, shopId, profile = null) {
     if (!userId) return [];
     try {
-      const db = await getDb();
-      const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      const rows = await db.collection('cart_time_events')
-        .aggregate([
-          { $match: { userId, shop: shopId, cartProductIds: { $exists: true, $ne: [] }, recordedAt: { $gte: thirtyDaysAgo } } },
-          { $unwind: '$cartProductIds' },
-          { $group: { _id: '$cartProductIds', count: { $sum: 1 } } },
-          { $sort: { count: -1 } },
-          { $limit: 8 }
-        ])
-        .toArray();
-
-      return rows.map(r => ({ productId: String(r._id), count: r.count }));
+      return getCartHistory(profile || await getVisitorProfile(shopId, userId));
     } catch (err) {
       console.warn('⚠️ getUserCartHistory failed (non-critical):', err.message);
       return [];
@@ -1526,39 +1591,17 @@ MERCHANT STRATEGY CONTEXT (use as a soft preference, never override relevance or
   }
 
   /**
-   * Generate product embeddings using Groq (for future vector similarity)
+   * Generate a numeric embedding for a product (provider embeddings when
+   * available, otherwise the local hashing embedder). Not persisted — use
+   * ensureProductEmbeddings() in productEmbeddings.js for the stored index.
    */
-  async generateProductEmbedding(product) {
+  async generateProductEmbedding(product, llm = this.getLLMProvider()) {
     try {
-      const prompt = `Generate a concise embedding description for this product for similarity matching:
-      
-Product: ${product.title}
-Category: ${product.aiData?.category || 'N/A'}
-Brand: ${product.aiData?.brand || 'N/A'}
-Features: ${(product.aiData?.features || []).join(', ')}
-
-Return a brief vector description (50 words max):`;
-
-      const response = await fetch(this.groqUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.groqApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.groqModel,
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.1,
-          max_tokens: 100
-        })
-      });
-
-      const data = await response.json();
-      return data.choices[0]?.message?.content || '';
-      
+      const { vectors } = await embedTexts([buildEmbeddingText(product)], llm);
+      return vectors[0] || [];
     } catch (error) {
       console.error('❌ Error generating embedding:', error);
-      return '';
+      return [];
     }
   }
 }
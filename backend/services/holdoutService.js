@@ -0,0 +1,254 @@
+/**
+ * Holdout Service — control group for incremental revenue measurement
+ *
+ * Provides:
+ *   - getHoldoutAssignment(shopId, userId)   — sticky 'holdout' | 'exposed' group
+ *   - isHoldoutEnabled(shopId)               — whether the shop holds out any visitors
+ *   - getIncrementalityReport(shopId, opts)  — revenue per visitor, exposed vs holdout
+ *
+ * A per-shop share of visitors (merchant config `holdout.percent`) never sees
+ * an offer on any placement. Comparing their revenue per visitor with the
+ * exposed group gives the causal lift of the widget — unlike getAOVLift, which
+ * compares orders with and without upsells and so is confounded by buyers who
+ * were already big spenders.
+ *
+ * Assignments are recorded in `holdout_assignments` on first sight and are
+ * sticky from then on, even if the merchant later changes the percentage.
+ * Orders are linked to visitors through the `ai_uid` cart attribute written by
+ * the storefront script (stored as `visitorId` on order_received events).
+ */
+
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig } from './merchantConfig.js';
+import { hashToUnit } from './experimentService.js';
+
+const Z_95 = 1.959964;
+
+// Visitor → group cache. Assignments never change, so a long TTL is safe;
+// the cap only bounds memory.
+const _assignmentCache = new Map();
+const ASSIGNMENT_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const ASSIGNMENT_CACHE_MAX = 20000;
+
+function _cacheAssignment(key, assignment) {
+  if (_assignmentCache.size >= ASSIGNMENT_CACHE_MAX) _assignmentCache.clear();
+  _assignmentCache.set(key, { assignment, ts: Date.now() });
+}
+
+// ─── Assignment ───────────────────────────────────────────────────────────────
+
+/**
+ * getHoldoutAssignment(shopId, userId)
+ *
+ * Returns { group: 'holdout' | 'exposed', percent } or null when the visitor
+ * is anonymous or the shop has no holdout configured. Fails open — if the DB
+ * is unreachable the visitor is treated as exposed.
+ */
+export async function getHoldoutAssignment(shopId, userId) {
+  if (!shopId || !userId) return null;
+
+  let percent = 0;
+  try {
+    const config = await getMerchantConfig(shopId);
+    percent = Number(config?.holdout?.percent) || 0;
+  } catch (_) {
+    return null;
+  }
+  if (percent <= 0) return null;
+
+  const key = `${shopId}:${userId}`;
+  const cached = _assignmentCache.get(key);
+  if (cached && (Date.now() - cached.ts) < ASSIGNMENT_CACHE_TTL) {
+    return cached.assignment;
+  }
+
+  const computedGroup = hashToUnit(`holdout:${shopId}`, String(userId)) < percent / 100
+    ? 'holdout'
+    : 'exposed';
+
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const doc = await db.collection(collections.holdoutAssignments).findOneAndUpdate(
+      { shopId, userId: String(userId) },
+      {
+        $setOnInsert: { shopId, userId: String(userId), group: computedGroup, percent, assignedAt: now },
+        $set: { lastSeenAt: now }
+      },
+      { upsert: true, returnDocument: 'after', projection: { _id: 0, group: 1, percent: 1 } }
+    );
+    const assignment = { group: doc?.group || computedGroup, percent: doc?.percent ?? percent };
+    _cacheAssignment(key, assignment);
+    return assignment;
+  } catch (err) {
+    console.warn('⚠️ getHoldoutAssignment failed, treating visitor as exposed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * isHoldoutEnabled(shopId)
+ *
+ * For placements that may not know the visitor: when this is true and no
+ * visitor can be resolved, serve no offer rather than an un-held-out one.
+ * Fails closed (true) if the config cannot be read.
+ */
+export async function isHoldoutEnabled(shopId) {
+  try {
+    const config = await getMerchantConfig(shopId);
+    return (Number(config?.holdout?.percent) || 0) > 0;
+  } catch (_) {
+    return true;
+  }
+}
+
+export function isHoldout(assignment) {
+  return assignment?.group === 'holdout';
+}
+
+// ─── Reporting ────────────────────────────────────────────────────────────────
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function summarizeGroup(visitors, buyers, revenue, revenueSq) {
+  const n = visitors;
+  const mean = n > 0 ? revenue / n : 0;
+  const variance = n > 1 ? Math.max(0, (revenueSq - n * mean * mean) / (n - 1)) : 0;
+  const standardError = n > 0 ? Math.sqrt(variance / n) : 0;
+  const conversionRate = n > 0 ? buyers / n : 0;
+  const conversionSE = n > 0 ? Math.sqrt((conversionRate * (1 - conversionRate)) / n) : 0;
+  return {
+    visitors: n,
+    buyers,
+    revenue: round(revenue),
+    revenuePerVisitor: round(mean, 4),
+    revenuePerVisitorCI: [round(mean - Z_95 * standardError, 4), round(mean + Z_95 * standardError, 4)],
+    conversionRate: round(conversionRate, 4),
+    conversionRateCI: [
+      round(Math.max(0, conversionRate - Z_95 * conversionSE), 4),
+      round(Math.min(1, conversionRate + Z_95 * conversionSE), 4)
+    ],
+    _variance: variance
+  };
+}
+
+/**
+ * getIncrementalityReport(shopId, { days = 30 })
+ *
+ * Revenue per visitor for exposed vs holdout visitors seen in the window,
+ * with 95% confidence intervals (normal approximation, Welch standard error
+ * for the difference). Visitors and revenue cover the same population:
+ * window orders count only for visitors whose `lastSeenAt` is in the window.
+ */
+export async function getIncrementalityReport(shopId, { days = 30 } = {}) {
+  try {
+    const db = await getDb();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const config = await getMerchantConfig(shopId).catch(() => null);
+
+    const [visitorCounts, revenueByGroup] = await Promise.all([
+      db.collection(collections.holdoutAssignments).aggregate([
+        { $match: { shopId, lastSeenAt: { $gte: since } } },
+        { $group: { _id: '$group', visitors: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection(collections.purchaseEvents).aggregate([
+        {
+          $match: {
+            shopId,
+            eventType: 'order_received',
+            visitorId: { $type: 'string' },
+            timestamp: { $gte: since }
+          }
+        },
+        { $group: { _id: '$visitorId', revenue: { $sum: { $ifNull: ['$orderValue', 0] } }, orders: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: collections.holdoutAssignments,
+            let: { visitorId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ['$shopId', shopId] },
+                      { $eq: ['$userId', '$$visitorId'] },
+                      { $gte: ['$lastSeenAt', since] }
+                    ]
+                  }
+                }
+              },
+              { $project: { _id: 0, group: 1 } }
+            ],
+            as: 'assignment'
+          }
+        },
+        { $unwind: '$assignment' },
+        {
+          $group: {
+            _id: '$assignment.group',
+            buyers: { $sum: 1 },
+            orders: { $sum: '$orders' },
+            revenue: { $sum: '$revenue' },
+            revenueSq: { $sum: { $multiply: ['$revenue', '$revenue'] } }
+          }
+        }
+      ]).toArray()
+    ]);
+
+    const groups = {};
+    for (const name of ['exposed', 'holdout']) {
+      const visitors = visitorCounts.find((g) => g._id === name)?.visitors || 0;
+      const rev = revenueByGroup.find((g) => g._id === name) || {};
+      groups[name] = {
+        ...summarizeGroup(visitors, rev.buyers || 0, rev.revenue || 0, rev.revenueSq || 0),
+        orders: rev.orders || 0
+      };
+    }
+
+    const exposed = groups.exposed;
+    const holdout = groups.holdout;
+    let lift = null;
+    if (exposed.visitors > 1 && holdout.visitors > 1) {
+      const diff = exposed.revenuePerVisitor - holdout.revenuePerVisitor;
+      const se = Math.sqrt(exposed._variance / exposed.visitors + holdout._variance / holdout.visitors);
+      const ci = [diff - Z_95 * se, diff + Z_95 * se];
+      lift = {
+        revenuePerVisitorDelta: round(diff, 4),
+        revenuePerVisitorDeltaCI: [round(ci[0], 4), round(ci[1], 4)],
+        relativeLiftPercent: holdout.revenuePerVisitor > 0
+          ? round((diff / holdout.revenuePerVisitor) * 100, 1)
+          : null,
+        incrementalRevenue: round(diff * exposed.visitors),
+        significant: ci[0] > 0 || ci[1] < 0
+      };
+    }
+
+    delete exposed._variance;
+    delete holdout._variance;
+
+    return {
+      success: true,
+      shopId,
+      periodDays: days,
+      holdoutPercent: config?.holdout?.percent ?? 0,
+      groups,
+      lift,
+      note: lift
+        ? null
+        : 'Not enough visitors in both groups yet — enable a holdout percentage and let traffic accumulate.'
+    };
+  } catch (error) {
+    console.error('❌ getIncrementalityReport failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export const holdoutService = {
+  getHoldoutAssignment,
+  isHoldoutEnabled,
+  isHoldout,
+  getIncrementalityReport
+};
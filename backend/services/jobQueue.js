@@ -0,0 +1,447 @@
+/**
+ * Job Queue — durable background work in MongoDB
+ *
+ * Provides:
+ *   - JOB_TYPES / JOB_STATUSES
+ *   - registerJobHandler(type, handler, { maxAttempts, leaseSeconds })
+ *   - enqueueJob(type, { shopId, payload, runAt, dedupeKey, maxAttempts, priority })
+ *   - claimNextJob({ workerId, types })              — lease the next due job (per-shop lock)
+ *   - runJob(job, { workerId })                      — run a claimed job, then complete / retry / dead-letter it
+ *   - startJobWorker({ workerId, pollMs, concurrency }) — polling loop, returns { stop }
+ *   - claimSchedule(name, intervalMs, { firstRunAt }) — once-per-interval gate shared by all workers
+ *   - listJobs({ shopId, status, type, limit })
+ *   - getQueueSummary({ shopId })                    — counts per type × status
+ *   - retryDeadJob(jobId, { shopId })                — move a dead-lettered job back to the queue
+ *
+ * Lifecycle:
+ *
+ *   queued → running → completed
+ *              ↓ (throws)
+ *            queued (runAt + backoff) … → dead  after maxAttempts
+ *
+ * A handler that throws is retried with exponential backoff (30s, 1m, 2m …
+ * capped at 1h). Jobs out of attempts stay in `jobs` with status `dead` — the
+ * dead-letter list — until retried from the admin view.
+ *
+ * Locks: a running job holds `job_locks[shop:<shopId>]` (or
+ * `global:<type>` for shop-less jobs), so one shop never runs two jobs at
+ * once across workers. Job and lock share a lease that the worker renews
+ * while the handler runs; when a worker dies, the lease expires and the job
+ * is claimed again (counting as an attempt).
+ *
+ * `dedupeKey` keeps at most one queued / running job per key — enqueueing a
+ * duplicate returns the existing job.
+ */
+
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { getDb, collections } from '../database/mongodb.js';
+import { logger } from './logger.js';
+
+export const JOB_TYPES = ['optimization', 'learning_loop', 'product_reconciliation', 'bundle_detection', 'cache_warm'];
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LEASE_SECONDS = Number(process.env.JOB_LEASE_SECONDS || 300);
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const COMPLETED_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CLAIM_BATCH = 20;
+const MAX_ERRORS_KEPT = 10;
+
+const handlers = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function lockKeyFor(type, shopId) {
+  return shopId ? `shop:${shopId}` : `global:${type}`;
+}
+
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+  // ±20% jitter so retries of a failed batch don't all land together
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function leaseMsFor(type) {
+  return (handlers.get(type)?.leaseSeconds || DEFAULT_LEASE_SECONDS) * 1000;
+}
+
+export function defaultWorkerId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * registerJobHandler(type, handler, { maxAttempts, leaseSeconds })
+ *
+ * handler(job) → result. The result is stored on the completed job — keep it
+ * a small summary. Throw to fail the attempt.
+ */
+export function registerJobHandler(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, leaseSeconds = DEFAULT_LEASE_SECONDS } = {}) {
+  if (!JOB_TYPES.includes(type)) throw new Error(`Unknown job type: ${type}`);
+  handlers.set(type, { handler, maxAttempts, leaseSeconds });
+}
+
+/**
+ * enqueueJob(type, { shopId, payload, runAt, dedupeKey, maxAttempts, priority })
+ *
+ * Returns { success, jobId, queued } — `queued: false` when a job with the
+ * same dedupeKey is already queued or running.
+ */
+export async function enqueueJob(type, { shopId = null, payload = {}, runAt = new Date(), dedupeKey = null, maxAttempts, priority = 0 } = {}) {
+  if (!JOB_TYPES.includes(type)) return { success: false, error: `Unknown job type: ${type}` };
+
+  const db = await getDb();
+  const now = new Date();
+  const doc = {
+    jobId: crypto.randomUUID(),
+    type,
+    shopId,
+    payload,
+    status: 'queued',
+    priority,
+    runAt: new Date(runAt),
+    attempts: 0,
+    maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    dedupeKey,
+    lockKey: lockKeyFor(type, shopId),
+    errors: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  if (dedupeKey) doc.activeKey = dedupeKey;
+
+  try {
+    await db.collection(collections.jobs).insertOne(doc);
+    return { success: true, jobId: doc.jobId, queued: true };
+  } catch (error) {
+    if (error?.code !== 11000 || !dedupeKey) throw error;
+    const existing = await db.collection(collections.jobs)
+      .findOne({ activeKey: dedupeKey }, { projection: { jobId: 1, status: 1 } });
+    return { success: true, jobId: existing?.jobId || null, queued: false, status: existing?.status || null };
+  }
+}
+
+async function acquireLock(db, lockKey, job, workerId, leaseExpiresAt) {
+  const now = new Date();
+  try {
+    await db.collection(collections.jobLocks).updateOne(
+      { _id: lockKey, $or: [{ leaseExpiresAt: { $lt: now } }, { jobId: job.jobId }] },
+      { $set: { jobId: job.jobId, type: job.type, workerId, leaseExpiresAt, acquiredAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Upsert collided with a live lock held by another job
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function releaseLock(db, job) {
+  await db.collection(collections.jobLocks)
+    .deleteOne({ _id: job.lockKey, jobId: job.jobId })
+    .catch(() => {});
+}
+
+async function deadLetter(db, job, message) {
+  const now = new Date();
+  await db.collection(collections.jobs).updateOne(
+    { jobId: job.jobId },
+    {
+      $set: { status: 'dead', lastError: message, deadAt: now, finishedAt: now, updatedAt: now },
+      $unset: { activeKey: '', leaseExpiresAt: '', workerId: '' },
+      $push: { errors: { $each: [{ attempt: job.attempts, error: message, at: now }], $slice: -MAX_ERRORS_KEPT } }
+    }
+  );
+  await releaseLock(db, job);
+  logger.logError('jobDeadLettered', { jobId: job.jobId, type: job.type, shopId: job.shopId, error: message });
+  console.error(`💀 Job ${job.type} ${job.jobId}${job.shopId ? ` (${job.shopId})` : ''} moved to dead letter: ${message}`);
+}
+
+/**
+ * claimNextJob({ workerId, types })
+ *
+ * Due queued jobs and running jobs whose lease expired, highest priority
+ * first. Jobs whose shop is locked by another running job are skipped.
+ * Returns the claimed job (status `running`, attempts incremented) or null.
+ */
+export async function claimNextJob({ workerId = defaultWorkerId(), types = [...handlers.keys()] } = {}) {
+  if (types.length === 0) return null;
+  const db = await getDb();
+  const now = new Date();
+
+  const candidates = await db.collection(collections.jobs)
+    .find({
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lt: now } }
+      ]
+    })
+    .sort({ priority: -1, runAt: 1 })
+    .limit(CLAIM_BATCH)
+    .toArray();
+
+  for (const candidate of candidates) {
+    // A worker died mid-run on the last attempt — nothing left to retry
+    if (candidate.status === 'running' && candidate.attempts >= candidate.maxAttempts) {
+      await deadLetter(db, candidate, 'Lease expired on the last attempt (worker stopped)');
+      continue;
+    }
+
+    const leaseExpiresAt = new Date(Date.now() + leaseMsFor(candidate.type));
+    if (!(await acquireLock(db, candidate.lockKey, candidate, workerId, leaseExpiresAt))) continue;
+
+    const job = await db.collection(collections.jobs).findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status, attempts: candidate.attempts },
+      {
+        $set: { status: 'running', workerId, leaseExpiresAt, startedAt: new Date(), updatedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+    if (job) return job;
+
+    // Another worker claimed it between find and update
+    await releaseLock(db, candidate);
+  }
+  return null;
+}
+
+async function renewLease(db, job, workerId) {
+  const leaseExpiresAt = new Date(Date.now() + leaseMsFor(job.type));
+  const { matchedCount } = await db.collection(collections.jobs).updateOne(
+    { jobId: job.jobId, status: 'running', workerId },
+    { $set: { leaseExpiresAt, updatedAt: new Date() } }
+  );
+  await db.collection(collections.jobLocks).updateOne(
+    { _id: job.lockKey, jobId: job.jobId },
+    { $set: { leaseExpiresAt } }
+  );
+  return matchedCount > 0;
+}
+
+async function completeJob(db, job, workerId, result) {
+  const now = new Date();
+  await db.collection(collections.jobs).updateOne(
+    { jobId: job.jobId, workerId },
+    {
+      $set: {
+        status: 'completed',
+        result: result ?? null,
+        finishedAt: now,
+        durationMs: now - new Date(job.startedAt),
+        expiresAt: new Date(now.getTime() + COMPLETED_TTL_MS),
+        updatedAt: now
+      },
+      $unset: { activeKey: '', leaseExpiresAt: '' }
+    }
+  );
+  await releaseLock(db, job);
+}
+
+async function failJob(db, job, workerId, error) {
+  const message = error?.message || String(error);
+  if (job.attempts >= job.maxAttempts) {
+    await deadLetter(db, job, message);
+    return;
+  }
+
+  const now = new Date();
+  const runAt = new Date(now.getTime() + backoffMs(job.attempts));
+  await db.collection(collections.jobs).updateOne(
+    { jobId: job.jobId, workerId },
+    {
+      $set: { status: 'queued', runAt, lastError: message, updatedAt: now },
+      $unset: { leaseExpiresAt: '' },
+      $push: { errors: { $each: [{ attempt: job.attempts, error: message, at: now }], $slice: -MAX_ERRORS_KEPT } }
+    }
+  );
+  await releaseLock(db, job);
+  console.warn(`⚠️ Job ${job.type} ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${runAt.toISOString()}: ${message}`);
+}
+
+/**
+ * runJob(job, { workerId })
+ *
+ * Runs a job returned by claimNextJob. Never throws.
+ */
+export async function runJob(job, { workerId = defaultWorkerId() } = {}) {
+  const db = await getDb();
+  const entry = handlers.get(job.type);
+  if (!entry) {
+    await failJob(db, job, workerId, new Error(`No handler registered for ${job.type}`));
+    return;
+  }
+
+  const heartbeat = setInterval(() => {
+    renewLease(db, job, workerId)
+      .then((held) => {
+        if (!held) console.warn(`⚠️ Job ${job.jobId} lease lost — another worker may pick it up`);
+      })
+      .catch(() => {});
+  }, Math.max(1000, Math.floor(leaseMsFor(job.type) / 3)));
+
+  try {
+    const result = await entry.handler(job);
+    await completeJob(db, job, workerId, result);
+  } catch (error) {
+    await failJob(db, job, workerId, error).catch((err) => {
+      console.error(`❌ Could not record failure of job ${job.jobId}:`, err.message);
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * startJobWorker({ workerId, pollMs, concurrency, types })
+ *
+ * Polls for due jobs until stop() is called. stop() resolves once the jobs
+ * in flight have finished.
+ */
+export function startJobWorker({
+  workerId = defaultWorkerId(),
+  pollMs = Number(process.env.JOB_POLL_MS || 5000),
+  concurrency = Number(process.env.JOB_CONCURRENCY || 1),
+  types
+} = {}) {
+  let stopped = false;
+
+  const loop = async () => {
+    while (!stopped) {
+      let job = null;
+      try {
+        job = await claimNextJob({ workerId, types });
+      } catch (error) {
+        console.error('❌ Job claim failed:', error.message);
+      }
+      if (!job) {
+        await sleep(pollMs);
+        continue;
+      }
+      await runJob(job, { workerId });
+    }
+  };
+
+  const loops = Array.from({ length: Math.max(1, concurrency) }, () => loop());
+  console.log(`👷 Job worker ${workerId} started (${Math.max(1, concurrency)} slot(s), types: ${(types || [...handlers.keys()]).join(', ')})`);
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      await Promise.all(loops);
+    }
+  };
+}
+
+/**
+ * claimSchedule(name, intervalMs, { firstRunAt })
+ *
+ * True for exactly one caller per interval across all workers — use it to
+ * enqueue recurring jobs.
+ */
+export async function claimSchedule(name, intervalMs, { firstRunAt = new Date() } = {}) {
+  const db = await getDb();
+  const now = new Date();
+  try {
+    await db.collection(collections.jobSchedules).updateOne(
+      { _id: name },
+      { $setOnInsert: { nextRunAt: firstRunAt, createdAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+  }
+
+  const claimed = await db.collection(collections.jobSchedules).findOneAndUpdate(
+    { _id: name, nextRunAt: { $lte: now } },
+    { $set: { lastRunAt: now, nextRunAt: new Date(now.getTime() + intervalMs), intervalMs } }
+  );
+  return Boolean(claimed);
+}
+
+export async function listJobs({ shopId, status, type, limit = 50 } = {}) {
+  const db = await getDb();
+  const filter = {};
+  if (shopId) filter.shopId = shopId;
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  return db.collection(collections.jobs)
+    .find(filter, { projection: { _id: 0, activeKey: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .toArray();
+}
+
+/**
+ * getQueueSummary({ shopId })
+ *
+ * Returns { byType: { [type]: { queued, running, completed, dead } }, totals, oldestQueuedAt }.
+ */
+export async function getQueueSummary({ shopId } = {}) {
+  const db = await getDb();
+  const match = shopId ? { shopId } : {};
+  const [rows, oldest] = await Promise.all([
+    db.collection(collections.jobs).aggregate([
+      { $match: match },
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]).toArray(),
+    db.collection(collections.jobs)
+      .find({ ...match, status: 'queued', runAt: { $lte: new Date() } }, { projection: { runAt: 1 } })
+      .sort({ runAt: 1 })
+      .limit(1)
+      .toArray()
+  ]);
+
+  const empty = () => Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+  const byType = Object.fromEntries(JOB_TYPES.map((type) => [type, empty()]));
+  const totals = empty();
+  for (const { _id, count } of rows) {
+    if (!byType[_id.type]) byType[_id.type] = empty();
+    byType[_id.type][_id.status] = count;
+    totals[_id.status] = (totals[_id.status] || 0) + count;
+  }
+  return { byType, totals, oldestQueuedAt: oldest[0]?.runAt || null };
+}
+
+export async function retryDeadJob(jobId, { shopId } = {}) {
+  if (!jobId) return { success: false, error: 'Missing jobId' };
+  const db = await getDb();
+  const filter = { jobId: String(jobId), status: 'dead' };
+  if (shopId) filter.shopId = shopId;
+
+  const job = await db.collection(collections.jobs).findOne(filter);
+  if (!job) return { success: false, error: 'Dead-lettered job not found' };
+
+  const update = {
+    $set: { status: 'queued', attempts: 0, runAt: new Date(), updatedAt: new Date() },
+    $unset: { deadAt: '', finishedAt: '' }
+  };
+  if (job.dedupeKey) update.$set.activeKey = job.dedupeKey;
+
+  try {
+    await db.collection(collections.jobs).updateOne({ jobId: job.jobId, status: 'dead' }, update);
+  } catch (error) {
+    if (error?.code === 11000) return { success: false, error: 'The same job is already queued' };
+    throw error;
+  }
+  console.log(`🔁 Dead-lettered job ${job.type} ${job.jobId} re-queued`);
+  return { success: true, jobId: job.jobId };
+}
+
+export const jobQueue = {
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  startJobWorker,
+  claimSchedule,
+  listJobs,
+  getQueueSummary,
+  retryDeadJob
+};
@@ -0,0 +1,51 @@
+/**
+ * JWT — minimal HS256 sign / verify
+ *
+ * Provides:
+ *   - signJwt(payload, secret)              — compact HS256 token
+ *   - verifyJwt(token, secret, now)         — { valid, payload } or { valid: false, reason }
+ *
+ * Shared by the post-purchase changesets (postPurchase.js) and dashboard
+ * session tokens (dashboardAuth.js). Only HS256 is accepted; `exp` is checked
+ * when present, every other claim is the caller's to validate.
+ */
+
+import crypto from 'node:crypto';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+export function signJwt(payload, secret) {
+  const head = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', secret).update(head).digest('base64url');
+  return `${head}.${signature}`;
+}
+
+export function verifyJwt(token, secret, now = Date.now()) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { valid: false, reason: 'malformed' };
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+  if (parts[2].length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(parts[2]), Buffer.from(expected))) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (header?.alg !== 'HS256') return { valid: false, reason: 'unsupported_alg' };
+  if (payload?.exp && payload.exp * 1000 < now) return { valid: false, reason: 'expired' };
+  return { valid: true, payload };
+}
+
+export const jwt = {
+  signJwt,
+  verifyJwt
+};
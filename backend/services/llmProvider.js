@@ -0,0 +1,431 @@
+/**
+ * LLM Provider Layer
+ *
+ * Thin adapters over the chat-completion APIs the AI engine can talk to.
+ * Every adapter exposes the same surface:
+ *
+ *   provider.name                          — adapter id ('groq', 'openai', ...)
+ *   provider.model                         — model used for completions
+ *   provider.complete({ system, prompt,
+ *                       temperature,
+ *                       maxTokens,
+ *                       timeoutMs })       — resolves to the raw text reply
+ *   provider.embeddingModel                — embedding model, or null when the
+ *                                            vendor has no embeddings endpoint
+ *   provider.embed(texts)                  — resolves to number[][] (only when
+ *                                            embeddingModel is set)
+ *
+ * Adapters:
+ *   - groq       OpenAI-compatible endpoint at api.groq.com (default)
+ *   - openai     Any OpenAI-compatible endpoint (OpenAI, Together, vLLM, ...)
+ *   - anthropic  Anthropic-style /v1/messages
+ *   - local      Ollama / llama.cpp server via their OpenAI-compatible API
+ *   - mock       Deterministic offline provider — no network, no key
+ *
+ * RecordedProvider is not selectable from config: the decision replay harness
+ * (decisionReplay.js) installs it with setLLMProviderOverride() so replays
+ * answer from recorded replies instead of calling the vendor.
+ *
+ * Selection order: override → merchant config `llm.provider` → LLM_PROVIDER env → 'groq'.
+ * API keys and endpoints are always read from the environment, never from
+ * merchant config, so a shop can't send the server's keys to a host of its choosing.
+ */
+
+import crypto from 'node:crypto';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+export const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    embeddingModel: null,
+    apiKeyEnv: 'GROQ_API_KEY',
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    embeddingModel: 'text-embedding-3-small',
+    apiKeyEnv: 'OPENAI_API_KEY',
+  },
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    embeddingModel: null,
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+  },
+  local: {
+    label: 'Local LLM',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    embeddingModel: 'nomic-embed-text',
+    apiKeyEnv: null,
+  },
+  mock: {
+    label: 'Mock',
+    baseUrl: null,
+    model: 'mock-deterministic',
+    embeddingModel: null,
+    apiKeyEnv: null,
+  },
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function postJson(url, { headers, body, timeoutMs = DEFAULT_TIMEOUT_MS, label }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      signal: controller.signal,
+      body: JSON.stringify(body),
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    console.error(`❌ ${label} API Response:`, errorBody);
+    throw new Error(`${label} API error: ${response.status} ${response.statusText} - ${errorBody}`);
+  }
+
+  return response.json();
+}
+
+function stripTrailingSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+// ─── Adapters ───────────────────────────────────────────────────────────────
+
+/**
+ * OpenAI-compatible chat completions (Groq, OpenAI, Ollama, llama.cpp, ...).
+ */
+export class OpenAICompatibleProvider {
+  constructor({ name, label, baseUrl, model, embeddingModel = null, apiKey = null, requiresKey = true }) {
+    this.name = name;
+    this.label = label;
+    this.baseUrl = stripTrailingSlash(baseUrl);
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.apiKey = apiKey;
+    this.requiresKey = requiresKey;
+  }
+
+  async embed(texts, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    if (!this.embeddingModel) {
+      throw new Error(`${this.label} has no embedding model configured`);
+    }
+    if (this.requiresKey && !this.apiKey) {
+      throw new Error(`${this.label} API key is not configured in environment variables`);
+    }
+
+    const data = await postJson(`${this.baseUrl}/embeddings`, {
+      label: this.label,
+      timeoutMs,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.embeddingModel,
+        input: texts,
+      },
+    });
+
+    const rows = Array.isArray(data?.data) ? data.data : [];
+    if (rows.length !== texts.length) {
+      throw new Error(`${this.label} returned ${rows.length} embeddings for ${texts.length} inputs`);
+    }
+    return rows
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((row) => row.embedding);
+  }
+
+  async complete({ system, prompt, temperature = 0.3, maxTokens = 1000, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (this.requiresKey && !this.apiKey) {
+      throw new Error(`${this.label} API key is not configured in environment variables`);
+    }
+
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    const data = await postJson(`${this.baseUrl}/chat/completions`, {
+      label: this.label,
+      timeoutMs,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      },
+    });
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) {
+      console.error(`❌ No AI response in ${this.label} data:`, JSON.stringify(data));
+      throw new Error(`No AI response received from ${this.label}`);
+    }
+    return content;
+  }
+}
+
+/**
+ * Anthropic-style messages API (system prompt is a top-level field).
+ */
+export class AnthropicProvider {
+  constructor({ baseUrl, model, apiKey = null }) {
+    this.name = 'anthropic';
+    this.label = LLM_PROVIDERS.anthropic.label;
+    this.baseUrl = stripTrailingSlash(baseUrl);
+    this.model = model;
+    this.embeddingModel = null;
+    this.apiKey = apiKey;
+  }
+
+  async complete({ system, prompt, temperature = 0.3, maxTokens = 1000, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!this.apiKey) {
+      throw new Error(`${this.label} API key is not configured in environment variables`);
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }],
+    };
+    if (system) body.system = system;
+
+    const data = await postJson(`${this.baseUrl}/messages`, {
+      label: this.label,
+      timeoutMs,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body,
+    });
+
+    const content = (data?.content || [])
+      .filter((block) => block?.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    if (!content) {
+      console.error(`❌ No AI response in ${this.label} data:`, JSON.stringify(data));
+      throw new Error(`No AI response received from ${this.label}`);
+    }
+    return content;
+  }
+}
+
+/**
+ * Deterministic offline provider for CI and local development.
+ *
+ * Recommendation prompts list candidates as "ProductID: <id> [SAME TYPE]".
+ * The mock returns the first N ids (same-type first, prompt order preserved),
+ * where N is taken from the prompt's "exactly N" instruction. Any other prompt
+ * gets a truncated echo so callers always receive a stable string.
+ */
+export class MockProvider {
+  constructor({ model = LLM_PROVIDERS.mock.model } = {}) {
+    this.name = 'mock';
+    this.label = LLM_PROVIDERS.mock.label;
+    this.model = model;
+    this.embeddingModel = null;
+  }
+
+  async complete({ prompt = '' } = {}) {
+    const candidates = [];
+    const pattern = /ProductID:\s*(\d+)\s*(\[SAME TYPE\])?/g;
+    let match;
+    while ((match = pattern.exec(prompt)) !== null) {
+      candidates.push({ id: Number(match[1]), sameType: Boolean(match[2]) });
+    }
+
+    if (candidates.length === 0) {
+      return prompt.replace(/\s+/g, ' ').trim().split(' ').slice(0, 50).join(' ');
+    }
+
+    const limitMatch = prompt.match(/exactly\s+(\d+)/i);
+    const limit = limitMatch ? Number(limitMatch[1]) : 4;
+    const ordered = [
+      ...candidates.filter((c) => c.sameType),
+      ...candidates.filter((c) => !c.sameType),
+    ];
+
+    const seen = new Set();
+    const picks = [];
+    for (const candidate of ordered) {
+      if (picks.length >= limit) break;
+      if (seen.has(candidate.id)) continue;
+      seen.add(candidate.id);
+      picks.push({
+        productId: candidate.id,
+        reason: candidate.sameType ? 'Similar product (offline mock)' : 'You might also like (offline mock)',
+        confidence: Math.max(0.5, Math.round((0.85 - picks.length * 0.05) * 100) / 100),
+        recommendationType: candidate.sameType ? 'similar' : 'complementary',
+      });
+    }
+
+    return JSON.stringify(picks);
+  }
+}
+
+/**
+ * Replays recorded replies, keyed by a hash of the request (system + prompt
+ * for completions, the input texts for embeddings).
+ *
+ * On a miss it calls `upstream` and records the reply when one is given
+ * (record mode); otherwise completions fall back to the mock provider and
+ * embeddings throw, which callers already treat as non-critical.
+ * `recordings` is a plain [{ key, kind, reply }] array so it can live in a
+ * JSON fixture; new recordings are appended to it in place.
+ */
+export class RecordedProvider {
+  constructor({ recordings = [], upstream = null, embeddingModel = null } = {}) {
+    this.name = 'recorded';
+    this.label = 'Recorded';
+    this.model = upstream?.model || 'recorded';
+    this.embeddingModel = upstream?.embeddingModel ?? embeddingModel;
+    this.upstream = upstream;
+    this.recordings = recordings;
+    this.replies = new Map(recordings.map((r) => [r.key, r.reply]));
+    this.fallback = new MockProvider();
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+  }
+
+  static keyFor(kind, payload) {
+    return `${kind}:${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`;
+  }
+
+  async replay(kind, payload, callUpstream, onMiss) {
+    const key = RecordedProvider.keyFor(kind, payload);
+    if (this.replies.has(key)) {
+      this.stats.hits++;
+      return this.replies.get(key);
+    }
+    this.stats.misses++;
+    if (!this.upstream) return onMiss();
+
+    const reply = await callUpstream();
+    this.replies.set(key, reply);
+    this.recordings.push({ key, kind, reply });
+    this.stats.recorded++;
+    return reply;
+  }
+
+  async complete(request = {}) {
+    const { system = '', prompt = '' } = request;
+    return this.replay(
+      'complete',
+      { system, prompt },
+      () => this.upstream.complete(request),
+      () => this.fallback.complete(request)
+    );
+  }
+
+  async embed(texts, options = {}) {
+    return this.replay(
+      'embed',
+      { model: this.embeddingModel, texts },
+      () => this.upstream.embed(texts, options),
+      () => { throw new Error('No recorded embeddings for this input'); }
+    );
+  }
+}
+
+// ─── Factory ────────────────────────────────────────────────────────────────
+
+const _providerCache = new Map();
+let _providerOverride = null;
+
+/**
+ * setLLMProviderOverride(provider)
+ *
+ * Process-wide provider used in place of every shop's configured one. Only
+ * meant for offline tooling (decision replay); pass null to clear.
+ */
+export function setLLMProviderOverride(provider) {
+  _providerOverride = provider || null;
+}
+
+/**
+ * Normalise raw `llm` settings (from merchant config) into a complete
+ * { provider, model, embeddingModel, baseUrl } object. Unknown providers fall back to the
+ * environment default so a bad config value never breaks recommendations.
+ * `baseUrl` comes from the environment or the adapter default only; any
+ * `baseUrl` in the settings is ignored.
+ */
+export function normalizeLLMSettings(settings = {}) {
+  const envProvider = String(process.env.LLM_PROVIDER || '').toLowerCase().trim();
+  const requested = String(settings?.provider || '').toLowerCase().trim();
+  const provider = LLM_PROVIDERS[requested]
+    ? requested
+    : (LLM_PROVIDERS[envProvider] ? envProvider : 'groq');
+
+  const defaults = LLM_PROVIDERS[provider];
+  const envModel = provider === 'local' ? process.env.LOCAL_LLM_MODEL : process.env.LLM_MODEL;
+  const envEmbeddingModel = process.env.LLM_EMBEDDING_MODEL;
+  const envBaseUrl = provider === 'local' ? process.env.LOCAL_LLM_BASE_URL : process.env.LLM_BASE_URL;
+  const usingEnvProvider = provider === envProvider;
+
+  return {
+    provider,
+    model: settings?.model || (usingEnvProvider && envModel) || defaults.model,
+    embeddingModel: settings?.embeddingModel || (usingEnvProvider && envEmbeddingModel) || defaults.embeddingModel,
+    baseUrl: (usingEnvProvider && envBaseUrl) || defaults.baseUrl,
+  };
+}
+
+/**
+ * createLLMProvider(settings)
+ *
+ * Build (or reuse) a provider instance for the given `llm` settings.
+ */
+export function createLLMProvider(settings = {}) {
+  const { provider, model, embeddingModel, baseUrl } = normalizeLLMSettings(settings);
+  const cacheKey = `${provider}|${model}|${embeddingModel}|${baseUrl}`;
+  const cached = _providerCache.get(cacheKey);
+  if (cached) return cached;
+
+  const defaults = LLM_PROVIDERS[provider];
+  const apiKey = defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] || null : null;
+
+  let instance;
+  if (provider === 'mock') {
+    instance = new MockProvider({ model });
+  } else if (provider === 'anthropic') {
+    instance = new AnthropicProvider({ baseUrl, model, apiKey });
+  } else {
+    instance = new OpenAICompatibleProvider({
+      name: provider,
+      label: defaults.label,
+      baseUrl,
+      model,
+      embeddingModel,
+      apiKey,
+      requiresKey: provider !== 'local',
+    });
+  }
+
+  _providerCache.set(cacheKey, instance);
+  return instance;
+}
+
+/**
+ * resolveLLMProvider(config)
+ *
+ * Pick the provider for a shop from its merchant config (as returned by
+ * getMerchantConfig). Safe to call with null — returns the env default.
+ */
+export function resolveLLMProvider(config) {
+  if (_providerOverride) return _providerOverride;
+  return createLLMProvider(config?.llm || {});
+}
@@ -0,0 +1,386 @@
+/**
+ * Market Pricing — buyer-currency offer amounts (Shopify Markets)
+ *
+ * Provides:
+ *   - parseBuyerContext(searchParams)                          — { country, currency, rate, locale } from query params
+ *   - getCurrencyDecimals(currency)                            — minor units (JPY 0, KWD 3, most 2)
+ *   - roundMoney(amount, currency)                             — round to the currency's minor unit
+ *   - getShopCurrency(shopId, { admin })                       — the shop's base currency (cached)
+ *   - getContextualVariantPrices(shopId, variantIds, country)  — market price per variant (cached)
+ *   - localizeRecommendations(shopId, recs, buyer, { admin })  — rewrite offer amounts into the buyer's currency
+ *   - resolveOrderCurrency(shopId, orderPayload, { admin })    — rate that converts an order payload to shop currency
+ *
+ * Product documents, the decision engine and the response caches stay in shop
+ * currency. Offer amounts are localized per response, after the cache (like
+ * offer tokens), from the variant's contextualPricing for the buyer's country —
+ * that covers market price lists, fixed prices and the market's own rounding.
+ * When no country is known, or contextual pricing fails, the storefront's
+ * conversion rate (`Shopify.currency.rate`) is applied and rounded to the
+ * currency's minor unit.
+ *
+ * Order amounts are converted with the Admin API order totals whenever the
+ * order id is known. A rate sent by the buyer is only used when that lookup
+ * can't be made, and only within MAX_BUYER_RATE_DRIFT of the market rate last
+ * seen for the currency (order totals, market price lists).
+ */
+
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
+const PRICE_CACHE_MAX = 20000;
+const SHOP_CURRENCY_TTL_MS = 60 * 60 * 1000;
+const MARKET_RATE_TTL_MS = 24 * 60 * 60 * 1000;
+const MARKET_RATE_MAX = 5000;
+const MAX_BUYER_RATE_DRIFT = 0.25;
+
+// `${shopId}:${country}:${variantId}` → { price, compareAtPrice, currencyCode, expiresAt }
+const _priceCache = new Map();
+// shopId → { currency, expiresAt }
+const _shopCurrencyCache = new Map();
+// `${shopId}:${currency}` → { rate, expiresAt } — presentment units per shop unit
+const _marketRates = new Map();
+
+// Map.set that evicts the oldest entry once the cache is over `max`
+function setBounded(cache, key, value, max) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > max) cache.delete(cache.keys().next().value);
+}
+
+// Offline admin client, for requests that did not authenticate (cache hits, extensions)
+async function getOfflineAdmin(shopId) {
+  const { unauthenticated } = await import('../../app/shopify.server.js');
+  const { admin } = await unauthenticated.admin(shopId);
+  return admin;
+}
+
+function normalizeId(value) {
+  const raw = String(value ?? '').trim();
+  return raw.includes('/') ? raw.split('/').pop() : raw;
+}
+
+function toAmount(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * parseBuyerContext(searchParams)
+ *
+ * Reads `country` (ISO 3166 alpha-2), `currency` (ISO 4217) and `rate`
+ * (presentment units per shop unit, as in `Shopify.currency.rate`). Returns
+ * null when the request carries no market context.
+ */
+export function parseBuyerContext(searchParams) {
+  if (!searchParams) return null;
+  const country = String(searchParams.get('country') || '').trim().toUpperCase();
+  const currency = String(searchParams.get('currency') || '').trim().toUpperCase();
+  const rate = toAmount(searchParams.get('rate'));
+  const locale = String(searchParams.get('locale') || '').trim() || null;
+
+  const context = {
+    country: /^[A-Z]{2}$/.test(country) ? country : null,
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+    rate: rate && rate > 0 ? rate : null,
+    locale
+  };
+  return context.country || context.currency ? context : null;
+}
+
+export function getCurrencyDecimals(currency) {
+  if (!currency) return 2;
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+export function roundMoney(amount, currency) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(Number(amount) * factor) / factor;
+}
+
+function formatAmount(amount, currency) {
+  return roundMoney(amount, currency).toFixed(getCurrencyDecimals(currency));
+}
+
+/**
+ * getShopCurrency(shopId, { admin })
+ *
+ * Returns the shop's base currency code, or null when the Admin API is
+ * unreachable.
+ */
+export async function getShopCurrency(shopId, { admin = null } = {}) {
+  if (!shopId) return null;
+  const cached = _shopCurrencyCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) return cached.currency;
+
+  try {
+    const client = admin || await getOfflineAdmin(shopId);
+    const response = await client.graphql(`#graphql
+      query shopCurrency { shop { currencyCode } }`);
+    const data = await response.json();
+    const currency = data?.data?.shop?.currencyCode || null;
+    if (currency) _shopCurrencyCache.set(shopId, { currency, expiresAt: Date.now() + SHOP_CURRENCY_TTL_MS });
+    return currency;
+  } catch (err) {
+    console.warn(`⚠️ Shop currency lookup failed for ${shopId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * getContextualVariantPrices(shopId, variantIds, country, { admin })
+ *
+ * Returns Map<variantId, { price, compareAtPrice, currencyCode }> with the
+ * prices a buyer in `country` pays. Variants the API did not return are
+ * missing from the map.
+ */
+export async function getContextualVariantPrices(shopId, variantIds, country, { admin = null } = {}) {
+  const prices = new Map();
+  if (!shopId || !country) return prices;
+
+  const now = Date.now();
+  const missing = [];
+  for (const id of new Set((variantIds || []).map(normalizeId).filter(Boolean))) {
+    const cached = _priceCache.get(`${shopId}:${country}:${id}`);
+    if (cached && cached.expiresAt > now) prices.set(id, cached);
+    else missing.push(id);
+  }
+  if (missing.length === 0) return prices;
+
+  const client = admin || await getOfflineAdmin(shopId);
+  const response = await client.graphql(
+    `#graphql
+    query offerContextualPrices($ids: [ID!]!, $country: CountryCode!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          contextualPricing(context: { country: $country }) {
+            price { amount currencyCode }
+            compareAtPrice { amount currencyCode }
+          }
+        }
+      }
+    }`,
+    { variables: { ids: missing.map((id) => `gid://shopify/ProductVariant/${id}`), country } }
+  );
+  const data = await response.json();
+  if (Array.isArray(data?.errors) && data.errors.length > 0) {
+    throw new Error(data.errors.map((e) => e.message).join('; '));
+  }
+
+  for (const node of data?.data?.nodes || []) {
+    const pricing = node?.contextualPricing;
+    if (!node?.id || !pricing?.price) continue;
+    const id = normalizeId(node.id);
+    const entry = {
+      price: toAmount(pricing.price.amount),
+      compareAtPrice: toAmount(pricing.compareAtPrice?.amount),
+      currencyCode: pricing.price.currencyCode,
+      expiresAt: now + PRICE_CACHE_TTL_MS
+    };
+    setBounded(_priceCache, `${shopId}:${country}:${id}`, entry, PRICE_CACHE_MAX);
+    prices.set(id, entry);
+  }
+  return prices;
+}
+
+function rememberMarketRate(shopId, currency, rate) {
+  if (!shopId || !currency || !Number.isFinite(rate) || rate <= 0) return;
+  setBounded(_marketRates, `${shopId}:${currency}`, { rate, expiresAt: Date.now() + MARKET_RATE_TTL_MS }, MARKET_RATE_MAX);
+}
+
+function getMarketRate(shopId, currency) {
+  const cached = _marketRates.get(`${shopId}:${currency}`);
+  return cached && cached.expiresAt > Date.now() ? cached.rate : null;
+}
+
+function offerVariantIds(rec) {
+  return [rec.variantId, ...(rec.variants || []).map((v) => v?.id)].filter(Boolean);
+}
+
+// Picks contextual prices when they are in the buyer's currency, else the rate
+function buildConverter(buyer, contextual) {
+  return (variantId, shopPrice, shopCompareAtPrice) => {
+    const ctx = variantId ? contextual.get(normalizeId(variantId)) : null;
+    if (ctx && ctx.price != null && (!buyer.currency || ctx.currencyCode === buyer.currency)) {
+      return { price: ctx.price, compareAtPrice: ctx.compareAtPrice, currencyCode: ctx.currencyCode, source: 'price_list' };
+    }
+    if (buyer.currency && buyer.rate) {
+      const price = toAmount(shopPrice);
+      const compareAt = toAmount(shopCompareAtPrice);
+      return {
+        price: price != null ? roundMoney(price * buyer.rate, buyer.currency) : null,
+        compareAtPrice: compareAt != null ? roundMoney(compareAt * buyer.rate, buyer.currency) : null,
+        currencyCode: buyer.currency,
+        source: 'rate'
+      };
+    }
+    return null;
+  };
+}
+
+/**
+ * localizeRecommendations(shopId, recommendations, buyer, { admin })
+ *
+ * Returns new recommendation objects whose `price`, `compareAtPrice` and
+ * variant prices are in the buyer's currency, with `currencyCode`,
+ * `discountedPrice` (rounded to the currency's minor unit), `priceSource` and
+ * the original `shopPrice` / `shopCompareAtPrice`. Offers that cannot be
+ * priced for the buyer keep their shop-currency amounts and are tagged with
+ * the shop's `currencyCode`, so clients never label them with the buyer's
+ * currency. Never throws.
+ */
+export async function localizeRecommendations(shopId, recommendations, buyer, { admin = null } = {}) {
+  if (!Array.isArray(recommendations) || recommendations.length === 0) return recommendations || [];
+  if (!buyer) return recommendations;
+
+  try {
+    const shopCurrency = await getShopCurrency(shopId, { admin });
+    if (!buyer.country && (!buyer.currency || buyer.currency === shopCurrency)) return recommendations;
+
+    let contextual = new Map();
+    if (buyer.country) {
+      contextual = await getContextualVariantPrices(
+        shopId,
+        recommendations.flatMap(offerVariantIds),
+        buyer.country,
+        { admin }
+      ).catch((err) => {
+        console.warn(`⚠️ Contextual pricing failed for ${shopId} (${buyer.country}):`, err.message);
+        return new Map();
+      });
+    }
+    const convert = buildConverter(buyer, contextual);
+
+    return recommendations.map((rec) => {
+      const localized = convert(rec.variantId || rec.variants?.[0]?.id, rec.price, rec.compareAtPrice);
+      if (!localized || localized.price == null) return shopCurrency ? { ...rec, currencyCode: shopCurrency } : rec;
+
+      const currency = localized.currencyCode;
+      const shopPrice = toAmount(rec.price);
+      if (localized.source === 'price_list' && currency !== shopCurrency && shopPrice > 0) {
+        rememberMarketRate(shopId, currency, localized.price / shopPrice);
+      }
+      const discountPercent = Number(rec.discountPercent) || 0;
+      const variants = Array.isArray(rec.variants)
+        ? rec.variants.map((v) => {
+            const lv = convert(v.id, v.price, v.compareAtPrice);
+            if (!lv || lv.price == null || lv.currencyCode !== currency) return v;
+            return {
+              ...v,
+              price: formatAmount(lv.price, currency),
+              compareAtPrice: lv.compareAtPrice != null ? formatAmount(lv.compareAtPrice, currency) : null
+            };
+          })
+        : rec.variants;
+
+      return {
+        ...rec,
+        price: formatAmount(localized.price, currency),
+        compareAtPrice: localized.compareAtPrice != null ? formatAmount(localized.compareAtPrice, currency) : null,
+        discountedPrice: roundMoney(localized.price * (1 - discountPercent / 100), currency),
+        currencyCode: currency,
+        priceSource: localized.source,
+        shopPrice: rec.price,
+        shopCompareAtPrice: rec.compareAtPrice ?? null,
+        ...(variants ? { variants } : {})
+      };
+    });
+  } catch (err) {
+    console.warn(`⚠️ localizeRecommendations failed for ${shopId}:`, err.message);
+    return recommendations;
+  }
+}
+
+/**
+ * resolveOrderCurrency(shopId, orderPayload, { admin })
+ *
+ * Works out which currency an order payload's amounts are in and the rate
+ * that converts them to shop currency:
+ *   - Shopify order webhooks carry `total_price_set`; their plain amounts are
+ *     already in shop currency (rate 1)
+ *   - storefront / extension payloads send presentment amounts with
+ *     `currency`; with an order id the order's shop / presentment totals are
+ *     read from the Admin API
+ *   - only when there is no order id, or the lookup fails, is the buyer's
+ *     `currencyRate` (presentment per shop unit) used, held within
+ *     MAX_BUYER_RATE_DRIFT of the cached market rate. Without a cached
+ *     rate to check it against, the order is left unconverted
+ * Returns { shopCurrency, presentmentCurrency, rate, normalized }. `normalized`
+ * is false when a foreign-currency order could not be converted — its amounts
+ * are then stored as received.
+ */
+export async function resolveOrderCurrency(shopId, orderPayload, { admin = null } = {}) {
+  const payload = orderPayload || {};
+  const priceSet = payload.total_price_set;
+  if (priceSet?.shop_money) {
+    return {
+      shopCurrency: priceSet.shop_money.currency_code || payload.currency || null,
+      presentmentCurrency: priceSet.presentment_money?.currency_code || payload.presentment_currency || null,
+      rate: 1,
+      normalized: true
+    };
+  }
+
+  const presentmentCurrency = String(payload.currency || payload.presentmentCurrency || '').toUpperCase() || null;
+  if (!presentmentCurrency) {
+    return { shopCurrency: null, presentmentCurrency: null, rate: 1, normalized: true };
+  }
+
+  const shopCurrency = await getShopCurrency(shopId, { admin });
+  if (!shopCurrency || shopCurrency === presentmentCurrency) {
+    return { shopCurrency: shopCurrency || presentmentCurrency, presentmentCurrency, rate: 1, normalized: Boolean(shopCurrency) };
+  }
+
+  const orderId = normalizeId(payload.orderId || payload.id);
+  if (orderId) {
+    try {
+      const client = admin || await getOfflineAdmin(shopId);
+      const response = await client.graphql(
+        `#graphql
+        query orderTotals($id: ID!) {
+          order(id: $id) {
+            totalPriceSet {
+              shopMoney { amount }
+              presentmentMoney { amount }
+            }
+          }
+        }`,
+        { variables: { id: `gid://shopify/Order/${orderId}` } }
+      );
+      const data = await response.json();
+      const totals = data?.data?.order?.totalPriceSet;
+      const shopAmount = toAmount(totals?.shopMoney?.amount);
+      const presentmentAmount = toAmount(totals?.presentmentMoney?.amount);
+      if (shopAmount && presentmentAmount) {
+        rememberMarketRate(shopId, presentmentCurrency, presentmentAmount / shopAmount);
+        return { shopCurrency, presentmentCurrency, rate: shopAmount / presentmentAmount, normalized: true };
+      }
+    } catch (err) {
+      console.warn(`⚠️ Order currency lookup failed for ${shopId} order ${orderId}:`, err.message);
+    }
+  }
+
+  const marketRate = getMarketRate(shopId, presentmentCurrency);
+  if (marketRate) {
+    const buyerRate = toAmount(payload.currencyRate);
+    const trusted = buyerRate > 0 && Math.abs(buyerRate / marketRate - 1) <= MAX_BUYER_RATE_DRIFT;
+    if (buyerRate && !trusted) {
+      console.warn(`⚠️ Buyer currency rate ${buyerRate} for ${shopId} (${presentmentCurrency}) is off the market rate ${marketRate} — using the market rate`);
+    }
+    return { shopCurrency, presentmentCurrency, rate: 1 / (trusted ? buyerRate : marketRate), normalized: true };
+  }
+
+  return { shopCurrency, presentmentCurrency, rate: 1, normalized: false };
+}
+
+export const marketPricing = {
+  parseBuyerContext,
+  getCurrencyDecimals,
+  roundMoney,
+  getShopCurrency,
+  getContextualVariantPrices,
+  localizeRecommendations,
+  resolveOrderCurrency
+};
@@ -197,9 +197,12 @@ export async function logDecisionOffers({
         decisionReason: offer?.decisionReason || null,
         aiReason: offer?.aiReason || offer?.reason || null,
         discountPercent: Number.isFinite(Number(offer?.discountPercent)) ? Number(offer.discountPercent) : null,
+        ruleId: offer?.ruleId || null,
+        ruleName: offer?.ruleName || null,
         goal: meta?.goal || null,
         riskTolerance: meta?.riskTolerance || null,
         guardrails: meta?.guardrails || null,
+        segments: meta?.segments || [],
         merchantContext: merchantContext || null,
         createdAt: now
       };
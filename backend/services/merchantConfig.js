@@ -6,11 +6,28 @@
  *   - Goal → offer priority mapping
  *   - Risk level → incentive threshold mapping
  *   - Guardrail validation
+ *   - Per-shop LLM provider selection
+ *   - Holdout (control group) percentage for incrementality measurement
+ *   - Decision engine version + shadow runs (see placementPipeline.js)
+ *   - Customer segment cart bands + per-segment overrides (see segmentation.js)
+ *   - Per-visitor offer fatigue rules (see fatigue.js)
+ *   - Product metafields synced into product attributes + the attribute match rule (see productAttributes.js)
+ *   - Pushing the discount cap to the discount Function on save
  *   - Reusable loader (middleware) for decision engine usage
  */
 
 import { getDb, collections } from '../database/mongodb.js';
 import { GOAL_MAPPING, RISK_MAPPING } from '../../app/shared/merchantConfig.shared.js';
+import { LLM_PROVIDERS } from './llmProvider.js';
+import { syncDiscountFunctionConfig } from './discountFunctionConfig.js';
+import { syncBundleTransformConfig } from './bundleProducts.js';
+import { enqueueJob } from './jobQueue.js';
+import {
+  METAFIELD_OWNERS,
+  NAMESPACE_PATTERN,
+  KEY_PATTERN,
+  ATTRIBUTE_NAME_PATTERN
+} from './productAttributes.js';
 
 // ─── Default Config ─────────────────────────────────────────────────────────
 
@@ -23,6 +40,8 @@ export const DEFAULT_CONFIG = {
     sessionOfferLimit: 4,
     premiumSkuProtection: false,
     subscriptionProtection: false,
+    // Minimum margin (%) left after discount; 0 = off. Needs variant unit costs.
+    minMarginPercent: 0,
     excludedProductIds: [],
     excludedProductHandles: [],
     excludedCollectionIds: [],
@@ -31,9 +50,53 @@ export const DEFAULT_CONFIG = {
   optimization: {
     topOfferType: null,
     updatedAt: null
+  },
+  // null provider = use LLM_PROVIDER env (or Groq). Keys and endpoints always come from env.
+  llm: {
+    provider: null,
+    model: null,
+    embeddingModel: null
+  },
+  // Share of visitors who never see offers — the incrementality baseline
+  holdout: {
+    percent: 0
+  },
+  // Engine that serves offers; `shadow` also runs the other one and logs the diff
+  engine: {
+    version: 'v1',
+    shadow: false,
+    shadowSampleRate: 0.1
+  },
+  // Cart value band edges (shop currency) and per-segment goal / discount cap
+  // overrides, e.g. { segment: 'device:mobile', goal: 'revenue_per_visitor' }
+  segmentation: {
+    cartBands: [50, 150],
+    overrides: []
+  },
+  // Per-visitor caps across placements; 0 turns a rule off
+  fatigue: {
+    maxImpressionsWithoutClick: 0,
+    suppressDays: 7,
+    maxOffersPerDay: 0
+  },
+  // Metafields read into product.attributes on sync, e.g.
+  // { owner: 'product', namespace: 'custom', key: 'fabric', attribute: 'material' },
+  // and an optional rule recommendations should follow, e.g.
+  // { same: ['material'], different: ['category'] }
+  productAttributes: {
+    metafields: [],
+    match: { same: [], different: [] }
   }
 };
 
+export const ENGINE_VERSIONS = ['v1', 'v2'];
+
+export const SEGMENT_DIMENSIONS = ['visitor', 'cart', 'device', 'source', 'utm', 'customer', 'tag', 'purchases'];
+const SEGMENT_KEY_PATTERN = new RegExp(`^(${SEGMENT_DIMENSIONS.join('|')}):[a-z0-9_.-]{1,40}$`);
+const MAX_SEGMENT_OVERRIDES = 50;
+const MAX_ATTRIBUTE_METAFIELDS = 20;
+const MAX_MATCH_ATTRIBUTES = 5;
+
 // ─── Goal/Risk mappings are shared (client-safe) ─────────────────────────────
 
 // ─── Validation ──────────────────────────────────────────────────────────────
@@ -73,6 +136,16 @@ export function validateGuardrails(guardrails) {
     errors.push('Session offer limit cannot exceed 10 offers per session.');
   }
 
+  // minMarginPercent: optional, 0–90
+  if (guardrails.minMarginPercent != null) {
+    const floor = Number(guardrails.minMarginPercent);
+    if (!Number.isFinite(floor)) {
+      errors.push('Margin floor must be a number.');
+    } else if (floor < 0 || floor > 90) {
+      errors.push('Margin floor must be between 0 and 90%.');
+    }
+  }
+
   if (guardrails.excludedProductIds != null && !Array.isArray(guardrails.excludedProductIds)) {
     errors.push('Excluded product IDs must be a list.');
   }
@@ -93,10 +166,254 @@ export function validateGuardrails(guardrails) {
 }
 
 /**
- * Validates a full config payload (goal, riskTolerance, guardrails).
+ * Validates LLM provider settings.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateLLMSettings(llm) {
+  const errors = [];
+  if (llm == null) return { valid: true, errors };
+
+  if (typeof llm !== 'object') {
+    errors.push('LLM settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  if (llm.provider != null && llm.provider !== '' && !LLM_PROVIDERS[llm.provider]) {
+    errors.push(`Invalid LLM provider: "${llm.provider}". Must be one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+  }
+
+  if (llm.model != null && typeof llm.model !== 'string') {
+    errors.push('LLM model must be a string.');
+  }
+
+  if (llm.embeddingModel != null && typeof llm.embeddingModel !== 'string') {
+    errors.push('LLM embedding model must be a string.');
+  }
+
+  if (llm.baseUrl != null && llm.baseUrl !== '') {
+    errors.push('LLM base URL cannot be set per shop; use LLM_BASE_URL or LOCAL_LLM_BASE_URL.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates holdout settings.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateHoldout(holdout) {
+  const errors = [];
+  if (holdout == null) return { valid: true, errors };
+
+  if (typeof holdout !== 'object') {
+    errors.push('Holdout settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  // percent: 0–50
+  const { percent } = holdout;
+  if (percent == null || isNaN(percent)) {
+    errors.push('Holdout percentage must be a number.');
+  } else if (percent < 0) {
+    errors.push('Holdout percentage cannot be negative.');
+  } else if (percent > 50) {
+    errors.push('Holdout percentage cannot exceed 50% of visitors.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates decision engine settings.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateEngineSettings(engine) {
+  const errors = [];
+  if (engine == null) return { valid: true, errors };
+
+  if (typeof engine !== 'object') {
+    errors.push('Engine settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  const { version, shadowSampleRate } = engine;
+  if (version != null && !ENGINE_VERSIONS.includes(version)) {
+    errors.push(`Invalid engine version: "${version}". Must be one of: ${ENGINE_VERSIONS.join(', ')}.`);
+  }
+  if (shadowSampleRate != null && (isNaN(shadowSampleRate) || shadowSampleRate < 0 || shadowSampleRate > 1)) {
+    errors.push('Shadow sample rate must be a number between 0 and 1.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates segmentation settings. Segment discount caps may not exceed the
+ * shop-wide cap — the discount Function clamps every line to that one.
  * Returns { valid: boolean, errors: string[] }
  */
-export function validateConfig({ goal, riskTolerance, guardrails }) {
+export function validateSegmentation(segmentation, guardrails = {}) {
+  const errors = [];
+  if (segmentation == null) return { valid: true, errors };
+
+  if (typeof segmentation !== 'object') {
+    errors.push('Segmentation settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  const { cartBands, overrides } = segmentation;
+  if (cartBands != null) {
+    const edges = Array.isArray(cartBands) ? cartBands.map(Number) : [];
+    if (edges.length !== 2 || edges.some((n) => !Number.isFinite(n) || n <= 0) || edges[0] >= edges[1]) {
+      errors.push('Cart bands must be two increasing amounts above 0, e.g. [50, 150].');
+    }
+  }
+
+  if (overrides != null) {
+    if (!Array.isArray(overrides)) {
+      errors.push('Segment overrides must be a list.');
+      return { valid: false, errors };
+    }
+    if (overrides.length > MAX_SEGMENT_OVERRIDES) {
+      errors.push(`At most ${MAX_SEGMENT_OVERRIDES} segment overrides are allowed.`);
+    }
+
+    const shopCap = Number(guardrails?.maxDiscountCap);
+    overrides.forEach((override, i) => {
+      const label = override?.segment ? `"${override.segment}"` : `#${i + 1}`;
+      if (!override || typeof override !== 'object') {
+        errors.push(`Segment override #${i + 1} must be an object.`);
+        return;
+      }
+      if (!SEGMENT_KEY_PATTERN.test(String(override.segment || ''))) {
+        errors.push(`Segment override ${label} needs a segment like "device:mobile" (dimensions: ${SEGMENT_DIMENSIONS.join(', ')}).`);
+      }
+      if (override.goal == null && override.maxDiscountCap == null) {
+        errors.push(`Segment override ${label} must set a goal or a max discount cap.`);
+      }
+      if (override.goal != null && !GOAL_MAPPING[override.goal]) {
+        errors.push(`Segment override ${label} has an invalid goal: "${override.goal}".`);
+      }
+      if (override.maxDiscountCap != null) {
+        const cap = Number(override.maxDiscountCap);
+        if (!Number.isFinite(cap) || cap < 0) {
+          errors.push(`Segment override ${label} max discount cap must be a number of 0 or more.`);
+        } else if (Number.isFinite(shopCap) && cap > shopCap) {
+          errors.push(`Segment override ${label} max discount cap cannot exceed the shop-wide cap of ${shopCap}%.`);
+        }
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates offer fatigue rules.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateFatigue(fatigue) {
+  const errors = [];
+  if (fatigue == null) return { valid: true, errors };
+
+  if (typeof fatigue !== 'object') {
+    errors.push('Fatigue settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  const { maxImpressionsWithoutClick, suppressDays, maxOffersPerDay } = fatigue;
+  // maxImpressionsWithoutClick: 0–50 (0 = off)
+  if (maxImpressionsWithoutClick != null
+    && (!Number.isInteger(Number(maxImpressionsWithoutClick)) || maxImpressionsWithoutClick < 0 || maxImpressionsWithoutClick > 50)) {
+    errors.push('Impressions without click must be a whole number from 0 (off) to 50.');
+  }
+  // suppressDays: 1–30 (visitor profiles keep 30 days of impressions)
+  if (suppressDays != null && (isNaN(suppressDays) || suppressDays < 1 || suppressDays > 30)) {
+    errors.push('Suppression period must be between 1 and 30 days.');
+  }
+  // maxOffersPerDay: 0–100 (0 = off)
+  if (maxOffersPerDay != null
+    && (!Number.isInteger(Number(maxOffersPerDay)) || maxOffersPerDay < 0 || maxOffersPerDay > 100)) {
+    errors.push('Max offers per day must be a whole number from 0 (off) to 100.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates product attribute settings.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateProductAttributes(productAttributes) {
+  const errors = [];
+  if (productAttributes == null) return { valid: true, errors };
+
+  if (typeof productAttributes !== 'object') {
+    errors.push('Product attribute settings must be an object.');
+    return { valid: false, errors };
+  }
+
+  const { metafields, match } = productAttributes;
+  if (metafields != null) {
+    if (!Array.isArray(metafields)) {
+      errors.push('Attribute metafields must be a list.');
+    } else {
+      if (metafields.length > MAX_ATTRIBUTE_METAFIELDS) {
+        errors.push(`At most ${MAX_ATTRIBUTE_METAFIELDS} attribute metafields are allowed.`);
+      }
+      metafields.forEach((metafield, i) => {
+        const label = metafield?.namespace && metafield?.key ? `"${metafield.namespace}.${metafield.key}"` : `#${i + 1}`;
+        if (!metafield || typeof metafield !== 'object') {
+          errors.push(`Attribute metafield #${i + 1} must be an object.`);
+          return;
+        }
+        if (metafield.owner != null && !METAFIELD_OWNERS.includes(metafield.owner)) {
+          errors.push(`Attribute metafield ${label} owner must be one of: ${METAFIELD_OWNERS.join(', ')}.`);
+        }
+        if (!NAMESPACE_PATTERN.test(String(metafield.namespace || ''))) {
+          errors.push(`Attribute metafield ${label} needs a valid namespace.`);
+        }
+        if (!KEY_PATTERN.test(String(metafield.key || ''))) {
+          errors.push(`Attribute metafield ${label} needs a valid key.`);
+        }
+        if (metafield.attribute != null && metafield.attribute !== '' && !ATTRIBUTE_NAME_PATTERN.test(String(metafield.attribute))) {
+          errors.push(`Attribute metafield ${label} attribute name must be lowercase letters, digits or underscores, e.g. "material".`);
+        }
+      });
+    }
+  }
+
+  if (match != null) {
+    if (typeof match !== 'object') {
+      errors.push('Attribute match rule must be an object.');
+    } else {
+      for (const side of ['same', 'different']) {
+        const list = match[side];
+        if (list == null) continue;
+        if (!Array.isArray(list)) {
+          errors.push(`Attribute match "${side}" must be a list.`);
+        } else if (list.length > MAX_MATCH_ATTRIBUTES) {
+          errors.push(`Attribute match "${side}" allows at most ${MAX_MATCH_ATTRIBUTES} attributes.`);
+        } else if (list.some((name) => !ATTRIBUTE_NAME_PATTERN.test(String(name)))) {
+          errors.push(`Attribute match "${side}" must list attribute names like "material" or "category".`);
+        }
+      }
+      const same = Array.isArray(match.same) ? match.same : [];
+      const both = (Array.isArray(match.different) ? match.different : []).filter((name) => same.includes(name));
+      if (both.length > 0) {
+        errors.push(`Attribute match cannot require the same and a different ${both.join(', ')}.`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a full config payload (goal, riskTolerance, guardrails, llm, holdout, engine, segmentation, fatigue, productAttributes).
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateConfig({ goal, riskTolerance, guardrails, llm, holdout, engine, segmentation, fatigue, productAttributes }) {
   const errors = [];
 
   if (!GOAL_MAPPING[goal]) {
@@ -114,6 +431,13 @@ export function validateConfig({ goal, riskTolerance, guardrails }) {
     errors.push('Guardrails must be an object.');
   }
 
+  errors.push(...validateLLMSettings(llm).errors);
+  errors.push(...validateHoldout(holdout).errors);
+  errors.push(...validateEngineSettings(engine).errors);
+  errors.push(...validateSegmentation(segmentation, guardrails).errors);
+  errors.push(...validateFatigue(fatigue).errors);
+  errors.push(...validateProductAttributes(productAttributes).errors);
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -175,6 +499,48 @@ export async function getMerchantConfig(shopId) {
     ? saved.offerDisplayMode
     : 'both';
 
+  const llm = {
+    ...DEFAULT_CONFIG.llm,
+    ...(saved?.llm ?? {}),
+  };
+
+  const holdoutPercent = Number(saved?.holdout?.percent);
+  const holdout = {
+    ...DEFAULT_CONFIG.holdout,
+    ...(saved?.holdout ?? {}),
+    percent: Number.isFinite(holdoutPercent) ? Math.max(0, Math.min(50, holdoutPercent)) : DEFAULT_CONFIG.holdout.percent,
+  };
+
+  const shadowSampleRate = Number(saved?.engine?.shadowSampleRate);
+  const engine = {
+    version: ENGINE_VERSIONS.includes(saved?.engine?.version) ? saved.engine.version : DEFAULT_CONFIG.engine.version,
+    shadow: Boolean(saved?.engine?.shadow),
+    shadowSampleRate: Number.isFinite(shadowSampleRate)
+      ? Math.max(0, Math.min(1, shadowSampleRate))
+      : DEFAULT_CONFIG.engine.shadowSampleRate,
+  };
+
+  const savedBands = Array.isArray(saved?.segmentation?.cartBands) ? saved.segmentation.cartBands.map(Number) : [];
+  const segmentation = {
+    cartBands: savedBands.length === 2 && savedBands.every(Number.isFinite) && savedBands[0] < savedBands[1]
+      ? savedBands
+      : DEFAULT_CONFIG.segmentation.cartBands,
+    overrides: Array.isArray(saved?.segmentation?.overrides) ? saved.segmentation.overrides : [],
+  };
+
+  const fatigue = {
+    ...DEFAULT_CONFIG.fatigue,
+    ...(saved?.fatigue ?? {}),
+  };
+
+  const productAttributes = {
+    metafields: Array.isArray(saved?.productAttributes?.metafields) ? saved.productAttributes.metafields : [],
+    match: {
+      same: Array.isArray(saved?.productAttributes?.match?.same) ? saved.productAttributes.match.same : [],
+      different: Array.isArray(saved?.productAttributes?.match?.different) ? saved.productAttributes.match.different : [],
+    },
+  };
+
   const result = {
     shopId,
     goal,
@@ -182,6 +548,12 @@ export async function getMerchantConfig(shopId) {
     guardrails,
     optimization,
     offerDisplayMode,
+    llm,
+    holdout,
+    engine,
+    segmentation,
+    fatigue,
+    productAttributes,
     // Computed mappings — ready for the decision engine
     goalConfig: GOAL_MAPPING[goal],
     riskConfig: RISK_MAPPING[riskTolerance],
@@ -198,13 +570,14 @@ export async function getMerchantConfig(shopId) {
 // ─── Save ────────────────────────────────────────────────────────────────────
 
 /**
- * saveMerchantConfig(shopId, { goal, riskTolerance, guardrails })
+ * saveMerchantConfig(shopId, { goal, riskTolerance, guardrails, optimization, offerDisplayMode, llm, holdout, engine, segmentation, fatigue, productAttributes })
  *
- * Validates and persists merchant config.
+ * Validates and persists merchant config. Changing the attribute metafields
+ * queues a full product sync so every product picks them up.
  * Returns { success: boolean, errors: string[] }
  */
-export async function saveMerchantConfig(shopId, { goal, riskTolerance, guardrails, optimization, offerDisplayMode }) {
-  const validation = validateConfig({ goal, riskTolerance, guardrails });
+export async function saveMerchantConfig(shopId, { goal, riskTolerance, guardrails, optimization, offerDisplayMode, llm, holdout, engine, segmentation, fatigue, productAttributes }) {
+  const validation = validateConfig({ goal, riskTolerance, guardrails, llm, holdout, engine, segmentation, fatigue, productAttributes });
   if (!validation.valid) {
     return { success: false, errors: validation.errors };
   }
@@ -231,6 +604,7 @@ export async function saveMerchantConfig(shopId, { goal, riskTolerance, guardrai
         sessionOfferLimit: guardrails.sessionOfferLimit,
         premiumSkuProtection: Boolean(guardrails.premiumSkuProtection),
         subscriptionProtection: Boolean(guardrails.subscriptionProtection),
+        minMarginPercent: Number(guardrails.minMarginPercent) || 0,
         excludedProductIds: normalizeList(guardrails.excludedProductIds),
         excludedProductHandles: normalizeList(guardrails.excludedProductHandles).map((h) => h.toLowerCase()),
         excludedCollectionIds: normalizeList(guardrails.excludedCollectionIds),
@@ -251,6 +625,73 @@ export async function saveMerchantConfig(shopId, { goal, riskTolerance, guardrai
       updateDoc.offerDisplayMode = offerDisplayMode;
     }
 
+    if (llm !== undefined) {
+      updateDoc.llm = {
+        provider: llm?.provider || null,
+        model: llm?.model ? String(llm.model).trim() : null,
+        embeddingModel: llm?.embeddingModel ? String(llm.embeddingModel).trim() : null
+      };
+    }
+
+    if (holdout !== undefined && holdout !== null) {
+      updateDoc.holdout = {
+        percent: Math.round(Number(holdout.percent) * 100) / 100
+      };
+    }
+
+    if (engine !== undefined && engine !== null) {
+      updateDoc.engine = {
+        version: engine.version || DEFAULT_CONFIG.engine.version,
+        shadow: Boolean(engine.shadow),
+        shadowSampleRate: engine.shadowSampleRate != null
+          ? Number(engine.shadowSampleRate)
+          : DEFAULT_CONFIG.engine.shadowSampleRate
+      };
+    }
+
+    if (segmentation !== undefined && segmentation !== null) {
+      updateDoc.segmentation = {
+        cartBands: Array.isArray(segmentation.cartBands)
+          ? segmentation.cartBands.map(Number)
+          : DEFAULT_CONFIG.segmentation.cartBands,
+        overrides: (segmentation.overrides || []).map((o) => ({
+          segment: String(o.segment),
+          goal: o.goal || null,
+          maxDiscountCap: o.maxDiscountCap != null ? Number(o.maxDiscountCap) : null
+        }))
+      };
+    }
+
+    if (fatigue !== undefined && fatigue !== null) {
+      updateDoc.fatigue = {
+        maxImpressionsWithoutClick: Number(fatigue.maxImpressionsWithoutClick) || 0,
+        suppressDays: fatigue.suppressDays != null
+          ? Number(fatigue.suppressDays)
+          : DEFAULT_CONFIG.fatigue.suppressDays,
+        maxOffersPerDay: Number(fatigue.maxOffersPerDay) || 0
+      };
+    }
+
+    let metafieldsChanged = false;
+    if (productAttributes !== undefined && productAttributes !== null) {
+      updateDoc.productAttributes = {
+        metafields: (productAttributes.metafields || []).map((m) => ({
+          owner: m.owner || 'product',
+          namespace: String(m.namespace).trim(),
+          key: String(m.key).trim(),
+          attribute: m.attribute ? String(m.attribute) : null
+        })),
+        match: {
+          same: normalizeList(productAttributes.match?.same),
+          different: normalizeList(productAttributes.match?.different)
+        }
+      };
+      const previous = await db.collection(collections.merchantConfig)
+        .findOne({ shopId }, { projection: { 'productAttributes.metafields': 1 } });
+      metafieldsChanged = JSON.stringify(previous?.productAttributes?.metafields || [])
+        !== JSON.stringify(updateDoc.productAttributes.metafields);
+    }
+
     await db.collection(collections.merchantConfig).updateOne(
       { shopId },
       {
@@ -265,6 +706,19 @@ export async function saveMerchantConfig(shopId, { goal, riskTolerance, guardrai
     // Invalidate cache so next read gets fresh data
     invalidateMerchantConfigCache(shopId);
 
+    // Keep the discount and bundle Functions' server-side caps in step (fire-and-forget)
+    syncDiscountFunctionConfig(shopId);
+    syncBundleTransformConfig(shopId);
+
+    if (metafieldsChanged) {
+      enqueueJob('product_reconciliation', {
+        shopId,
+        payload: { reason: 'attribute_config', mode: 'full' },
+        dedupeKey: `product_reconciliation:${shopId}`,
+        priority: 1
+      }).catch((err) => console.warn('[merchantConfig] Product resync enqueue failed:', err.message));
+    }
+
     return { success: true, errors: [] };
   } catch (err) {
     console.error('[merchantConfig] Save error:', err);
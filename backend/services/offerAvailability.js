@@ -0,0 +1,208 @@
+/**
+ * Offer Availability — keep sold-out items out of every offer response
+ *
+ * Provides:
+ *   - isVariantPurchasable(variant)                     — stocked, untracked or oversellable
+ *   - ensurePurchasableOffers(shopId, recs, options)    — drop unbuyable offers, swap sold-out variants
+ *   - invalidateProductOffers(shopId, productId)        — purge cached responses containing a product
+ *   - applyInventoryLevel(shopId, inventoryItemId, qty) — inventory webhook: update stock, invalidate on flips
+ *
+ * The products collection mirrors variant stock from the inventory and product
+ * webhooks, so it is the source of truth for cached offers. Formatted offers
+ * (`{ id, variantId, price, compareAtPrice, variants, ... }`) are checked
+ * against it right before they are localized and signed: inactive products and
+ * products with no purchasable variant are dropped, and a sold-out `variantId`
+ * is swapped for the first purchasable sibling (`variantFallback` records the
+ * swap) so the offer survives.
+ */
+
+import { getDb, collections } from '../database/mongodb.js';
+import { ProductService } from './productService.js';
+import { invalidateCachedProduct } from './groqAIEngine.js';
+
+function numericId(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const id = String(value).split('/').pop();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+// Keep the caller's id format (numeric vs gid) when swapping variants
+function formatVariantId(original, id) {
+  return typeof original === 'string' && original.startsWith('gid://')
+    ? `gid://shopify/ProductVariant/${id}`
+    : id;
+}
+
+/**
+ * isVariantPurchasable(variant)
+ *
+ * Mongo variant mirror: purchasable when stock is above zero, stock is not
+ * tracked (inventoryQuantity null) or the policy allows overselling.
+ */
+export function isVariantPurchasable(variant) {
+  if (!variant) return false;
+  if (String(variant.inventoryPolicy || '').toUpperCase() === 'CONTINUE') return true;
+  if (variant.inventoryQuantity === null || variant.inventoryQuantity === undefined) return true;
+  return Number(variant.inventoryQuantity) > 0;
+}
+
+function isProductPurchasable(product) {
+  if (!product) return false;
+  if (product.status && String(product.status).toUpperCase() !== 'ACTIVE') return false;
+  const variants = product.variants || [];
+  return variants.length === 0 || variants.some(isVariantPurchasable);
+}
+
+async function loadProducts(shopId, ids) {
+  const unique = [...new Set(ids.map(numericId).filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const db = await getDb();
+  const docs = await db.collection(collections.products)
+    .find(
+      { shopId, productId: { $in: [...unique.map(Number), ...unique] } },
+      { projection: { _id: 0, productId: 1, status: 1, variants: 1 } }
+    )
+    .toArray();
+  return new Map(docs.map((doc) => [String(doc.productId), doc]));
+}
+
+/**
+ * ensurePurchasableOffers(shopId, recommendations, { liveVariants })
+ *
+ * `liveVariants: true` — the offers' `variants[].available` flags were just
+ * read from the Admin API and win over the Mongo mirror; otherwise (cached
+ * responses) the mirror wins. Offers for products missing from Mongo are
+ * kept unless they already say `availableForSale: false`.
+ * Never throws — on a lookup failure offers pass through unchanged.
+ */
+export async function ensurePurchasableOffers(shopId, recommendations, { liveVariants = false } = {}) {
+  if (!Array.isArray(recommendations) || recommendations.length === 0) return recommendations || [];
+
+  let products;
+  try {
+    products = await loadProducts(shopId, recommendations.map((rec) => rec?.id));
+  } catch (err) {
+    console.warn('⚠️ Offer availability check failed:', err.message);
+    return recommendations;
+  }
+
+  const result = [];
+  for (const rec of recommendations) {
+    if (!rec) continue;
+    const product = products.get(numericId(rec.id));
+
+    if (!product) {
+      if (rec.availableForSale !== false) result.push(rec);
+      continue;
+    }
+    if (!isProductPurchasable(product)) {
+      console.log(`🚫 Dropping offer ${rec.id} — no purchasable variant`);
+      continue;
+    }
+
+    const mirror = new Map((product.variants || []).map((v) => [String(v.variantId), v]));
+    const live = new Map((rec.variants || []).map((v) => [numericId(v.id), v]));
+    const purchasable = (id) => {
+      const liveVariant = live.get(id);
+      if (liveVariants && liveVariant && typeof liveVariant.available === 'boolean') return liveVariant.available;
+      if (mirror.has(id)) return isVariantPurchasable(mirror.get(id));
+      return liveVariant ? liveVariant.available !== false : true;
+    };
+
+    // Candidate order: the offer's own variant list, then anything only Mongo knows about
+    const order = [...new Set([...live.keys(), ...mirror.keys()].filter(Boolean))];
+    const currentId = numericId(rec.variantId);
+    const chosenId = currentId && purchasable(currentId) ? currentId : order.find(purchasable);
+
+    if (order.length > 0 && !chosenId) {
+      console.log(`🚫 Dropping offer ${rec.id} — all variants sold out`);
+      continue;
+    }
+
+    const next = {
+      ...rec,
+      availableForSale: true,
+      ...(rec.variants ? { variants: rec.variants.map((v) => ({ ...v, available: purchasable(numericId(v.id)) })) } : {})
+    };
+
+    if (chosenId && chosenId !== currentId) {
+      const source = live.get(chosenId) || mirror.get(chosenId);
+      next.variantId = currentId ? formatVariantId(rec.variantId, chosenId) : chosenId;
+      if (source?.price !== undefined && source?.price !== null) next.price = String(source.price);
+      next.compareAtPrice = source?.compareAtPrice ? String(source.compareAtPrice) : null;
+      if (currentId) {
+        next.variantFallback = { from: currentId, to: chosenId };
+        console.log(`🔁 Offer ${rec.id}: variant ${currentId} sold out — using ${chosenId}`);
+      }
+    }
+
+    result.push(next);
+  }
+  return result;
+}
+
+/**
+ * invalidateProductOffers(shopId, productId)
+ *
+ * Deletes every cached product-page response for the product itself or that
+ * offers it, and drops matching in-memory engine results on this server.
+ */
+export async function invalidateProductOffers(shopId, productId) {
+  const id = numericId(productId);
+  if (!shopId || !id) return { deleted: 0 };
+
+  invalidateCachedProduct(shopId, id);
+
+  const ids = [Number(id), id];
+  const db = await getDb();
+  const { deletedCount } = await db.collection(collections.upsellResponseCache).deleteMany({
+    shopId,
+    $or: [{ productId: { $in: ids } }, { 'recommendations.id': { $in: ids } }]
+  });
+  if (deletedCount > 0) {
+    console.log(`🧹 Invalidated ${deletedCount} cached offer responses for product ${id} (shop ${shopId})`);
+  }
+  return { deleted: deletedCount };
+}
+
+/**
+ * applyInventoryLevel(shopId, inventoryItemId, available)
+ *
+ * Writes the new level to the variant mirror and invalidates cached offers
+ * when the variant or its product crosses the in-stock / sold-out line.
+ * Returns the update result (`matchedCount`) plus `invalidated`.
+ */
+export async function applyInventoryLevel(shopId, inventoryItemId, available) {
+  const productService = new ProductService();
+  const itemId = productService.toNumber(inventoryItemId, null);
+
+  const db = await getDb();
+  const before = itemId == null ? null : await db.collection(collections.products).findOne(
+    { shopId, 'variants.inventoryItemId': itemId },
+    { projection: { _id: 0, productId: 1, status: 1, variants: 1 } }
+  );
+
+  const result = await productService.updateInventoryByInventoryItemId(shopId, inventoryItemId, available);
+  if (!before || result.matchedCount === 0) return { matchedCount: result.matchedCount, invalidated: false };
+
+  const quantity = productService.toNumber(available, 0);
+  const after = {
+    ...before,
+    variants: (before.variants || []).map((v) => (v.inventoryItemId === itemId ? { ...v, inventoryQuantity: quantity } : v))
+  };
+  const variantBefore = (before.variants || []).find((v) => v.inventoryItemId === itemId);
+  const variantAfter = after.variants.find((v) => v.inventoryItemId === itemId);
+
+  const flipped = isVariantPurchasable(variantBefore) !== isVariantPurchasable(variantAfter)
+    || isProductPurchasable(before) !== isProductPurchasable(after);
+  if (flipped) await invalidateProductOffers(shopId, before.productId);
+
+  return { matchedCount: result.matchedCount, invalidated: flipped };
+}
+
+export const offerAvailability = {
+  isVariantPurchasable,
+  ensurePurchasableOffers,
+  invalidateProductOffers,
+  applyInventoryLevel
+};
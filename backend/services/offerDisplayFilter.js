@@ -38,6 +38,7 @@ export function getOfferTypeExtras(offerType, discountPercent) {
  *   revenue_per_visitor   → addon_upsell (direct product recommendations)
  *   subscription_adoption → subscription_upgrade for eligible, addon_upsell for rest
  *   inventory_movement    → depends on offerDisplayMode (bundle / volume_discount / both)
+ *   maximize_profit       → engine's offer type kept (already margin-checked)
  *
  * @param {Array}  recs                    - recommendation objects with offerType field
  * @param {string} goal                    - merchant's selected business goal
@@ -70,6 +71,11 @@ export function applyDisplayModeFilter(recs, goal, displayMode, decisionDiscount
     });
   }
 
+  // ── Maximize Profit: keep the offer type the engine picked for its margin ──
+  if (goal === 'maximize_profit') {
+    return recs.map(r => ({ ...strip(r), ...getOfferTypeExtras(r.offerType, r.discountPercent) }));
+  }
+
   // ── AOV & Inventory Movement: apply merchant's display mode choice ──
   if (displayMode === 'bundle') {
     return recs.map(r => {
@@ -11,21 +11,30 @@
  *     variantId, originalPrice, productType, vendor
  *   },
  *   discountPercent: number,   // e.g. 10
- *   discountedPrice: number    // e.g. 49.50  (2 decimal places)
+ *   discountedPrice: number,   // e.g. 49.50  (rounded to the currency's minor unit)
+ *   currencyCode: string|null  // e.g. "EUR"; null = shop currency
  * }
+ *
+ * Every formatter takes an optional `pricing` argument — the buyer's market
+ * price for the variant ({ price, compareAtPrice, currencyCode }, see
+ * marketPricing.getContextualVariantPrices). Without it amounts are in shop
+ * currency.
  */
 
+import { roundMoney } from './marketPricing.js';
+
 /**
- * formatOffer(product, variant, discountPercent)
+ * formatOffer(product, variant, discountPercent, pricing)
  *
  * @param {object} product        - MongoDB product document (the upsell winner)
  * @param {object} variant        - the best variant from that product
  * @param {number} discountPercent - e.g. 10 means 10% off
+ * @param {object} [pricing]      - buyer market price { price, compareAtPrice, currencyCode }
  * @returns {object}              - structured offer payload
  */
-export function formatOffer(product, variant, discountPercent) {
-  const originalPrice = Number(variant.price) || 0;
-  const discountedPrice = roundToTwo(originalPrice * (1 - discountPercent / 100));
+export function formatOffer(product, variant, discountPercent, pricing = null) {
+  const { originalPrice, currencyCode, round } = resolvePricing(variant, pricing);
+  const discountedPrice = round(originalPrice * (1 - discountPercent / 100));
 
   return {
     type: 'add_on',
@@ -41,12 +50,13 @@ export function formatOffer(product, variant, discountPercent) {
     },
     discountPercent,
     discountedPrice,
+    currencyCode,
   };
 }
 
-export function formatBundleOffer(product, variant, discountPercent) {
-  const originalPrice = Number(variant.price) || 0;
-  const discountedPrice = roundToTwo(originalPrice * (1 - discountPercent / 100));
+export function formatBundleOffer(product, variant, discountPercent, pricing = null) {
+  const { originalPrice, currencyCode, round } = resolvePricing(variant, pricing);
+  const discountedPrice = round(originalPrice * (1 - discountPercent / 100));
   return {
     type: 'bundle',
     upsellProduct: {
@@ -61,13 +71,14 @@ export function formatBundleOffer(product, variant, discountPercent) {
     },
     discountPercent,
     discountedPrice,
+    currencyCode,
     tagline: 'Bundle & Save',
   };
 }
 
-export function formatVolumeDiscountOffer(product, variant, discountPercent) {
-  const originalPrice = Number(variant.price) || 0;
-  const discountedPrice = roundToTwo(originalPrice * (1 - discountPercent / 100));
+export function formatVolumeDiscountOffer(product, variant, discountPercent, pricing = null) {
+  const { originalPrice, currencyCode, round } = resolvePricing(variant, pricing);
+  const discountedPrice = round(originalPrice * (1 - discountPercent / 100));
   const tier1Discount = Math.round(discountPercent * 0.6);
   const tier2Discount = discountPercent;
   return {
@@ -84,17 +95,18 @@ export function formatVolumeDiscountOffer(product, variant, discountPercent) {
     },
     discountPercent,
     discountedPrice,
+    currencyCode,
     tiers: [
-      { quantity: 2, discountPercent: tier1Discount, pricePerUnit: roundToTwo(originalPrice * (1 - tier1Discount / 100)), label: '2+ items' },
-      { quantity: 3, discountPercent: tier2Discount, pricePerUnit: roundToTwo(originalPrice * (1 - tier2Discount / 100)), label: '3+ items' },
+      { quantity: 2, discountPercent: tier1Discount, pricePerUnit: round(originalPrice * (1 - tier1Discount / 100)), label: '2+ items' },
+      { quantity: 3, discountPercent: tier2Discount, pricePerUnit: round(originalPrice * (1 - tier2Discount / 100)), label: '3+ items' },
     ],
     tagline: 'Buy More, Save More',
   };
 }
 
-export function formatSubscriptionUpgradeOffer(product, variant, discountPercent) {
-  const originalPrice = Number(variant.price) || 0;
-  const discountedPrice = roundToTwo(originalPrice * (1 - discountPercent / 100));
+export function formatSubscriptionUpgradeOffer(product, variant, discountPercent, pricing = null) {
+  const { originalPrice, currencyCode, round } = resolvePricing(variant, pricing);
+  const discountedPrice = round(originalPrice * (1 - discountPercent / 100));
   return {
     type: 'subscription_upgrade',
     upsellProduct: {
@@ -109,22 +121,31 @@ export function formatSubscriptionUpgradeOffer(product, variant, discountPercent
     },
     discountPercent,
     discountedPrice,
+    currencyCode,
     interval: 'monthly',
     tagline: 'Subscribe & Save',
   };
 }
 
-export function formatOfferByType(type, product, variant, discountPercent) {
+export function formatOfferByType(type, product, variant, discountPercent, pricing = null) {
   switch (type) {
-    case 'bundle':               return formatBundleOffer(product, variant, discountPercent);
-    case 'volume_discount':      return formatVolumeDiscountOffer(product, variant, discountPercent);
-    case 'subscription_upgrade': return formatSubscriptionUpgradeOffer(product, variant, discountPercent);
-    default:                     return formatOffer(product, variant, discountPercent);
+    case 'bundle':               return formatBundleOffer(product, variant, discountPercent, pricing);
+    case 'volume_discount':      return formatVolumeDiscountOffer(product, variant, discountPercent, pricing);
+    case 'subscription_upgrade': return formatSubscriptionUpgradeOffer(product, variant, discountPercent, pricing);
+    default:                     return formatOffer(product, variant, discountPercent, pricing);
   }
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function roundToTwo(value) {
-  return Math.round(value * 100) / 100;
+// Market price when given, else the variant's shop-currency price
+function resolvePricing(variant, pricing) {
+  const marketPrice = Number(pricing?.price);
+  const useMarket = Number.isFinite(marketPrice) && marketPrice > 0;
+  const currencyCode = useMarket ? (pricing.currencyCode || null) : null;
+  return {
+    originalPrice: useMarket ? marketPrice : (Number(variant.price) || 0),
+    currencyCode,
+    round: (value) => roundMoney(value, currencyCode),
+  };
 }
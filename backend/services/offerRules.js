@@ -0,0 +1,418 @@
+/**
+ * Offer Rules — explicit merchant upsell rules
+ *
+ * Provides:
+ *   - createOfferRule / updateOfferRule / deleteOfferRule / listOfferRules — CRUD
+ *   - evaluateOfferRules(context)  — rules that fire for a product/cart context
+ *   - recordRuleFires(shopId, ids) — bump per-rule fire counters (cap tracking)
+ *
+ * A rule reads: "if the context contains any product in collection X (or any of
+ * products P) and the subtotal is within [min, max], offer product Y at N% as
+ * <offerType> on <placements>". Rules are evaluated by the decision engine
+ * before AI candidates; the highest-priority firing rules take the first slots.
+ *
+ * Rule shape:
+ * {
+ *   ruleId, name, enabled, priority,            // higher priority fires first
+ *   conditions: { collectionIds, collectionHandles, productIds, minSubtotal, maxSubtotal },
+ *   offer: { productId, discountPercent, offerType },
+ *   placements: ['cart_drawer', ...],           // empty = every placement
+ *   schedule: { startsAt, endsAt },             // null bounds = open-ended
+ *   cap: { maxFires },                          // null = unlimited
+ *   stats: { fired, lastFiredAt }
+ * }
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+
+const OFFER_TYPES = ['bundle', 'volume_discount', 'addon_upsell', 'subscription_upgrade'];
+const PLACEMENTS = ['product_page', 'cart_drawer', 'checkout', 'post_purchase'];
+
+// Rules are read on every decision — keep a short per-shop cache
+const _rulesCache = new Map();
+const RULES_CACHE_TTL = 30 * 1000; // 30 seconds
+
+function _invalidateRulesCache(shopId) {
+  if (shopId) _rulesCache.delete(shopId);
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates a rule payload.
+ * Returns { valid: boolean, errors: string[] }
+ */
+export function validateOfferRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, errors: ['Rule must be an object.'] };
+  }
+
+  if (!rule.name || !String(rule.name).trim()) {
+    errors.push('Rule name is required.');
+  }
+
+  const offer = rule.offer || {};
+  if (!offer.productId || !/^\d+$/.test(String(offer.productId).split('/').pop())) {
+    errors.push('Offer product ID is required.');
+  }
+  if (offer.offerType != null && !OFFER_TYPES.includes(offer.offerType)) {
+    errors.push(`Invalid offer type: "${offer.offerType}". Must be one of: ${OFFER_TYPES.join(', ')}.`);
+  }
+  if (offer.discountPercent != null) {
+    const pct = Number(offer.discountPercent);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 90) {
+      errors.push('Offer discount must be a number between 0 and 90.');
+    }
+  }
+
+  const conditions = rule.conditions || {};
+  for (const key of ['collectionIds', 'collectionHandles', 'productIds']) {
+    if (conditions[key] != null && !Array.isArray(conditions[key])) {
+      errors.push(`Condition ${key} must be a list.`);
+    }
+  }
+  for (const key of ['minSubtotal', 'maxSubtotal']) {
+    if (conditions[key] != null && conditions[key] !== '') {
+      const value = Number(conditions[key]);
+      if (!Number.isFinite(value) || value < 0) errors.push(`Condition ${key} must be a non-negative number.`);
+    }
+  }
+  if (
+    conditions.minSubtotal != null && conditions.maxSubtotal != null &&
+    Number(conditions.minSubtotal) > Number(conditions.maxSubtotal)
+  ) {
+    errors.push('Minimum subtotal cannot exceed maximum subtotal.');
+  }
+
+  if (rule.placements != null) {
+    if (!Array.isArray(rule.placements)) {
+      errors.push('Placements must be a list.');
+    } else if (rule.placements.some((p) => !PLACEMENTS.includes(p))) {
+      errors.push(`Placements may only contain: ${PLACEMENTS.join(', ')}.`);
+    }
+  }
+
+  if (rule.priority != null && !Number.isFinite(Number(rule.priority))) {
+    errors.push('Priority must be a number.');
+  }
+
+  const schedule = rule.schedule || {};
+  const startsAt = schedule.startsAt ? new Date(schedule.startsAt) : null;
+  const endsAt = schedule.endsAt ? new Date(schedule.endsAt) : null;
+  if (startsAt && isNaN(startsAt.getTime())) errors.push('Schedule start must be a valid date.');
+  if (endsAt && isNaN(endsAt.getTime())) errors.push('Schedule end must be a valid date.');
+  if (startsAt && endsAt && startsAt > endsAt) errors.push('Schedule start must be before schedule end.');
+
+  const maxFires = rule.cap?.maxFires;
+  if (maxFires != null && maxFires !== '' && (!Number.isInteger(Number(maxFires)) || Number(maxFires) < 1)) {
+    errors.push('Rule cap must be a whole number of at least 1.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function normalizeList(value, { lower = false } = {}) {
+  if (!Array.isArray(value)) return [];
+  const clean = value
+    .map((item) => String(item).split('/').pop().trim())
+    .filter(Boolean)
+    .map((item) => (lower ? item.toLowerCase() : item));
+  return Array.from(new Set(clean));
+}
+
+function optionalNumber(value) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function normalizeRule(rule) {
+  const conditions = rule.conditions || {};
+  const offer = rule.offer || {};
+  const schedule = rule.schedule || {};
+  return {
+    name: String(rule.name).trim(),
+    enabled: rule.enabled !== false,
+    priority: Number(rule.priority) || 0,
+    conditions: {
+      collectionIds: normalizeList(conditions.collectionIds),
+      collectionHandles: normalizeList(conditions.collectionHandles, { lower: true }),
+      productIds: normalizeList(conditions.productIds),
+      minSubtotal: optionalNumber(conditions.minSubtotal),
+      maxSubtotal: optionalNumber(conditions.maxSubtotal)
+    },
+    offer: {
+      productId: String(offer.productId).split('/').pop(),
+      discountPercent: optionalNumber(offer.discountPercent) ?? 0,
+      offerType: offer.offerType || 'addon_upsell'
+    },
+    placements: Array.isArray(rule.placements) ? [...new Set(rule.placements)] : [],
+    schedule: {
+      startsAt: schedule.startsAt ? new Date(schedule.startsAt) : null,
+      endsAt: schedule.endsAt ? new Date(schedule.endsAt) : null
+    },
+    cap: {
+      maxFires: optionalNumber(rule.cap?.maxFires)
+    }
+  };
+}
+
+// ─── CRUD ─────────────────────────────────────────────────────────────────────
+
+export async function listOfferRules(shopId) {
+  const db = await getDb();
+  return db.collection(collections.offerRules)
+    .find({ shopId })
+    .sort({ priority: -1, createdAt: 1 })
+    .toArray();
+}
+
+export async function createOfferRule(shopId, rule) {
+  if (!shopId) return { success: false, errors: ['Missing shopId'] };
+  const { valid, errors } = validateOfferRule(rule);
+  if (!valid) return { success: false, errors };
+
+  try {
+    const db = await getDb();
+    const now = new Date();
+    const doc = {
+      shopId,
+      ruleId: `rule_${crypto.randomBytes(6).toString('hex')}`,
+      ...normalizeRule(rule),
+      stats: { fired: 0, lastFiredAt: null },
+      createdAt: now,
+      updatedAt: now
+    };
+    await db.collection(collections.offerRules).insertOne(doc);
+    _invalidateRulesCache(shopId);
+    console.log(`📐 Offer rule created for ${shopId}: ${doc.ruleId} (${doc.name})`);
+    return { success: true, rule: doc, errors: [] };
+  } catch (err) {
+    console.error('[offerRules] Create error:', err);
+    return { success: false, errors: ['Database error. Please try again.'] };
+  }
+}
+
+export async function updateOfferRule(shopId, ruleId, rule) {
+  const { valid, errors } = validateOfferRule(rule);
+  if (!valid) return { success: false, errors };
+
+  try {
+    const db = await getDb();
+    const update = { ...normalizeRule(rule), updatedAt: new Date() };
+    const result = await db.collection(collections.offerRules).updateOne(
+      { shopId, ruleId },
+      { $set: update }
+    );
+    if (result.matchedCount === 0) return { success: false, errors: ['Rule not found.'] };
+    _invalidateRulesCache(shopId);
+    return { success: true, errors: [] };
+  } catch (err) {
+    console.error('[offerRules] Update error:', err);
+    return { success: false, errors: ['Database error. Please try again.'] };
+  }
+}
+
+export async function setOfferRuleEnabled(shopId, ruleId, enabled) {
+  const db = await getDb();
+  const result = await db.collection(collections.offerRules).updateOne(
+    { shopId, ruleId },
+    { $set: { enabled: Boolean(enabled), updatedAt: new Date() } }
+  );
+  _invalidateRulesCache(shopId);
+  return { success: result.matchedCount > 0 };
+}
+
+export async function deleteOfferRule(shopId, ruleId) {
+  const db = await getDb();
+  const result = await db.collection(collections.offerRules).deleteOne({ shopId, ruleId });
+  _invalidateRulesCache(shopId);
+  return { success: result.deletedCount > 0 };
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+async function loadActiveRules(shopId) {
+  const cached = _rulesCache.get(shopId);
+  if (cached && (Date.now() - cached.ts) < RULES_CACHE_TTL) return cached.rules;
+
+  const db = await getDb();
+  const rules = await db.collection(collections.offerRules)
+    .find({ shopId, enabled: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .toArray();
+  _rulesCache.set(shopId, { rules, ts: Date.now() });
+  return rules;
+}
+
+function getProductPrice(product) {
+  const aiPrice = Number(product?.aiData?.price);
+  if (Number.isFinite(aiPrice) && aiPrice > 0) return aiPrice;
+  const variantPrice = Number(product?.variants?.[0]?.price);
+  return Number.isFinite(variantPrice) ? variantPrice : 0;
+}
+
+/**
+ * Pure check of one rule against a context. Returns null when the rule fires,
+ * otherwise the reason it was skipped (used in the decision trace).
+ */
+export function getRuleSkipReason(rule, { placement, contextProducts, subtotal, now = new Date() }) {
+  if (rule.enabled === false) return 'disabled';
+
+  if (Array.isArray(rule.placements) && rule.placements.length > 0 && !rule.placements.includes(placement)) {
+    return 'placement';
+  }
+
+  const startsAt = rule.schedule?.startsAt ? new Date(rule.schedule.startsAt) : null;
+  const endsAt = rule.schedule?.endsAt ? new Date(rule.schedule.endsAt) : null;
+  if (startsAt && now < startsAt) return 'not_started';
+  if (endsAt && now > endsAt) return 'ended';
+
+  const maxFires = Number(rule.cap?.maxFires);
+  if (Number.isFinite(maxFires) && maxFires > 0 && Number(rule.stats?.fired || 0) >= maxFires) {
+    return 'cap_reached';
+  }
+
+  const conditions = rule.conditions || {};
+  const wantIds = new Set((conditions.productIds || []).map(String));
+  const wantCollectionIds = new Set((conditions.collectionIds || []).map(String));
+  const wantCollectionHandles = new Set((conditions.collectionHandles || []).map((h) => String(h).toLowerCase()));
+  const hasProductCondition = wantIds.size > 0 || wantCollectionIds.size > 0 || wantCollectionHandles.size > 0;
+
+  if (hasProductCondition) {
+    const matched = (contextProducts || []).some((p) => {
+      if (wantIds.has(String(p?.productId))) return true;
+      const cids = (p?.collectionIds || []).map((cid) => String(cid).split('/').pop());
+      if (cids.some((cid) => wantCollectionIds.has(cid))) return true;
+      const handles = (p?.collectionHandles || []).map((h) => String(h).toLowerCase());
+      return handles.some((h) => wantCollectionHandles.has(h));
+    });
+    if (!matched) return 'no_matching_product';
+  }
+
+  if (conditions.minSubtotal != null && !(subtotal >= Number(conditions.minSubtotal))) return 'subtotal_below_min';
+  if (conditions.maxSubtotal != null && subtotal > Number(conditions.maxSubtotal)) return 'subtotal_above_max';
+
+  const contextIds = new Set((contextProducts || []).map((p) => String(p?.productId)));
+  if (contextIds.has(String(rule.offer?.productId))) return 'offer_already_in_context';
+
+  return null;
+}
+
+/**
+ * evaluateOfferRules({ shopId, placement, contextProducts, subtotal, limit })
+ *
+ * Returns { offers, trace } where offers are product documents decorated with
+ * the rule's offer settings (in rule priority order, one per product) and trace
+ * lists every enabled rule with { ruleId, name, fired, reason }.
+ * Never throws — rule failures fall back to AI-only decisions.
+ */
+export async function evaluateOfferRules({
+  shopId,
+  placement,
+  contextProducts = [],
+  subtotal = null,
+  limit = 4,
+  now = new Date()
+} = {}) {
+  try {
+    if (!shopId || limit <= 0) return { offers: [], trace: [] };
+    const rules = await loadActiveRules(shopId);
+    if (rules.length === 0) return { offers: [], trace: [] };
+
+    const effectiveSubtotal = Number.isFinite(Number(subtotal)) && subtotal !== null
+      ? Number(subtotal)
+      : (contextProducts || []).reduce((sum, p) => sum + getProductPrice(p), 0);
+
+    const trace = [];
+    const firing = [];
+    const usedProductIds = new Set();
+    for (const rule of rules) {
+      const reason = getRuleSkipReason(rule, { placement, contextProducts, subtotal: effectiveSubtotal, now });
+      const productId = String(rule.offer?.productId || '');
+      if (!reason && usedProductIds.has(productId)) {
+        trace.push({ ruleId: rule.ruleId, name: rule.name, fired: false, reason: 'shadowed_by_higher_priority' });
+        continue;
+      }
+      if (!reason && firing.length >= limit) {
+        trace.push({ ruleId: rule.ruleId, name: rule.name, fired: false, reason: 'limit_reached' });
+        continue;
+      }
+      trace.push({ ruleId: rule.ruleId, name: rule.name, fired: !reason, reason: reason || 'matched' });
+      if (!reason) {
+        firing.push(rule);
+        usedProductIds.add(productId);
+      }
+    }
+
+    if (firing.length === 0) return { offers: [], trace };
+
+    const db = await getDb();
+    const products = await db.collection(collections.products)
+      .find({ shopId, productId: { $in: firing.map((r) => Number(r.offer.productId)) } })
+      .toArray();
+    const byId = new Map(products.map((p) => [String(p.productId), p]));
+
+    const offers = [];
+    for (const rule of firing) {
+      const product = byId.get(String(rule.offer.productId));
+      const status = product?.status ? String(product.status).toUpperCase() : null;
+      if (!product || (status && status !== 'ACTIVE')) {
+        const entry = trace.find((t) => t.ruleId === rule.ruleId);
+        if (entry) Object.assign(entry, { fired: false, reason: 'offer_product_unavailable' });
+        continue;
+      }
+      offers.push({
+        ...product,
+        confidence: 1,
+        aiReason: `Merchant rule: ${rule.name}`,
+        recommendationType: 'merchant_rule',
+        offerType: rule.offer.offerType || 'addon_upsell',
+        ruleDiscountPercent: Number(rule.offer.discountPercent) || 0,
+        ruleId: rule.ruleId,
+        ruleName: rule.name,
+        rulePriority: rule.priority
+      });
+    }
+
+    return { offers, trace };
+  } catch (err) {
+    console.warn('⚠️ evaluateOfferRules failed:', err.message);
+    return { offers: [], trace: [] };
+  }
+}
+
+/**
+ * Increment fire counters for the rules that produced offers. Fire-and-forget.
+ * Capped rules drop out of the cache so the cap applies within the TTL window.
+ */
+export async function recordRuleFires(shopId, ruleIds = []) {
+  try {
+    if (!shopId || ruleIds.length === 0) return;
+    const db = await getDb();
+    await db.collection(collections.offerRules).updateMany(
+      { shopId, ruleId: { $in: ruleIds } },
+      { $inc: { 'stats.fired': 1 }, $set: { 'stats.lastFiredAt': new Date() } }
+    );
+    const cached = _rulesCache.get(shopId);
+    if (cached?.rules.some((r) => ruleIds.includes(r.ruleId) && r.cap?.maxFires != null)) {
+      _invalidateRulesCache(shopId);
+    }
+  } catch (_) {
+    // intentionally silent
+  }
+}
+
+export const offerRules = {
+  validateOfferRule,
+  listOfferRules,
+  createOfferRule,
+  updateOfferRule,
+  setOfferRuleEnabled,
+  deleteOfferRule,
+  getRuleSkipReason,
+  evaluateOfferRules,
+  recordRuleFires
+};
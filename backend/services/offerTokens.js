@@ -0,0 +1,221 @@
+/**
+ * Offer Tokens — HMAC-signed proof that the app granted a discount
+ *
+ * Provides:
+ *   - getOfferTokenSecret(shopId)                 — per-shop signing secret (created on first use)
+ *   - signOfferToken(secret, claims)              — mint a token
+ *   - verifyOfferToken(secret, token, opts)       — check signature, product/variant and expiry
+ *   - attachOfferTokens(shopId, recs, opts)       — add `offerToken` to formatted recommendations
+ *
+ * Token format (plain ASCII so the discount Function can parse it without
+ * base64 support):
+ *
+ *   v2|<shop>|<productId,…>|<variantId,…>|<kind>|<percent>|<qty:pct,…>|<expiresAt unix s>|<hex HMAC-SHA256>
+ *
+ * The HMAC covers everything before the last `|`. The storefront stores the
+ * token in the `_offer_token` line attribute; the upsell-discount Function
+ * verifies it against the same secret (synced to the `$app:ai-upsell`
+ * shop metafield by discountFunctionConfig) and discounts the line from the
+ * signed fields only:
+ *   - kind     — `volume`, `bundle` or `flat`; decides how the line is priced
+ *   - percent  — the flat / bundle percent (for volume: the top tier)
+ *   - tiers    — volume tier table, minimum quantity → percent (empty otherwise)
+ *   - variants — the offered product's variants the discount applies to. The
+ *                widget lets shoppers switch between these after the offer is
+ *                shown. Empty only when the offer carried no variant data.
+ * The first product id is the offered product; bundle tokens also list the
+ * source product, whose line is matched by product only (the shopper picked
+ * its variant before the offer was shown).
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+
+export const OFFER_TOKEN_VERSION = 'v2';
+export const OFFER_TOKEN_KINDS = ['flat', 'bundle', 'volume'];
+const DEFAULT_TTL_SECONDS = Number(process.env.OFFER_TOKEN_TTL_HOURS || 24) * 60 * 60;
+
+// Secrets never change once created — cache for the life of the process
+const _secretCache = new Map();
+
+/**
+ * getOfferTokenSecret(shopId, { syncOnCreate })
+ *
+ * Returns the shop's signing secret, creating it on first use. A newly
+ * created secret is pushed to the discount Function metafield right away
+ * unless the caller is that sync.
+ */
+export async function getOfferTokenSecret(shopId, { syncOnCreate = true } = {}) {
+  if (!shopId) return null;
+  const cached = _secretCache.get(shopId);
+  if (cached) return cached;
+
+  const db = await getDb();
+  const candidate = crypto.randomBytes(32).toString('hex');
+  const doc = await db.collection(collections.offerTokenSecrets).findOneAndUpdate(
+    { shopId },
+    { $setOnInsert: { shopId, secret: candidate, createdAt: new Date() } },
+    { upsert: true, returnDocument: 'after', projection: { _id: 0, secret: 1 } }
+  );
+  const secret = doc?.secret || candidate;
+  _secretCache.set(shopId, secret);
+
+  if (secret === candidate) console.log(`🔏 Offer token secret created for ${shopId}`);
+  if (secret === candidate && syncOnCreate) {
+    import('./discountFunctionConfig.js')
+      .then(({ syncDiscountFunctionConfig }) => syncDiscountFunctionConfig(shopId, { force: true }))
+      .catch(() => {});
+  }
+  return secret;
+}
+
+function hmacHex(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function normalizeId(value) {
+  const raw = String(value ?? '').trim();
+  return raw.includes('/') ? raw.split('/').pop() : raw;
+}
+
+function roundPercent(value) {
+  return Math.round(Math.max(0, Math.min(100, Number(value) || 0)) * 100) / 100;
+}
+
+// [{ quantity, discountPercent }] → sorted, de-duplicated valid tiers
+function normalizeTiers(tiers) {
+  const byQuantity = new Map();
+  for (const tier of Array.isArray(tiers) ? tiers : []) {
+    const quantity = Math.floor(Number(tier?.quantity));
+    const pct = roundPercent(tier?.discountPercent);
+    if (quantity > 0 && pct > 0) byQuantity.set(quantity, Math.max(pct, byQuantity.get(quantity) || 0));
+  }
+  return [...byQuantity.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([quantity, discountPercent]) => ({ quantity, discountPercent }));
+}
+
+/**
+ * signOfferToken(secret, { shop, productIds, variantIds, kind, percent, tiers, ttlSeconds, now })
+ *
+ * `volume` tokens need at least one tier; their percent is the top tier.
+ */
+export function signOfferToken(secret, { shop, productIds = [], variantIds = [], kind = 'flat', percent = 0, tiers = [], ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now() }) {
+  const ids = [...new Set(productIds.map(normalizeId).filter((id) => /^\d+$/.test(id)))];
+  const variants = [...new Set(variantIds.map(normalizeId).filter((id) => /^\d+$/.test(id)))];
+  if (!secret || !shop || ids.length === 0 || !OFFER_TOKEN_KINDS.includes(kind)) return null;
+
+  const signedTiers = kind === 'volume' ? normalizeTiers(tiers) : [];
+  const pct = kind === 'volume'
+    ? Math.max(0, ...signedTiers.map((t) => t.discountPercent))
+    : roundPercent(percent);
+  if (pct <= 0) return null;
+
+  const expiresAt = Math.floor(now / 1000) + Math.max(60, Math.floor(ttlSeconds));
+  const payload = [
+    OFFER_TOKEN_VERSION,
+    shop,
+    ids.join(','),
+    variants.join(','),
+    kind,
+    pct,
+    signedTiers.map((t) => `${t.quantity}:${t.discountPercent}`).join(','),
+    expiresAt
+  ].join('|');
+  return `${payload}|${hmacHex(secret, payload)}`;
+}
+
+/**
+ * verifyOfferToken(secret, token, { productId, variantId, now })
+ *
+ * Returns { valid, reason?, claims? } — mirrors the checks in the discount Function.
+ */
+export function verifyOfferToken(secret, token, { productId = null, variantId = null, now = Date.now() } = {}) {
+  const parts = String(token || '').split('|');
+  if (parts.length !== 9 || parts[0] !== OFFER_TOKEN_VERSION) return { valid: false, reason: 'malformed' };
+
+  const [, shop, ids, variants, kind, pct, tiers, exp, signature] = parts;
+  const expected = hmacHex(secret, parts.slice(0, 8).join('|'));
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  const claims = {
+    shop,
+    productIds: ids.split(','),
+    variantIds: variants ? variants.split(',') : [],
+    kind,
+    percent: Number(pct),
+    tiers: tiers
+      ? tiers.split(',').map((t) => {
+        const [quantity, discountPercent] = t.split(':').map(Number);
+        return { quantity, discountPercent };
+      })
+      : [],
+    expiresAt: Number(exp)
+  };
+  if (claims.expiresAt * 1000 < now) return { valid: false, reason: 'expired', claims };
+  const pid = productId ? normalizeId(productId) : null;
+  if (pid && !claims.productIds.includes(pid)) {
+    return { valid: false, reason: 'product_mismatch', claims };
+  }
+  // Variants bind the offered product (first id) only
+  if (claims.variantIds.length > 0 && (!pid || pid === claims.productIds[0]) &&
+      (!variantId || !claims.variantIds.includes(normalizeId(variantId)))) {
+    return { valid: false, reason: 'variant_mismatch', claims };
+  }
+  return { valid: true, claims };
+}
+
+// Variants of the offered product the discount may apply to: the purchasable
+// ones the widget lets shoppers pick, else the single offered variant.
+function offerVariantIds(rec) {
+  const listed = Array.isArray(rec?.variants)
+    ? rec.variants.filter((v) => v && v.available !== false).map((v) => v.id ?? v.variantId)
+    : [];
+  if (listed.length > 0) return listed;
+  return rec?.variantId ? [rec.variantId] : [];
+}
+
+// Signed claims for a formatted recommendation
+function offerClaims(rec, sourceProductId) {
+  const variantIds = offerVariantIds(rec);
+  if (rec?.offerType === 'volume_discount') {
+    return { kind: 'volume', productIds: [rec.id], variantIds, tiers: rec.tiers || [] };
+  }
+  if (rec?.offerType === 'bundle' && sourceProductId) {
+    return { kind: 'bundle', productIds: [rec.id, sourceProductId], variantIds, percent: rec.discountPercent };
+  }
+  return { kind: 'flat', productIds: [rec.id], variantIds, percent: rec.discountPercent };
+}
+
+/**
+ * attachOfferTokens(shopId, recommendations, { sourceProductId })
+ *
+ * Returns new recommendation objects with `offerToken` set on every offer that
+ * carries a discount. Bundle tokens also cover the source product, since the
+ * storefront discounts both lines. Volume tokens sign the tier table. Tokens are minted per response, so cached
+ * recommendation payloads never hold stale tokens. Never throws — on failure
+ * the recommendations go out unsigned and the Function will not discount them.
+ */
+export async function attachOfferTokens(shopId, recommendations, { sourceProductId = null } = {}) {
+  if (!Array.isArray(recommendations) || recommendations.length === 0) return recommendations || [];
+  try {
+    const secret = await getOfferTokenSecret(shopId);
+    return recommendations.map((rec) => {
+      const offerToken = signOfferToken(secret, { shop: shopId, ...offerClaims(rec, sourceProductId) });
+      return offerToken ? { ...rec, offerToken } : rec;
+    });
+  } catch (err) {
+    console.warn('⚠️ attachOfferTokens failed:', err.message);
+    return recommendations;
+  }
+}
+
+export const offerTokens = {
+  getOfferTokenSecret,
+  signOfferToken,
+  verifyOfferToken,
+  attachOfferTokens
+};
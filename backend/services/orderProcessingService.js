@@ -10,6 +10,7 @@
 
 import { getDb, collections } from '../database/mongodb.js';
 import { logger } from './logger.js';
+import { resolveOrderCurrency, roundMoney } from './marketPricing.js';
 
 /**
  * processPurchaseEvent(shopId, orderPayload)
@@ -22,12 +23,23 @@ export async function processPurchaseEvent(shopId, orderPayload) {
     const db = await getDb();
     // Support both camelCase (PostPurchase extension) and snake_case (Shopify webhooks)
     const orderId = orderPayload.orderId || orderPayload.id;
-    const orderValue = parseFloat(orderPayload.totalPrice || orderPayload.total_price || 0);
+    // Revenue is stored in shop currency; presentment amounts are kept alongside
+    const money = await resolveOrderCurrency(shopId, orderPayload);
+    const toShopAmount = (amount) => roundMoney(parseFloat(amount || 0) * money.rate, money.shopCurrency);
+    const presentmentOrderValue = parseFloat(orderPayload.totalPrice || orderPayload.total_price || 0);
+    const orderValue = toShopAmount(presentmentOrderValue);
     const lineItems = Array.isArray(orderPayload.lineItems)
       ? orderPayload.lineItems
       : Array.isArray(orderPayload.line_items)
         ? orderPayload.line_items
         : [];
+    const visitorId = resolveVisitorId(orderPayload);
+    // Post-purchase sessions are keyed by the checkout — see resolvePostPurchaseVisitor
+    const checkoutToken = orderPayload.checkoutToken || orderPayload.checkout_token || null;
+    const orderLinks = {
+      ...(visitorId ? { visitorId } : {}),
+      ...(checkoutToken ? { checkoutToken: String(checkoutToken) } : {})
+    };
 
     console.log('───────────────────────────────────────────────────────────');
     console.log(`🔄 [processPurchaseEvent] shopId=${shopId} orderId=${orderId} orderValue=${orderValue} lineItems=${lineItems.length}`);
@@ -42,16 +54,19 @@ export async function processPurchaseEvent(shopId, orderPayload) {
             shopId,
             orderId: String(orderId),
             orderValue,
+            ...currencyFields(money, presentmentOrderValue),
             lineItemCount: lineItems.length,
             lineItems: lineItems.map(li => ({
               productId: li.productId || li.product_id || '',
               variantId: li.variantId || li.variant_id || '',
               title: li.title || '',
-              price: parseFloat(li.price || 0),
+              price: toShopAmount(li.price),
               quantity: Number(li.quantity || 1),
             })),
             timestamp: new Date(),
-          }
+          },
+          // Visitor / checkout links for the holdout report and post-purchase — may arrive on a later delivery
+          ...(Object.keys(orderLinks).length > 0 ? { $set: orderLinks } : {})
         },
         { upsert: true }
       );
@@ -107,8 +122,8 @@ export async function processPurchaseEvent(shopId, orderPayload) {
       const variantIdVariants = normalizeId(rawVariantId, 'array', 'ProductVariant');
       const title = lineItem.title || '';
       const quantity = Number(lineItem.quantity || 1);
-      const price = parseFloat(lineItem.price || 0);
-      const lineTotal = price * quantity;
+      const price = toShopAmount(lineItem.price);
+      const lineTotal = roundMoney(price * quantity, money.shopCurrency);
 
       console.log(`[processPurchaseEvent] Checking lineItem product_id="${productId}" title="${title}"`);
 
@@ -144,6 +159,7 @@ export async function processPurchaseEvent(shopId, orderPayload) {
           price,
           lineTotal,
           orderValue,
+          ...currencyFields(money, presentmentOrderValue),
           customerId: orderPayload.customer?.id
             ? String(orderPayload.customer.id)
             : null,
@@ -208,6 +224,33 @@ export async function processPurchaseEvent(shopId, orderPayload) {
   }
 }
 
+// Currency metadata stored on purchase_events documents
+function currencyFields(money, presentmentOrderValue) {
+  if (!money.shopCurrency && !money.presentmentCurrency) return {};
+  return {
+    currency: money.shopCurrency,
+    presentmentCurrency: money.presentmentCurrency,
+    presentmentOrderValue,
+    exchangeRate: money.rate,
+    currencyNormalized: money.normalized
+  };
+}
+
+/**
+ * resolveVisitorId(orderPayload)
+ *
+ * The storefront script stores its visitor id in the `ai_uid` cart attribute,
+ * which Shopify copies to the order's note_attributes. Extensions may also
+ * pass it directly as `visitorId`.
+ */
+function resolveVisitorId(orderPayload) {
+  if (orderPayload.visitorId) return String(orderPayload.visitorId);
+  const attributes = orderPayload.note_attributes || orderPayload.attributes || [];
+  if (!Array.isArray(attributes)) return null;
+  const attr = attributes.find((a) => (a?.name || a?.key) === 'ai_uid');
+  return attr?.value ? String(attr.value) : null;
+}
+
 /**
  * logAOVImpact(shopId, { orderId, orderValue, upsellRevenue, upsellCount, purchases })
  *
@@ -0,0 +1,422 @@
+/**
+ * Placement Pipeline — one entry point for every storefront placement
+ *
+ * Provides:
+ *   - runPlacement(opts)                    — decide offers for a placement on the shop's engine
+ *   - serveCachedPlacement(opts)            — fatigue rules + logging for a cached offer list
+ *   - runEngine(version, request, opts)     — one engine decision, no shadows (replay harness)
+ *   - getEngineSettings(shopId)             — { version, shadow, shadowSampleRate }
+ *   - diffDecisions(primary, shadow)        — offer-level comparison of two decisions
+ *   - getShadowDiffReport(shopId, opts)     — how often the engines agree, per placement
+ *
+ * Placements: product_page, cart_drawer, secondary, checkout, post_purchase
+ * (`product` / `cart` are accepted aliases). Product and secondary placements
+ * decide from one source product; the others decide from the cart contents.
+ * The secondary pool comes from secondaryCandidates.js and is ranked by the
+ * engine on the product_page rules.
+ *
+ * The engine is chosen per shop by merchant config `engine.version`:
+ *   v1 — decisionEngine.js (offer rules, adaptive placement, conversion boosts)
+ *   v2 — decisionEngineV2.js (bundle quality and underperformer filters, trace)
+ * With `engine.shadow` on, a sampled share of decisions (`shadowSampleRate`)
+ * also runs the other engine in dry-run mode once the primary decision is
+ * returned. The two offer lists are diffed and written to `engine_shadow_diffs`
+ * (30-day TTL), so a shop can be cut over once the report shows the engines
+ * agree closely enough.
+ *
+ * Independently, while a config shadow is running (configShadow.js), a
+ * sampled share of decisions is re-run on the same engine with the candidate
+ * merchant config and both decisions are written to `decision_logs`.
+ *
+ * Live decisions for known visitors are kept per placement in the visitor
+ * profile (`lastDecisions`, visitorProfiles.js). Offer fatigue rules
+ * (fatigue.js) apply to every placement here: fatigued products are left out
+ * of the engine's candidates and removed from the final offers, and a visitor
+ * past the daily offer cap gets no offers. Routes that serve a cached offer
+ * list instead of deciding go through serveCachedPlacement(), so the same
+ * rules and logging apply to cache hits.
+ */
+
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig, DEFAULT_CONFIG, ENGINE_VERSIONS } from './merchantConfig.js';
+import * as engineV1 from './decisionEngine.js';
+import * as engineV2 from './decisionEngineV2.js';
+import { findSecondaryCandidates } from './secondaryCandidates.js';
+import { getRunningConfigShadow, buildCandidateConfig, logShadowDecisions } from './configShadow.js';
+import { recordLastDecision } from './visitorProfiles.js';
+import { getFatigueState, applyFatigue, logFatigueLimits } from './fatigue.js';
+import { logDecisionOffers } from './merchandisingIntelligence.js';
+
+const ENGINES = { v1: engineV1, v2: engineV2 };
+
+const PLACEMENTS = {
+  product: 'product_page',
+  product_page: 'product_page',
+  secondary: 'secondary',
+  cart: 'cart_drawer',
+  cart_drawer: 'cart_drawer',
+  checkout: 'checkout',
+  post_purchase: 'post_purchase'
+};
+
+const PRODUCT_CONTEXT_PLACEMENTS = new Set(['product_page', 'secondary']);
+
+// ─── Engine selection ────────────────────────────────────────────────────────
+
+export async function getEngineSettings(shopId) {
+  try {
+    const config = await getMerchantConfig(shopId);
+    return config?.engine || DEFAULT_CONFIG.engine;
+  } catch (_) {
+    return DEFAULT_CONFIG.engine;
+  }
+}
+
+function pickShadowVersion(settings) {
+  if (!settings?.shadow) return null;
+  if (Math.random() >= Number(settings.shadowSampleRate ?? 0)) return null;
+  return ENGINE_VERSIONS.find((v) => v !== settings.version) || null;
+}
+
+export async function runEngine(version, request, { candidates = null, configOverride = null, dryRun = false } = {}) {
+  const engine = ENGINES[version] || ENGINES[DEFAULT_CONFIG.engine.version];
+  const {
+    shopId, placement, productId, cartProductIds, userId, limit, experiment,
+    segments = [], excludeProductIds = [], cartSubtotal
+  } = request;
+
+  if (PRODUCT_CONTEXT_PLACEMENTS.has(placement)) {
+    return engine.decideProductOffers({
+      shopId,
+      productId,
+      userId,
+      limit,
+      placement: 'product_page',
+      experiment,
+      segments,
+      excludeProductIds,
+      candidates,
+      configOverride,
+      dryRun
+    });
+  }
+
+  return engine.decideCartOffers({
+    shopId,
+    cartProductIds,
+    userId,
+    limit,
+    placement,
+    experiment,
+    segments,
+    excludeProductIds,
+    cartSubtotal,
+    configOverride,
+    dryRun
+  });
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+/**
+ * runPlacement({ shopId, placement, productId, cartProductIds, userId, limit, experiment, segments, cartSubtotal })
+ *
+ * `segments` come from segmentation.resolveRequestSegments(). Returns the
+ * engine decision — { offers, meta, sourceProduct | cartProducts } — with
+ * `meta.engine = { version, shadow }`, `meta.segments` and, when fatigue
+ * rules are on for a known visitor, `meta.fatigue`.
+ */
+export async function runPlacement({
+  shopId,
+  placement = 'product_page',
+  productId = null,
+  cartProductIds = [],
+  userId = null,
+  limit = 4,
+  experiment = null,
+  segments = [],
+  cartSubtotal = null
+} = {}) {
+  const normalizedPlacement = PLACEMENTS[String(placement || '').toLowerCase().trim()];
+  if (!shopId || !normalizedPlacement) {
+    return { offers: [], meta: { reason: shopId ? 'unknown_placement' : 'missing_inputs', placement } };
+  }
+
+  const fatigue = await loadFatigue(shopId, userId, normalizedPlacement, productId);
+  if (fatigue && fatigue.dailyRemaining <= 0) {
+    return dailyCapDecision(normalizedPlacement, segments);
+  }
+
+  const request = {
+    shopId,
+    placement: normalizedPlacement,
+    productId,
+    cartProductIds,
+    userId,
+    limit: fatigue ? Math.min(limit, fatigue.dailyRemaining) : limit,
+    experiment,
+    segments,
+    excludeProductIds: fatigue ? [...fatigue.suppressed] : [],
+    cartSubtotal
+  };
+  const settings = await getEngineSettings(shopId);
+
+  const candidates = normalizedPlacement === 'secondary' && productId
+    ? await findSecondaryCandidates(shopId, productId, limit)
+    : null;
+
+  const startedAt = Date.now();
+  const decision = await runEngine(settings.version, request, { candidates });
+  const primaryMs = Date.now() - startedAt;
+
+  const shadowVersion = pickShadowVersion(settings);
+  if (shadowVersion) {
+    runShadow(shadowVersion, request, { candidates, primary: { version: settings.version, decision, executionMs: primaryMs } })
+      .catch((err) => console.warn('⚠️ Shadow engine run failed:', err.message));
+  }
+
+  // Config previews skip experiment traffic — those visitors already run a variant config
+  const configShadow = experiment ? null : await getRunningConfigShadow(shopId);
+  if (configShadow && Math.random() < Number(configShadow.sampleRate || 0)) {
+    runConfigShadow(configShadow, settings.version, request, { candidates, liveDecision: decision })
+      .catch((err) => console.warn('⚠️ Config shadow run failed:', err.message));
+  }
+
+  const result = applyFatigue({
+    ...decision,
+    meta: {
+      ...(decision?.meta || {}),
+      engine: { version: settings.version, shadow: Boolean(shadowVersion) }
+    }
+  }, fatigue);
+
+  if (userId) {
+    recordLastDecision(shopId, userId, normalizedPlacement, result)
+      .catch((err) => console.warn('⚠️ Failed to record last decision:', err.message));
+  }
+
+  return result;
+}
+
+/**
+ * serveCachedPlacement({ shopId, placement, productId, userId, offers, meta, segments })
+ *
+ * For routes that answer from a response cache instead of calling
+ * runPlacement(): applies the visitor's fatigue rules (daily cap, suppressed
+ * products) to the cached offers and logs the served offers and last decision
+ * the way a live decision would. Returns { offers, meta }.
+ */
+export async function serveCachedPlacement({
+  shopId,
+  placement = 'product_page',
+  productId = null,
+  userId = null,
+  offers = [],
+  meta = null,
+  segments = []
+} = {}) {
+  const normalizedPlacement = PLACEMENTS[String(placement || '').toLowerCase().trim()] || 'product_page';
+  const fatigue = await loadFatigue(shopId, userId, normalizedPlacement, productId);
+  if (fatigue && fatigue.dailyRemaining <= 0) {
+    return dailyCapDecision(normalizedPlacement, segments);
+  }
+
+  const result = applyFatigue({ offers: offers || [], meta: { ...(meta || {}), cached: true } }, fatigue);
+
+  logDecisionOffers({
+    shopId,
+    contextKey: 'product',
+    placement: normalizedPlacement,
+    sourceProduct: productId ? { productId } : null,
+    offers: result.offers,
+    meta: result.meta
+  });
+  if (userId) {
+    recordLastDecision(shopId, userId, normalizedPlacement, result)
+      .catch((err) => console.warn('⚠️ Failed to record last decision:', err.message));
+  }
+
+  return result;
+}
+
+async function loadFatigue(shopId, userId, placement, productId) {
+  const fatigue = await getFatigueState(shopId, userId).catch((err) => {
+    console.warn('⚠️ Fatigue state unavailable:', err.message);
+    return null;
+  });
+  logFatigueLimits(shopId, userId, fatigue, { placement, productId: productId || null });
+  return fatigue;
+}
+
+function dailyCapDecision(placement, segments) {
+  return { offers: [], meta: { reason: 'daily_offer_cap', status: 'daily_offer_cap', placement, segments } };
+}
+
+// ─── Shadow runs ─────────────────────────────────────────────────────────────
+
+async function runShadow(version, request, { candidates, primary }) {
+  const startedAt = Date.now();
+  const shadowDecision = await runEngine(version, request, { candidates, dryRun: true });
+  const shadowMs = Date.now() - startedAt;
+  const diff = diffDecisions(primary.decision, shadowDecision);
+
+  const db = await getDb();
+  await db.collection(collections.engineShadowDiffs).insertOne({
+    shopId: request.shopId,
+    placement: request.placement,
+    productId: request.productId ? String(request.productId) : null,
+    cartProductIds: (request.cartProductIds || []).map(String),
+    testId: request.experiment?.testId || null,
+    primary: summarizeDecision(primary.version, primary.decision, primary.executionMs),
+    shadow: summarizeDecision(version, shadowDecision, shadowMs),
+    diff,
+    createdAt: new Date()
+  });
+
+  if (!diff.identical) {
+    console.log(`🔀 Engine shadow diff (${request.placement}) ${primary.version} vs ${version}: +${diff.added.length} -${diff.removed.length}, jaccard ${diff.jaccard}`);
+  }
+}
+
+async function runConfigShadow(shadow, version, request, { candidates, liveDecision }) {
+  const liveConfig = await getMerchantConfig(request.shopId);
+  const candidateConfig = buildCandidateConfig(liveConfig, shadow);
+  const shadowDecision = await runEngine(version, request, { candidates, configOverride: candidateConfig, dryRun: true });
+
+  await logShadowDecisions({
+    shopId: request.shopId,
+    shadowId: shadow.shadowId,
+    request,
+    engineVersion: version,
+    live: { config: liveConfig, decision: liveDecision },
+    shadow: { config: candidateConfig, decision: shadowDecision }
+  });
+}
+
+function summarizeDecision(version, decision, executionMs) {
+  return {
+    version,
+    status: decision?.meta?.status || decision?.meta?.reason || null,
+    count: (decision?.offers || []).length,
+    executionMs,
+    offers: (decision?.offers || []).map((o) => ({
+      productId: String(o.productId),
+      offerType: o.offerType || null,
+      discountPercent: o.discountPercent ?? null,
+      decisionScore: o.decisionScore ?? null,
+      ruleId: o.ruleId || null
+    }))
+  };
+}
+
+/**
+ * diffDecisions(primary, shadow)
+ *
+ * Compares two decisions offer by offer. `identical` means same products in
+ * the same order with the same offer type and discount.
+ */
+export function diffDecisions(primary, shadow) {
+  const primaryOffers = primary?.offers || [];
+  const shadowOffers = shadow?.offers || [];
+  const primaryIds = primaryOffers.map((o) => String(o.productId));
+  const shadowIds = shadowOffers.map((o) => String(o.productId));
+  const shadowById = new Map(shadowOffers.map((o) => [String(o.productId), o]));
+
+  const shared = primaryIds.filter((id) => shadowById.has(id));
+  const union = new Set([...primaryIds, ...shadowIds]);
+  const offerTypeChanges = [];
+  const discountChanges = [];
+  for (const offer of primaryOffers) {
+    const other = shadowById.get(String(offer.productId));
+    if (!other) continue;
+    if ((offer.offerType || null) !== (other.offerType || null)) {
+      offerTypeChanges.push({ productId: String(offer.productId), primary: offer.offerType || null, shadow: other.offerType || null });
+    }
+    if ((offer.discountPercent ?? null) !== (other.discountPercent ?? null)) {
+      discountChanges.push({ productId: String(offer.productId), primary: offer.discountPercent ?? null, shadow: other.discountPercent ?? null });
+    }
+  }
+
+  const sameOrder = primaryIds.length === shadowIds.length && primaryIds.every((id, i) => id === shadowIds[i]);
+  return {
+    added: shadowIds.filter((id) => !primaryIds.includes(id)),
+    removed: primaryIds.filter((id) => !shadowById.has(id)),
+    sameOrder,
+    topMatch: primaryIds[0] === shadowIds[0],
+    jaccard: union.size === 0 ? 1 : Math.round((shared.length / union.size) * 1000) / 1000,
+    offerTypeChanges,
+    discountChanges,
+    identical: sameOrder && offerTypeChanges.length === 0 && discountChanges.length === 0
+  };
+}
+
+// ─── Reporting ───────────────────────────────────────────────────────────────
+
+/**
+ * getShadowDiffReport(shopId, { days = 7 })
+ *
+ * Per placement: sampled decisions, share identical / same top offer, mean
+ * overlap (Jaccard) and mean latency of each engine.
+ */
+export async function getShadowDiffReport(shopId, { days = 7 } = {}) {
+  try {
+    const db = await getDb();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [settings, rows] = await Promise.all([
+      getEngineSettings(shopId),
+      db.collection(collections.engineShadowDiffs).aggregate([
+        { $match: { shopId, createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { placement: '$placement', primary: '$primary.version', shadow: '$shadow.version' },
+            samples: { $sum: 1 },
+            identical: { $sum: { $cond: ['$diff.identical', 1, 0] } },
+            topMatch: { $sum: { $cond: ['$diff.topMatch', 1, 0] } },
+            avgJaccard: { $avg: '$diff.jaccard' },
+            shadowEmpty: { $sum: { $cond: [{ $eq: ['$shadow.count', 0] }, 1, 0] } },
+            avgPrimaryMs: { $avg: '$primary.executionMs' },
+            avgShadowMs: { $avg: '$shadow.executionMs' }
+          }
+        },
+        { $sort: { samples: -1 } }
+      ]).toArray()
+    ]);
+
+    const round = (value, digits = 3) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+    const placements = rows.map((r) => ({
+      placement: r._id.placement,
+      primaryVersion: r._id.primary,
+      shadowVersion: r._id.shadow,
+      samples: r.samples,
+      identicalRate: round(r.identical / r.samples),
+      topMatchRate: round(r.topMatch / r.samples),
+      avgJaccard: round(r.avgJaccard),
+      shadowEmptyRate: round(r.shadowEmpty / r.samples),
+      avgPrimaryMs: Math.round(r.avgPrimaryMs || 0),
+      avgShadowMs: Math.round(r.avgShadowMs || 0)
+    }));
+
+    return {
+      success: true,
+      shopId,
+      periodDays: days,
+      engine: settings,
+      placements,
+      note: placements.length > 0
+        ? null
+        : 'No shadow samples yet — set engine.shadow to true in the goal & guardrails config.'
+    };
+  } catch (error) {
+    console.error('❌ getShadowDiffReport failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export const placementPipeline = {
+  runPlacement,
+  serveCachedPlacement,
+  runEngine,
+  getEngineSettings,
+  diffDecisions,
+  getShadowDiffReport
+};
@@ -0,0 +1,215 @@
+/**
+ * Post-Purchase — one-click upsell changesets for the post-purchase extension
+ *
+ * Provides:
+ *   - verifyPostPurchaseToken(token)                          — check the extension's input token
+ *   - resolvePostPurchaseVisitor(shopId, referenceId)          — storefront visitor behind the purchase
+ *   - signPostPurchaseChangeset(shopId, referenceId, offer)   — validate an accepted offer, sign its changeset
+ *   - recordChangesetResult(shopId, changesetId, result)      — mark an accept applied / failed
+ *
+ * The `ai-upsell-post-purchase-offer` extension renders between payment and
+ * the thank-you page. Accepting an offer adds it to the already-paid order:
+ * the extension asks this service for a changeset token and hands it to
+ * `applyChangeset`. Both tokens are HS256 JWTs signed with the app's API
+ * secret — Shopify's input token proves the request comes from that order's
+ * post-purchase page, and Shopify only applies changesets we signed.
+ *
+ * The discount is never taken from the extension: it must be covered by the
+ * offer token minted with the offer (offerTokens.js), is clamped to the
+ * merchant's maxDiscountCap and lowered to respect minMarginPercent. Every
+ * signed changeset is stored in `purchase_events` as `post_purchase_accept`.
+ */
+
+import crypto from 'node:crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig } from './merchantConfig.js';
+import { getOfferTokenSecret, verifyOfferToken } from './offerTokens.js';
+import { isVariantPurchasable } from './offerAvailability.js';
+import { getShopCurrency, roundMoney } from './marketPricing.js';
+import { signJwt, verifyJwt } from './jwt.js';
+
+const CHANGESET_TTL_SECONDS = 5 * 60;
+const MAX_QUANTITY = 5;
+
+function numericId(value) {
+  const id = value == null ? '' : String(value).split('/').pop();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * verifyPostPurchaseToken(token)
+ *
+ * Shopify's `inputData.token`. Returns { valid, shopId, referenceId } or
+ * { valid: false, reason }.
+ */
+export function verifyPostPurchaseToken(token) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) return { valid: false, reason: 'missing_api_secret' };
+
+  const result = verifyJwt(token, secret);
+  if (!result.valid) return result;
+
+  const input = result.payload?.input_data || {};
+  const referenceId = input.initialPurchase?.referenceId || null;
+  const shopId = input.shop?.domain || null;
+  if (!referenceId || !shopId) return { valid: false, reason: 'missing_claims' };
+  return { valid: true, shopId, referenceId };
+}
+
+/**
+ * resolvePostPurchaseVisitor(shopId, referenceId)
+ *
+ * The extension cannot read the storefront visitor id, so it is taken from
+ * the order: the `visitorId` (`ai_uid` attribute) stored on its
+ * `order_received` event, matched by order id or checkout token. Returns null
+ * while the order webhook has not been recorded yet.
+ */
+export async function resolvePostPurchaseVisitor(shopId, referenceId) {
+  const ref = referenceId == null ? '' : String(referenceId).split('/').pop();
+  if (!shopId || !ref) return null;
+  const db = await getDb();
+  const order = await db.collection(collections.purchaseEvents).findOne(
+    {
+      shopId,
+      eventType: 'order_received',
+      visitorId: { $type: 'string' },
+      $or: [{ orderId: ref }, { checkoutToken: ref }]
+    },
+    { projection: { _id: 0, visitorId: 1 } }
+  );
+  return order?.visitorId || null;
+}
+
+// Highest discount (%) that keeps minMarginPercent on this variant; null = no floor applies
+function marginCeiling(price, unitCost, guardrails) {
+  const floor = Number(guardrails?.minMarginPercent);
+  if (!Number.isFinite(floor) || floor <= 0 || unitCost == null || !(price > 0)) return null;
+  const minNetPrice = Number(unitCost) / (1 - floor / 100);
+  return Math.floor(Math.max(0, (1 - minNetPrice / price) * 100) * 100) / 100;
+}
+
+/**
+ * signPostPurchaseChangeset(shopId, referenceId, { productId, variantId, quantity, offerToken })
+ *
+ * Validates the accepted offer against the catalog and the merchant's
+ * guardrails, records it and returns { success, token, changes, discountPercent, price }
+ * or { success: false, reason }.
+ */
+export async function signPostPurchaseChangeset(shopId, referenceId, { productId, variantId, quantity = 1, offerToken = null } = {}) {
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+  if (!apiKey || !apiSecret) return { success: false, reason: 'missing_api_credentials' };
+
+  const pid = numericId(productId);
+  const vid = numericId(variantId);
+  if (!shopId || !referenceId || !pid || !vid) return { success: false, reason: 'invalid_input' };
+  const qty = Math.min(MAX_QUANTITY, Math.max(1, Math.floor(Number(quantity) || 1)));
+
+  const db = await getDb();
+  const [config, product] = await Promise.all([
+    getMerchantConfig(shopId),
+    db.collection(collections.products).findOne(
+      { shopId, productId: { $in: [Number(pid), pid] } },
+      { projection: { _id: 0, productId: 1, title: 1, status: 1, variants: 1 } }
+    )
+  ]);
+  const guardrails = config?.guardrails || {};
+
+  if (!product || String(product.status || 'ACTIVE').toUpperCase() !== 'ACTIVE') {
+    return { success: false, reason: 'product_unavailable' };
+  }
+  if ((guardrails.excludedProductIds || []).map(String).includes(pid)) {
+    return { success: false, reason: 'product_excluded' };
+  }
+  const variant = (product.variants || []).find((v) => String(v.variantId) === vid);
+  if (!variant) return { success: false, reason: 'variant_mismatch' };
+  if (!isVariantPurchasable(variant)) return { success: false, reason: 'sold_out' };
+
+  // Discount: only what the offer token granted, within today's guardrails
+  let discountPercent = 0;
+  if (offerToken) {
+    const secret = await getOfferTokenSecret(shopId);
+    const check = verifyOfferToken(secret, offerToken, { productId: pid, variantId: vid });
+    if (!check.valid || check.claims?.shop !== shopId) {
+      return { success: false, reason: `offer_token_${check.reason || 'shop_mismatch'}` };
+    }
+    const cap = Math.max(0, Number(guardrails.maxDiscountCap) || 0);
+    discountPercent = Math.min(check.claims.percent, cap);
+  }
+
+  const price = Number(variant.price) || 0;
+  const ceiling = marginCeiling(price, variant.unitCost, guardrails);
+  if (ceiling !== null && discountPercent > ceiling) {
+    console.log(`📉 Post-purchase discount for ${pid} lowered ${discountPercent}% → ${ceiling}% (margin floor)`);
+    discountPercent = ceiling;
+  }
+  discountPercent = Math.round(discountPercent * 100) / 100;
+
+  const changes = [{
+    type: 'add_variant',
+    variantID: Number(vid),
+    quantity: qty,
+    ...(discountPercent > 0
+      ? { discount: { value: discountPercent, valueType: 'percentage', title: `${discountPercent}% off` } }
+      : {})
+  }];
+
+  const now = Math.floor(Date.now() / 1000);
+  const changesetId = crypto.randomUUID();
+  const token = signJwt({
+    iss: apiKey,
+    jti: changesetId,
+    iat: now,
+    exp: now + CHANGESET_TTL_SECONDS,
+    sub: referenceId,
+    changes
+  }, apiSecret);
+
+  // Amounts are in shop currency, like the rest of purchase_events
+  const currency = await getShopCurrency(shopId) || 'USD';
+  const discountedPrice = roundMoney(price * (1 - discountPercent / 100), currency);
+  await db.collection(collections.purchaseEvents).insertOne({
+    eventType: 'post_purchase_accept',
+    shopId,
+    referenceId,
+    changesetId,
+    productId: pid,
+    variantId: vid,
+    title: product.title || '',
+    quantity: qty,
+    price,
+    discountPercent,
+    discountedPrice,
+    lineTotal: roundMoney(discountedPrice * qty, currency),
+    currency,
+    status: 'signed',
+    timestamp: new Date()
+  });
+  console.log(`🧾 Post-purchase changeset signed for ${shopId} — ${referenceId}: ${qty}× ${vid} at ${discountPercent}% off`);
+
+  return { success: true, token, changesetId, changes, discountPercent, price, discountedPrice };
+}
+
+/**
+ * recordChangesetResult(shopId, changesetId, { status, error })
+ *
+ * Called by the extension after `applyChangeset`; status is 'applied' or 'failed'.
+ */
+export async function recordChangesetResult(shopId, changesetId, { status, error = null } = {}) {
+  if (!shopId || !changesetId || !['applied', 'failed'].includes(status)) {
+    return { success: false, reason: 'invalid_input' };
+  }
+  const db = await getDb();
+  const result = await db.collection(collections.purchaseEvents).updateOne(
+    { shopId, changesetId, eventType: 'post_purchase_accept', status: 'signed' },
+    { $set: { status, ...(error ? { error: String(error).slice(0, 500) } : {}), resolvedAt: new Date() } }
+  );
+  return { success: result.matchedCount > 0 };
+}
+
+export const postPurchase = {
+  verifyPostPurchaseToken,
+  resolvePostPurchaseVisitor,
+  signPostPurchaseChangeset,
+  recordChangesetResult
+};
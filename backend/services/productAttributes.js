@@ -0,0 +1,361 @@
+/**
+ * Product Attributes — structured attributes from Shopify instead of title regexes
+ *
+ * Provides:
+ *   - buildMetafieldSelections(metafields, owner)     — aliased `metafield(namespace:, key:)` fields for sync queries
+ *   - hydrateMetafieldReferences(adminGraphQL, nodes) — metaobject reference values → display names
+ *   - readMetafields(productNode, metafields)          — configured product + variant metafields off a GraphQL node
+ *   - normalizeProductAttributes({ options, metafields, category, seo }) — the `product.attributes` document
+ *   - sharedAttributes(a, b)                          — "material:cotton" terms two products have in common
+ *   - attributeMatchQuery(baseProduct, match)         — MongoDB filter for a { same, different } rule
+ *   - matchesAttributes(baseProduct, product, match)  — the same rule in memory
+ *   - describeAttributes(product)                     — one-line summary for LLM prompts
+ *
+ * `product.attributes` (written by every sync path):
+ *   category   — Shopify Standard Product Taxonomy { id, name, fullName, path } or null
+ *   seo        — { title, description }
+ *   options    — variant options as the merchant named them [{ name, values }]
+ *   metafields — configured metafields [{ owner, namespace, key, attribute, values }]
+ *   facets     — { color: ['navy'], size: ['s', 'm'], material: ['cotton'], … } lower-cased
+ *   terms      — facets flattened to "attribute:value" strings (indexed)
+ *
+ * Option names are folded onto a shared vocabulary (Colour → color, Fabric →
+ * material); a metafield lands on its configured `attribute`, or its key.
+ * Which metafields are read is merchant config (`productAttributes.metafields`).
+ */
+
+const MAX_METAFIELDS = 20;
+const MAX_FACET_VALUES = 25;
+const MAX_VALUE_LENGTH = 80;
+const REFERENCE_BATCH_SIZE = 100;
+
+export const METAFIELD_OWNERS = ['product', 'variant'];
+export const NAMESPACE_PATTERN = /^[\w$:.-]{2,255}$/;
+export const KEY_PATTERN = /^[\w-]{2,64}$/;
+export const ATTRIBUTE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Option / metafield names that mean the same thing
+const ATTRIBUTE_ALIASES = {
+  color: ['color', 'colour', 'colors', 'colours', 'color_pattern', 'shade', 'farbe', 'couleur'],
+  size: ['size', 'sizes', 'taille', 'talla'],
+  material: ['material', 'materials', 'fabric', 'fabrics', 'composition'],
+  pattern: ['pattern', 'print'],
+  style: ['style'],
+  finish: ['finish'],
+  scent: ['scent', 'fragrance'],
+  flavor: ['flavor', 'flavour']
+};
+const ALIAS_LOOKUP = new Map(
+  Object.entries(ATTRIBUTE_ALIASES).flatMap(([name, aliases]) => aliases.map((alias) => [alias, name]))
+);
+
+// Shopify's placeholder option on single-variant products
+const DEFAULT_OPTION_VALUES = new Set(['default title']);
+
+// Metafield types with no useful attribute value
+const SKIPPED_TYPES = new Set(['json', 'rich_text_field', 'multi_line_text_field', 'file_reference', 'list.file_reference', 'url', 'link', 'money']);
+
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+function normalizeValue(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return text && text.length <= MAX_VALUE_LENGTH ? text : null;
+}
+
+/**
+ * Fold an option name or metafield key onto the shared vocabulary:
+ * "Colour" → color, "Fabric Type" → fabric_type.
+ */
+export function normalizeAttributeName(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+  if (!slug || !/^[a-z]/.test(slug)) return null;
+  return ALIAS_LOOKUP.get(slug) || slug;
+}
+
+function metafieldAttribute(definition) {
+  return definition.attribute || normalizeAttributeName(definition.key);
+}
+
+// ─── Sync query fragments ────────────────────────────────────────────────────
+
+/**
+ * GraphQL selections for the configured metafields of one owner. Each is a
+ * plain `metafield(namespace:, key:)` field, not a connection, so the bulk
+ * query stays within Shopify's five-connection limit.
+ */
+export function buildMetafieldSelections(metafields = [], owner = 'product') {
+  return metafields
+    .filter((definition) => (definition.owner || 'product') === owner)
+    .slice(0, MAX_METAFIELDS)
+    .map((definition, index) =>
+      `attrMeta${index}: metafield(namespace: ${JSON.stringify(definition.namespace)}, key: ${JSON.stringify(definition.key)}) { namespace key type value }`
+    )
+    .join('\n    ');
+}
+
+function aliasedMetafields(node) {
+  if (!node) return [];
+  return Object.entries(node)
+    .filter(([field, value]) => /^attrMeta\d+$/.test(field) && value)
+    .map(([, value]) => value);
+}
+
+function variantNodes(productNode) {
+  return (productNode?.variants?.edges || []).map((edge) => edge.node).filter(Boolean);
+}
+
+function parseRawValues(metafield) {
+  const { type = '', value } = metafield;
+  if (value == null || SKIPPED_TYPES.has(type)) return [];
+
+  let parsed = value;
+  if (type.startsWith('list.') || /^(dimension|weight|volume|rating)$/.test(type)) {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+
+  return [].concat(parsed).map((item) => {
+    if (item && typeof item === 'object') {
+      // Measurements { value, unit } and ratings { value, scale_max }
+      return item.unit ? `${item.value} ${String(item.unit).toLowerCase()}` : item.value;
+    }
+    return item;
+  });
+}
+
+function isReferenceType(type = '') {
+  return type.endsWith('_reference');
+}
+
+/**
+ * Resolve metaobject references (e.g. a `list.metaobject_reference` material
+ * metafield) to display names in place — the JSONL only carries their ids.
+ */
+export async function hydrateMetafieldReferences(adminGraphQL, productNodes) {
+  const metafields = productNodes.flatMap((node) => [
+    ...aliasedMetafields(node),
+    ...variantNodes(node).flatMap(aliasedMetafields)
+  ]).filter((metafield) => isReferenceType(metafield.type));
+  if (metafields.length === 0) return;
+
+  const ids = unique(metafields.flatMap((metafield) => parseRawValues(metafield).map(String)));
+  const names = new Map();
+  for (let i = 0; i < ids.length; i += REFERENCE_BATCH_SIZE) {
+    const response = await adminGraphQL(`#graphql
+      query metafieldReferences($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Metaobject { id displayName }
+        }
+      }`, { variables: { ids: ids.slice(i, i + REFERENCE_BATCH_SIZE) } });
+    const body = await response.json();
+    for (const node of body?.data?.nodes || []) {
+      if (node?.id && node.displayName) names.set(node.id, node.displayName);
+    }
+  }
+
+  for (const metafield of metafields) {
+    metafield.referenceNames = parseRawValues(metafield).map((id) => names.get(String(id))).filter(Boolean);
+  }
+}
+
+/**
+ * Configured product and variant metafields off a GraphQL product node, as
+ * stored in `attributes.metafields`. Variant values are merged per metafield.
+ */
+export function readMetafields(productNode, definitions = []) {
+  const attributeFor = new Map(definitions.map((definition) => [
+    `${definition.owner || 'product'}:${definition.namespace}.${definition.key}`,
+    metafieldAttribute(definition)
+  ]));
+
+  const byKey = new Map();
+  const collect = (owner, metafield) => {
+    const id = `${owner}:${metafield.namespace}.${metafield.key}`;
+    const raw = isReferenceType(metafield.type) ? (metafield.referenceNames || []) : parseRawValues(metafield);
+    const values = raw.map(normalizeValue).filter(Boolean);
+    if (values.length === 0) return;
+
+    const entry = byKey.get(id) || {
+      owner,
+      namespace: metafield.namespace,
+      key: metafield.key,
+      attribute: attributeFor.get(id) || normalizeAttributeName(metafield.key),
+      values: []
+    };
+    entry.values = unique([...entry.values, ...values]).slice(0, MAX_FACET_VALUES);
+    byKey.set(id, entry);
+  };
+
+  aliasedMetafields(productNode).forEach((metafield) => collect('product', metafield));
+  variantNodes(productNode).forEach((variant) => aliasedMetafields(variant).forEach((metafield) => collect('variant', metafield)));
+  return [...byKey.values()].filter((entry) => entry.attribute);
+}
+
+// ─── Normalization ───────────────────────────────────────────────────────────
+
+function normalizeCategory(category) {
+  if (!category?.id) return null;
+  const fullName = category.fullName || category.name || '';
+  return {
+    id: category.id,
+    name: category.name || '',
+    fullName,
+    path: fullName.split('>').map((part) => part.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * normalizeProductAttributes({ options, metafields, category, seo })
+ *
+ * `options` — [{ name, values }] (REST `values` or GraphQL `optionValues`)
+ * `metafields` — readMetafields() output
+ * `category` — GraphQL TaxonomyCategory { id, name, fullName }
+ */
+export function normalizeProductAttributes({ options = [], metafields = [], category = null, seo = null } = {}) {
+  const facets = {};
+  const addFacet = (attribute, values) => {
+    if (!attribute) return;
+    facets[attribute] = unique([...(facets[attribute] || []), ...values]).slice(0, MAX_FACET_VALUES);
+  };
+
+  const cleanOptions = (options || [])
+    .map((option) => ({
+      name: String(option?.name || '').trim(),
+      values: (option?.optionValues ? option.optionValues.map((v) => v?.name) : option?.values || [])
+        .map((value) => String(value ?? '').trim())
+        .filter((value) => value && !DEFAULT_OPTION_VALUES.has(value.toLowerCase()))
+    }))
+    .filter((option) => option.name && option.values.length > 0);
+
+  for (const option of cleanOptions) {
+    addFacet(normalizeAttributeName(option.name), option.values.map(normalizeValue).filter(Boolean));
+  }
+  for (const metafield of metafields || []) {
+    addFacet(metafield.attribute, metafield.values);
+  }
+
+  return {
+    category: category?.path ? category : normalizeCategory(category),
+    seo: {
+      title: seo?.title || null,
+      description: seo?.description || null
+    },
+    options: cleanOptions,
+    metafields: metafields || [],
+    facets,
+    terms: Object.entries(facets).flatMap(([attribute, values]) => values.map((value) => `${attribute}:${value}`))
+  };
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+// `category` in a rule means the taxonomy category, or productType for products without one
+function categoryKey(product) {
+  const id = product?.attributes?.category?.id;
+  if (id) return { field: 'attributes.category.id', value: id };
+  return { field: 'productType', value: product?.productType || '' };
+}
+
+function facetValues(product, attribute) {
+  return product?.attributes?.facets?.[attribute] || [];
+}
+
+/**
+ * Terms (e.g. "material:cotton") two products share.
+ */
+export function sharedAttributes(a, b) {
+  const terms = new Set(a?.attributes?.terms || []);
+  return (b?.attributes?.terms || []).filter((term) => terms.has(term));
+}
+
+/**
+ * MongoDB filter for a match rule against `baseProduct`, e.g.
+ * { same: ['material'], different: ['category'] }. Attributes the base
+ * product has no value for are ignored; returns null when nothing applies.
+ */
+export function attributeMatchQuery(baseProduct, { same = [], different = [] } = {}) {
+  const clauses = [];
+
+  for (const attribute of same) {
+    if (attribute === 'category') {
+      const { field, value } = categoryKey(baseProduct);
+      if (value) clauses.push({ [field]: value });
+      continue;
+    }
+    const values = facetValues(baseProduct, attribute);
+    if (values.length > 0) {
+      clauses.push({ 'attributes.terms': { $in: values.map((value) => `${attribute}:${value}`) } });
+    }
+  }
+
+  for (const attribute of different) {
+    if (attribute === 'category') {
+      const { field, value } = categoryKey(baseProduct);
+      if (value) clauses.push({ [field]: { $ne: value } });
+      continue;
+    }
+    const values = facetValues(baseProduct, attribute);
+    if (values.length > 0) {
+      clauses.push({ 'attributes.terms': { $nin: values.map((value) => `${attribute}:${value}`) } });
+    }
+  }
+
+  return clauses.length > 0 ? { $and: clauses } : null;
+}
+
+/**
+ * In-memory version of attributeMatchQuery for products already loaded.
+ */
+export function matchesAttributes(baseProduct, product, { same = [], different = [] } = {}) {
+  for (const attribute of [...same, ...different]) {
+    const wantSame = same.includes(attribute);
+    if (attribute === 'category') {
+      const base = categoryKey(baseProduct);
+      if (!base.value) continue;
+      const candidate = base.field === 'productType' ? product?.productType || '' : product?.attributes?.category?.id;
+      if ((candidate === base.value) !== wantSame) return false;
+      continue;
+    }
+    const baseValues = facetValues(baseProduct, attribute);
+    if (baseValues.length === 0) continue;
+    const overlap = facetValues(product, attribute).some((value) => baseValues.includes(value));
+    if (overlap !== wantSame) return false;
+  }
+  return true;
+}
+
+/**
+ * "Apparel > Shirts · material: cotton · color: navy, white" — for prompts.
+ */
+export function describeAttributes(product, { maxValues = 4 } = {}) {
+  const attributes = product?.attributes;
+  if (!attributes) return '';
+  const parts = [];
+  if (attributes.category?.fullName) parts.push(attributes.category.fullName);
+  for (const [attribute, values] of Object.entries(attributes.facets || {})) {
+    if (values.length > 0) parts.push(`${attribute}: ${values.slice(0, maxValues).join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+export const productAttributes = {
+  buildMetafieldSelections,
+  hydrateMetafieldReferences,
+  readMetafields,
+  normalizeProductAttributes,
+  normalizeAttributeName,
+  sharedAttributes,
+  attributeMatchQuery,
+  matchesAttributes,
+  describeAttributes
+};
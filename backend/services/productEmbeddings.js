@@ -0,0 +1,505 @@
+/**
+ * Product Embeddings — vector similarity index
+ *
+ * Stores one numeric embedding per product in `product_embeddings` and
+ * answers cosine-similarity top-k queries so the AI engine only sends the
+ * most relevant candidates to the LLM instead of the whole catalogue.
+ *
+ * Embedders:
+ *   - Provider embeddings — when the shop's LLM provider exposes an
+ *     embeddings endpoint (OpenAI-compatible / local Ollama).
+ *   - Local hashing embedder — deterministic feature-hashed bag of
+ *     unigrams + bigrams. No network, always available, used as fallback.
+ *
+ * Each stored vector records the embedder `model` and a hash of the source
+ * text, so edits to a product (or a provider switch) re-embed lazily.
+ */
+
+import { createHash } from 'crypto';
+import { getDb, collections } from '../database/mongodb.js';
+import { getMerchantConfig } from './merchantConfig.js';
+import { resolveLLMProvider } from './llmProvider.js';
+import { BUNDLE_PRODUCT_TAG } from './bundleProducts.js';
+
+export const LOCAL_EMBEDDING_DIMS = 256;
+export const LOCAL_EMBEDDING_MODEL = `local-hash-${LOCAL_EMBEDDING_DIMS}`;
+
+export const DEFAULT_TOP_K = 60;
+const EMBED_BATCH_SIZE = 64;
+const DESCRIPTION_CHARS = 500;
+
+// Per-shop vector cache — avoids reloading every vector on each request
+const _vectorCache = new Map();
+const VECTOR_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Shops with a background (re)index in flight
+const _refreshing = new Set();
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'with', 'in', 'for', 'of', 'to', 'at', 'by', 'from',
+  'is', 'its', 'it', 'this', 'that', 'on', 'as', 'be', 'my', 'our', 'your', 'are'
+]);
+
+// ─── Text & Vector Helpers ──────────────────────────────────────────────────
+
+/**
+ * Flatten the product fields that describe "what it is" into one string.
+ * Title and type are repeated so they outweigh long descriptions.
+ */
+export function buildEmbeddingText(product) {
+  if (!product) return '';
+  const ai = product.aiData || {};
+  const attributes = product.attributes || {};
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',');
+  const description = String(product.description || '')
+    .replace(/<[^>]+>/g, ' ')
+    .slice(0, DESCRIPTION_CHARS);
+
+  return [
+    product.title,
+    product.title,
+    product.productType || ai.category,
+    product.productType || ai.category,
+    product.vendor || ai.brand,
+    tags.join(' '),
+    (product.collectionTitles || []).join(' '),
+    attributes.category?.fullName,
+    Object.values(attributes.facets || {}).flat().join(' '),
+    (ai.keywords || []).join(' '),
+    (ai.features || []).join(' '),
+    ai.color,
+    ai.style,
+    description
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+function hashText(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w.length >= 2 && !STOP_WORDS.has(w));
+}
+
+// 32-bit FNV-1a — fast, stable across processes
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  return vector.map((v) => v / norm);
+}
+
+/**
+ * computeLocalEmbedding(text)
+ *
+ * Feature-hashed unigram + bigram vector, L2-normalised.
+ * A sign bit from the hash keeps collisions from only ever adding up.
+ */
+export function computeLocalEmbedding(text, dims = LOCAL_EMBEDDING_DIMS) {
+  const vector = new Array(dims).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]}_${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const h = fnv1a(feature);
+    const index = h % dims;
+    const sign = (h >>> 31) === 1 ? -1 : 1;
+    vector[index] += sign;
+  }
+
+  return normalize(vector).map((v) => Math.round(v * 1e6) / 1e6);
+}
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function centroid(vectors) {
+  const valid = (vectors || []).filter((v) => Array.isArray(v) && v.length > 0);
+  if (valid.length === 0) return null;
+  const dims = valid[0].length;
+  const sum = new Array(dims).fill(0);
+  for (const v of valid) {
+    if (v.length !== dims) continue;
+    for (let i = 0; i < dims; i++) sum[i] += v[i];
+  }
+  return normalize(sum);
+}
+
+// ─── Embedding ──────────────────────────────────────────────────────────────
+
+function getEmbeddingModel(provider) {
+  return provider?.embeddingModel && typeof provider.embed === 'function'
+    ? `${provider.name}:${provider.embeddingModel}`
+    : LOCAL_EMBEDDING_MODEL;
+}
+
+/**
+ * embedTexts(texts, provider)
+ *
+ * Returns { model, vectors }. Uses the provider's embeddings endpoint when it
+ * has one; any provider error falls back to the local embedder so the index
+ * is never left half-built.
+ */
+export async function embedTexts(texts, provider = null) {
+  const safe = (texts || []).map((t) => String(t || ''));
+  const model = getEmbeddingModel(provider);
+
+  if (model !== LOCAL_EMBEDDING_MODEL) {
+    try {
+      const vectors = [];
+      for (let i = 0; i < safe.length; i += EMBED_BATCH_SIZE) {
+        const batch = safe.slice(i, i + EMBED_BATCH_SIZE);
+        vectors.push(...await provider.embed(batch));
+      }
+      return { model, vectors };
+    } catch (err) {
+      console.warn(`⚠️ Provider embeddings failed (${model}) — using local embedder:`, err.message);
+    }
+  }
+
+  return {
+    model: LOCAL_EMBEDDING_MODEL,
+    vectors: safe.map((t) => computeLocalEmbedding(t))
+  };
+}
+
+async function resolveShopProvider(shopId, provider) {
+  if (provider) return provider;
+  try {
+    return resolveLLMProvider(await getMerchantConfig(shopId));
+  } catch {
+    return resolveLLMProvider(null);
+  }
+}
+
+/**
+ * ensureProductEmbeddings(shopId, products, { provider })
+ *
+ * Embeds any product whose stored vector is missing, was built from
+ * different text, or came from a different embedder. Returns a Map of
+ * productId (string) → vector for every product passed in.
+ */
+export async function ensureProductEmbeddings(shopId, products, { provider = null } = {}) {
+  const list = (products || []).filter((p) => p && p.productId != null);
+  const result = new Map();
+  if (!shopId || list.length === 0) return result;
+
+  const llm = await resolveShopProvider(shopId, provider);
+  const db = await getDb();
+  const col = db.collection(collections.productEmbeddings);
+
+  const existing = await col
+    .find(
+      { shopId, productId: { $in: list.map((p) => p.productId) } },
+      { projection: { _id: 0, productId: 1, vector: 1, model: 1, textHash: 1 } }
+    )
+    .toArray();
+  const existingMap = new Map(existing.map((e) => [String(e.productId), e]));
+
+  const expectedModel = getEmbeddingModel(llm);
+  const stale = [];
+  for (const product of list) {
+    const text = buildEmbeddingText(product);
+    const textHash = hashText(text);
+    const stored = existingMap.get(String(product.productId));
+    if (stored && stored.textHash === textHash && stored.model === expectedModel) {
+      result.set(String(product.productId), stored.vector);
+    } else {
+      stale.push({ product, text, textHash });
+    }
+  }
+
+  if (stale.length === 0) return result;
+
+  const { model, vectors } = await embedTexts(stale.map((s) => s.text), llm);
+  const now = new Date();
+  const operations = stale.map((s, i) => {
+    result.set(String(s.product.productId), vectors[i]);
+    return {
+      updateOne: {
+        filter: { shopId, productId: s.product.productId },
+        update: {
+          $set: {
+            shopId,
+            productId: s.product.productId,
+            vector: vectors[i],
+            dims: vectors[i]?.length || 0,
+            model,
+            textHash: s.textHash,
+            updatedAt: now
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  await col.bulkWrite(operations, { ordered: false });
+  invalidateEmbeddingCache(shopId);
+  console.log(`🧬 Embedded ${stale.length} product(s) for ${shopId} (${model})`);
+
+  return result;
+}
+
+/**
+ * refreshShopEmbeddings(shopId)
+ *
+ * (Re)index every product for a shop. Safe to call after a full sync —
+ * unchanged products are skipped via their text hash.
+ */
+export async function refreshShopEmbeddings(shopId, { provider = null } = {}) {
+  if (!shopId || _refreshing.has(shopId)) return 0;
+  _refreshing.add(shopId);
+  try {
+    const db = await getDb();
+    const products = await db.collection(collections.products)
+      .find({ shopId, tags: { $ne: BUNDLE_PRODUCT_TAG } })
+      .toArray();
+    const map = await ensureProductEmbeddings(shopId, products, { provider });
+    return map.size;
+  } catch (err) {
+    console.error(`❌ Embedding refresh failed for ${shopId}:`, err.message);
+    return 0;
+  } finally {
+    _refreshing.delete(shopId);
+  }
+}
+
+/**
+ * deleteProductEmbeddings(shopId, productIds)
+ *
+ * Drop vectors for deleted products. Matches string and numeric ids.
+ */
+export async function deleteProductEmbeddings(shopId, productIds = []) {
+  const ids = (productIds || []).flatMap((id) => {
+    const numeric = Number(id);
+    return Number.isFinite(numeric) ? [String(id), numeric] : [String(id)];
+  });
+  if (!shopId || ids.length === 0) return 0;
+  try {
+    const db = await getDb();
+    const res = await db.collection(collections.productEmbeddings).deleteMany({
+      shopId,
+      productId: { $in: ids }
+    });
+    invalidateEmbeddingCache(shopId);
+    return res.deletedCount;
+  } catch (err) {
+    console.warn('⚠️ deleteProductEmbeddings failed:', err.message);
+    return 0;
+  }
+}
+
+export function invalidateEmbeddingCache(shopId) {
+  if (shopId) _vectorCache.delete(shopId);
+}
+
+async function loadShopVectors(shopId) {
+  const cached = _vectorCache.get(shopId);
+  if (cached && Date.now() - cached.ts < VECTOR_CACHE_TTL) return cached.rows;
+
+  const db = await getDb();
+  const rows = await db.collection(collections.productEmbeddings)
+    .find({ shopId }, { projection: { _id: 0, productId: 1, vector: 1, model: 1 } })
+    .toArray();
+
+  _vectorCache.set(shopId, { rows, ts: Date.now() });
+  return rows;
+}
+
+// ─── Similarity Search ──────────────────────────────────────────────────────
+
+/**
+ * findSimilarProductIds(shopId, queryVector, { k, excludeIds, model })
+ *
+ * Cosine top-k over the shop's stored vectors.
+ * Returns [{ productId, similarity }] sorted by similarity desc.
+ */
+export async function findSimilarProductIds(shopId, queryVector, { k = DEFAULT_TOP_K, excludeIds = [], model = null } = {}) {
+  if (!shopId || !Array.isArray(queryVector) || queryVector.length === 0) return [];
+  const exclude = new Set(Array.from(excludeIds || []).map(String));
+  const rows = await loadShopVectors(shopId);
+
+  const scored = [];
+  for (const row of rows) {
+    if (exclude.has(String(row.productId))) continue;
+    if (model && row.model !== model) continue;
+    if (!Array.isArray(row.vector) || row.vector.length !== queryVector.length) continue;
+    scored.push({ productId: row.productId, similarity: cosineSimilarity(queryVector, row.vector) });
+  }
+
+  scored.sort((a, b) => b.similarity - a.similarity);
+  return scored.slice(0, k);
+}
+
+/**
+ * getSimilarCandidatePool(shopId, contextProductIds, { k, extraProductIds, provider })
+ *
+ * Returns the product documents the AI engine should consider:
+ *   context products ∪ top-k nearest neighbours ∪ extraProductIds
+ * Each neighbour carries a `vectorSimilarity` score.
+ *
+ * Returns null only when the catalogue is small enough (≤ k) that a full
+ * scan is cheaper. When the index can't answer (not built yet, stored vectors
+ * from another embedder, context product not embedded) the pool comes from
+ * getLocalCandidatePool instead, and a missing index is built in the
+ * background — the whole catalogue is never returned.
+ */
+export async function getSimilarCandidatePool(shopId, contextProductIds, {
+  k = DEFAULT_TOP_K,
+  extraProductIds = [],
+  provider = null
+} = {}) {
+  try {
+    const db = await getDb();
+    const productsCol = db.collection(collections.products);
+
+    const [productCount, indexedCount] = await Promise.all([
+      productsCol.countDocuments({ shopId }),
+      db.collection(collections.productEmbeddings).countDocuments({ shopId })
+    ]);
+
+    if (productCount <= k) return null;
+
+    const contextIds = toIdVariants(contextProductIds);
+    const contextProducts = await productsCol
+      .find({ shopId, productId: { $in: contextIds } })
+      .toArray();
+
+    if (indexedCount === 0) {
+      console.log(`🧬 No embeddings for ${shopId} yet — indexing in background, local scoring this time`);
+      refreshShopEmbeddings(shopId, { provider }).catch(() => {});
+      return getLocalCandidatePool(shopId, contextProducts, { k, extraProductIds });
+    }
+    if (contextProducts.length === 0) {
+      return getLocalCandidatePool(shopId, contextProducts, { k, extraProductIds });
+    }
+
+    const llm = await resolveShopProvider(shopId, provider);
+    const contextVectors = await ensureProductEmbeddings(shopId, contextProducts, { provider: llm });
+    const query = centroid(Array.from(contextVectors.values()));
+    if (!query) return getLocalCandidatePool(shopId, contextProducts, { k, extraProductIds });
+
+    const neighbours = await findSimilarProductIds(shopId, query, {
+      k,
+      excludeIds: contextProducts.map((p) => p.productId),
+      model: getEmbeddingModel(llm)
+    });
+    if (neighbours.length === 0) {
+      // Stored vectors came from another embedder (provider switch) — rebuild
+      refreshShopEmbeddings(shopId, { provider: llm }).catch(() => {});
+      return getLocalCandidatePool(shopId, contextProducts, { k, extraProductIds });
+    }
+
+    const similarityMap = new Map(neighbours.map((n) => [String(n.productId), n.similarity]));
+    const wantedIds = toIdVariants([
+      ...neighbours.map((n) => n.productId),
+      ...(extraProductIds || [])
+    ]);
+    const others = await productsCol
+      .find({ shopId, productId: { $in: wantedIds }, tags: { $ne: BUNDLE_PRODUCT_TAG } })
+      .toArray();
+
+    const pool = [
+      ...contextProducts,
+      ...others
+        .filter((p) => !contextProducts.some((c) => String(c.productId) === String(p.productId)))
+        .map((p) => {
+          const similarity = similarityMap.get(String(p.productId));
+          return similarity != null ? { ...p, vectorSimilarity: Math.round(similarity * 1000) / 1000 } : p;
+        })
+    ];
+
+    console.log(`🧬 Vector pre-filter: ${productCount} products → ${pool.length} candidates for ${shopId}`);
+    return pool;
+  } catch (err) {
+    console.warn('⚠️ getSimilarCandidatePool failed (using local scoring):', err.message);
+    try {
+      return await getLocalCandidatePool(shopId, null, { k, extraProductIds, contextProductIds });
+    } catch (localErr) {
+      console.warn('⚠️ Local candidate scoring failed:', localErr.message);
+      return [];
+    }
+  }
+}
+
+/**
+ * getLocalCandidatePool(shopId, contextProducts, { k, extraProductIds })
+ *
+ * Same pool shape as getSimilarCandidatePool, scored synchronously with the
+ * local hashing embedder over the catalogue (nothing is stored). Used while
+ * the index can't answer. Without a context product to score against, the
+ * first k products are kept, so the pool stays bounded either way.
+ */
+async function getLocalCandidatePool(shopId, contextProducts, { k = DEFAULT_TOP_K, extraProductIds = [], contextProductIds = [] } = {}) {
+  const db = await getDb();
+  const productsCol = db.collection(collections.products);
+  const context = contextProducts || await productsCol
+    .find({ shopId, productId: { $in: toIdVariants(contextProductIds) } })
+    .toArray();
+  const contextIds = new Set(context.map((p) => String(p.productId)));
+  const extraIds = new Set((extraProductIds || []).map(String));
+
+  const catalogue = await productsCol
+    .find({ shopId, tags: { $ne: BUNDLE_PRODUCT_TAG } })
+    .toArray();
+  const others = catalogue.filter((p) => !contextIds.has(String(p.productId)));
+
+  const query = centroid(context.map((p) => computeLocalEmbedding(buildEmbeddingText(p))));
+  const neighbours = query
+    ? others
+      .map((p) => ({ product: p, similarity: cosineSimilarity(query, computeLocalEmbedding(buildEmbeddingText(p))) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k)
+      .map(({ product, similarity }) => ({ ...product, vectorSimilarity: Math.round(similarity * 1000) / 1000 }))
+    : others.slice(0, k);
+
+  const neighbourIds = new Set(neighbours.map((p) => String(p.productId)));
+  const extras = others.filter((p) => extraIds.has(String(p.productId)) && !neighbourIds.has(String(p.productId)));
+  const pool = [...context, ...neighbours, ...extras];
+
+  console.log(`🧬 Local pre-filter: ${catalogue.length} products → ${pool.length} candidates for ${shopId}`);
+  return pool;
+}
+
+function toIdVariants(ids) {
+  const set = new Set();
+  for (const id of ids || []) {
+    if (id == null) continue;
+    set.add(String(id));
+    const numeric = Number(id);
+    if (Number.isFinite(numeric)) set.add(numeric);
+  }
+  return Array.from(set);
+}
@@ -1,4 +1,5 @@
 import { getDb, collections } from '../database/mongodb.js';
+import { readMetafields, normalizeProductAttributes } from './productAttributes.js';
 
 export class ProductService {
   /**
@@ -18,7 +19,7 @@ export class ProductService {
    */
   async syncProductsFromGraphQL(shopId, productNodes, options = {}) {
     const mappedProducts = productNodes.map(product =>
-      this.mapProductFromGraphQL(shopId, product)
+      this.mapProductFromGraphQL(shopId, product, options)
     );
 
     return await this.upsertProducts(mappedProducts, options);
@@ -27,6 +28,10 @@ export class ProductService {
   /**
    * Upsert mapped products into MongoDB.
    * Returns count or { count, productIds } if options.returnIds is true.
+   *
+   * options.ifNewer — skip products whose stored `updatedAt` is newer than the
+   * incoming one (an out-of-order webhook or a sync snapshot older than the
+   * last webhook). Skipped products are not counted.
    */
   async upsertProducts(products, options = {}) {
     const db = await getDb();
@@ -38,19 +43,35 @@ export class ProductService {
 
     const operations = products.map(product => ({
       updateOne: {
-        filter: { shopId: product.shopId, productId: product.productId },
+        filter: options.ifNewer
+          ? {
+              shopId: product.shopId,
+              productId: product.productId,
+              $or: [{ updatedAt: { $lte: product.updatedAt } }, { updatedAt: { $exists: false } }]
+            }
+          : { shopId: product.shopId, productId: product.productId },
         update: { $set: product },
         upsert: true
       }
     }));
 
-    await productsCollection.bulkWrite(operations);
+    const skipped = new Set();
+    try {
+      await productsCollection.bulkWrite(operations, { ordered: !options.ifNewer });
+    } catch (error) {
+      // With ifNewer, a newer stored product fails the filter and the upsert
+      // collides with it on the unique (shopId, productId) index — that's a skip
+      const writeErrors = options.ifNewer ? [].concat(error?.writeErrors || []) : [];
+      if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw error;
+      writeErrors.forEach((e) => skipped.add(e.index));
+    }
 
+    const written = products.filter((_, index) => !skipped.has(index));
     if (options.returnIds) {
-      return { count: products.length, productIds: products.map(p => p.productId) };
+      return { count: written.length, productIds: written.map(p => p.productId) };
     }
 
-    return products.length;
+    return written.length;
   }
 
   /**
@@ -120,7 +141,8 @@ export class ProductService {
           { 'variants.inventoryItemId': { $exists: false } },
           { 'variants.inventoryQuantity': { $exists: false } },
           { collectionIds: { $exists: false } },
-          { collectionHandles: { $exists: false } }
+          { collectionHandles: { $exists: false } },
+          { attributes: { $exists: false } }
         ]
       },
       { projection: { _id: 1 } }
@@ -131,9 +153,11 @@ export class ProductService {
 
   /**
    * Map a REST product payload to the MongoDB product document.
-   * Keeps aiData schema untouched.
+   * Keeps aiData schema untouched. REST payloads carry options but no
+   * metafields, taxonomy category or SEO — see upsertProductFromWebhookPayload.
    */
   mapProductFromRest(shopId, product) {
+    const attributes = normalizeProductAttributes({ options: product.options || [] });
     return {
       shopId,
       productId: product.id,
@@ -153,15 +177,16 @@ export class ProductService {
       sellingPlanIdNumeric: null,
       images: product.images || [],
       image: product.image || null,
-      variants: this.mapVariantsFromRest(product.variants || []),
+      variants: this.mapVariantsFromRest(product.variants || [], product.options || []),
+      attributes,
       aiData: {
         // Store AI-relevant features for similarity matching
         keywords: this.extractKeywords(product.title + ' ' + (product.body_html || '')),
         category: product.product_type || '',
         price: product.variants?.[0]?.price || '0',
         compareAtPrice: product.variants?.[0]?.compare_at_price || null,
-        color: this.extractColor(product),
-        style: this.extractStyle(product),
+        color: attributes.facets.color?.[0] || this.extractColor(product),
+        style: attributes.facets.style?.[0] || this.extractStyle(product),
         brand: product.vendor || '',
         features: this.extractFeatures(product),
         embedding: null // Will be generated by AI engine
@@ -173,9 +198,10 @@ export class ProductService {
 
   /**
    * Map a GraphQL product node to the MongoDB product document.
-   * Keeps aiData schema untouched.
+   * Keeps aiData schema untouched; structured attributes go to `attributes`.
+   * options.metafields — the shop's configured metafields (productAttributes.js)
    */
-  mapProductFromGraphQL(shopId, product) {
+  mapProductFromGraphQL(shopId, product, options = {}) {
     const images = product.images?.edges?.map(({ node: img }) => ({
       id: img.id,
       src: img.url,
@@ -215,6 +241,14 @@ export class ProductService {
     const sellingPlanId = sellingPlanIds[0] || null;
     const sellingPlanIdNumeric = this.extractNumericId(sellingPlanId);
 
+    const attributes = normalizeProductAttributes({
+      options: product.options || [],
+      metafields: readMetafields(product, options.metafields || []),
+      category: product.category || null,
+      seo: product.seo || null
+    });
+    const textFields = { title: product.title, body_html: product.description, tags: (product.tags || []).join(',') };
+
     return {
       shopId,
       productId: this.toNumber(product.legacyResourceId, null),
@@ -241,27 +275,32 @@ export class ProductService {
         alt: images[0].alt
       } : null,
       variants: this.mapVariantsFromGraphQL(product.variants?.edges || []),
+      attributes,
       aiData: {
         keywords: this.extractKeywords(product.title + ' ' + (product.description || '')),
-        category: product.productType || '',
+        category: product.productType || attributes.category?.name || '',
         price: product.variants?.edges?.[0]?.node?.price || '0',
         compareAtPrice: product.variants?.edges?.[0]?.node?.compareAtPrice || null,
-        color: this.extractColor({ title: product.title, body_html: product.description, tags: (product.tags || []).join(',') }),
-        style: this.extractStyle({ title: product.title, body_html: product.description, tags: (product.tags || []).join(',') }),
+        // Structured values first; the text heuristics only cover products without them
+        color: attributes.facets.color?.[0] || this.extractColor(textFields),
+        style: attributes.facets.style?.[0] || this.extractStyle(textFields),
         brand: product.vendor || '',
-        features: this.extractFeatures({ title: product.title, body_html: product.description, tags: (product.tags || []).join(',') })
+        features: this.extractFeatures(textFields)
       }
     };
   }
 
-  mapVariantsFromRest(variants) {
+  mapVariantsFromRest(variants, options = []) {
     return variants.map(variant => ({
       variantId: this.toNumber(variant.id, null),
       price: this.toNumber(variant.price, 0),
       compareAtPrice: this.toNumber(variant.compare_at_price, null),
       inventoryQuantity: this.toNumber(variant.inventory_quantity, null),
       inventoryItemId: this.toNumber(variant.inventory_item_id, null),
-      inventoryPolicy: variant.inventory_policy ? String(variant.inventory_policy).toUpperCase() : null
+      inventoryPolicy: variant.inventory_policy ? String(variant.inventory_policy).toUpperCase() : null,
+      selectedOptions: options
+        .map((option, index) => ({ name: option.name, value: variant[`option${index + 1}`] }))
+        .filter((option) => option.name && option.value != null && option.value !== 'Default Title')
     }));
   }
 
@@ -272,7 +311,12 @@ export class ProductService {
       compareAtPrice: this.toNumber(node?.compareAtPrice, null),
       inventoryQuantity: this.toNumber(node?.inventoryQuantity, null),
       inventoryItemId: this.toNumber(this.extractNumericId(node?.inventoryItem?.id), null),
-      inventoryPolicy: node?.inventoryPolicy ? String(node.inventoryPolicy).toUpperCase() : null
+      inventoryPolicy: node?.inventoryPolicy ? String(node.inventoryPolicy).toUpperCase() : null,
+      // Shop-currency cost per unit; null when the merchant has not entered one
+      unitCost: this.toNumber(node?.inventoryItem?.unitCost?.amount, null),
+      selectedOptions: (node?.selectedOptions || [])
+        .filter(({ value }) => value !== 'Default Title')
+        .map(({ name, value }) => ({ name, value }))
     }));
   }
 
@@ -360,3 +404,22 @@ export class ProductService {
     return features;
   }
 }
+
+// Cost and margin fields are merchant-private: strip them from any product
+// document sent outside the admin (storefront widgets, public APIs).
+const PRIVATE_PRODUCT_FIELDS = ['unitCost', 'margin', 'marginPercent'];
+
+export function toPublicProduct(product) {
+  if (!product || typeof product !== 'object') return product;
+  const publicProduct = { ...product };
+  for (const field of PRIVATE_PRODUCT_FIELDS) delete publicProduct[field];
+  if (Array.isArray(product.variants)) {
+    publicProduct.variants = product.variants.map((variant) => {
+      if (!variant || typeof variant !== 'object') return variant;
+      const publicVariant = { ...variant };
+      for (const field of PRIVATE_PRODUCT_FIELDS) delete publicVariant[field];
+      return publicVariant;
+    });
+  }
+  return publicProduct;
+}
@@ -0,0 +1,499 @@
+/**
+ * Product Sync — full syncs via Bulk Operations, incremental syncs between them
+ *
+ * Provides:
+ *   - syncShopProducts(shopId, adminGraphQL, { mode })  — 'auto' | 'full' | 'incremental'
+ *   - runFullProductSync(shopId, adminGraphQL, { metafields })        — bulk operation → JSONL → upsert → prune
+ *   - runIncrementalProductSync(shopId, adminGraphQL, { metafields }) — products updated since the cursor
+ *   - buildProductFields(metafields)                    — the product selection both paths store
+ *   - getProductSyncState(shopId)                       — checkpoints and last-run summary
+ *
+ * Full sync: one `bulkOperationRunQuery` over every product with its
+ * collections, images, variants and selling plan groups, plus the options,
+ * taxonomy category, SEO fields and configured metafields that make up
+ * `product.attributes` (productAttributes.js). The JSONL result is
+ * streamed and upserted 250 products at a time; products not written since the
+ * bulk operation started are then pruned (deleted in Shopify). Runs when a
+ * shop has never had one, every PRODUCT_FULL_SYNC_HOURS (default 24), or on
+ * request.
+ *
+ * Incremental sync: `products(query: "updated_at:>='…'", sortKey: UPDATED_AT)`
+ * from the cursor saved after the last page. It never prunes — products/delete
+ * webhooks and the next full sync handle deletes.
+ *
+ * Webhooks (upsertProductFromWebhookPayload) are authoritative deltas: every
+ * sync write is conditional on the stored `updatedAt` (ProductService
+ * `ifNewer`), so a snapshot taken before a webhook never overwrites it.
+ *
+ * Checkpoints live in `product_sync_state`: the running bulk operation id and
+ * the JSONL lines already stored, or the incremental cursor. An interrupted
+ * sync (worker restart, job retry) resumes from there — a bulk operation that
+ * is still running or completed is picked up instead of starting a new one.
+ */
+
+import readline from 'node:readline';
+import { Readable } from 'node:stream';
+import { getDb, collections } from '../database/mongodb.js';
+import { ProductService } from './productService.js';
+import { refreshShopEmbeddings, deleteProductEmbeddings } from './productEmbeddings.js';
+import { getMerchantConfig } from './merchantConfig.js';
+import { buildMetafieldSelections, hydrateMetafieldReferences } from './productAttributes.js';
+
+const BATCH_SIZE = 250;
+const INCREMENTAL_PAGE_SIZE = 50;
+const FULL_SYNC_INTERVAL_MS = Number(process.env.PRODUCT_FULL_SYNC_HOURS || 24) * 60 * 60 * 1000;
+const BULK_TIMEOUT_MS = Number(process.env.PRODUCT_BULK_TIMEOUT_MINUTES || 60) * 60 * 1000;
+const BULK_POLL_MIN_MS = 2000;
+const BULK_POLL_MAX_MS = 30000;
+// Re-read a little before the cursor — Shopify's updated_at filter is per second
+const CURSOR_OVERLAP_MS = 60 * 1000;
+const RESUMABLE_BULK_STATUSES = ['CREATED', 'RUNNING', 'COMPLETED'];
+// Shopify keeps a bulk result for 7 days; don't resume one about to expire
+const BULK_RESULT_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+
+// Scalar and object fields shared by the bulk and paged queries. Options,
+// category, SEO and `metafield(namespace:, key:)` are not connections.
+function productScalarFields(metafields) {
+  return `
+    id
+    legacyResourceId
+    title
+    description
+    handle
+    vendor
+    productType
+    tags
+    status
+    createdAt
+    updatedAt
+    options { name optionValues { name } }
+    category { id name fullName }
+    seo { title description }
+    ${buildMetafieldSelections(metafields, 'product')}`;
+}
+
+function variantFields(metafields) {
+  return `
+    id
+    price
+    compareAtPrice
+    inventoryQuantity
+    inventoryPolicy
+    inventoryItem { id unitCost { amount currencyCode } }
+    selectedOptions { name value }
+    ${buildMetafieldSelections(metafields, 'variant')}`;
+}
+
+// Bulk queries allow five connections, so selling plans are fetched separately
+// for the few products that have selling plan groups (hydrateSellingPlans)
+function buildBulkProductsQuery(metafields = []) {
+  return `{
+  products {
+    edges {
+      node {
+        ${productScalarFields(metafields)}
+        collections { edges { node { id handle title } } }
+        images { edges { node { id url altText width height } } }
+        variants { edges { node { ${variantFields(metafields)} } } }
+        sellingPlanGroups { edges { node { id name } } }
+      }
+    }
+  }
+}`;
+}
+
+/**
+ * Product selection for paged queries and single-product fetches — the same
+ * document the bulk sync stores. `metafields` is the shop's
+ * productAttributes.metafields config.
+ */
+export function buildProductFields(metafields = []) {
+  return `
+  ${productScalarFields(metafields)}
+  collections(first: 25) { nodes { id handle title } }
+  images(first: 10) { edges { node { id url altText width height } } }
+  variants(first: 100) { edges { node { ${variantFields(metafields)} } } }
+  sellingPlanGroups(first: 5) {
+    edges { node { id name sellingPlans(first: 10) { edges { node { id name } } } } }
+  }
+`;
+}
+
+// Same limits as the paged query, so both sync paths store the same documents
+const CHILD_LIMITS = { collections: 25, images: 10, variants: 100, sellingPlanGroups: 5 };
+
+const CHILD_FIELDS = {
+  Collection: 'collections',
+  ProductImage: 'images',
+  Image: 'images',
+  ProductVariant: 'variants',
+  SellingPlanGroup: 'sellingPlanGroups'
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function gidType(gid) {
+  const match = String(gid || '').match(/^gid:\/\/shopify\/(\w+)\//);
+  return match ? match[1] : null;
+}
+
+async function graphql(adminGraphQL, query, variables = {}) {
+  const response = await adminGraphQL(query, { variables });
+  const body = await response.json();
+  if (body?.errors?.length) {
+    throw new Error(`GraphQL error: ${body.errors.map((e) => e.message).join('; ')}`);
+  }
+  return body?.data;
+}
+
+export async function getProductSyncState(shopId) {
+  const db = await getDb();
+  return db.collection(collections.productSyncState).findOne({ shopId }, { projection: { _id: 0 } });
+}
+
+async function saveSyncState(shopId, fields, unset = null) {
+  const db = await getDb();
+  const update = { $set: { ...fields, updatedAt: new Date() }, $setOnInsert: { shopId } };
+  if (unset) update.$unset = Object.fromEntries(unset.map((field) => [field, '']));
+  await db.collection(collections.productSyncState).updateOne({ shopId }, update, { upsert: true });
+}
+
+// ─── Writing products ────────────────────────────────────────────────────────
+
+async function hydrateSellingPlans(adminGraphQL, nodes) {
+  const groupIds = [...new Set(nodes.flatMap((node) =>
+    node.sellingPlanGroups.edges.map(({ node: group }) => group.id)
+  ))];
+  if (groupIds.length === 0) return;
+
+  const plansByGroup = new Map();
+  for (let i = 0; i < groupIds.length; i += 100) {
+    const data = await graphql(adminGraphQL, `#graphql
+      query sellingPlans($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on SellingPlanGroup {
+            id
+            sellingPlans(first: 10) { edges { node { id name } } }
+          }
+        }
+      }`, { ids: groupIds.slice(i, i + 100) });
+    for (const group of data?.nodes || []) {
+      if (group?.id) plansByGroup.set(group.id, group.sellingPlans);
+    }
+  }
+
+  for (const node of nodes) {
+    for (const { node: group } of node.sellingPlanGroups.edges) {
+      group.sellingPlans = plansByGroup.get(group.id) || { edges: [] };
+    }
+  }
+}
+
+/**
+ * Upsert GraphQL product nodes. Returns { written, maxUpdatedAt }.
+ */
+async function writeProductNodes(shopId, nodes, metafields = []) {
+  if (nodes.length === 0) return { written: 0, maxUpdatedAt: null };
+  const productService = new ProductService();
+  const syncedAt = new Date();
+  const products = nodes
+    .map((node) => ({ ...productService.mapProductFromGraphQL(shopId, node, { metafields }), syncedAt }))
+    .filter((product) => product.productId != null);
+
+  const written = await productService.upsertProducts(products, { ifNewer: true });
+  // Products skipped as older than a webhook are still in Shopify — mark them seen so the prune keeps them
+  const db = await getDb();
+  await db.collection(collections.products).updateMany(
+    { shopId, productId: { $in: products.map((p) => p.productId) } },
+    { $max: { syncedAt } }
+  );
+  const maxUpdatedAt = products.reduce((max, p) => (p.updatedAt > max ? p.updatedAt : max), new Date(0));
+  return { written, maxUpdatedAt };
+}
+
+/**
+ * Delete products not written since `since` — they were not in the bulk
+ * snapshot and no webhook touched them while it ran.
+ */
+async function pruneProductsNotSyncedSince(shopId, since) {
+  const db = await getDb();
+  const filter = { shopId, $or: [{ syncedAt: { $lt: since } }, { syncedAt: { $exists: false } }] };
+  const stale = await db.collection(collections.products)
+    .find(filter, { projection: { productId: 1 } })
+    .toArray();
+  if (stale.length === 0) return 0;
+
+  const { deletedCount } = await db.collection(collections.products).deleteMany({
+    shopId,
+    productId: { $in: stale.map((p) => p.productId) },
+    ...filter
+  });
+  await deleteProductEmbeddings(shopId, stale.map((p) => p.productId));
+  console.log(`🧹 Pruned ${deletedCount} products deleted in Shopify for ${shopId}`);
+  return deletedCount;
+}
+
+// ─── Full sync (bulk operation) ──────────────────────────────────────────────
+
+async function startBulkOperation(adminGraphQL, metafields) {
+  const data = await graphql(adminGraphQL, `#graphql
+    mutation bulkProducts($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status createdAt }
+        userErrors { field message }
+      }
+    }`, { query: buildBulkProductsQuery(metafields) });
+
+  const { bulkOperation, userErrors } = data?.bulkOperationRunQuery || {};
+  if (userErrors?.length) throw new Error(`Bulk operation rejected: ${userErrors.map((e) => e.message).join('; ')}`);
+  if (!bulkOperation?.id) throw new Error('Bulk operation did not start');
+  return bulkOperation;
+}
+
+async function getBulkOperation(adminGraphQL, id) {
+  const data = await graphql(adminGraphQL, `#graphql
+    query bulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation { id status errorCode objectCount url createdAt completedAt }
+      }
+    }`, { id });
+  return data?.node || null;
+}
+
+async function waitForBulkOperation(shopId, adminGraphQL, id) {
+  const deadline = Date.now() + BULK_TIMEOUT_MS;
+  let delay = BULK_POLL_MIN_MS;
+  for (;;) {
+    const operation = await getBulkOperation(adminGraphQL, id);
+    if (!operation) throw new Error(`Bulk operation ${id} not found`);
+    if (operation.status === 'COMPLETED') return operation;
+    if (!RESUMABLE_BULK_STATUSES.includes(operation.status)) {
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+    }
+    // Left in product_sync_state — the job retry resumes polling this operation
+    if (Date.now() > deadline) throw new Error(`Bulk operation ${id} still ${operation.status.toLowerCase()} after ${BULK_TIMEOUT_MS / 60000} min`);
+
+    await saveSyncState(shopId, { progress: { bulkStatus: operation.status, objectCount: Number(operation.objectCount || 0) } });
+    await sleep(delay);
+    delay = Math.min(delay * 2, BULK_POLL_MAX_MS);
+  }
+}
+
+/**
+ * Stream the bulk JSONL. Child lines (`__parentId`) follow their product, so
+ * a product is complete when the next one starts. `skipLines` resumes after
+ * the last stored batch; the checkpoint is always a product boundary.
+ */
+async function importBulkResult(shopId, adminGraphQL, url, { skipLines = 0, onBatch }) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) throw new Error(`Bulk result download failed: HTTP ${response.status}`);
+  const lines = readline.createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+
+  let lineNo = 0;
+  let current = null;
+  let currentStart = 0;
+  let batch = [];
+
+  const flush = async (checkpoint) => {
+    if (batch.length === 0) return;
+    await hydrateSellingPlans(adminGraphQL, batch);
+    await hydrateMetafieldReferences(adminGraphQL, batch);
+    await onBatch(batch, checkpoint);
+    batch = [];
+  };
+
+  for await (const line of lines) {
+    lineNo += 1;
+    if (lineNo <= skipLines || !line.trim()) continue;
+    const object = JSON.parse(line);
+
+    if (!object.__parentId) {
+      if (current) batch.push(current);
+      current = {
+        ...object,
+        collections: { nodes: [] },
+        images: { edges: [] },
+        variants: { edges: [] },
+        sellingPlanGroups: { edges: [] }
+      };
+      currentStart = lineNo - 1;
+      if (batch.length >= BATCH_SIZE) await flush(currentStart);
+      continue;
+    }
+
+    const field = CHILD_FIELDS[gidType(object.id)];
+    if (!current || object.__parentId !== current.id || !field) continue;
+    const child = { ...object };
+    delete child.__parentId;
+    const list = field === 'collections' ? current.collections.nodes : current[field].edges;
+    if (list.length >= CHILD_LIMITS[field]) continue;
+    list.push(field === 'collections' ? child : { node: child });
+  }
+
+  if (current) batch.push(current);
+  await flush(lineNo);
+}
+
+export async function runFullProductSync(shopId, adminGraphQL, { metafields = [] } = {}) {
+  const state = await getProductSyncState(shopId);
+  const startedAt = new Date();
+
+  // Resume the bulk operation an interrupted run left behind, if Shopify still has it
+  let operation = null;
+  let skipLines = 0;
+  let products = 0;
+  if (state?.mode === 'full' && state.bulkOperationId) {
+    const previous = await getBulkOperation(adminGraphQL, state.bulkOperationId).catch(() => null);
+    const expiring = previous?.completedAt && Date.now() - new Date(previous.completedAt).getTime() > BULK_RESULT_MAX_AGE_MS;
+    if (previous && RESUMABLE_BULK_STATUSES.includes(previous.status) && !expiring) {
+      operation = previous;
+      skipLines = state.linesProcessed || 0;
+      products = state.productsProcessed || 0;
+      console.log(`🔁 Resuming product bulk sync for ${shopId} (${previous.status.toLowerCase()}, ${skipLines} lines done)`);
+    }
+  }
+
+  if (!operation) {
+    operation = await startBulkOperation(adminGraphQL, metafields);
+    await saveSyncState(shopId, {
+      status: 'running',
+      mode: 'full',
+      bulkOperationId: operation.id,
+      bulkStartedAt: new Date(operation.createdAt || startedAt),
+      linesProcessed: 0,
+      productsProcessed: 0,
+      startedAt,
+      progress: { bulkStatus: operation.status, objectCount: 0 }
+    }, ['lastError']);
+    console.log(`📦 Product bulk sync started for ${shopId} (${operation.id})`);
+  }
+
+  const completed = await waitForBulkOperation(shopId, adminGraphQL, operation.id);
+  const bulkStartedAt = new Date(completed.createdAt || state?.bulkStartedAt || startedAt);
+
+  if (completed.url) {
+    await importBulkResult(shopId, adminGraphQL, completed.url, {
+      skipLines,
+      onBatch: async (nodes, checkpoint) => {
+        const { written } = await writeProductNodes(shopId, nodes, metafields);
+        products += written;
+        await saveSyncState(shopId, {
+          linesProcessed: checkpoint,
+          productsProcessed: products,
+          progress: { bulkStatus: 'IMPORTING', objectCount: Number(completed.objectCount || 0), linesProcessed: checkpoint }
+        });
+      }
+    });
+  }
+
+  // An empty result (no url) means the shop has no products — only prune when Shopify returned some
+  const pruned = completed.url && (products > 0 || skipLines > 0)
+    ? await pruneProductsNotSyncedSince(shopId, bulkStartedAt)
+    : 0;
+
+  const finishedAt = new Date();
+  await saveSyncState(shopId, {
+    status: 'idle',
+    mode: 'full',
+    lastFullSyncAt: finishedAt,
+    // Anything edited while the snapshot was taken is re-read by the next incremental sync
+    updatedAtCursor: new Date(bulkStartedAt.getTime() - CURSOR_OVERLAP_MS),
+    lastRun: { mode: 'full', startedAt: state?.startedAt || startedAt, finishedAt, products, pruned }
+  }, ['bulkOperationId', 'linesProcessed', 'productsProcessed', 'progress', 'lastError']);
+
+  console.log(`✅ Product bulk sync for ${shopId}: ${products} products stored, ${pruned} pruned`);
+  return { shopId, mode: 'full', products, pruned, resumed: skipLines > 0 };
+}
+
+// ─── Incremental sync ────────────────────────────────────────────────────────
+
+export async function runIncrementalProductSync(shopId, adminGraphQL, { metafields = [] } = {}) {
+  const state = await getProductSyncState(shopId);
+  if (!state?.updatedAtCursor) return runFullProductSync(shopId, adminGraphQL, { metafields });
+
+  const startedAt = new Date();
+  let cursor = new Date(state.updatedAtCursor);
+  await saveSyncState(shopId, { status: 'running', mode: 'incremental', startedAt }, ['lastError']);
+
+  let products = 0;
+  let after = null;
+  const since = new Date(cursor.getTime() - CURSOR_OVERLAP_MS).toISOString();
+  const productFields = buildProductFields(metafields);
+  for (;;) {
+    const data = await graphql(adminGraphQL, `#graphql
+      query changedProducts($query: String!, $after: String) {
+        products(first: ${INCREMENTAL_PAGE_SIZE}, after: $after, query: $query, sortKey: UPDATED_AT) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${productFields} }
+        }
+      }`, { query: `updated_at:>='${since}'`, after });
+
+    const page = data?.products;
+    if (!page) throw new Error('No products data in GraphQL response');
+
+    await hydrateMetafieldReferences(adminGraphQL, page.nodes || []);
+    const { written, maxUpdatedAt } = await writeProductNodes(shopId, page.nodes || [], metafields);
+    products += written;
+    // Pages are in updated_at order — everything up to this page's last product is stored
+    if (maxUpdatedAt && maxUpdatedAt > cursor) cursor = maxUpdatedAt;
+    await saveSyncState(shopId, { updatedAtCursor: cursor, progress: { products } });
+
+    if (!page.pageInfo?.hasNextPage) break;
+    after = page.pageInfo.endCursor;
+  }
+
+  const finishedAt = new Date();
+  await saveSyncState(shopId, {
+    status: 'idle',
+    mode: 'incremental',
+    lastIncrementalSyncAt: finishedAt,
+    lastRun: { mode: 'incremental', startedAt, finishedAt, products, pruned: 0 }
+  }, ['progress']);
+
+  if (products > 0) console.log(`✅ Incremental product sync for ${shopId}: ${products} changed products stored`);
+  return { shopId, mode: 'incremental', products, pruned: 0 };
+}
+
+/**
+ * syncShopProducts(shopId, adminGraphQL, { mode })
+ *
+ * 'auto' resumes an interrupted full sync, runs a full sync when one is due
+ * and an incremental sync otherwise. Records failures in product_sync_state
+ * (checkpoints are kept) and rethrows.
+ */
+export async function syncShopProducts(shopId, adminGraphQL, { mode = 'auto' } = {}) {
+  const state = await getProductSyncState(shopId);
+  // bulkOperationId is only cleared when a full sync finishes
+  const resumeFull = state?.mode === 'full' && Boolean(state.bulkOperationId);
+  const fullDue = !state?.lastFullSyncAt || Date.now() - new Date(state.lastFullSyncAt).getTime() >= FULL_SYNC_INTERVAL_MS;
+  const runFull = mode === 'full' || resumeFull || (mode === 'auto' && fullDue);
+
+  try {
+    const { productAttributes } = await getMerchantConfig(shopId);
+    const options = { metafields: productAttributes.metafields };
+    const result = runFull
+      ? await runFullProductSync(shopId, adminGraphQL, options)
+      : await runIncrementalProductSync(shopId, adminGraphQL, options);
+
+    if (result.products > 0 || result.pruned > 0) {
+      // Re-index vectors in the background — unchanged products are skipped by text hash
+      refreshShopEmbeddings(shopId).catch((err) => {
+        console.warn(`⚠️ Embedding refresh after sync failed for ${shopId}:`, err.message);
+      });
+    }
+    return result;
+  } catch (error) {
+    await saveSyncState(shopId, { status: 'failed', lastError: error.message, failedAt: new Date() }).catch(() => {});
+    throw error;
+  }
+}
+
+export const productSync = {
+  syncShopProducts,
+  buildProductFields,
+  runFullProductSync,
+  runIncrementalProductSync,
+  getProductSyncState
+};
@@ -0,0 +1,114 @@
+/**
+ * Response Cache Warmer — rebuilds product-page entries in `upsell_response_cache`
+ *
+ * Provides:
+ *   - refreshResponseCache(shopId, productId)          — re-run the product page decision and store it
+ *   - warmResponseCache(shopId, { productIds, limit }) — refresh several products (the `cache_warm` job)
+ *
+ * api.proxy.jsx serves cached entries and enqueues a `cache_warm` job when
+ * one is stale; an optimization run that changed the config enqueues one for
+ * the shop's most recently cached products. Entries are stored exactly as
+ * the proxy writes them: unfiltered by availability, in shop currency and
+ * without offer tokens.
+ */
+
+import { getDb, collections } from '../database/mongodb.js';
+import { runPlacement } from './placementPipeline.js';
+import { getOfferTypeExtras, applyDisplayModeFilter } from './offerDisplayFilter.js';
+
+const DEFAULT_WARM_LIMIT = 20;
+
+function extractNumericId(gid) {
+  if (!gid || typeof gid !== 'string') return null;
+  const match = gid.match(/\/(\d+)$/);
+  return match ? match[1] : null;
+}
+
+function formatRecommendation(product, decisionMeta) {
+  const recType = product.recommendationType || 'similar';
+  const offerType = product.offerType || 'addon_upsell';
+  const baseDiscount = product.discountPercent ?? decisionMeta?.discountPercent ?? null;
+  const discountPercent = (offerType === 'volume_discount' || offerType === 'subscription_upgrade') ? 0 : baseDiscount;
+  const sellingPlanId = product.sellingPlanId || product.sellingPlanIds?.[0] || null;
+  const sellingPlanIdNumeric = product.sellingPlanIdNumeric || extractNumericId(sellingPlanId);
+  return {
+    id: product.productId,
+    title: product.title,
+    handle: product.handle,
+    price: product.aiData?.price || '0',
+    compareAtPrice: product.aiData?.compareAtPrice || null,
+    image: product.images?.[0]?.src || product.image?.src || '',
+    reason: product.aiReason,
+    confidence: product.confidence,
+    type: recType,
+    offerType,
+    bundleId: product.bundleId || null,
+    discountPercent,
+    sellingPlanId,
+    sellingPlanIdNumeric,
+    decisionScore: product.decisionScore ?? null,
+    decisionReason: product.decisionReason ?? null,
+    url: `/products/${product.handle}`,
+    availableForSale: product.status?.toUpperCase() === 'ACTIVE',
+    variantId: (product.variants || []).find(v => v?.inventoryPolicy === 'CONTINUE' || Number(v?.inventoryQuantity || 0) > 0)?.variantId || product.variants?.[0]?.variantId || null,
+    ...getOfferTypeExtras(offerType, baseDiscount)
+  };
+}
+
+export async function refreshResponseCache(shopId, productId) {
+  const db = await getDb();
+  const merchantConfig = await db.collection(collections.merchantConfig).findOne({ shopId });
+  const goal = merchantConfig?.goal || 'increase_aov';
+  const displayMode = merchantConfig?.offerDisplayMode || 'both';
+
+  const decision = await runPlacement({ shopId, productId, limit: 4, placement: 'product_page' });
+  const offers = applyDisplayModeFilter(decision.offers || [], goal, displayMode, decision.meta?.discountPercent ?? null);
+  const recommendations = offers.map((product) => formatRecommendation(product, decision.meta));
+
+  await db.collection(collections.upsellResponseCache).updateOne(
+    { shopId, productId },
+    { $set: { recommendations, decision: decision.meta || null, cachedAt: new Date() } },
+    { upsert: true }
+  );
+  return recommendations.length;
+}
+
+/**
+ * warmResponseCache(shopId, { productIds, limit })
+ *
+ * Without productIds, refreshes the shop's most recently cached products —
+ * the ones shoppers are viewing. Returns { refreshed, failed, errors }.
+ */
+export async function warmResponseCache(shopId, { productIds = null, limit = DEFAULT_WARM_LIMIT } = {}) {
+  let targets = (productIds || []).map(Number).filter(Number.isFinite);
+  if (!productIds) {
+    const db = await getDb();
+    const recent = await db.collection(collections.upsellResponseCache)
+      .find({ shopId }, { projection: { productId: 1 } })
+      .sort({ cachedAt: -1 })
+      .limit(limit)
+      .toArray();
+    targets = recent.map((doc) => doc.productId);
+  }
+
+  const result = { refreshed: 0, failed: 0, errors: [] };
+  for (const productId of targets.slice(0, limit)) {
+    try {
+      await refreshResponseCache(shopId, productId);
+      result.refreshed += 1;
+    } catch (error) {
+      result.failed += 1;
+      result.errors.push({ productId, error: error.message });
+    }
+  }
+
+  if (result.refreshed > 0) {
+    console.log(`🔥 Warmed ${result.refreshed} cached upsell response(s) for ${shopId}`);
+  }
+  return result;
+}
+
+export const responseCacheWarmer = {
+  refreshResponseCache,
+  warmResponseCache
+};
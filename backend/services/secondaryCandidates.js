@@ -0,0 +1,140 @@
+/**
+ * Secondary Candidates — candidate pool for the "more like this" widget
+ *
+ * Provides:
+ *   - findSecondaryCandidates(shopId, productId, limit) — same-type products for a just-added upsell
+ *
+ * The secondary widget shows products of the same type as the upsell the
+ * shopper just added (bracelet → bracelets). Same-type is judged on title
+ * words only — category and tag words are too broad ("Jewelry" matches both
+ * bracelets and earrings) — and is topped up with same-category products when
+ * there are too few. The pool goes through the decision engine like any other
+ * placement (see placementPipeline.js), so guardrails and merchant controls
+ * still apply.
+ */
+
+import { GroqAIEngine } from './groqAIEngine.js';
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+  'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
+  'this', 'that', 'these', 'those', 'from', 'new', 'sale', 'best', 'top', 'set', 'pack',
+  'piece', 'pieces', 'pair', 'pairs', 'size', 'sizes', 'women', 'woman', 'men', 'man',
+  'unisex', 'limited', 'edition', 'collection'
+]);
+
+// Same-type products carry no AI confidence — rank them like a solid AI match
+const DEFAULT_CONFIDENCE = 0.8;
+
+function normalizeText(value) {
+  return (value || '').toString().toLowerCase();
+}
+
+function tokenize(text) {
+  const tokens = normalizeText(text).match(/[a-z0-9]+/g) || [];
+  return tokens.filter(token => token.length >= 3 && !STOPWORDS.has(token));
+}
+
+function buildSearchText(product) {
+  const tags = Array.isArray(product.tags) ? product.tags.join(' ') : (product.tags || '');
+  return `${product.productType || ''} ${product.aiData?.category || ''} ${product.title || ''} ${tags}`.toLowerCase();
+}
+
+function inferCategoryLabel(product) {
+  const typeTokens = tokenize(product?.productType || product?.aiData?.category || '');
+  if (typeTokens.length > 0) return typeTokens[0];
+  const tokens = Array.from(new Set(tokenize(buildSearchText(product || {}))));
+  if (tokens.length > 0) return tokens[0];
+  return tokenize(product?.title || '')[0] || null;
+}
+
+function matchesByTokens(product, tokens) {
+  if (!tokens || tokens.length === 0) return false;
+  const text = buildSearchText(product);
+  return tokens.some(token => text.includes(token));
+}
+
+function uniqueByProductId(products) {
+  const seen = new Set();
+  return products.filter(product => {
+    const id = product?.productId ?? product?.id;
+    if (!id || seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * findSecondaryCandidates(shopId, productId, limit)
+ *
+ * Returns up to `limit` candidates shaped like GroqAIEngine results, with the
+ * source product on `_sourceProduct`. Falls back to AI recommendations
+ * (same-type first) when the catalog has no same-type or same-category match.
+ */
+export async function findSecondaryCandidates(shopId, productId, limit = 4) {
+  const aiEngine = new GroqAIEngine();
+  const numericId = Number(productId);
+  let sourceProduct = null;
+  let selected = [];
+  let titleTokens = [];
+
+  try {
+    const config = await aiEngine.getMerchantConfigSafe(shopId);
+    const guardrails = config?.guardrails || {};
+    sourceProduct = await aiEngine.getProductById(shopId, numericId);
+    titleTokens = tokenize(sourceProduct?.title || '');
+    const sourceCategory = (sourceProduct?.aiData?.category || '').toLowerCase().trim();
+
+    if (titleTokens.length > 0) {
+      const allProducts = await aiEngine.getProductsByShop(shopId);
+      const candidates = aiEngine.filterProductsByGuardrails(
+        allProducts.filter(p => p.productId !== numericId),
+        guardrails,
+        new Set([String(numericId)])
+      );
+
+      // Same type first (title word match); fill remaining slots from the same category
+      const sameType = candidates.filter(p => matchesByTokens(p, titleTokens));
+      if (sameType.length >= limit) {
+        selected = uniqueByProductId(sameType).slice(0, limit);
+      } else {
+        const sameTypeIds = new Set(sameType.map(p => String(p.productId)));
+        const sameCat = sourceCategory
+          ? candidates.filter(p =>
+              !sameTypeIds.has(String(p.productId)) &&
+              (p.aiData?.category || '').toLowerCase().trim() === sourceCategory
+            )
+          : [];
+        selected = uniqueByProductId([...sameType, ...sameCat]).slice(0, limit);
+      }
+      console.log(`✅ Secondary candidates for ${productId}: ${selected.length} same-type/category`);
+    } else {
+      console.warn('⚠️ Source product title missing; cannot filter secondary recommendations');
+    }
+  } catch (err) {
+    console.warn('⚠️ Failed to filter secondary recommendations by type:', err?.message || err);
+  }
+
+  if (selected.length === 0) {
+    const recommendations = await aiEngine.findUpsellProducts(shopId, numericId, 8);
+    sourceProduct = sourceProduct || recommendations?._sourceProduct || null;
+    const sameType = titleTokens.length > 0
+      ? recommendations.filter(p => matchesByTokens(p, titleTokens))
+      : [];
+    selected = (sameType.length > 0 ? sameType : recommendations).slice(0, limit);
+  }
+
+  const label = sourceProduct ? inferCategoryLabel(sourceProduct) : null;
+  const pool = selected.map(product => ({
+    ...product,
+    confidence: product.confidence ?? DEFAULT_CONFIDENCE,
+    recommendationType: product.recommendationType || 'similar',
+    aiReason: product.aiReason || (label ? `More ${label} styles` : 'Recommended for you')
+  }));
+  pool._sourceProduct = sourceProduct;
+  return pool;
+}
+
+export const secondaryCandidates = {
+  findSecondaryCandidates
+};
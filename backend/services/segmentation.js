@@ -0,0 +1,277 @@
+/**
+ * Segmentation — customer segments for every storefront decision
+ *
+ * Provides:
+ *   - parseSegmentSignals(searchParams, headers)                       — raw visitor signals from a proxy request
+ *   - resolveSegments(signals, { cartBands })                          — segment keys, e.g. ['visitor:returning', 'device:mobile']
+ *   - matchSegmentOverrides(config, segments)                          — the merchant overrides that apply, in priority order
+ *   - applySegmentOverrides(config, segments)                          — merge per-segment goal / discount cap into a config
+ *   - resolveRequestSegments(shopId, searchParams, headers, opts)      — { segments, overridden, goal } for one request
+ *   - getVisitorSegments(shopId, userId)                               — last segments seen for a visitor (event stamping)
+ *
+ * Segment keys are `<dimension>:<value>`:
+ *   visitor:new | visitor:returning          — first-seen timestamp kept by the storefront script
+ *   cart:empty | cart:low | cart:mid | cart:high — cart value (shop currency) against `segmentation.cartBands`
+ *   device:mobile | device:tablet | device:desktop
+ *   source:paid | email | social | search | referral | direct, plus utm:<utm_source>
+ *   customer:logged_in | customer:guest, plus tag:<customer tag>
+ *   purchases:none | purchases:one | purchases:repeat — logged-in customers' order count
+ *
+ * Merchant config `segmentation.overrides` is an ordered list of
+ * { segment, goal?, maxDiscountCap? }. For each field the first override whose
+ * segment the visitor is in wins. Segment caps never exceed the shop-wide
+ * `maxDiscountCap`, which the discount Function enforces. Experiment variant
+ * overrides are applied after these, so a running A/B test still decides.
+ */
+
+import { getMerchantConfig, DEFAULT_CONFIG } from './merchantConfig.js';
+import { GOAL_MAPPING } from '../../app/shared/merchantConfig.shared.js';
+
+const VISITOR_SEGMENT_TTL_MS = 30 * 60 * 1000;
+const VISITOR_SEGMENT_MAX = 10000;
+const MAX_TAG_SEGMENTS = 20;
+
+// `${shopId}:${userId}` → { segments, expiresAt }
+const _visitorSegments = new Map();
+
+const PAID_MEDIUMS = new Set(['cpc', 'ppc', 'paid', 'paidsearch', 'paid_search', 'paid_social', 'paidsocial', 'display', 'cpm', 'shopping']);
+const EMAIL_MEDIUMS = new Set(['email', 'e-mail', 'newsletter', 'sms']);
+const SOCIAL_HOSTS = /(^|\.)(facebook|fb|instagram|t|twitter|x|pinterest|tiktok|linkedin|reddit|youtube|snapchat)\.(com|co|me)$|(^|\.)lnkd\.in$/;
+const SEARCH_HOSTS = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia)\./;
+
+// Lowercase, dash-joined value safe for a segment key
+function toSegmentValue(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function hostOf(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  try {
+    return new URL(raw.includes('://') ? raw : `https://${raw}`).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function deviceFromUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return null;
+  if (/ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i.test(ua)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+// ─── Signals ─────────────────────────────────────────────────────────────────
+
+/**
+ * parseSegmentSignals(searchParams, headers)
+ *
+ * Storefront params: `visitor` (new | returning), `device`, `utmSource`,
+ * `utmMedium`, `ref` (external referrer, sent empty for direct visits),
+ * `loggedIn` (1 | 0), `tags` (comma list), `orders`, `cartValue` (buyer
+ * currency). The legacy `segment` param from the widget snippet fills in the
+ * visitor type when `visitor` is missing. The device falls back to the
+ * forwarded User-Agent. Signals a caller did not send stay null.
+ */
+export function parseSegmentSignals(searchParams, headers = null) {
+  const get = (key) => (searchParams ? searchParams.get(key) : null);
+  const legacySegment = String(get('segment') || '').trim().toLowerCase();
+
+  let visitor = String(get('visitor') || '').trim().toLowerCase();
+  if (visitor !== 'new' && visitor !== 'returning') {
+    visitor = ['returning', 'high_ltv', 'subscription'].includes(legacySegment) ? 'returning' : null;
+  }
+
+  let device = String(get('device') || '').trim().toLowerCase();
+  if (!['mobile', 'tablet', 'desktop'].includes(device)) {
+    device = deviceFromUserAgent(headers?.get ? headers.get('user-agent') : null);
+  }
+
+  const loggedInParam = get('loggedIn');
+  const loggedIn = loggedInParam == null ? null : loggedInParam === '1' || loggedInParam === 'true';
+  const customerTags = String(get('tags') || '')
+    .split(',')
+    .map(toSegmentValue)
+    .filter(Boolean);
+
+  return {
+    visitor,
+    device,
+    utmSource: toSegmentValue(get('utmSource')) || null,
+    utmMedium: toSegmentValue(get('utmMedium')) || null,
+    referrer: hostOf(get('ref')),
+    hasTrafficSource: Boolean(searchParams?.has('ref') || get('utmSource') || get('utmMedium')),
+    loggedIn,
+    customerTags: [...new Set(customerTags)].slice(0, MAX_TAG_SEGMENTS),
+    orderCount: loggedIn ? toNumber(get('orders')) : null,
+    cartValue: toNumber(get('cartValue'))
+  };
+}
+
+function classifySource({ utmSource, utmMedium, referrer }) {
+  if (utmMedium && PAID_MEDIUMS.has(utmMedium)) return 'paid';
+  if ((utmMedium && EMAIL_MEDIUMS.has(utmMedium)) || /klaviyo|mailchimp|omnisend|newsletter/.test(utmSource || '')) return 'email';
+  if (utmMedium === 'social' || /facebook|instagram|tiktok|pinterest|twitter|youtube/.test(utmSource || '')) return 'social';
+  if (referrer && SOCIAL_HOSTS.test(referrer)) return 'social';
+  if (referrer && SEARCH_HOSTS.test(referrer)) return 'search';
+  if (referrer) return 'referral';
+  return utmSource ? 'referral' : 'direct';
+}
+
+function classifyCart(cartValue, cartBands) {
+  if (cartValue == null) return null;
+  if (cartValue <= 0) return 'empty';
+  const [low, high] = Array.isArray(cartBands) && cartBands.length === 2 ? cartBands : DEFAULT_CONFIG.segmentation.cartBands;
+  if (cartValue < low) return 'low';
+  if (cartValue < high) return 'mid';
+  return 'high';
+}
+
+/**
+ * resolveSegments(signals, { cartBands })
+ *
+ * Returns segment keys in dimension order. Dimensions without a signal are
+ * left out rather than guessed (no `cart:*` when the cart value is unknown).
+ */
+export function resolveSegments(signals = {}, { cartBands = DEFAULT_CONFIG.segmentation.cartBands } = {}) {
+  const segments = [];
+  if (signals.visitor) segments.push(`visitor:${signals.visitor}`);
+
+  const cart = classifyCart(signals.cartValue, cartBands);
+  if (cart) segments.push(`cart:${cart}`);
+
+  if (signals.device) segments.push(`device:${signals.device}`);
+
+  if (signals.hasTrafficSource) segments.push(`source:${classifySource(signals)}`);
+  if (signals.utmSource) segments.push(`utm:${signals.utmSource}`);
+
+  if (signals.loggedIn != null) segments.push(signals.loggedIn ? 'customer:logged_in' : 'customer:guest');
+  for (const tag of signals.customerTags || []) segments.push(`tag:${tag}`);
+
+  if (signals.orderCount != null) {
+    segments.push(signals.orderCount <= 0 ? 'purchases:none' : signals.orderCount === 1 ? 'purchases:one' : 'purchases:repeat');
+  }
+
+  return segments;
+}
+
+// ─── Overrides ───────────────────────────────────────────────────────────────
+
+export function matchSegmentOverrides(config, segments = []) {
+  const overrides = Array.isArray(config?.segmentation?.overrides) ? config.segmentation.overrides : [];
+  if (overrides.length === 0 || !Array.isArray(segments) || segments.length === 0) return [];
+  const visitorSegments = new Set(segments);
+  return overrides.filter((o) => o && visitorSegments.has(o.segment));
+}
+
+/**
+ * applySegmentOverrides(config, segments)
+ *
+ * Returns a config with the visitor's goal / discount cap overrides merged in,
+ * plus `segments` and `segmentOverrides` (the segments whose override was
+ * used) for decision meta.
+ */
+export function applySegmentOverrides(config, segments = []) {
+  if (!config) return config;
+  const list = Array.isArray(segments) ? segments : [];
+  const matched = matchSegmentOverrides(config, list);
+  const next = { ...config, segments: list, segmentOverrides: [] };
+  if (matched.length === 0) return next;
+
+  const goalOverride = matched.find((o) => o.goal && GOAL_MAPPING[o.goal]);
+  if (goalOverride) {
+    next.goal = goalOverride.goal;
+    next.goalConfig = GOAL_MAPPING[goalOverride.goal];
+  }
+
+  const capOverride = matched.find((o) => o.maxDiscountCap != null && Number.isFinite(Number(o.maxDiscountCap)));
+  if (capOverride) {
+    const shopCap = Number(config.guardrails?.maxDiscountCap);
+    const cap = Math.max(0, Number(capOverride.maxDiscountCap));
+    next.guardrails = {
+      ...(config.guardrails || {}),
+      maxDiscountCap: Number.isFinite(shopCap) ? Math.min(cap, shopCap) : cap
+    };
+  }
+
+  next.segmentOverrides = [...new Set([goalOverride, capOverride].filter(Boolean).map((o) => o.segment))];
+  return next;
+}
+
+// ─── Request entry point ─────────────────────────────────────────────────────
+
+function rememberSegments(shopId, userId, segments) {
+  if (!shopId || !userId) return;
+  const key = `${shopId}:${userId}`;
+  _visitorSegments.delete(key);
+  _visitorSegments.set(key, { segments, expiresAt: Date.now() + VISITOR_SEGMENT_TTL_MS });
+  if (_visitorSegments.size > VISITOR_SEGMENT_MAX) {
+    _visitorSegments.delete(_visitorSegments.keys().next().value);
+  }
+}
+
+export function getVisitorSegments(shopId, userId) {
+  if (!shopId || !userId) return null;
+  const entry = _visitorSegments.get(`${shopId}:${userId}`);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    _visitorSegments.delete(`${shopId}:${userId}`);
+    return null;
+  }
+  return entry.segments;
+}
+
+/**
+ * resolveRequestSegments(shopId, searchParams, headers, { rate, cartValue, userId })
+ *
+ * `cartValue` (shop currency) takes precedence over the storefront's
+ * `cartValue` param, which is in the buyer's currency and divided by `rate`.
+ * `overridden` is true when a merchant override applies — such visitors must
+ * bypass shared response caches. `goal` is the overriding goal, if any.
+ * Never throws.
+ */
+export async function resolveRequestSegments(shopId, searchParams, headers = null, { rate = null, cartValue = null, userId = null } = {}) {
+  try {
+    const signals = parseSegmentSignals(searchParams, headers);
+    if (cartValue != null) {
+      signals.cartValue = cartValue;
+    } else if (signals.cartValue != null && rate > 0) {
+      signals.cartValue = signals.cartValue / rate;
+    }
+
+    const config = await getMerchantConfig(shopId).catch(() => null);
+    const segments = resolveSegments(signals, { cartBands: config?.segmentation?.cartBands });
+    rememberSegments(shopId, userId, segments);
+
+    const applied = applySegmentOverrides(config, segments);
+    return {
+      segments,
+      overridden: Boolean(applied?.segmentOverrides?.length),
+      goal: applied && applied.goal !== config?.goal ? applied.goal : null
+    };
+  } catch (err) {
+    console.warn('⚠️ Segment resolution failed:', err.message);
+    return { segments: [], overridden: false, goal: null };
+  }
+}
+
+export const segmentation = {
+  parseSegmentSignals,
+  resolveSegments,
+  matchSegmentOverrides,
+  applySegmentOverrides,
+  resolveRequestSegments,
+  getVisitorSegments
+};
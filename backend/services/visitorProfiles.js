@@ -0,0 +1,477 @@
+/**
+ * Visitor Profiles — durable per-visitor state shared by every app instance
+ *
+ * Provides:
+ *   - getVisitorProfile(shopId, visitorId)               — profile document (backfilled on first read)
+ *   - getSessionOfferUsage(profile, contextKey)          — { used, context } offers shown this session
+ *   - chargeSessionOffers(shopId, visitorId, key, n)     — charge the session budget once per context
+ *   - recordProductTime(shopId, visitorId, event)        — time on a product page (+ category affinity)
+ *   - recordCartSnapshot(shopId, visitorId, event)       — latest cart + cart product counts
+ *   - recordVisitorEvent(shopId, visitorId, event)       — upsell view / click / cart_add counters,
+ *                                                          per-offer impressions and daily offer counts
+ *   - recordLastDecision(shopId, visitorId, placement, decision)
+ *   - getInterestProfile(profile) / getCartHistory(profile) / getSeenProducts(profile)
+ *   - clearVisitorProfiles(shopId, visitorId?)           — drop profiles (replay harness, data requests)
+ *
+ * One document per (shopId, visitorId) in `visitor_profiles`, where the
+ * visitor id is the storefront `userId`. The time and analytics proxy routes
+ * update it incrementally; the recommendation engine reads it instead of
+ * in-memory counters, so `sessionOfferLimit` holds across restarts and
+ * horizontally scaled servers. Profiles expire 90 days after the last update.
+ *
+ * A visitor whose profile predates this store (or has none yet) is backfilled
+ * once from product_time_events, cart_time_events and upsell_events.
+ *
+ * `impressions.<productId>` keeps the latest view times and the last click /
+ * cart add per upsell product, and `dailyOffers.<YYYY-MM-DD>` (UTC) counts
+ * offer views per day — the inputs to the fatigue rules in fatigue.js.
+ */
+
+import { getDb, collections } from '../database/mongodb.js';
+
+export const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const HISTORY_DAYS = 30;
+const PROFILE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Per-map size caps — the oldest entries are dropped past these
+const MAX_PRODUCTS = 100;
+const MAX_CART_PRODUCTS = 100;
+const MAX_CATEGORIES = 50;
+const MAX_SEEN_PRODUCTS = 100;
+const MAX_SESSION_CONTEXTS = 50;
+const MAX_IMPRESSION_PRODUCTS = 200;
+const MAX_VIEWS_PER_PRODUCT = 20;
+const MAX_DAILY_ENTRIES = 7;
+
+const ENGAGEMENT_EVENTS = new Set(['click', 'cart_add']);
+
+const HISTORY_MS = HISTORY_DAYS * 24 * 60 * 60 * 1000;
+
+// In-flight backfills, so parallel reads for one visitor backfill once
+const pendingBackfills = new Map();
+
+// Mongo field names cannot contain '.' or start with '$'
+function fieldKey(value) {
+  return String(value).replace(/[.$]/g, '_');
+}
+
+function categoryKey(productType) {
+  const slug = String(productType || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || null;
+}
+
+export function dayKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function touch(now = new Date()) {
+  return { updatedAt: now, expiresAt: new Date(now.getTime() + PROFILE_TTL_MS) };
+}
+
+async function getCollection() {
+  const db = await getDb();
+  return db.collection(collections.visitorProfiles);
+}
+
+async function updateProfile(shopId, visitorId, update) {
+  const col = await getCollection();
+  const now = new Date();
+  return col.findOneAndUpdate(
+    { shopId, visitorId },
+    {
+      ...update,
+      $set: { ...(update.$set || {}), ...touch(now) },
+      $setOnInsert: { firstSeenAt: now }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Unset the lowest-ranked entries of a profile map once it grows past `max`.
+ * `rankOf(entry, key)` returns a number or date; higher ranks are kept.
+ */
+async function pruneMap(profile, field, max, rankOf) {
+  const entries = Object.entries(profile?.[field] || {});
+  if (entries.length <= max) return;
+  const rank = ([key, entry]) => {
+    const value = rankOf(entry, key);
+    return Number(value instanceof Date ? value.getTime() : value) || 0;
+  };
+  const stale = entries
+    .sort((a, b) => rank(b) - rank(a))
+    .slice(max)
+    .map(([key]) => key);
+  const col = await getCollection();
+  await col.updateOne(
+    { _id: profile._id },
+    { $unset: Object.fromEntries(stale.map((key) => [`${field}.${key}`, ''])) }
+  );
+}
+
+// ─── Backfill ────────────────────────────────────────────────────────────────
+
+async function backfillProfile(shopId, visitorId) {
+  const db = await getDb();
+  const since = new Date(Date.now() - HISTORY_MS);
+  const seenSince = new Date(Date.now() - SESSION_TTL_MS);
+
+  const today = new Date(`${dayKey()}T00:00:00.000Z`);
+
+  const [productRows, cartRows, seenRows, impressionRows] = await Promise.all([
+    db.collection(collections.productTimeEvents).aggregate([
+      { $match: { userId: visitorId, shop: shopId, recordedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$productId',
+          title: { $first: '$productTitle' },
+          seconds: { $sum: '$timeSpentSeconds' },
+          views: { $sum: 1 },
+          lastAt: { $max: '$recordedAt' }
+        }
+      },
+      { $sort: { seconds: -1 } },
+      { $limit: MAX_PRODUCTS }
+    ]).toArray(),
+    db.collection(collections.cartTimeEvents).aggregate([
+      { $match: { userId: visitorId, shop: shopId, cartProductIds: { $exists: true, $ne: [] }, recordedAt: { $gte: since } } },
+      { $unwind: '$cartProductIds' },
+      { $group: { _id: '$cartProductIds', count: { $sum: 1 }, lastAt: { $max: '$recordedAt' } } },
+      { $sort: { count: -1 } },
+      { $limit: MAX_CART_PRODUCTS }
+    ]).toArray(),
+    db.collection(collections.upsellEvents).aggregate([
+      { $match: { shopId, sessionId: visitorId, eventType: 'view', timestamp: { $gte: seenSince } } },
+      { $group: { _id: '$upsellProductId', lastAt: { $max: '$timestamp' } } },
+      { $limit: MAX_SEEN_PRODUCTS }
+    ]).toArray(),
+    db.collection(collections.upsellEvents).aggregate([
+      { $match: { shopId, sessionId: visitorId, eventType: { $in: ['view', ...ENGAGEMENT_EVENTS] }, timestamp: { $gte: since } } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: '$upsellProductId',
+          events: { $push: { type: '$eventType', at: '$timestamp' } },
+          lastAt: { $max: '$timestamp' }
+        }
+      },
+      { $sort: { lastAt: -1 } },
+      { $limit: MAX_IMPRESSION_PRODUCTS }
+    ]).toArray()
+  ]);
+
+  const set = { backfilledAt: new Date() };
+  for (const row of productRows) {
+    if (row._id == null) continue;
+    set[`products.${fieldKey(row._id)}`] = {
+      title: row.title || null,
+      seconds: row.seconds || 0,
+      views: row.views || 0,
+      lastAt: row.lastAt
+    };
+  }
+  for (const row of cartRows) {
+    if (row._id == null) continue;
+    set[`cartProducts.${fieldKey(row._id)}`] = { count: row.count, lastAt: row.lastAt };
+  }
+  for (const row of seenRows) {
+    if (row._id == null) continue;
+    set[`seenProducts.${fieldKey(row._id)}`] = row.lastAt;
+  }
+  let viewsToday = 0;
+  for (const row of impressionRows) {
+    if (row._id == null) continue;
+    const views = row.events.filter((e) => e.type === 'view').map((e) => e.at);
+    const clicks = row.events.filter((e) => e.type !== 'view').map((e) => e.at);
+    set[`impressions.${fieldKey(row._id)}`] = {
+      views: views.slice(-MAX_VIEWS_PER_PRODUCT),
+      clickedAt: clicks.length > 0 ? clicks[clicks.length - 1] : null
+    };
+    viewsToday += views.filter((at) => at >= today).length;
+  }
+  if (viewsToday > 0) set[`dailyOffers.${dayKey()}`] = viewsToday;
+
+  if (productRows.length > 0) {
+    const products = await db.collection(collections.products)
+      .find(
+        { shopId, productId: { $in: productRows.flatMap((r) => [String(r._id), Number(r._id)]) } },
+        { projection: { productId: 1, productType: 1 } }
+      )
+      .toArray();
+    const typeById = new Map(products.map((p) => [String(p.productId), p.productType]));
+    for (const row of productRows) {
+      const category = categoryKey(typeById.get(String(row._id)));
+      if (!category) continue;
+      const path = `categories.${fieldKey(category)}`;
+      set[path] = (set[path] || 0) + (row.seconds || 0);
+    }
+  }
+
+  // $set overwrites with the aggregate totals, so events recorded incrementally
+  // before the backfill are not double counted
+  return updateProfile(shopId, visitorId, { $set: set });
+}
+
+// ─── Reads ───────────────────────────────────────────────────────────────────
+
+/**
+ * getVisitorProfile(shopId, visitorId)
+ *
+ * Returns the visitor's profile, or null without a visitor id. The first read
+ * for a visitor backfills it from the raw event collections.
+ */
+export async function getVisitorProfile(shopId, visitorId) {
+  if (!shopId || !visitorId) return null;
+  const col = await getCollection();
+  const profile = await col.findOne({ shopId, visitorId: String(visitorId) });
+  if (profile?.backfilledAt) return profile;
+
+  const key = `${shopId}:${visitorId}`;
+  if (!pendingBackfills.has(key)) {
+    pendingBackfills.set(
+      key,
+      backfillProfile(shopId, String(visitorId)).finally(() => pendingBackfills.delete(key))
+    );
+  }
+  return pendingBackfills.get(key);
+}
+
+/**
+ * getSessionOfferUsage(profile, contextKey)
+ *
+ * `used` — offers charged across all contexts in the last 30 minutes;
+ * `context` — offers charged for this context (non-zero on a page refresh).
+ */
+export function getSessionOfferUsage(profile, contextKey = 'session') {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  let used = 0;
+  let context = 0;
+  for (const [key, entry] of Object.entries(profile?.sessionOffers || {})) {
+    if (!entry?.at || new Date(entry.at).getTime() < cutoff) continue;
+    used += entry.count || 0;
+    if (key === fieldKey(contextKey)) context = entry.count || 0;
+  }
+  return { used, context };
+}
+
+/**
+ * getInterestProfile(profile)
+ *
+ * Top 5 products by time spent, viewed in the last 30 days:
+ * [{ productId, productTitle, totalTimeSeconds }]
+ */
+export function getInterestProfile(profile) {
+  const cutoff = Date.now() - HISTORY_MS;
+  return Object.entries(profile?.products || {})
+    .filter(([, p]) => p?.lastAt && new Date(p.lastAt).getTime() >= cutoff)
+    .sort((a, b) => (b[1].seconds || 0) - (a[1].seconds || 0))
+    .slice(0, 5)
+    .map(([productId, p]) => ({ productId, productTitle: p.title || null, totalTimeSeconds: p.seconds || 0 }));
+}
+
+/**
+ * getCartHistory(profile)
+ *
+ * Top 8 products most often in the visitor's cart in the last 30 days:
+ * [{ productId, count }]
+ */
+export function getCartHistory(profile) {
+  const cutoff = Date.now() - HISTORY_MS;
+  return Object.entries(profile?.cartProducts || {})
+    .filter(([, p]) => p?.lastAt && new Date(p.lastAt).getTime() >= cutoff)
+    .sort((a, b) => (b[1].count || 0) - (a[1].count || 0))
+    .slice(0, 8)
+    .map(([productId, p]) => ({ productId, count: p.count || 0 }));
+}
+
+/**
+ * getSeenProducts(profile)
+ *
+ * Set of upsell product ids viewed in the last 30 minutes.
+ */
+export function getSeenProducts(profile) {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  return new Set(
+    Object.entries(profile?.seenProducts || {})
+      .filter(([, at]) => at && new Date(at).getTime() >= cutoff)
+      .map(([productId]) => productId)
+  );
+}
+
+// ─── Writes ──────────────────────────────────────────────────────────────────
+
+/**
+ * chargeSessionOffers(shopId, visitorId, contextKey, count)
+ *
+ * Charges `count` offers against the session budget unless this context was
+ * already charged in the last 30 minutes (repeat views are free). The check
+ * and the write are one conditional update, so concurrent requests on
+ * different servers charge a context once.
+ */
+export async function chargeSessionOffers(shopId, visitorId, contextKey, count) {
+  if (!shopId || !visitorId || !(count > 0)) return false;
+  const col = await getCollection();
+  const now = new Date();
+  const path = `sessionOffers.${fieldKey(contextKey)}`;
+  try {
+    const result = await col.updateOne(
+      {
+        shopId,
+        visitorId: String(visitorId),
+        [`${path}.at`]: { $not: { $gte: new Date(now.getTime() - SESSION_TTL_MS) } }
+      },
+      {
+        $set: { [path]: { count, at: now }, ...touch(now) },
+        $setOnInsert: { firstSeenAt: now }
+      },
+      { upsert: true }
+    );
+    if (result.modifiedCount > 0) {
+      const profile = await col.findOne({ shopId, visitorId: String(visitorId) }, { projection: { sessionOffers: 1 } });
+      await pruneMap(profile, 'sessionOffers', MAX_SESSION_CONTEXTS, (entry) => entry?.at);
+    }
+    return result.modifiedCount > 0 || result.upsertedCount > 0;
+  } catch (err) {
+    // Duplicate key: the profile exists and this context is already charged
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * recordProductTime(shopId, visitorId, { productId, productTitle, seconds })
+ */
+export async function recordProductTime(shopId, visitorId, { productId, productTitle = null, seconds = 0 }) {
+  if (!shopId || !visitorId || productId == null) return null;
+  const db = await getDb();
+  const now = new Date();
+  const key = fieldKey(productId);
+
+  const product = await db.collection(collections.products).findOne(
+    { shopId, productId: { $in: [String(productId), Number(productId)] } },
+    { projection: { productType: 1 } }
+  );
+  const category = categoryKey(product?.productType);
+
+  const profile = await updateProfile(shopId, String(visitorId), {
+    $set: {
+      [`products.${key}.lastAt`]: now,
+      ...(productTitle ? { [`products.${key}.title`]: productTitle } : {})
+    },
+    $inc: {
+      [`products.${key}.seconds`]: seconds,
+      [`products.${key}.views`]: 1,
+      ...(category ? { [`categories.${fieldKey(category)}`]: seconds } : {})
+    }
+  });
+
+  await pruneMap(profile, 'products', MAX_PRODUCTS, (p) => p?.lastAt);
+  await pruneMap(profile, 'categories', MAX_CATEGORIES, (seconds) => seconds);
+  return profile;
+}
+
+/**
+ * recordCartSnapshot(shopId, visitorId, { cartProductIds, cartItemCount, cartTotalPrice })
+ */
+export async function recordCartSnapshot(shopId, visitorId, { cartProductIds = [], cartItemCount = null, cartTotalPrice = null }) {
+  if (!shopId || !visitorId) return null;
+  const now = new Date();
+  const ids = [...new Set((cartProductIds || []).map(String))];
+
+  const profile = await updateProfile(shopId, String(visitorId), {
+    $set: {
+      cart: { productIds: ids, itemCount: cartItemCount, totalPrice: cartTotalPrice, at: now },
+      ...Object.fromEntries(ids.map((id) => [`cartProducts.${fieldKey(id)}.lastAt`, now]))
+    },
+    ...(ids.length > 0
+      ? { $inc: Object.fromEntries(ids.map((id) => [`cartProducts.${fieldKey(id)}.count`, 1])) }
+      : {})
+  });
+
+  await pruneMap(profile, 'cartProducts', MAX_CART_PRODUCTS, (p) => p?.lastAt);
+  return profile;
+}
+
+/**
+ * recordVisitorEvent(shopId, visitorId, { eventType, upsellProductId })
+ *
+ * Counts upsell events per type. A view marks the product as seen, adds an
+ * impression and counts towards today's offers; a click or cart add records
+ * engagement with the offer.
+ */
+export async function recordVisitorEvent(shopId, visitorId, { eventType, upsellProductId = null }) {
+  if (!shopId || !visitorId || !eventType) return null;
+  const now = new Date();
+  const key = upsellProductId != null ? fieldKey(upsellProductId) : null;
+  const seen = eventType === 'view' && key != null;
+  const engaged = ENGAGEMENT_EVENTS.has(eventType) && key != null;
+
+  const update = {
+    $set: {
+      ...(seen ? { [`seenProducts.${key}`]: now } : {}),
+      ...(engaged ? { [`impressions.${key}.clickedAt`]: now } : {})
+    },
+    $inc: {
+      [`events.${fieldKey(eventType)}`]: 1,
+      ...(seen ? { [`dailyOffers.${dayKey(now)}`]: 1 } : {})
+    }
+  };
+  if (seen) {
+    update.$push = { [`impressions.${key}.views`]: { $each: [now], $slice: -MAX_VIEWS_PER_PRODUCT } };
+  }
+
+  const profile = await updateProfile(shopId, String(visitorId), update);
+
+  if (seen) {
+    await pruneMap(profile, 'seenProducts', MAX_SEEN_PRODUCTS, (at) => at);
+    await pruneMap(profile, 'impressions', MAX_IMPRESSION_PRODUCTS, (entry) => entry?.views?.[entry.views.length - 1]);
+    await pruneMap(profile, 'dailyOffers', MAX_DAILY_ENTRIES, (count, day) => Date.parse(day));
+  }
+  return profile;
+}
+
+/**
+ * recordLastDecision(shopId, visitorId, placement, decision)
+ *
+ * Keeps the most recent served decision per placement (offer ids and engine),
+ * live or from the response cache.
+ */
+export async function recordLastDecision(shopId, visitorId, placement, decision) {
+  if (!shopId || !visitorId || !placement) return null;
+  return updateProfile(shopId, String(visitorId), {
+    $set: {
+      [`lastDecisions.${fieldKey(placement)}`]: {
+        offers: (decision?.offers || []).map((o) => String(o.productId ?? o.id)),
+        engineVersion: decision?.meta?.engine?.version || null,
+        status: decision?.meta?.status || decision?.meta?.reason || null,
+        at: new Date()
+      }
+    }
+  });
+}
+
+/**
+ * clearVisitorProfiles(shopId, visitorId = null)
+ *
+ * Deletes one visitor's profile, or every profile of the shop.
+ */
+export async function clearVisitorProfiles(shopId, visitorId = null) {
+  if (!shopId) return 0;
+  const col = await getCollection();
+  const result = await col.deleteMany(visitorId ? { shopId, visitorId: String(visitorId) } : { shopId });
+  return result.deletedCount;
+}
+
+export const visitorProfiles = {
+  getVisitorProfile,
+  getSessionOfferUsage,
+  chargeSessionOffers,
+  recordProductTime,
+  recordCartSnapshot,
+  recordVisitorEvent,
+  recordLastDecision,
+  getInterestProfile,
+  getCartHistory,
+  getSeenProducts,
+  clearVisitorProfiles
+};
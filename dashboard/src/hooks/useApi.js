@@ -10,6 +10,44 @@ export function getShop() {
   return localStorage.getItem('upsell_shop') || import.meta.env.VITE_SHOP_DOMAIN || '';
 }
 
+// Session token handed over by the Shopify admin in the URL fragment
+// (#session=…). Kept for this tab only and removed from the address bar.
+export function getSession() {
+  const hash = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const token = hash.get('session');
+  if (token) {
+    sessionStorage.setItem('upsell_session', token);
+    hash.delete('session');
+    const rest = hash.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${rest ? `#${rest}` : ''}`);
+    return token;
+  }
+  return sessionStorage.getItem('upsell_session') || '';
+}
+
+// Headless use: an API key saved in Settings
+export function getApiKey() {
+  return localStorage.getItem('upsell_api_key') || '';
+}
+
+export function authHeaders() {
+  const credential = getSession() || getApiKey();
+  return credential ? { Authorization: `Bearer ${credential}` } : {};
+}
+
+export function apiFetch(path, options = {}, baseUrl = API_URL) {
+  return fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { ...authHeaders(), ...(options.headers || {}) },
+  });
+}
+
+function describeStatus(status) {
+  if (status === 401) return 'Not signed in. Open the dashboard from the Shopify admin, or add an API key in Settings.';
+  if (status === 403) return 'This session or API key does not have access to this shop.';
+  return `HTTP ${status}`;
+}
+
 export function useApi(resource) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -24,9 +62,9 @@ export function useApi(resource) {
     }
     setLoading(true);
     setError(null);
-    fetch(`${API_URL}/api/dashboard/${resource}?shop=${shop}`)
+    apiFetch(`/api/dashboard/${resource}?shop=${encodeURIComponent(shop)}`)
       .then(r => {
-        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        if (!r.ok) throw new Error(describeStatus(r.status));
         return r.json();
       })
       .then(d => { setData(d); setLoading(false); })
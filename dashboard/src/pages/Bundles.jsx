@@ -1,6 +1,14 @@
 import { useApi } from '../hooks/useApi';
 import { s, PageHeader, Card, StatCard, Badge, Loader, ErrorBox } from '../components/ui';
 
+const STATUS_BADGES = {
+  active: 'success',
+  pending_approval: 'warning',
+  paused: 'danger',
+  draft: 'info',
+  retired: 'default',
+};
+
 export default function Bundles() {
   const { data, loading, error } = useApi('bundles');
 
@@ -8,7 +16,7 @@ export default function Bundles() {
   if (error) return <ErrorBox message={error} />;
 
   const { bundles } = data;
-  const activeCount = bundles.filter(b => b.active !== false).length;
+  const activeCount = bundles.filter(b => b.status === 'active').length;
   const totalViews = bundles.reduce((s, b) => s + (b.analytics?.views || b.views || 0), 0);
   const totalConversions = bundles.reduce((s, b) => s + (b.analytics?.conversions || b.conversions || 0), 0);
 
@@ -36,8 +44,8 @@ export default function Bundles() {
                 }}>
                   <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '8px' }}>
                     <strong style={{ fontSize: '14px', color: '#1a1a2e' }}>{b.name || `Bundle #${i + 1}`}</strong>
-                    <Badge type={b.active !== false ? 'success' : 'default'}>
-                      {b.active !== false ? 'Active' : 'Inactive'}
+                    <Badge type={STATUS_BADGES[b.status] || 'default'}>
+                      {(b.status || 'active').replace('_', ' ')}
                     </Badge>
                   </div>
                   {b.displayNames?.length > 0 && (
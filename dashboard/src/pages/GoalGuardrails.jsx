@@ -1,15 +1,12 @@
 import { useState, useEffect } from 'react'
-import { API_URL } from '../config'
-import { getShop } from '../hooks/useApi'
-
-const API_BASE = API_URL
-const API_KEY = import.meta.env.VITE_DASHBOARD_API_KEY || ''
+import { getShop, apiFetch } from '../hooks/useApi'
 
 const GOALS = [
   { value: 'increase_aov', label: 'Increase AOV', desc: 'Maximise average order value through bundles and add-ons.' },
   { value: 'revenue_per_visitor', label: 'Revenue per Visitor', desc: 'Convert more visitors into buyers with targeted offers.' },
   { value: 'subscription_adoption', label: 'Subscription Adoption', desc: 'Grow recurring revenue by promoting subscription upgrades.' },
   { value: 'inventory_movement', label: 'Inventory Movement', desc: 'Clear slow-moving stock with intelligent discounting.' },
+  { value: 'maximize_profit', label: 'Maximize Profit', desc: 'Favour high-margin products and keep discounts above your cost.' },
 ]
 
 const RISKS = [
@@ -41,6 +38,7 @@ export default function GoalGuardrails() {
   const [maxDiscountCap, setMaxDiscountCap] = useState(20)
   const [inventoryMin, setInventoryMin] = useState(0)
   const [sessionLimit, setSessionLimit] = useState(4)
+  const [marginFloor, setMarginFloor] = useState(0)
   const [premiumSkuProtection, setPremiumSkuProtection] = useState(false)
   const [subscriptionProtection, setSubscriptionProtection] = useState(false)
   const [excludedProducts, setExcludedProducts] = useState('')
@@ -49,9 +47,7 @@ export default function GoalGuardrails() {
 
   useEffect(() => {
     if (!shop) { setLoading(false); return }
-    fetch(`${API_BASE}/api/dashboard/goal-guardrails?shop=${encodeURIComponent(shop)}`, {
-      headers: API_KEY ? { 'X-Dashboard-Key': API_KEY } : {},
-    })
+    apiFetch(`/api/dashboard/goal-guardrails?shop=${encodeURIComponent(shop)}`)
       .then(async r => {
         const text = await r.text()
         if (!text) throw new Error(`Server returned empty response (HTTP ${r.status})`)
@@ -66,6 +62,7 @@ export default function GoalGuardrails() {
         setMaxDiscountCap(g.maxDiscountCap ?? 20)
         setInventoryMin(g.inventoryMinThreshold ?? 0)
         setSessionLimit(g.sessionOfferLimit ?? 4)
+        setMarginFloor(g.minMarginPercent ?? 0)
         setPremiumSkuProtection(!!g.premiumSkuProtection)
         setSubscriptionProtection(!!g.subscriptionProtection)
         setExcludedProducts(buildListText(g.excludedProductIds, g.excludedProductHandles))
@@ -83,12 +80,9 @@ export default function GoalGuardrails() {
     setSaving(true)
 
     try {
-      const res = await fetch(`${API_BASE}/api/dashboard/goal-guardrails?shop=${encodeURIComponent(shop)}`, {
+      const res = await apiFetch(`/api/dashboard/goal-guardrails?shop=${encodeURIComponent(shop)}`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(API_KEY ? { 'X-Dashboard-Key': API_KEY } : {}),
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           goal: selectedGoal,
           riskTolerance: selectedRisk,
@@ -97,6 +91,7 @@ export default function GoalGuardrails() {
             maxDiscountCap,
             inventoryMinThreshold: inventoryMin,
             sessionOfferLimit: sessionLimit,
+            minMarginPercent: marginFloor,
             premiumSkuProtection,
             subscriptionProtection,
             excludedProductsRaw: excludedProducts,
@@ -233,6 +228,16 @@ export default function GoalGuardrails() {
           helpText="Maximum number of offers shown to a customer in a single session. Range: 1–10."
         />
 
+        <SliderField
+          label="Margin Floor"
+          value={marginFloor}
+          unit="%"
+          min={0}
+          max={90}
+          onChange={setMarginFloor}
+          helpText="Never show an offer whose margin after discount falls below this %. Products without a unit cost are not blocked. 0 disables."
+        />
+
         <hr style={s.divider} />
 
         <CheckboxField
@@ -29,6 +29,8 @@ export default function Guardrails() {
   if (error) return <ErrorBox message={error} />;
 
   const g = data.guardrails;
+  const f = data.fatigue || {};
+  const fatigueEvents = data.fatigueEvents7d || {};
 
   return (
     <div>
@@ -80,6 +82,28 @@ export default function Guardrails() {
         </Card>
       </div>
 
+      <div style={{ marginTop: '20px' }}>
+        <Card title="Offer Fatigue">
+          <GuardrailRow
+            label="Impressions Without Click"
+            value={f.maxImpressionsWithoutClick > 0 ? `${f.maxImpressionsWithoutClick} views → ${f.suppressDays} days off` : 'Off'}
+            description="Hide an upsell from a shopper after repeated views with no click or add to cart, on every placement."
+            highlight={f.maxImpressionsWithoutClick > 0}
+          />
+          <GuardrailRow
+            label="Max Offers Per Day"
+            value={f.maxOffersPerDay > 0 ? `${f.maxOffersPerDay} offers` : 'Off'}
+            description="Maximum upsell offers one shopper sees per day across all placements."
+            highlight={f.maxOffersPerDay > 0}
+          />
+          <GuardrailRow
+            label="Triggered (7 days)"
+            value={`${fatigueEvents.offer_fatigue || 0} fatigued · ${fatigueEvents.daily_offer_cap || 0} capped`}
+            description="Decisions where fatigued products were held back or the daily cap blocked offers."
+          />
+        </Card>
+      </div>
+
       {g.premiumSkuProtection?.length > 0 && (
         <div style={{ marginTop: '20px' }}>
           <Card title="Protected SKUs">
@@ -1,11 +1,20 @@
 import { useState, useEffect } from 'react';
-import { getShop } from '../hooks/useApi';
+import { getShop, getSession, getApiKey, apiFetch } from '../hooks/useApi';
 import { API_URL } from '../config';
 import { s, PageHeader, Card, StatCard, Badge } from '../components/ui';
 
+const inputStyle = {
+  width: '100%', padding: '8px 12px', borderRadius: '6px',
+  border: '1px solid #d1d5db', fontSize: '14px', outline: 'none',
+  boxSizing: 'border-box',
+};
+
+const labelStyle = { display: 'block', fontSize: '13px', fontWeight: '600', color: '#374151', marginBottom: '6px' };
+
 export default function Settings() {
   const [shop, setShop] = useState(getShop());
   const [apiUrl, setApiUrl] = useState(localStorage.getItem('upsell_api_url') || API_URL);
+  const [apiKey, setApiKey] = useState(getApiKey());
   const [saved, setSaved] = useState(false);
   const [health, setHealth] = useState(null);
   const [healthLoading, setHealthLoading] = useState(false);
@@ -17,6 +26,8 @@ export default function Settings() {
   function save() {
     if (shop.trim()) localStorage.setItem('upsell_shop', shop.trim());
     if (apiUrl.trim()) localStorage.setItem('upsell_api_url', apiUrl.trim());
+    if (apiKey.trim()) localStorage.setItem('upsell_api_key', apiKey.trim());
+    else localStorage.removeItem('upsell_api_key');
     setSaved(true);
     setTimeout(() => setSaved(false), 2000);
   }
@@ -24,21 +35,15 @@ export default function Settings() {
   async function fetchHealth() {
     setHealthLoading(true);
     try {
-      const r = await fetch(`${apiUrl}/api/dashboard/settings?shop=${shop}`);
+      const r = await apiFetch(`/api/dashboard/settings?shop=${encodeURIComponent(shop)}`, {}, apiUrl);
       const d = await r.json();
-      setHealth(d);
+      setHealth(r.status === 401 ? { error: 'Not signed in — open from Shopify admin or add an API key.' } : d);
     } catch {
       setHealth({ error: 'Could not reach backend' });
     }
     setHealthLoading(false);
   }
 
-  const inputStyle = {
-    width: '100%', padding: '8px 12px', borderRadius: '6px',
-    border: '1px solid #d1d5db', fontSize: '14px', outline: 'none',
-    boxSizing: 'border-box',
-  };
-
   return (
     <div>
       <PageHeader title="Settings" subtitle="Configure shop connection and API endpoint." />
@@ -60,7 +65,7 @@ export default function Settings() {
             </p>
           </div>
 
-          <div style={{ marginBottom: '20px' }}>
+          <div style={{ marginBottom: '16px' }}>
             <label style={{ display: 'block', fontSize: '13px', fontWeight: '600', color: '#374151', marginBottom: '6px' }}>
               Backend API URL
             </label>
@@ -75,6 +80,21 @@ export default function Settings() {
             </p>
           </div>
 
+          <div style={{ marginBottom: '20px' }}>
+            <label htmlFor="upsell-api-key" style={labelStyle}>API Key</label>
+            <input
+              id="upsell-api-key"
+              style={inputStyle}
+              type="password"
+              value={apiKey}
+              onChange={e => setApiKey(e.target.value)}
+              placeholder="uak_…"
+            />
+            <p style={{ fontSize: '11px', color: '#9ca3af', margin: '4px 0 0' }}>
+              Only needed outside Shopify admin. Create one below while signed in.
+            </p>
+          </div>
+
           <div style={{ display: 'flex', gap: '8px' }}>
             <button onClick={save} style={{
               padding: '8px 20px', background: '#6c63ff', color: '#fff',
@@ -123,6 +143,147 @@ export default function Settings() {
           )}
         </Card>
       </div>
+
+      <div style={{ marginTop: '20px' }}>
+        <ApiKeysCard shop={shop} apiUrl={apiUrl} />
+      </div>
     </div>
   );
 }
+
+// Scoped keys for scripts and BI tools — managed from an admin session only
+function ApiKeysCard({ shop, apiUrl }) {
+  const signedIn = !!getSession();
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [canWrite, setCanWrite] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const path = `/api/dashboard/api-keys?shop=${encodeURIComponent(shop)}`;
+
+  async function load() {
+    try {
+      const r = await apiFetch(path, {}, apiUrl);
+      const d = await r.json();
+      if (!r.ok) throw new Error(d.error || `HTTP ${r.status}`);
+      setKeys(d.keys || []);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (signedIn && shop) load();
+  }, []);
+
+  async function post(body) {
+    setError(null);
+    const r = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }, apiUrl);
+    const d = await r.json();
+    if (!r.ok || d.success === false) throw new Error(d.error || `HTTP ${r.status}`);
+    return d;
+  }
+
+  async function create() {
+    try {
+      const d = await post({ name: name.trim() || 'API key', scopes: canWrite ? ['read', 'write'] : ['read'] });
+      setNewKey(d.key);
+      setName('');
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function revoke(keyId) {
+    try {
+      await post({ action: 'revoke', keyId });
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <Card title="API Keys">
+      {!signedIn && (
+        <p style={{ fontSize: '13px', color: '#6b7280', margin: 0 }}>
+          Open the dashboard from the Shopify admin to create or revoke API keys.
+        </p>
+      )}
+      {signedIn && (
+        <div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px' }}>
+            <input style={{ ...inputStyle, maxWidth: '280px' }} value={name} onChange={e => setName(e.target.value)} placeholder="Key name, e.g. Looker export" />
+            <label style={{ fontSize: '13px', color: '#374151', display: 'flex', gap: '6px', alignItems: 'center' }}>
+              <input type="checkbox" checked={canWrite} onChange={e => setCanWrite(e.target.checked)} />
+              Allow changes (write)
+            </label>
+            <button onClick={create} style={{
+              padding: '8px 20px', background: '#6c63ff', color: '#fff',
+              border: 'none', borderRadius: '6px', cursor: 'pointer',
+              fontWeight: '600', fontSize: '13px',
+            }}>
+              Create Key
+            </button>
+          </div>
+
+          {newKey && (
+            <div style={{ padding: '12px', background: '#ecfdf5', borderRadius: '8px', fontSize: '13px', marginBottom: '12px' }}>
+              Copy this key now — it will not be shown again:
+              <code style={{ display: 'block', marginTop: '6px', wordBreak: 'break-all' }}>{newKey}</code>
+            </div>
+          )}
+          {error && (
+            <div style={{ padding: '12px', background: '#fef2f2', borderRadius: '8px', color: '#dc2626', fontSize: '13px', marginBottom: '12px' }}>
+              {error}
+            </div>
+          )}
+
+          {keys.length === 0 ? (
+            <p style={s.empty}>No API keys yet.</p>
+          ) : (
+            <table style={s.table}>
+              <thead>
+                <tr>
+                  <th style={s.th}>Name</th>
+                  <th style={s.th}>Key</th>
+                  <th style={s.th}>Scopes</th>
+                  <th style={s.th}>Last used</th>
+                  <th style={s.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {keys.map(k => (
+                  <tr key={k.keyId}>
+                    <td style={s.td}>{k.name}</td>
+                    <td style={s.td}><code>{k.keyPreview}</code></td>
+                    <td style={s.td}>{(k.scopes || []).join(', ')}</td>
+                    <td style={s.td}>{k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : 'Never'}</td>
+                    <td style={s.td}>
+                      {k.revokedAt ? (
+                        <Badge type="default">Revoked</Badge>
+                      ) : (
+                        <button onClick={() => revoke(k.keyId)} style={{
+                          padding: '4px 12px', background: '#fff', color: '#dc2626',
+                          border: '1px solid #fecaca', borderRadius: '6px', cursor: 'pointer', fontSize: '12px',
+                        }}>
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
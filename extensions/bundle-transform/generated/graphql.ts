@@ -0,0 +1,81 @@
+export type Maybe<T> = T | null;
+export type InputMaybe<T> = Maybe<T>;
+export type Exact<T extends { [key: string]: unknown }> = { [K in keyof T]: T[K] };
+export type MakeOptional<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]?: Maybe<T[SubKey]> };
+export type MakeMaybe<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]: Maybe<T[SubKey]> };
+export type MakeEmpty<T extends { [key: string]: unknown }, K extends keyof T> = { [_ in K]?: never };
+export type Incremental<T> = T | { [P in keyof T]?: P extends ' $fragmentName' | '__typename' ? T[P] : never };
+/** All built-in and custom scalars, mapped to their actual values */
+export type Scalars = {
+  ID: { input: string; output: string; }
+  String: { input: string; output: string; }
+  Boolean: { input: boolean; output: boolean; }
+  Int: { input: number; output: number; }
+  Float: { input: number; output: number; }
+};
+
+export type Attribute = {
+  __typename?: 'Attribute';
+  key?: Maybe<Scalars['String']['output']>;
+  value?: Maybe<Scalars['String']['output']>;
+};
+
+export type Cart = {
+  __typename?: 'Cart';
+  lines: Array<CartLine>;
+};
+
+export type CartLine = {
+  __typename?: 'CartLine';
+  attribute?: Maybe<Attribute>;
+  id: Scalars['ID']['output'];
+  merchandise?: Maybe<Merchandise>;
+  quantity: Scalars['Int']['output'];
+};
+
+
+export type CartLineAttributeArgs = {
+  key: Scalars['String']['input'];
+};
+
+export type Metafield = {
+  __typename?: 'Metafield';
+  value: Scalars['String']['output'];
+};
+
+export type Merchandise = {
+  id: Scalars['ID']['output'];
+};
+
+export type Product = {
+  __typename?: 'Product';
+  id: Scalars['ID']['output'];
+};
+
+export type ProductVariant = Merchandise & {
+  __typename?: 'ProductVariant';
+  id: Scalars['ID']['output'];
+  product: Product;
+};
+
+export type Query = {
+  __typename?: 'Query';
+  cart: Cart;
+  shop: Shop;
+};
+
+export type Shop = {
+  __typename?: 'Shop';
+  metafield?: Maybe<Metafield>;
+};
+
+
+export type ShopMetafieldArgs = {
+  key: Scalars['String']['input'];
+  namespace?: InputMaybe<Scalars['String']['input']>;
+};
+
+export type InputQueryVariables = Exact<{ [key: string]: never; }>;
+
+
+export type InputQuery = { __typename?: 'Query', shop: { __typename?: 'Shop', bundleConfig?: { __typename?: 'Metafield', value: string } | null }, cart: { __typename?: 'Cart', lines: Array<{ __typename?: 'CartLine', id: string, quantity: number, bundleId?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, merchandise?: { __typename: 'ProductVariant', id: string, product: { __typename?: 'Product', id: string } } | null }> } };
@@ -0,0 +1,99 @@
+import { shopifyFunction } from "@shopify/shopify_function";
+
+const NO_CHANGES = { operations: [] };
+
+function normalizeId(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return "";
+  return raw.includes("/") ? raw.split("/").pop() : raw;
+}
+
+// Server-written bundle definitions (backend/services/bundleProducts.js):
+// { bundles: [{ id, parentVariantId, title, productIds, discountPercent }] }.
+// Only active bundles with a native parent product are listed, and their
+// discount is already clamped to the merchant cap, so a tampered cart can
+// neither invent a bundle nor change its price.
+function parseConfig(shop) {
+  const raw = shop?.bundleConfig?.value;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return (Array.isArray(parsed?.bundles) ? parsed.bundles : [])
+      .map((bundle) => ({
+        id: String(bundle?.id || ""),
+        parentVariantId: String(bundle?.parentVariantId || ""),
+        title: bundle?.title ? String(bundle.title) : null,
+        productIds: Array.from(new Set((bundle?.productIds || []).map(normalizeId).filter(Boolean))),
+        discountPercent: Math.max(0, Math.min(100, Number(bundle?.discountPercent) || 0)),
+      }))
+      .filter((bundle) => bundle.id && bundle.parentVariantId && bundle.productIds.length >= 2);
+  } catch (_) {
+    return [];
+  }
+}
+
+function toLine(line) {
+  if (line?.merchandise?.__typename !== "ProductVariant" || !(line.quantity > 0)) return null;
+  return {
+    id: line.id,
+    quantity: line.quantity,
+    productId: normalizeId(line.merchandise.product?.id),
+    bundleId: line.bundleId?.value ? String(line.bundleId.value) : "",
+    used: false,
+  };
+}
+
+// Lines for each bundle product: ones the widget tagged with this bundle first,
+// then untagged lines of the same product (e.g. the source product the shopper
+// had already added). Lines merged into another bundle are skipped.
+function componentPools(bundle, lines) {
+  return bundle.productIds.map((productId) => [
+    ...lines.filter((line) => !line.used && line.bundleId === bundle.id && line.productId === productId),
+    ...lines.filter((line) => !line.used && !line.bundleId && line.productId === productId),
+  ]);
+}
+
+export const run = shopifyFunction(({ input }) => {
+  const bundles = parseConfig(input.shop);
+  if (bundles.length === 0) return NO_CHANGES;
+
+  const lines = (input.cart?.lines || []).map(toLine).filter(Boolean);
+  const operations = [];
+
+  for (const bundle of bundles) {
+    // Only bundles the shopper actually accepted from an offer are merged
+    if (!lines.some((line) => !line.used && line.bundleId === bundle.id)) continue;
+
+    const pools = componentPools(bundle, lines);
+    const sets = Math.min(...pools.map((pool) => pool.reduce((sum, line) => sum + line.quantity, 0)));
+    if (!(sets >= 1)) continue;
+
+    const cartLines = [];
+    for (const pool of pools) {
+      let needed = sets;
+      for (const line of pool) {
+        if (needed === 0) break;
+        const quantity = Math.min(line.quantity, needed);
+        needed -= quantity;
+        line.used = true;
+        cartLines.push({ cartLineId: line.id, quantity });
+      }
+    }
+
+    operations.push({
+      merge: {
+        cartLines,
+        parentVariantId: bundle.parentVariantId,
+        ...(bundle.title ? { title: bundle.title } : {}),
+        ...(bundle.discountPercent > 0
+          ? { price: { percentageDecrease: { value: bundle.discountPercent } } }
+          : {}),
+        attributes: [{ key: "_bundle_id", value: bundle.id }],
+      },
+    });
+  }
+
+  return { operations };
+});
+
+export default run;
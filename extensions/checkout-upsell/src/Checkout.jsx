@@ -10,14 +10,29 @@ import {
   Badge,
   View,
 } from '@shopify/ui-extensions/checkout';
+import { resolveBackendUrl, authHeaders } from './backend.js';
 
-const BACKEND_URL = 'https://ai-upsell.onrender.com';
 let lastOffer = null; // Cache the last successfully fetched offer
 let lastProductIds = null; // Track which product IDs we fetched for
 
+// Rounds to the currency's minor unit (JPY 0, KWD 3, most 2)
+function roundMoney(amount, currency) {
+  let decimals = 2;
+  try {
+    decimals = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch { /* unknown currency — keep 2 */ }
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+}
+
 export default extension('purchase.checkout.block.render', async (root, api) => {
   const shop = api.shop.myshopifyDomain.current;
   const lines = api.lines.current;
+  // Storefront visitor id (written by the theme script) — drives holdout / A/B assignment
+  const visitorId = (api.attributes?.current || []).find(a => a.key === 'ai_uid')?.value || '';
+  // Buyer's market — the backend prices the offer in this country's currency
+  const country = api.localization?.country?.current?.isoCode || '';
+  const currency = api.localization?.currency?.current?.isoCode || '';
 
   if (!lines || lines.length === 0) return;
 
@@ -28,15 +43,19 @@ export default extension('purchase.checkout.block.render', async (root, api) =>
 
   if (productIds.length === 0) return;
 
+  const backendUrl = await resolveBackendUrl(api);
+  if (!backendUrl) return;
+
   // Use cached offer if we're fetching for the same products
-  const productIdKey = productIds.join(',');
+  const productIdKey = `${productIds.join(',')}|${country}|${currency}`;
   let offer = lastOffer;
 
   if (productIdKey !== lastProductIds) {
     // Product list changed, fetch fresh offer
     try {
       const res = await fetch(
-        `${BACKEND_URL}/api/checkout-upsell?shop=${shop}&ids=${encodeURIComponent(JSON.stringify(productIds))}&placement=checkout&limit=1`
+        `${backendUrl}/api/checkout-upsell?shop=${shop}&ids=${encodeURIComponent(JSON.stringify(productIds))}&placement=checkout&limit=1${visitorId ? `&userId=${encodeURIComponent(visitorId)}` : ''}${country ? `&country=${country}` : ''}${currency ? `&currency=${currency}` : ''}`,
+        { headers: await authHeaders(api) }
       );
       const data = await res.json();
       offer = data.offer || null;
@@ -68,13 +87,17 @@ export default extension('purchase.checkout.block.render', async (root, api) =>
   const currentPrice = parseFloat(offer.price) || 0;
   const discountPct = parseFloat(offer.discountPercent) || 0;
 
+  // Offer amounts are in offer.currencyCode when the backend priced them for this market
+  const offerCurrency = offer.currencyCode || currency;
+  const formatPrice = (amount) => api.i18n.formatCurrency(amount, offerCurrency ? { currency: offerCurrency } : undefined);
+
   // Calculate discounted price from original price
   const discountedPrice = discountPct > 0
-    ? (originalPrice * (1 - discountPct / 100)).toFixed(2)
-    : originalPrice.toFixed(2);
+    ? roundMoney(originalPrice * (1 - discountPct / 100), offerCurrency)
+    : originalPrice;
 
   // Only show discount badge if there's actually a discount and it results in a lower price
-  const hasDiscount = discountPct > 0 && parseFloat(discountedPrice) < originalPrice;
+  const hasDiscount = discountPct > 0 && discountedPrice < originalPrice;
   const sellingPlanGid = offer.sellingPlanId || (offer.sellingPlanIdNumeric ? `gid://shopify/SellingPlan/${offer.sellingPlanIdNumeric}` : null);
 
   // ── Build UI ──────────────────────────────────────────────────────────────
@@ -102,12 +125,12 @@ export default extension('purchase.checkout.block.render', async (root, api) =>
       size: 'small',
       appearance: 'subdued',
       accessibilityRole: 'deletion',
-    }, `$${originalPrice.toFixed(2)}`));
+    }, formatPrice(originalPrice)));
   }
   priceRow.appendChild(root.createComponent(Text, {
     size: 'medium',
     appearance: hasDiscount ? 'accent' : 'base',
-  }, `$${discountedPrice}`));
+  }, formatPrice(discountedPrice)));
   if (hasDiscount) {
     priceRow.appendChild(root.createComponent(Badge, { tone: 'success' }, `${Math.round(discountPct)}% off`));
   }
@@ -142,7 +165,7 @@ export default extension('purchase.checkout.block.render', async (root, api) =>
           btn.replaceChildren('Added to Order ✓');
 
           // Track cart_add event so processPurchaseEvent can attribute this upsell
-          fetch(`${BACKEND_URL}/api/proxy/analytics/track`, {
+          fetch(`${backendUrl}/api/proxy/analytics/track`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
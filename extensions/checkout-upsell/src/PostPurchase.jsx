@@ -11,8 +11,17 @@ import {
   View,
   Banner,
 } from '@shopify/ui-extensions/checkout';
+import { resolveBackendUrl, authHeaders } from './backend.js';
 
-const BACKEND_URL = 'https://ai-upsell.onrender.com';
+// Rounds to the currency's minor unit (JPY 0, KWD 3, most 2)
+function roundMoney(amount, currency) {
+  let decimals = 2;
+  try {
+    decimals = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch { /* unknown currency — keep 2 */ }
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+}
 
 /**
  * Post-Purchase One-Click Offer
@@ -26,6 +35,11 @@ const BACKEND_URL = 'https://ai-upsell.onrender.com';
 export default extension('purchase.thank-you.block.render', async (root, api) => {
   const shop = api.shop?.myshopifyDomain?.current;
   const order = api.order?.current;
+  // Storefront visitor id (written by the theme script) — drives holdout / A/B assignment
+  const visitorId = (api.attributes?.current || []).find(a => a.key === 'ai_uid')?.value || '';
+  // Buyer's market — the backend prices the offer in this country's currency
+  const country = api.localization?.country?.current?.isoCode || '';
+  const currency = api.localization?.currency?.current?.isoCode || order?.totalPrice?.currencyCode || '';
 
   if (!shop || !order) return;
 
@@ -46,6 +60,13 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
     return;
   }
 
+  const backendUrl = await resolveBackendUrl(api);
+  if (!backendUrl) {
+    console.warn('[AI Upsell] No backend URL configured for this store');
+    return;
+  }
+  const headers = { 'Content-Type': 'application/json', ...(await authHeaders(api)) };
+
   // ── Attribute this purchase against any upsell cart_add events ────────────
 
   // Build line_items in the format processPurchaseEvent() expects
@@ -63,16 +84,19 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
     shopId: shop,
     orderId: String(order.id?.split('/').pop() || order.id),
     totalPrice: order.totalPrice?.amount || '0',
+    // Amounts are in the buyer's currency — the backend normalizes them to shop currency
+    currency: order.totalPrice?.currencyCode || currency || null,
     lineItems: purchaseLineItems,
     customerId: api.buyerIdentity?.customer?.current?.id?.split('/').pop() || null,
     createdAt: new Date().toISOString(),
+    visitorId: visitorId || null,
   };
 
   console.log('[AI Upsell] Sending purchase payload to backend:', JSON.stringify(purchasePayload));
 
-  fetch(`${BACKEND_URL}/webhooks/orders/created`, {
+  fetch(`${backendUrl}/webhooks/orders/created`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify(purchasePayload),
   })
     .then(res => res.json().then(data => {
@@ -85,7 +109,8 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
   let offer;
   try {
     const res = await fetch(
-      `${BACKEND_URL}/api/checkout-upsell?shop=${encodeURIComponent(shop)}&ids=${encodeURIComponent(JSON.stringify(productIds))}&placement=post_purchase&limit=1`
+      `${backendUrl}/api/checkout-upsell?shop=${encodeURIComponent(shop)}&ids=${encodeURIComponent(JSON.stringify(productIds))}&placement=post_purchase&limit=1${visitorId ? `&userId=${encodeURIComponent(visitorId)}` : ''}${country ? `&country=${country}` : ''}${currency ? `&currency=${currency}` : ''}`,
+      { headers }
     );
     const data = await res.json();
     offer = data.offer || null;
@@ -97,14 +122,16 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
 
   const originalPrice = parseFloat(offer.price) || 0;
   const discountPct = parseFloat(offer.discountPercent) || 0;
+  const offerCurrency = offer.currencyCode || currency;
+  const formatPrice = (amount) => api.i18n.formatCurrency(amount, offerCurrency ? { currency: offerCurrency } : undefined);
   const discountedPrice = discountPct > 0
-    ? (originalPrice * (1 - discountPct / 100)).toFixed(2)
-    : originalPrice.toFixed(2);
-  const hasDiscount = discountPct > 0 && parseFloat(discountedPrice) < originalPrice;
+    ? roundMoney(originalPrice * (1 - discountPct / 100), offerCurrency)
+    : originalPrice;
+  const hasDiscount = discountPct > 0 && discountedPrice < originalPrice;
 
   // Track this post-purchase offer view
   try {
-    await fetch(`${BACKEND_URL}/api/track-purchase`, {
+    await fetch(`${backendUrl}/api/track-purchase`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -147,12 +174,12 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
       size: 'small',
       appearance: 'subdued',
       accessibilityRole: 'deletion',
-    }, `$${originalPrice.toFixed(2)}`));
+    }, formatPrice(originalPrice)));
   }
   priceRow.appendChild(root.createComponent(Text, {
     size: 'medium',
     appearance: hasDiscount ? 'accent' : 'base',
-  }, `$${discountedPrice}`));
+  }, formatPrice(discountedPrice)));
   if (hasDiscount) {
     priceRow.appendChild(root.createComponent(Badge, { tone: 'success' }, `${Math.round(discountPct)}% off`));
   }
@@ -180,7 +207,7 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
 
       // Track click
       try {
-        await fetch(`${BACKEND_URL}/api/track-purchase`, {
+        await fetch(`${backendUrl}/api/track-purchase`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -0,0 +1,202 @@
+import {
+  extend,
+  BlockStack,
+  Button,
+  CalloutBanner,
+  Heading,
+  Image,
+  Layout,
+  Separator,
+  Text,
+  TextBlock,
+  TextContainer,
+} from '@shopify/post-purchase-ui-extensions';
+
+// Offer types that cannot be added to a paid order as a single discounted line
+const UNSUPPORTED_OFFER_TYPES = ['subscription_upgrade', 'volume_discount'];
+
+// This deployment's server, published on install (backend/services/extensionBackend.js).
+// No hard-coded fallback — a store must never reach another environment.
+function resolveBackendUrl(inputData) {
+  const entry = (inputData.shop?.metafields || []).find((m) => m?.key === 'backend-url');
+  const url = String(entry?.value || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(url) ? url : null;
+}
+
+function numericId(value) {
+  return value == null ? '' : String(value).split('/').pop();
+}
+
+function formatMoney(amount, currency) {
+  const value = Number(amount) || 0;
+  if (!currency) return value.toFixed(2);
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+// Preview only — the server decides the discount when it signs the changeset
+function previewChanges(offer) {
+  const discountPercent = Number(offer.discountPercent) || 0;
+  return [{
+    type: 'add_variant',
+    variantID: Number(numericId(offer.variantId)),
+    quantity: 1,
+    ...(discountPercent > 0
+      ? { discount: { value: discountPercent, valueType: 'percentage', title: `${discountPercent}% off` } }
+      : {}),
+  }];
+}
+
+extend('Checkout::PostPurchase::ShouldRender', async ({ inputData, storage }) => {
+  const purchase = inputData.initialPurchase || {};
+  const shop = inputData.shop?.domain;
+  const productIds = (purchase.lineItems || [])
+    .map((li) => numericId(li.product?.id))
+    .filter(Boolean);
+  const country = purchase.destinationCountryCode || '';
+  const currency = purchase.totalPriceSet?.presentmentMoney?.currencyCode || '';
+  const backendUrl = resolveBackendUrl(inputData);
+  if (!shop || !backendUrl) return { render: false };
+
+  try {
+    const res = await fetch(
+      `${backendUrl}/api/checkout-upsell?shop=${encodeURIComponent(shop)}&placement=post_purchase&limit=2`
+      + (productIds.length > 0 ? `&ids=${encodeURIComponent(JSON.stringify(productIds))}` : '')
+      + (country ? `&country=${country}` : '')
+      + (currency ? `&currency=${currency}` : ''),
+      { headers: { Authorization: `Bearer ${inputData.token}` } }
+    );
+    if (!res.ok) return { render: false };
+    const data = await res.json();
+    const offer = (data.offers || []).find((o) =>
+      o?.variantId && !UNSUPPORTED_OFFER_TYPES.includes(o.offerType)
+      && !productIds.includes(String(o.id))
+    );
+    if (!offer) return { render: false };
+
+    await storage.update({ offer, currency: offer.currencyCode || currency, backendUrl });
+    return { render: true };
+  } catch {
+    return { render: false };
+  }
+});
+
+extend('Checkout::PostPurchase::Render', (root, { inputData, storage, calculateChangeset, applyChangeset, done }) => {
+  const { offer, currency, backendUrl } = storage.initialData || {};
+  if (!offer) {
+    done();
+    return;
+  }
+
+  const referenceId = inputData.initialPurchase?.referenceId;
+  const price = Number(offer.price) || 0;
+  const discountPercent = Number(offer.discountPercent) || 0;
+  const discountedPrice = offer.discountedPrice != null
+    ? Number(offer.discountedPrice)
+    : price * (1 - discountPercent / 100);
+  const hasDiscount = discountPercent > 0 && discountedPrice < price;
+
+  async function post(body) {
+    const res = await fetch(`${backendUrl}/api/post-purchase/changeset`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${inputData.token}` },
+      body: JSON.stringify({ referenceId, ...body }),
+    });
+    return res.json();
+  }
+
+  // ── Build UI ──────────────────────────────────────────────────────────────
+  const banner = root.createComponent(CalloutBanner, { title: 'One more thing before you go' },
+    root.createComponent(Text, {}, 'Add this to your order with one click — no need to re-enter payment details.'));
+
+  const priceText = root.createComponent(Text, { size: 'medium', emphasized: true },
+    hasDiscount
+      ? `${formatMoney(discountedPrice, currency)} (was ${formatMoney(price, currency)} · ${Math.round(discountPercent)}% off)`
+      : formatMoney(price, currency));
+  const totalText = root.createComponent(TextBlock, { appearance: 'subdued' }, '');
+  const errorText = root.createComponent(TextBlock, { appearance: 'critical' }, '');
+
+  let busy = false;
+  const acceptButton = root.createComponent(Button, {
+    submit: true,
+    onPress: async () => {
+      if (busy) return;
+      busy = true;
+      acceptButton.updateProps({ loading: true });
+      declineButton.updateProps({ disabled: true });
+      try {
+        const signed = await post({
+          productId: String(offer.id),
+          variantId: numericId(offer.variantId),
+          quantity: 1,
+          offerToken: offer.offerToken || null,
+        });
+        if (!signed?.success || !signed.token) throw new Error(signed?.reason || signed?.error || 'not_signed');
+
+        const result = await applyChangeset(signed.token);
+        const applied = !result?.errors || result.errors.length === 0;
+        await post({
+          action: 'result',
+          changesetId: signed.changesetId,
+          status: applied ? 'applied' : 'failed',
+          error: applied ? null : (result.errors[0]?.message || 'applyChangeset failed'),
+        }).catch(() => {});
+        if (!applied) throw new Error('apply_failed');
+        done();
+      } catch {
+        busy = false;
+        acceptButton.updateProps({ loading: false });
+        declineButton.updateProps({ disabled: false });
+        errorText.replaceChildren('We could not add this item. You have not been charged for it.');
+      }
+    },
+  }, `Pay now · ${formatMoney(discountedPrice, currency)}`);
+
+  const declineButton = root.createComponent(Button, {
+    subdued: true,
+    onPress: () => {
+      if (!busy) done();
+    },
+  }, 'Decline this offer');
+
+  const details = root.createComponent(BlockStack, {}, [
+    root.createComponent(TextContainer, {}, [
+      root.createComponent(Heading, {}, offer.title),
+      priceText,
+      ...(offer.reason ? [root.createComponent(TextBlock, { appearance: 'subdued' }, offer.reason)] : []),
+    ]),
+    root.createComponent(Separator),
+    totalText,
+    errorText,
+    acceptButton,
+    declineButton,
+  ]);
+
+  const layout = root.createComponent(Layout, {
+    maxInlineSize: 0.95,
+    media: [
+      { viewportSize: 'small', sizes: [1, 30, 1] },
+      { viewportSize: 'medium', sizes: [300, 30, 0.5] },
+      { viewportSize: 'large', sizes: [400, 30, 0.33] },
+    ],
+  }, [
+    root.createComponent(Image, { source: offer.image || '', description: offer.title }),
+    root.createComponent(BlockStack),
+    details,
+  ]);
+
+  root.appendChild(root.createComponent(BlockStack, { spacing: 'loose' }, [banner, layout]));
+
+  // Shopify's own figures (tax, shipping) for the confirmation line
+  calculateChangeset({ changes: previewChanges(offer) })
+    .then(({ calculatedPurchase }) => {
+      const outstanding = calculatedPurchase?.totalOutstandingSet?.presentmentMoney;
+      if (outstanding?.amount != null) {
+        totalText.replaceChildren(`Total charged today: ${formatMoney(outstanding.amount, outstanding.currencyCode || currency)}`);
+      }
+    })
+    .catch(() => {});
+});
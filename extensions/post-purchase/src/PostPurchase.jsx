@@ -10,11 +10,22 @@ import {
   Badge,
   View,
 } from '@shopify/ui-extensions/checkout';
+import { resolveBackendUrl, authHeaders } from './backend.js';
 
-const BACKEND_URL = 'https://ai-upsell.onrender.com';
+// Rounds to the currency's minor unit (JPY 0, KWD 3, most 2)
+function roundMoney(amount, currency) {
+  let decimals = 2;
+  try {
+    decimals = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch { /* unknown currency — keep 2 */ }
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+}
 
 export default extension('purchase.thank-you.block.render', async (root, api) => {
   const shop = api.shop.myshopifyDomain.current;
+  // Storefront visitor id (written by the theme script) — drives holdout / A/B assignment
+  const visitorId = (api.attributes?.current || []).find(a => a.key === 'ai_uid')?.value || '';
 
   // Extract order data — try all known API shapes
   const order = api.order?.current ?? api.order ?? null;
@@ -25,6 +36,13 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
 
   const orderId = order?.id?.split('/').pop() || order?.id || null;
   const totalPrice = parseFloat(order?.totalPrice?.amount || 0);
+  // Buyer's market — order amounts are in this currency and offers are priced for it
+  const country = api.localization?.country?.current?.isoCode || '';
+  const currency = order?.totalPrice?.currencyCode || api.localization?.currency?.current?.isoCode || '';
+
+  const backendUrl = await resolveBackendUrl(api);
+  if (!backendUrl) return;
+  const headers = { 'Content-Type': 'application/json', ...(await authHeaders(api)) };
 
   // Always fire tracking — store what we have, even if order data is partial
   const trackItems = lineItems
@@ -37,14 +55,16 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
     }))
     .filter(li => li.variantId && li.productId);
 
-  fetch(`${BACKEND_URL}/webhooks/orders/created`, {
+  fetch(`${backendUrl}/webhooks/orders/created`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify({
       shopId: shop,
       orderId: orderId || `ext-${Date.now()}`,
       totalPrice,
+      currency: currency || null,
       lineItems: trackItems,
+      visitorId: visitorId || null,
     }),
   })
   .then(res => res.json())
@@ -59,7 +79,8 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
   let offers = [];
   try {
     const res = await fetch(
-      `${BACKEND_URL}/api/checkout-upsell?shop=${shop}${idsParam}&placement=post_purchase&limit=2`
+      `${backendUrl}/api/checkout-upsell?shop=${shop}${idsParam}&placement=post_purchase&limit=2${visitorId ? `&userId=${encodeURIComponent(visitorId)}` : ''}${country ? `&country=${country}` : ''}${currency ? `&currency=${currency}` : ''}`,
+      { headers }
     );
     if (!res.ok) return;
     const data = await res.json();
@@ -82,10 +103,12 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
   for (const offer of offers) {
     const originalPrice = parseFloat(offer.price) || 0;
     const discountPct = parseFloat(offer.discountPercent) || 0;
+    const offerCurrency = offer.currencyCode || currency;
+    const formatPrice = (amount) => api.i18n.formatCurrency(amount, offerCurrency ? { currency: offerCurrency } : undefined);
     const discountedPrice = discountPct > 0
-      ? (originalPrice * (1 - discountPct / 100)).toFixed(2)
-      : originalPrice.toFixed(2);
-    const hasDiscount = discountPct > 0 && parseFloat(discountedPrice) < originalPrice;
+      ? roundMoney(originalPrice * (1 - discountPct / 100), offerCurrency)
+      : originalPrice;
+    const hasDiscount = discountPct > 0 && discountedPrice < originalPrice;
     const sellingPlanGid = offer.sellingPlanId || (offer.sellingPlanIdNumeric ? `gid://shopify/SellingPlan/${offer.sellingPlanIdNumeric}` : null);
 
     const row = root.createComponent(InlineStack, { spacing: 'base', blockAlignment: 'center' });
@@ -106,11 +129,11 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
     if (hasDiscount) {
       priceRow.appendChild(root.createComponent(Text, {
         size: 'small', appearance: 'subdued', accessibilityRole: 'deletion',
-      }, `$${originalPrice.toFixed(2)}`));
+      }, formatPrice(originalPrice)));
     }
     priceRow.appendChild(root.createComponent(Text, {
       size: 'medium', appearance: hasDiscount ? 'accent' : 'base',
-    }, `$${discountedPrice}`));
+    }, formatPrice(discountedPrice)));
     if (hasDiscount) {
       priceRow.appendChild(root.createComponent(Badge, { tone: 'success' }, `${Math.round(discountPct)}% off`));
     }
@@ -145,7 +168,7 @@ export default extension('purchase.thank-you.block.render', async (root, api) =>
             btn.replaceChildren('Added ✓');
 
             // Track cart_add event for purchase attribution
-            fetch(`${BACKEND_URL}/api/proxy/analytics/track`, {
+            fetch(`${backendUrl}/api/proxy/analytics/track`, {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify({
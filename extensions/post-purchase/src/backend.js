@@ -0,0 +1,50 @@
+// Resolves which app server this store talks to, and authenticates calls to it.
+//
+// Order: the `backend_url` extension setting (staging / local overrides), then
+// the `$app:ai-upsell.backend-url` shop metafield each deployment writes on
+// install (backend/services/extensionBackend.js). There is deliberately no
+// hard-coded fallback — a store must never reach another environment.
+
+const BACKEND_URL_KEY = 'backend-url';
+const METAFIELD_WAIT_MS = 2000;
+
+function clean(url) {
+  const value = String(url || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(value) ? value : null;
+}
+
+function fromMetafields(api) {
+  const entry = (api.appMetafields?.current || []).find((e) => e?.metafield?.key === BACKEND_URL_KEY);
+  return clean(entry?.metafield?.value);
+}
+
+export async function resolveBackendUrl(api) {
+  const setting = clean(api.settings?.current?.backend_url);
+  if (setting) return setting;
+
+  const current = fromMetafields(api);
+  if (current || typeof api.appMetafields?.subscribe !== 'function') return current;
+
+  // App metafields can arrive just after the extension starts
+  return new Promise((resolve) => {
+    let unsubscribe = () => {};
+    const timer = setTimeout(() => { unsubscribe(); resolve(null); }, METAFIELD_WAIT_MS);
+    unsubscribe = api.appMetafields.subscribe(() => {
+      const url = fromMetafields(api);
+      if (!url) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(url);
+    });
+  });
+}
+
+// Session token for endpoints that verify the caller (api.checkout-upsell, orders/created)
+export async function authHeaders(api) {
+  try {
+    const token = await api.sessionToken.get();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  } catch {
+    return {};
+  }
+}
@@ -12,6 +12,7 @@ export type Scalars = {
   Boolean: { input: boolean; output: boolean; }
   Int: { input: number; output: number; }
   Float: { input: number; output: number; }
+  Date: { input: any; output: any; }
   Decimal: { input: any; output: any; }
 };
 
@@ -51,6 +52,16 @@ export type CartLineCost = {
   amountPerQuantity: Money;
 };
 
+export type LocalTime = {
+  __typename?: 'LocalTime';
+  date: Scalars['Date']['output'];
+};
+
+export type Metafield = {
+  __typename?: 'Metafield';
+  value: Scalars['String']['output'];
+};
+
 export type Merchandise = {
   id: Scalars['ID']['output'];
 };
@@ -75,9 +86,22 @@ export type ProductVariant = Merchandise & {
 export type Query = {
   __typename?: 'Query';
   cart?: Maybe<Cart>;
+  shop: Shop;
+};
+
+export type Shop = {
+  __typename?: 'Shop';
+  localTime: LocalTime;
+  metafield?: Maybe<Metafield>;
+};
+
+
+export type ShopMetafieldArgs = {
+  key: Scalars['String']['input'];
+  namespace?: InputMaybe<Scalars['String']['input']>;
 };
 
 export type InputQueryVariables = Exact<{ [key: string]: never; }>;
 
 
-export type InputQuery = { __typename?: 'Query', cart?: { __typename?: 'Cart', aiGoal?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, lines: Array<{ __typename?: 'CartLine', id: string, quantity: number, offer?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, offerUpper?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, bundleProductIds?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, cost?: { __typename?: 'CartLineCost', amountPerQuantity: { __typename?: 'Money', amount: any, currencyCode: string } } | null, merchandise?: { __typename: 'ProductVariant', id: string, product: { __typename?: 'Product', id: string } } | null }> } | null };
+export type InputQuery = { __typename?: 'Query', shop: { __typename?: 'Shop', localTime: { __typename?: 'LocalTime', date: any }, discountConfig?: { __typename?: 'Metafield', value: string } | null }, cart?: { __typename?: 'Cart', aiGoal?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, lines: Array<{ __typename?: 'CartLine', id: string, quantity: number, offerToken?: { __typename?: 'Attribute', key?: string | null, value?: string | null } | null, cost?: { __typename?: 'CartLineCost', amountPerQuantity: { __typename?: 'Money', amount: any, currencyCode: string } } | null, merchandise?: { __typename: 'ProductVariant', id: string, product: { __typename?: 'Product', id: string } } | null }> } | null };
@@ -1,27 +1,43 @@
 import { shopifyFunction, DiscountApplicationStrategy } from "@shopify/shopify_function";
+import { verifyLineToken } from "./offerToken.js";
 
 const BUY2_GOALS = new Set(["increase_aov", "inventory_movement"]);
 const IMMEDIATE_GOALS = new Set(["revenue_per_visitor", "subscription_adoption"]);
 
+const MAX_PERCENT = 100;
+
 function getGoal(cart) {
   // Use explicit alias from input.graphql
   return cart?.aiGoal?.value || "revenue_per_visitor";
 }
 
-function parsePercentFromAttribute(attr, upperAttr) {
-  const value = attr?.value || upperAttr?.value;
-  if (!value) return 0;
-  const match = String(value).match(/(\d+(?:\.\d+)?)\s*%/);
-  if (match) return Math.max(0, Math.min(100, parseFloat(match[1])));
-  return 0;
-}
-
-function getOfferText(line) {
-  return String(line?.offer?.value || line?.offerUpper?.value || "");
+// Server-written shop config: { maxDiscountCap, tokenSecret }. The storefront
+// cannot touch this, so the cap holds even if line attributes are tampered
+// with. Only lines with a valid signed offer token are discounted, and only
+// by what the token signs — the Offer / _volume_tiers / _bundle_product_ids
+// attributes are display-only.
+function parseConfig(shop) {
+  const raw = shop?.discountConfig?.value;
+  if (!raw) return { maxDiscountCap: MAX_PERCENT, tokenSecret: null };
+  try {
+    const parsed = JSON.parse(raw);
+    const cap = Number(parsed?.maxDiscountCap);
+    return {
+      maxDiscountCap: Number.isFinite(cap) ? Math.max(0, Math.min(MAX_PERCENT, cap)) : MAX_PERCENT,
+      tokenSecret: typeof parsed?.tokenSecret === "string" && parsed.tokenSecret ? parsed.tokenSecret : null,
+    };
+  } catch (_) {
+    return { maxDiscountCap: MAX_PERCENT, tokenSecret: null };
+  }
 }
 
-function isBundleOffer(line) {
-  return /^bundle\b/i.test(getOfferText(line).trim());
+// Most generous signed tier whose quantity threshold the line reaches, or null.
+function getTier(tiers, quantity) {
+  let best = null;
+  for (const tier of tiers) {
+    if (quantity >= tier.quantity && (!best || tier.discountPercent > best.discountPercent)) best = tier;
+  }
+  return best;
 }
 
 function normalizeId(value) {
@@ -30,51 +46,55 @@ function normalizeId(value) {
   return raw.includes("/") ? raw.split("/").pop() : raw;
 }
 
-function parseBundleVariantIds(line) {
-  const value = line?.bundleProductIds?.value;
-  if (!value) return [];
-  return String(value)
-    .split(",")
-    .map(normalizeId)
-    .filter(Boolean);
-}
-
-function getLineVariantId(line) {
-  return normalizeId(line?.merchandise?.id);
-}
-
-function getCartVariantIds(cart) {
+function getCartProductIds(cart) {
   const ids = new Set();
   for (const line of cart?.lines || []) {
-    const id = getLineVariantId(line);
+    const id = normalizeId(line?.merchandise?.product?.id);
     if (id && (line?.quantity || 0) > 0) ids.add(id);
   }
   return ids;
 }
 
-function isBundleComplete(line, cartVariantIds) {
-  if (!isBundleOffer(line)) return true;
-  const expectedIds = parseBundleVariantIds(line);
-  if (!expectedIds.length) return false;
-  return expectedIds.every((id) => cartVariantIds.has(id));
+// A bundle discount needs every signed product of the bundle in the cart
+function isBundleComplete(claims, cartProductIds) {
+  return claims.productIds.every((id) => cartProductIds.has(id));
 }
 
 export const run = shopifyFunction(({ input }) => {
   const cart = input.cart;
+  const config = parseConfig(input.shop);
   const goal = getGoal(cart);
   const totalQty = cart.lines.reduce((sum, line) => sum + (line?.quantity || 0), 0);
-  const cartVariantIds = getCartVariantIds(cart);
+  const cartProductIds = getCartProductIds(cart);
+  const localDate = input.shop?.localTime?.date || null;
+  const signatureCache = new Map();
   const discounts = [];
 
-  if (BUY2_GOALS.has(goal) && totalQty < 2) {
+  if (!config.tokenSecret || (BUY2_GOALS.has(goal) && totalQty < 2)) {
     return { discountApplicationStrategy: DiscountApplicationStrategy.First, discounts: [] };
   }
 
   for (const line of cart.lines) {
-    // Line attributes now fetched one-by-one via attribute(key: "offer")
-    const pct = parsePercentFromAttribute(line.offer, line.offerUpper);
+    const claims = verifyLineToken(line, config.tokenSecret, localDate, signatureCache);
+    if (!claims) continue;
+
+    // Tiered volume offers: pick the signed tier for this line's quantity
+    if (claims.kind === "volume") {
+      const tier = getTier(claims.tiers, line.quantity);
+      if (!tier) continue;
+      const tierPct = Math.min(tier.discountPercent, config.maxDiscountCap);
+      if (!tierPct) continue;
+      discounts.push({
+        message: `Buy ${tier.quantity}+ & save ${tierPct}%`,
+        targets: [{ cartLine: { id: line.id } }],
+        value: { percentage: { value: tierPct } },
+      });
+      continue;
+    }
+
+    const pct = Math.min(claims.percent, config.maxDiscountCap);
     if (!pct) continue;
-    if (!isBundleComplete(line, cartVariantIds)) continue;
+    if (claims.kind === "bundle" && !isBundleComplete(claims, cartProductIds)) continue;
 
     let pctToApply = pct;
     if (BUY2_GOALS.has(goal)) {
@@ -0,0 +1,163 @@
+// Offer token verification for the discount Function.
+//
+// Tokens are minted by the app (backend/services/offerTokens.js):
+//   v2|<shop>|<productId,…>|<variantId,…>|<kind>|<percent>|<qty:pct,…>|<expiresAt unix s>|<hex HMAC-SHA256>
+// The Function runtime has no crypto module, so SHA-256/HMAC are implemented
+// here over ASCII byte arrays (tokens and secrets are always ASCII).
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+function asciiBytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code > 0x7f) return null;
+    bytes.push(code);
+  }
+  return bytes;
+}
+
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+function sha256(bytes) {
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const bitLength = bytes.length * 8;
+  const msg = bytes.slice();
+  msg.push(0x80);
+  while (msg.length % 64 !== 56) msg.push(0);
+  // Messages here are far below 2^32 bits, so the high length word is zero
+  msg.push(0, 0, 0, 0, (bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+
+  const w = new Array(64);
+  for (let offset = 0; offset < msg.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = ((msg[j] << 24) | (msg[j + 1] << 16) | (msg[j + 2] << 8) | msg[j + 3]) >>> 0;
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+    h[5] = (h[5] + f) >>> 0;
+    h[6] = (h[6] + g) >>> 0;
+    h[7] = (h[7] + hh) >>> 0;
+  }
+
+  const out = [];
+  for (const word of h) out.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+  return out;
+}
+
+function hmacSha256Hex(secret, message) {
+  let key = asciiBytes(secret);
+  const data = asciiBytes(message);
+  if (!key || !data) return null;
+  if (key.length > 64) key = sha256(key);
+  while (key.length < 64) key.push(0);
+
+  const inner = sha256(key.map((b) => b ^ 0x36).concat(data));
+  const outer = sha256(key.map((b) => b ^ 0x5c).concat(inner));
+  return outer.map((b) => (b < 16 ? "0" : "") + b.toString(16)).join("");
+}
+
+function normalizeId(value) {
+  const raw = String(value || "").trim();
+  return raw.includes("/") ? raw.split("/").pop() : raw;
+}
+
+// Start of the shop's current day, in unix seconds. The Function only sees the
+// shop-local date, so expiry is enforced at day granularity here (the widget
+// and backend enforce the exact expiry).
+function startOfDaySeconds(localDate) {
+  const ms = Date.parse(`${localDate}T00:00:00Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+// "2:6,3:10" → [{ quantity, discountPercent }], ascending by quantity
+function parseTiers(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((t) => {
+      const [quantity, discountPercent] = t.split(":").map(Number);
+      return { quantity: Math.floor(quantity), discountPercent };
+    })
+    .filter((t) => t.quantity > 0 && Number.isFinite(t.discountPercent) && t.discountPercent > 0)
+    .sort((a, b) => a.quantity - b.quantity);
+}
+
+/**
+ * Returns the signed claims for a cart line — { kind, percent, tiers,
+ * productIds } — or null when the line has no valid token (bad signature,
+ * wrong product/variant, or expired). Callers must price the line from these
+ * claims only, never from other line attributes.
+ */
+export function verifyLineToken(line, secret, localDate, cache) {
+  const token = String(line?.offerToken?.value || "");
+  if (!token) return null;
+
+  const parts = token.split("|");
+  if (parts.length !== 9 || parts[0] !== "v2") return null;
+
+  let signatureOk = cache.get(token);
+  if (signatureOk === undefined) {
+    signatureOk = hmacSha256Hex(secret, parts.slice(0, 8).join("|")) === parts[8];
+    cache.set(token, signatureOk);
+  }
+  if (!signatureOk) return null;
+
+  const productIds = parts[2].split(",");
+  const productId = normalizeId(line?.merchandise?.product?.id);
+  if (!productId || !productIds.includes(productId)) return null;
+
+  // Variants bind the offered product (first id); a bundle's source line is matched by product
+  const variantIds = parts[3] ? parts[3].split(",") : [];
+  if (variantIds.length > 0 && productId === productIds[0] &&
+      !variantIds.includes(normalizeId(line?.merchandise?.id))) return null;
+
+  const today = startOfDaySeconds(localDate);
+  const expiresAt = Number(parts[7]);
+  if (!Number.isFinite(expiresAt) || (today !== null && expiresAt < today)) return null;
+
+  const kind = parts[4];
+  const percent = Number(parts[5]);
+  const tiers = parseTiers(parts[6]);
+  if (kind === "volume") return tiers.length > 0 ? { kind, percent, tiers, productIds } : null;
+  if (kind !== "flat" && kind !== "bundle") return null;
+  return Number.isFinite(percent) && percent > 0 ? { kind, percent, tiers: [], productIds } : null;
+}
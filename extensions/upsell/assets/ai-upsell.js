@@ -26,6 +26,22 @@
     return isImmediateDiscountGoal(goal) || isBuy2Goal(goal);
   }
 
+  // Buyer's market — the proxy prices offers for this country / currency
+  function buyerContextQuery() {
+    var S = window.Shopify || {};
+    var country = _C.country || S.country || '';
+    var currency = _C.currency || (S.currency && S.currency.active) || '';
+    var rate = S.currency && S.currency.rate ? S.currency.rate : '';
+    return (country ? '&country=' + encodeURIComponent(country) : '') +
+      (currency ? '&currency=' + encodeURIComponent(currency) : '') +
+      (rate ? '&rate=' + encodeURIComponent(rate) : '');
+  }
+
+  // Segment signals: customer / cart values rendered by Liquid + visitor signals from the snippet
+  function segmentSignalQuery() {
+    return (_C.segmentQuery || '') + (window.__AI_UPSELL_SIGNALS__ || '');
+  }
+
   function safeLoadDrawerUpsells() {
     try {
       if (typeof window.__AI_UPSELL_LOAD_DRAWER__ === 'function') {
@@ -281,12 +297,30 @@
   }
   resolveUserId();
 
+  // ── Visitor id on the cart ────────────────────────────────────────────────
+  // Copied by Shopify onto the order (note_attributes) so orders can be tied
+  // back to the visitor's holdout / A/B group. Written once per browser session.
+  (function ensureCartVisitorAttribute() {
+    var uid = window.__AI_UPSELL_USER_ID__;
+    if (!uid) return;
+    try { if (sessionStorage.getItem('__ai_uid_attr__') === String(uid)) return; } catch (_) {}
+    fetch('/cart/update.js', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ attributes: { ai_uid: String(uid) } })
+    }).then(function () {
+      try { sessionStorage.setItem('__ai_uid_attr__', String(uid)); } catch (_) {}
+    }).catch(function () {});
+  })();
+
   // ── Early prefetch — start API call before DOM is ready to reduce latency ──
   if (!_C.isCartPage && _C.productId && !window.__AI_UPSELL_PREFETCH__) {
     var _prefetchUid = window.__AI_UPSELL_USER_ID__ || '';
     window.__AI_UPSELL_PREFETCH__ = fetch(
       '/apps/ai-upsell?id=gid://shopify/Product/' + _C.productId +
       (_prefetchUid ? '&userId=' + encodeURIComponent(_prefetchUid) : '') +
+      buyerContextQuery() +
+      segmentSignalQuery() +
       '&_t=' + Date.now()
     );
   }
@@ -1284,6 +1318,44 @@
       }
     }
 
+    // Offer amounts arrive in the buyer's currency (the proxy prices them per market)
+    function getOfferCurrency() {
+      return _C.currency || (window.Shopify && window.Shopify.currency && window.Shopify.currency.active) || null;
+    }
+
+    function getCurrencyDecimals() {
+      var currency = getOfferCurrency();
+      if (!currency) return 2;
+      try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+      } catch (_) {
+        return 2;
+      }
+    }
+
+    // Amount rounded to the currency's minor unit, as a plain decimal string
+    function toMoneyString(value) {
+      var decimals = getCurrencyDecimals();
+      var factor = Math.pow(10, decimals);
+      var num = parseFloat(value);
+      return (Math.round((isFinite(num) ? num : 0) * factor) / factor).toFixed(decimals);
+    }
+
+    function formatOfferPrice(value) {
+      var currency = getOfferCurrency();
+      if (!currency) return toMoneyString(value);
+      try {
+        return new Intl.NumberFormat(_C.locale || undefined, {
+          style: 'currency',
+          currency: currency,
+          minimumFractionDigits: getCurrencyDecimals(),
+          maximumFractionDigits: getCurrencyDecimals()
+        }).format(parseFloat(toMoneyString(value)));
+      } catch (_) {
+        return toMoneyString(value);
+      }
+    }
+
     function applyAiDiscount(price, compareAtPrice, discountPercent) {
       var base = parseFloat(price);
       var pct = parseFloat(discountPercent);
@@ -1291,9 +1363,9 @@
       if (!isFinite(pct) || pct <= 0) return { price: price, compareAt: compareAtPrice, applied: false };
       // Always treat the current selling price as the base for discounts.
       // This ensures the displayed discount reflects what will actually be applied in checkout.
-      var compareAt = base.toFixed(2);
+      var compareAt = toMoneyString(base);
       var discounted = Math.max(0, base * (1 - pct / 100));
-      return { price: discounted.toFixed(2), compareAt: compareAt, applied: true };
+      return { price: toMoneyString(discounted), compareAt: compareAt, applied: true };
     }
 
     function formatDiscountPercent(value) {
@@ -1319,15 +1391,15 @@
         var offerType = p.offerType || 'addon_upsell';
         var discountPct = parseFloat(p.discountPercent || 0);
         var priceInfo = applyAiDiscount(p.price, p.compareAtPrice, discountPct);
-        var basePrice = parseFloat(p.price || 0).toFixed(2);
+        var basePrice = toMoneyString(p.price || 0);
         var compareAtParsed = parseFloat(p.compareAtPrice);
         var priceHtml;
         if (priceInfo.applied && priceInfo.compareAt !== priceInfo.price) {
-          priceHtml = '<s class="ai-dc-cmp">Rs. ' + priceInfo.compareAt + '</s><span class="ai-dc-price">Rs. ' + priceInfo.price + '</span>';
-        } else if (isFinite(compareAtParsed) && compareAtParsed > parseFloat(p.price || 0) && compareAtParsed.toFixed(2) !== basePrice) {
-          priceHtml = '<s class="ai-dc-cmp">Rs. ' + compareAtParsed.toFixed(2) + '</s><span class="ai-dc-price">Rs. ' + basePrice + '</span>';
+          priceHtml = '<s class="ai-dc-cmp">' + formatOfferPrice(priceInfo.compareAt) + '</s><span class="ai-dc-price">' + formatOfferPrice(priceInfo.price) + '</span>';
+        } else if (isFinite(compareAtParsed) && compareAtParsed > parseFloat(p.price || 0) && toMoneyString(compareAtParsed) !== basePrice) {
+          priceHtml = '<s class="ai-dc-cmp">' + formatOfferPrice(compareAtParsed) + '</s><span class="ai-dc-price">' + formatOfferPrice(basePrice) + '</span>';
         } else {
-          priceHtml = '<span class="ai-dc-price">Rs. ' + basePrice + '</span>';
+          priceHtml = '<span class="ai-dc-price">' + formatOfferPrice(basePrice) + '</span>';
         }
         var badgeHtml = '';
         if (discountPct > 0) {
@@ -1438,7 +1510,8 @@
           var offerPropsD = getOfferProperties(
             offerType, discountPct, currentGoalD,
             resolveOriginalBasePrice(productData, null),
-            resolveFunctionDiscountPercent(productData, null, discountPct)
+            resolveFunctionDiscountPercent(productData, null, discountPct),
+            productData
           );
           btn.textContent = '...'; btn.disabled = true;
           try {
@@ -2017,14 +2090,32 @@
       return Math.max(0, Math.min(100, actualPct));
     }
 
-    function getOfferProperties(offerType, effectiveDiscount, goal, originalBasePrice, functionDiscountPercent) {
-      if (!effectiveDiscount || Number(effectiveDiscount) <= 0) return {};
+    // Compact tier table for the discount Function — it picks the tier per line quantity
+    function serializeVolumeTiers(tiers) {
+      if (!Array.isArray(tiers)) return '';
+      var clean = tiers
+        .map(function (t) { return { quantity: Number(t && t.quantity || 0), discountPercent: Number(t && t.discountPercent || 0) }; })
+        .filter(function (t) { return t.quantity > 0 && t.discountPercent > 0; });
+      return clean.length ? JSON.stringify(clean) : '';
+    }
+
+    function getOfferProperties(offerType, effectiveDiscount, goal, originalBasePrice, functionDiscountPercent, productData) {
+      // Native bundle — the bundle-transform Cart Transform merges lines tagged with the bundle id
+      var bundleId = offerType === 'bundle' && productData && productData.bundleId ? String(productData.bundleId) : '';
+      if (!effectiveDiscount || Number(effectiveDiscount) <= 0) {
+        return bundleId ? { properties: { '_bundle_id': bundleId } } : {};
+      }
+      // Signed by the backend — the discount Function ignores lines without a valid token
+      var offerToken = productData && productData.offerToken ? String(productData.offerToken) : '';
       var formattedDiscount = formatDiscountPercent(effectiveDiscount);
       var functionPct = isFinite(Number(functionDiscountPercent)) && Number(functionDiscountPercent) > 0
         ? formatDiscountPercent(Number(functionDiscountPercent))
         : formattedDiscount;
       if (offerType === 'volume_discount') {
         var volumeProps = { 'Offer': 'Volume ' + formattedDiscount + '% off' };
+        var serializedTiers = serializeVolumeTiers(productData && productData.tiers);
+        if (serializedTiers) volumeProps['_volume_tiers'] = serializedTiers;
+        if (offerToken) volumeProps['_offer_token'] = offerToken;
         if (originalBasePrice) volumeProps['_ai_original_price'] = String(originalBasePrice);
         return { properties: volumeProps };
       }
@@ -2032,6 +2123,8 @@
       // can read it back and patch the cart drawer price regardless of AI goal type.
       var prefix = offerType === 'bundle' ? 'Bundle' : 'Offer';
       var props = { 'Offer': prefix + ' ' + formattedDiscount + '% off' };
+      if (bundleId) props['_bundle_id'] = bundleId;
+      if (offerToken) props['_offer_token'] = offerToken;
       if (originalBasePrice) props['_ai_original_price'] = String(originalBasePrice);
       return { properties: props };
     }
@@ -2121,11 +2214,11 @@
       var discountLabel = isFinite(parseFloat(product.discountPercent)) && parseFloat(product.discountPercent) > 0 ? '<span class="ai-upsell-discount-pill">-' + formatDiscountPercent(product.discountPercent) + '%</span>' : '';
       var savingsLine = '';
       if (isFinite(parseFloat(product.discountPercent)) && parseFloat(product.discountPercent) > 0 && isFinite(parseFloat(dc))) {
-        var saved = (parseFloat(dc) - parseFloat(dp)).toFixed(2);
-        if (parseFloat(saved) > 0) savingsLine = '<p class="ai-cart-bundle-savings">You save $' + saved + '</p>';
+        var saved = toMoneyString(parseFloat(dc) - parseFloat(dp));
+        if (parseFloat(saved) > 0) savingsLine = '<p class="ai-cart-bundle-savings">You save ' + formatOfferPrice(saved) + '</p>';
       }
       var variantSelectHtml = hasV ? ('<div class="ai-variant-wrapper"><select class="ai-variant-select">' + product.variants.map(function (v) { var vInfo = applyAiDiscount(v.price, v.compareAtPrice || '', product.discountPercent); return '<option value="' + v.id + '" data-price="' + vInfo.price + '" data-compare="' + (vInfo.compareAt || '') + '"' + (!v.available ? ' disabled' : '') + (v.id === (first && first.id) ? ' selected' : '') + '>' + v.title + (!v.available ? ' - Sold out' : '') + '</option>'; }).join('') + '</select></div>') : '';
-      return '<div class="ai-upsell-card" data-product-id="' + product.id + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '"><div class="ai-offer-type-badge ai-offer-type-cart-bundle">Complete Your Look</div><a href="' + product.url + '" class="ai-upsell-link"><div class="ai-upsell-image-wrapper">' + (product.image ? '<img src="' + product.image + '" alt="' + product.title + '" class="ai-upsell-image" loading="lazy" />' : '') + '</div><div class="ai-upsell-info"><h3 class="ai-upsell-product-title">' + product.title + '</h3><p class="ai-upsell-price-block">' + (dc && parseFloat(dc) > parseFloat(dp) ? '<span class="ai-upsell-compare-price">$' + parseFloat(dc).toFixed(2) + '</span> ' : '') + '<span class="ai-upsell-price">$' + parseFloat(dp).toFixed(2) + '</span>' + discountLabel + '</p>' + savingsLine + '</div></a><div class="ai-upsell-actions">' + variantSelectHtml + '<div class="ai-upsell-quantity"><span class="ai-qty-label">Quantity</span><div class="ai-qty-controls"><button class="ai-qty-btn ai-qty-minus" aria-label="Decrease quantity">\u2212</button><input type="number" class="ai-qty-input" value="1" min="1" max="99" readonly /><button class="ai-qty-btn ai-qty-plus" aria-label="Increase quantity">+</button></div></div><button class="ai-add-to-cart-btn" data-variant-id="' + eVid + '" data-product-id="' + product.id + '" data-recommendation-type="' + (product.type || 'cart_bundle') + '" data-confidence="' + product.confidence + '" ' + (!product.availableForSale ? 'disabled' : '') + '>' + (product.availableForSale ? 'Add to Cart' : 'Out of Stock') + '</button></div></div>';
+      return '<div class="ai-upsell-card" data-product-id="' + product.id + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '"><div class="ai-offer-type-badge ai-offer-type-cart-bundle">Complete Your Look</div><a href="' + product.url + '" class="ai-upsell-link"><div class="ai-upsell-image-wrapper">' + (product.image ? '<img src="' + product.image + '" alt="' + product.title + '" class="ai-upsell-image" loading="lazy" />' : '') + '</div><div class="ai-upsell-info"><h3 class="ai-upsell-product-title">' + product.title + '</h3><p class="ai-upsell-price-block">' + (dc && parseFloat(dc) > parseFloat(dp) ? '<span class="ai-upsell-compare-price" data-amount="' + toMoneyString(dc) + '">' + formatOfferPrice(dc) + '</span> ' : '') + '<span class="ai-upsell-price" data-amount="' + toMoneyString(dp) + '">' + formatOfferPrice(dp) + '</span>' + discountLabel + '</p>' + savingsLine + '</div></a><div class="ai-upsell-actions">' + variantSelectHtml + '<div class="ai-upsell-quantity"><span class="ai-qty-label">Quantity</span><div class="ai-qty-controls"><button class="ai-qty-btn ai-qty-minus" aria-label="Decrease quantity">\u2212</button><input type="number" class="ai-qty-input" value="1" min="1" max="99" readonly /><button class="ai-qty-btn ai-qty-plus" aria-label="Increase quantity">+</button></div></div><button class="ai-add-to-cart-btn" data-variant-id="' + eVid + '" data-product-id="' + product.id + '" data-recommendation-type="' + (product.type || 'cart_bundle') + '" data-confidence="' + product.confidence + '" ' + (!product.availableForSale ? 'disabled' : '') + '>' + (product.availableForSale ? 'Add to Cart' : 'Out of Stock') + '</button></div></div>';
     }
 
     function buildBundleCardHTML(product) {
@@ -2141,9 +2234,9 @@
       var upsellImg = product.image ? '<img src="' + product.image + '" alt="" class="ai-bundle-img" />' : '<div class="ai-bundle-img-placeholder"></div>';
       var upsellVid = product.variantId || product.id;
       if (typeof upsellVid === 'string' && upsellVid.includes('/')) upsellVid = upsellVid.split('/').pop();
-      var savingsHtml = savings > 0 ? '<p class="ai-bundle-savings">You save Rs. ' + savings.toFixed(2) + ' (' + formatDiscountPercent(discountPct) + '% off)</p>' : '';
-      var comparePriceHtml = bundleOriginalTotal > bundleDiscountedTotal ? '<span class="ai-bundle-compare">Rs. ' + bundleOriginalTotal.toFixed(2) + '</span>' : '';
-      return '<div class="ai-upsell-card ai-bundle-card" data-product-id="' + product.id + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '"><div class="ai-offer-type-badge ai-offer-type-bundle">Bundle &amp; Save</div><div class="ai-bundle-products"><div class="ai-bundle-item"><a href="' + (src ? src.url : '#') + '" class="ai-bundle-img-link">' + srcImg + '</a><p class="ai-bundle-item-title">' + (src ? src.title : 'Current Product') + '</p></div><div class="ai-bundle-plus">+</div><div class="ai-bundle-item"><a href="' + product.url + '" class="ai-bundle-img-link">' + upsellImg + '</a><p class="ai-bundle-item-title">' + product.title + '</p></div></div><div class="ai-bundle-pricing"><p class="ai-bundle-total-label">Bundle Price</p><p class="ai-bundle-price-row">' + comparePriceHtml + '<span class="ai-bundle-price">Rs. ' + bundleDiscountedTotal.toFixed(2) + '</span></p>' + savingsHtml + '</div><div class="ai-upsell-actions"><button class="ai-add-to-cart-btn" data-variant-id="' + upsellVid + '" data-product-id="' + product.id + '" data-source-variant-id="' + (src && src.variantId ? src.variantId : '') + '" data-source-product-id="' + (src && src.id ? src.id : '') + '" data-discount-percent="' + discountPct + '" data-recommendation-type="' + (product.type || 'bundle') + '" data-confidence="' + product.confidence + '"' + (!product.availableForSale ? ' disabled' : '') + '>' + (product.availableForSale ? 'Add to Cart' : 'Out of Stock') + '</button></div></div>';
+      var savingsHtml = savings > 0 ? '<p class="ai-bundle-savings">You save ' + formatOfferPrice(savings) + ' (' + formatDiscountPercent(discountPct) + '% off)</p>' : '';
+      var comparePriceHtml = bundleOriginalTotal > bundleDiscountedTotal ? '<span class="ai-bundle-compare">' + formatOfferPrice(bundleOriginalTotal) + '</span>' : '';
+      return '<div class="ai-upsell-card ai-bundle-card" data-product-id="' + product.id + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '"><div class="ai-offer-type-badge ai-offer-type-bundle">Bundle &amp; Save</div><div class="ai-bundle-products"><div class="ai-bundle-item"><a href="' + (src ? src.url : '#') + '" class="ai-bundle-img-link">' + srcImg + '</a><p class="ai-bundle-item-title">' + (src ? src.title : 'Current Product') + '</p></div><div class="ai-bundle-plus">+</div><div class="ai-bundle-item"><a href="' + product.url + '" class="ai-bundle-img-link">' + upsellImg + '</a><p class="ai-bundle-item-title">' + product.title + '</p></div></div><div class="ai-bundle-pricing"><p class="ai-bundle-total-label">Bundle Price</p><p class="ai-bundle-price-row">' + comparePriceHtml + '<span class="ai-bundle-price">' + formatOfferPrice(bundleDiscountedTotal) + '</span></p>' + savingsHtml + '</div><div class="ai-upsell-actions"><button class="ai-add-to-cart-btn" data-variant-id="' + upsellVid + '" data-product-id="' + product.id + '" data-source-variant-id="' + (src && src.variantId ? src.variantId : '') + '" data-source-product-id="' + (src && src.id ? src.id : '') + '" data-discount-percent="' + discountPct + '" data-recommendation-type="' + (product.type || 'bundle') + '" data-confidence="' + product.confidence + '"' + (!product.availableForSale ? ' disabled' : '') + '>' + (product.availableForSale ? 'Add to Cart' : 'Out of Stock') + '</button></div></div>';
     }
 
     function buildMultiBundleCardHTML(sourceProduct, bundleProducts) {
@@ -2173,10 +2266,10 @@
           : null;
         var vid = p.variantId || (firstVariant && (firstVariant.id || firstVariant.variantId)) || p.id;
         if (typeof vid === 'string' && vid.includes('/')) vid = vid.split('/').pop();
-        itemsHtml += '<div class="ai-mbc-item" data-vid="' + (vid || '') + '" data-product-id="' + (p.id || '') + '" data-handle="' + (p.handle || '') + '">'
+        itemsHtml += '<div class="ai-mbc-item" data-vid="' + (vid || '') + '" data-product-id="' + (p.id || '') + '" data-handle="' + (p.handle || '') + '" data-offer-token="' + escapeHtml(p.offerToken || '') + '" data-bundle-id="' + escapeHtml(p.bundleId || '') + '">'
           + '<a href="' + (p.url || '#') + '" class="ai-mbc-img-link">' + imgHtml + '</a>'
           + '<p class="ai-mbc-title">' + (p.title || '') + '</p>'
-          + '<p class="ai-mbc-price-row"><span class="ai-mbc-price">Rs. ' + price.toFixed(2) + '</span></p>'
+          + '<p class="ai-mbc-price-row"><span class="ai-mbc-price">' + formatOfferPrice(price) + '</span></p>'
           + '<div class="ai-mbc-qty"><button type="button" class="ai-mbc-qty-btn ai-mbc-minus">\u2212</button><span class="ai-mbc-qty-val">1</span><button type="button" class="ai-mbc-qty-btn ai-mbc-plus">+</button></div>'
           + '</div>';
       });
@@ -2191,8 +2284,8 @@
       var srcVariantId = src && src.variantId ? src.variantId : '';
       var buttonText = 'Add ' + totalCount + ' Items';
       var totalPriceHtml = savings > 0
-        ? '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-original">Rs. ' + originalTotal.toFixed(2) + '</span> <span class="ai-mbc-total-discounted">Rs. ' + discountedTotal.toFixed(2) + '</span>'
-        : '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-discounted">Rs. ' + discountedTotal.toFixed(2) + '</span>';
+        ? '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-original">' + formatOfferPrice(originalTotal) + '</span> <span class="ai-mbc-total-discounted">' + formatOfferPrice(discountedTotal) + '</span>'
+        : '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-discounted">' + formatOfferPrice(discountedTotal) + '</span>';
       return '<div class="ai-upsell-card ai-bundle-card ai-multi-bundle-card" data-source-price="' + srcPrice.toFixed(2) + '">'
         + '<div class="ai-offer-type-badge ai-offer-type-bundle">Bundle &amp; Save</div>'
         + '<div class="ai-mbc-grid">' + itemsHtml + '</div>'
@@ -2253,7 +2346,9 @@
         var qty = itemEl ? (parseInt((itemEl.querySelector('.ai-mbc-qty-val') || {}).textContent) || 1) : 1;
         var handle = itemEl ? (itemEl.getAttribute('data-handle') || '') : '';
         var productId = itemEl ? (itemEl.getAttribute('data-product-id') || '') : '';
-        itemData.push({ fallbackVid: variantIds[i], qty: qty, handle: handle, productId: productId });
+        var offerToken = itemEl ? (itemEl.getAttribute('data-offer-token') || '') : '';
+        var bundleId = itemEl ? (itemEl.getAttribute('data-bundle-id') || '') : '';
+        itemData.push({ fallbackVid: variantIds[i], qty: qty, handle: handle, productId: productId, offerToken: offerToken, bundleId: bundleId });
       }
       var resolvedVids = await Promise.all(itemData.map(function(d) { return resolveVariantId(d.handle, d.fallbackVid); }));
       var items = itemData.map(function(d, i) {
@@ -2262,7 +2357,11 @@
           console.warn('[AI Upsell] Bundle item has no valid variant ID:', { productId: d.productId, handle: d.handle, fallbackVid: d.fallbackVid, resolvedVid: resolvedVids[i] });
           return null;
         }
-        return { id: Number(resolvedId), quantity: d.qty, properties: { _source: 'ai-bundle', Offer: offerProp, _bundle_product_ids: resolvedVids.join(',') } };
+        var bundleProps = { _source: 'ai-bundle', Offer: offerProp, _bundle_product_ids: resolvedVids.join(',') };
+        if (d.offerToken) bundleProps._offer_token = d.offerToken;
+        // Native bundle — merged into one bundle line by the bundle-transform Cart Transform
+        if (d.bundleId) bundleProps._bundle_id = d.bundleId;
+        return { id: Number(resolvedId), quantity: d.qty, properties: bundleProps };
       }).filter(Boolean);
       if (items.length === 0) {
         console.error('[AI Upsell] No valid bundle variants could be added to cart');
@@ -2455,8 +2554,8 @@
         var totalRow = card.querySelector('.ai-mbc-total-row');
         if (totalRow) {
           totalRow.innerHTML = savings > 0.001
-            ? '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-original">Rs. ' + originalTotal.toFixed(2) + '</span> <span class="ai-mbc-total-discounted">Rs. ' + discountedTotal.toFixed(2) + '</span>'
-            : '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-discounted">Rs. ' + discountedTotal.toFixed(2) + '</span>';
+            ? '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-original">' + formatOfferPrice(originalTotal) + '</span> <span class="ai-mbc-total-discounted">' + formatOfferPrice(discountedTotal) + '</span>'
+            : '<span class="ai-mbc-total-label">Total price : </span><span class="ai-mbc-total-discounted">' + formatOfferPrice(discountedTotal) + '</span>';
         }
         btn.setAttribute('data-original-text', 'Add ' + totalQty + ' Items');
         if (btn.textContent !== 'Adding...' && btn.textContent !== 'Added \u2713') {
@@ -2513,19 +2612,15 @@
       var variantHtml = hasV ? '<div class="ai-variant-wrapper"><select class="ai-variant-select">' + product.variants.map(function (v) { var vInfo = applyAiDiscount(v.price, v.compareAtPrice || '', discountPct); return '<option value="' + v.id + '" data-price="' + vInfo.price + '" data-compare="' + (vInfo.compareAt || '') + '"' + (!v.available ? ' disabled' : '') + (v.id === (first && first.id) ? ' selected' : '') + '>' + v.title + (!v.available ? ' - Sold out' : '') + '</option>'; }).join('') + '</select></div>' : '';
       var subscriptionMetaHtml = offerType === 'subscription_upgrade' ? getSubscriptionMetaHTML(product) : '';
       var primaryActionLabel = product.availableForSale ? (offerType === 'subscription_upgrade' ? 'Start Subscription' : 'Add to Cart') : 'Out of Stock';
-      return '<div class="' + cardClass + '" data-product-id="' + product.id + '" data-offer-type="' + offerType + '"' + volumeTiersAttr + ' data-selling-plan-id="' + (product.sellingPlanIdNumeric || product.sellingPlanId || '') + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '">' + getOfferTypeBadge(product) + '<a href="' + product.url + '" class="ai-upsell-link"><div class="ai-upsell-image-wrapper">' + (product.image ? '<img src="' + product.image + '" alt="' + product.title + '" class="ai-upsell-image" loading="lazy" />' : '') + '</div><div class="ai-upsell-info"><h3 class="ai-upsell-product-title">' + product.title + '</h3><p class="ai-upsell-price-block">' + (dc && parseFloat(dc) > parseFloat(dp) && parseFloat(dc).toFixed(2) !== parseFloat(dp).toFixed(2) ? '<span class="ai-upsell-compare-price">Rs. ' + parseFloat(dc).toFixed(2) + '</span> ' : '') + '<span class="ai-upsell-price">Rs. ' + parseFloat(dp).toFixed(2) + '</span>' + discountLabel + '</p>' + subscriptionMetaHtml + '</div></a><div class="ai-upsell-actions">' + variantHtml + '<div class="ai-upsell-quantity"><span class="ai-qty-label">Quantity</span><div class="ai-qty-controls"><button class="ai-qty-btn ai-qty-minus" aria-label="Decrease quantity">\u2212</button><input type="number" class="ai-qty-input" value="1" min="1" max="99" readonly /><button class="ai-qty-btn ai-qty-plus" aria-label="Increase quantity">+</button></div></div><button class="ai-add-to-cart-btn" data-variant-id="' + eVid + '" data-product-id="' + product.id + '" data-discount-percent="' + (discountPct || 0) + '" data-recommendation-type="' + product.type + '" data-confidence="' + product.confidence + '" ' + (!product.availableForSale ? 'disabled' : '') + '>' + primaryActionLabel + '</button></div></div>';
+      return '<div class="' + cardClass + '" data-product-id="' + product.id + '" data-offer-type="' + offerType + '"' + volumeTiersAttr + ' data-selling-plan-id="' + (product.sellingPlanIdNumeric || product.sellingPlanId || '') + '" data-inventory-quantity="' + (product.inventoryQuantity !== undefined ? product.inventoryQuantity : 999) + '" data-inventory-policy="' + (product.inventoryPolicy || 'continue') + '">' + getOfferTypeBadge(product) + '<a href="' + product.url + '" class="ai-upsell-link"><div class="ai-upsell-image-wrapper">' + (product.image ? '<img src="' + product.image + '" alt="' + product.title + '" class="ai-upsell-image" loading="lazy" />' : '') + '</div><div class="ai-upsell-info"><h3 class="ai-upsell-product-title">' + product.title + '</h3><p class="ai-upsell-price-block">' + (dc && parseFloat(dc) > parseFloat(dp) && toMoneyString(dc) !== toMoneyString(dp) ? '<span class="ai-upsell-compare-price" data-amount="' + toMoneyString(dc) + '">' + formatOfferPrice(dc) + '</span> ' : '') + '<span class="ai-upsell-price" data-amount="' + toMoneyString(dp) + '">' + formatOfferPrice(dp) + '</span>' + discountLabel + '</p>' + subscriptionMetaHtml + '</div></a><div class="ai-upsell-actions">' + variantHtml + '<div class="ai-upsell-quantity"><span class="ai-qty-label">Quantity</span><div class="ai-qty-controls"><button class="ai-qty-btn ai-qty-minus" aria-label="Decrease quantity">\u2212</button><input type="number" class="ai-qty-input" value="1" min="1" max="99" readonly /><button class="ai-qty-btn ai-qty-plus" aria-label="Increase quantity">+</button></div></div><button class="ai-add-to-cart-btn" data-variant-id="' + eVid + '" data-product-id="' + product.id + '" data-discount-percent="' + (discountPct || 0) + '" data-recommendation-type="' + product.type + '" data-confidence="' + product.confidence + '" ' + (!product.availableForSale ? 'disabled' : '') + '>' + primaryActionLabel + '</button></div></div>';
     }
 
     function updateUpsellPrice(card, qty) {
       var el = card.querySelector('span.ai-upsell-price'); if (!el) return;
-      var orig = el.getAttribute('data-original-price') || el.textContent;
-      var m = orig.match(/[\d,]+\.?\d*/); if (!m) return;
-      var sym = (orig.match(/[^\d\s,\.]+/) || ['Rs. '])[0];
-      var base = parseFloat(m[0].replace(/,/g, ''));
-      el.textContent = sym + (base * qty).toFixed(2);
-      if (!el.hasAttribute('data-original-price')) el.setAttribute('data-original-price', orig);
+      var base = parseFloat(el.getAttribute('data-amount')); if (!isFinite(base)) return;
+      el.textContent = formatOfferPrice(base * qty);
       var cel = card.querySelector('span.ai-upsell-compare-price');
-      if (cel) { var co = cel.getAttribute('data-original-price') || cel.textContent; var cm = co.match(/[\d,]+\.?\d*/); if (cm) { cel.textContent = sym + (parseFloat(cm[0].replace(/,/g, '')) * qty).toFixed(2); if (!cel.hasAttribute('data-original-price')) cel.setAttribute('data-original-price', co); } }
+      if (cel) { var cb = parseFloat(cel.getAttribute('data-amount')); if (isFinite(cb)) cel.textContent = formatOfferPrice(cb * qty); }
     }
 
     function attachQtyListeners(contentEl) {
@@ -2546,9 +2641,9 @@
           var np = opt.dataset.price, nc = opt.dataset.compare;
           if (np) {
             var pe = card.querySelector('.ai-upsell-price');
-            if (pe) { var s = (pe.textContent.match(/[^\d\s,\.]+/) || ['Rs. '])[0]; pe.textContent = s + parseFloat(np).toFixed(2); pe.removeAttribute('data-original-price'); }
+            if (pe) { pe.setAttribute('data-amount', toMoneyString(np)); pe.textContent = formatOfferPrice(np); }
             var ce = card.querySelector('.ai-upsell-compare-price');
-            if (ce) { if (nc && parseFloat(nc) > parseFloat(np)) { var s2 = (ce.textContent.match(/[^\d\s,\.]+/) || ['Rs. '])[0]; ce.textContent = s2 + parseFloat(nc).toFixed(2); ce.style.display = ''; ce.removeAttribute('data-original-price'); } else { ce.style.display = 'none'; } }
+            if (ce) { if (nc && parseFloat(nc) > parseFloat(np)) { ce.setAttribute('data-amount', toMoneyString(nc)); ce.textContent = formatOfferPrice(nc); ce.style.display = ''; } else { ce.style.display = 'none'; } }
           }
           var qi = card.querySelector('.ai-qty-input'); if (qi) qi.value = '1';
           updateUpsellPrice(card, 1);
@@ -2595,9 +2690,14 @@
         var segment = window.__AI_UPSELL_SEGMENT__ || _C.customerSegment || '';
         var ts = Date.now();
         var gids = cartItems.map(function (i) { return 'gid://shopify/Product/' + i.product_id; });
+        // Subtotal in shop currency units — used by merchant offer rules
+        var subtotalCents = cartItems.reduce(function (sum, i) { return sum + (Number(i.final_line_price) || 0); }, 0);
         var url = '/apps/ai-upsell/cart?ids=' + encodeURIComponent(JSON.stringify(gids))
           + (userId ? '&userId=' + encodeURIComponent(userId) : '')
+          + '&subtotal=' + (subtotalCents / 100).toFixed(2)
           + (segment ? '&segment=' + encodeURIComponent(segment) : '')
+          + buyerContextQuery()
+          + segmentSignalQuery()
           + '&_t=' + ts;
         var res = await fetch(url);
         if (!res.ok) return null;
@@ -2611,7 +2711,7 @@
       var userId = window.__AI_UPSELL_USER_ID__ || '';
       var segment = window.__AI_UPSELL_SEGMENT__ || _C.customerSegment || '';
       var ts = Date.now();
-      var apiUrl = '/apps/ai-upsell?id=gid://shopify/Product/' + productId + (userId ? '&userId=' + encodeURIComponent(userId) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + '&_t=' + ts;
+      var apiUrl = '/apps/ai-upsell?id=gid://shopify/Product/' + productId + (userId ? '&userId=' + encodeURIComponent(userId) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + buyerContextQuery() + segmentSignalQuery() + '&_t=' + ts;
       var fetchPromise = window.__AI_UPSELL_PREFETCH__;
       if (fetchPromise) {
         window.__AI_UPSELL_PREFETCH__ = null;
@@ -2666,7 +2766,7 @@
       var cartUserId = window.__AI_UPSELL_USER_ID__ || '';
       var segment = window.__AI_UPSELL_SEGMENT__ || _C.customerSegment || '';
       var ts = Date.now();
-      var apiUrl = '/apps/ai-upsell/cart?ids=' + encodeURIComponent(JSON.stringify(productGids)) + (cartUserId ? '&userId=' + encodeURIComponent(cartUserId) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + '&_t=' + ts;
+      var apiUrl = '/apps/ai-upsell/cart?ids=' + encodeURIComponent(JSON.stringify(productGids)) + (cartUserId ? '&userId=' + encodeURIComponent(cartUserId) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + buyerContextQuery() + segmentSignalQuery() + '&_t=' + ts;
       var fetchPromise = window.__AI_CART_PREFETCH__;
       if (fetchPromise) { window.__AI_CART_PREFETCH__ = null; } else { fetchPromise = fetch(apiUrl); }
       var response = await fetchPromise;
@@ -3848,7 +3948,8 @@
               effectiveDiscount,
               currentGoalSecondary,
               resolveOriginalBasePrice(productData, productCard),
-              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount)
+              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount),
+              productData
             );
           try {
              button.disabled = true; button.textContent = 'Adding...';
@@ -4008,7 +4109,8 @@
               effectiveDiscount,
               currentGoalPdp,
               resolveOriginalBasePrice(productData, productCard),
-              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount)
+              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount),
+              productData
             );
             try {
               button.disabled = true; button.textContent = 'Adding...';
@@ -4199,7 +4301,8 @@
               effectiveDiscount,
               currentGoalCartPage,
               resolveOriginalBasePrice(productData, productCard),
-              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount)
+              resolveFunctionDiscountPercent(productData, productCard, effectiveDiscount),
+              productData
             );
             try {
               button.disabled = true; button.textContent = 'Adding...';
@@ -4262,7 +4365,7 @@
         var cartUid = window.__AI_UPSELL_USER_ID__ || '';
         var segment = window.__AI_UPSELL_SEGMENT__ || _C.customerSegment || '';
         var ts = Date.now();
-        var apiUrl = '/apps/ai-upsell/cart?ids=' + encodeURIComponent(JSON.stringify(productGids)) + (cartUid ? '&userId=' + encodeURIComponent(cartUid) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + '&_t=' + ts;
+        var apiUrl = '/apps/ai-upsell/cart?ids=' + encodeURIComponent(JSON.stringify(productGids)) + (cartUid ? '&userId=' + encodeURIComponent(cartUid) : '') + (segment ? '&segment=' + encodeURIComponent(segment) : '') + buyerContextQuery() + segmentSignalQuery() + '&_t=' + ts;
         var fetchPromise = window.__AI_CART_PREFETCH__;
         if (fetchPromise) window.__AI_CART_PREFETCH__ = null; else fetchPromise = fetch(apiUrl);
         var response = await fetchPromise;
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Offline decision replay
+ * Re-runs recorded decision_logs requests against a shop snapshot and diffs
+ * offers, scores and trace steps (see backend/services/decisionReplay.js).
+ *
+ * Usage:
+ *   node replay-decisions.js --shop <shop> [--save <file>]   capture from MongoDB, then replay
+ *   node replay-decisions.js --fixture <file>                replay a saved snapshot
+ *
+ * Options:
+ *   --engine v1|v2      decide every request with this engine (default: as recorded)
+ *   --placement <name>  only replay one placement
+ *   --limit <n>         only replay the newest n requests
+ *   --days <n>          event history to capture (default 30)
+ *   --record            send LLM cache misses to the shop's real provider and
+ *                       store the replies in the snapshot (written back to the
+ *                       --save / --fixture file)
+ *   --json              print the full report as JSON
+ *
+ * Exits 1 when any replayed decision differs from the recorded one.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { closeMongoDB } from './backend/database/mongodb.js';
+import { closeMongoDB as closeConnection } from './backend/database/connection.js';
+import {
+  captureSnapshot,
+  readSnapshotFile,
+  writeSnapshotFile,
+  replayDecisions
+} from './backend/services/decisionReplay.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function printResult(result) {
+  const where = result.productId ? `product ${result.productId}` : `cart [${(result.cartProductIds || []).join(',')}]`;
+  if (result.error) {
+    console.log(`❌ ${result.placement} ${result.requestId || ''} — ${result.error}`);
+    return;
+  }
+  if (!result.changed) return;
+
+  const { offers, scoreChanges, traceChanges, statusChanged } = result.diff;
+  console.log(`\n🔀 ${result.placement} (${result.engineVersion}) ${where} — request ${result.requestId || 'n/a'}`);
+  if (statusChanged) console.log(`   status: ${result.recorded.status} → ${result.replayed.status}`);
+  console.log(`   offers: ${result.recorded.offers.map((o) => o.productId).join(', ') || '—'} → ${result.replayed.offers.map((o) => o.productId).join(', ') || '—'}`);
+  if (offers.added.length) console.log(`   added: ${offers.added.join(', ')}`);
+  if (offers.removed.length) console.log(`   removed: ${offers.removed.join(', ')}`);
+  for (const c of offers.offerTypeChanges) console.log(`   offer type ${c.productId}: ${c.primary} → ${c.shadow}`);
+  for (const c of offers.discountChanges) console.log(`   discount ${c.productId}: ${c.primary}% → ${c.shadow}%`);
+  for (const c of scoreChanges) console.log(`   score ${c.productId}: ${c.recorded} → ${c.replayed} (${c.delta > 0 ? '+' : ''}${c.delta})`);
+  for (const c of traceChanges) {
+    const fmt = (s) => (s ? `${s.status}${s.count != null ? ` (${s.count})` : ''}` : '—');
+    console.log(`   trace ${c.step}: ${fmt(c.recorded)} → ${fmt(c.replayed)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.shop && !args.fixture) {
+    console.error('Usage: node replay-decisions.js --shop <shop> [--save <file>] | --fixture <file> [--engine v1|v2] [--placement <name>] [--limit <n>] [--record] [--json]');
+    process.exit(2);
+  }
+
+  const snapshot = args.fixture
+    ? await readSnapshotFile(args.fixture)
+    : await captureSnapshot(args.shop, { days: Number(args.days) || 30 });
+  const snapshotFile = args.save || args.fixture || null;
+  if (args.save) {
+    await writeSnapshotFile(args.save, snapshot);
+    console.log(`💾 Snapshot saved to ${args.save}`);
+  }
+
+  const report = await replayDecisions(snapshot, {
+    engineVersion: args.engine || null,
+    placement: args.placement || null,
+    limit: Number(args.limit) || null,
+    record: Boolean(args.record)
+  });
+  if (!report.success) {
+    console.error(`❌ ${report.error}`);
+    return 2;
+  }
+
+  if (args.record && snapshotFile && report.llm.recorded > 0) {
+    await writeSnapshotFile(snapshotFile, snapshot);
+    console.log(`💾 ${report.llm.recorded} LLM replies recorded to ${snapshotFile}`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.results.forEach(printResult);
+    console.log(`\n📋 ${report.total} replayed: ${report.identical} identical, ${report.changed} changed, ${report.errors} failed`);
+    console.log(`🤖 LLM replies: ${report.llm.hits} recorded, ${report.llm.misses} missed${report.llm.misses && !args.record ? ' (answered by the mock provider — rerun with --record)' : ''}`);
+  }
+
+  return report.changed > 0 ? 1 : 0;
+}
+
+main()
+  .then(async (code) => {
+    await Promise.all([closeMongoDB(), closeConnection()]);
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    console.error('❌ Replay failed:', error);
+    await Promise.all([closeMongoDB(), closeConnection()]).catch(() => {});
+    process.exit(2);
+  });
@@ -5,14 +5,15 @@ import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { createRequestHandler } from '@remix-run/express';
-import { getAllProducts, syncProductsToMongoDB } from './backend/database/collections.js';
+import { getProductsByShop, syncProductsToMongoDB } from './backend/database/collections.js';
 import { connectToMongoDB } from './backend/database/connection.js';
 import { initializeCollections } from './backend/database/mongodb.js';
 import analyticsRouter from './backend/routes/analytics.js';
 import cronRouter from './backend/routes/cron.js';
-import { processPurchaseEvent } from './backend/services/orderProcessingService.js';
-import { startProductReconciliationJob } from './backend/jobs/productReconciliation.js';
+import { startBackgroundWorker } from './backend/jobs/worker.js';
+import { listJobs, getQueueSummary, retryDeadJob } from './backend/services/jobQueue.js';
 import { getMerchantConfig } from './backend/services/merchantConfig.js';
+import { requireDashboardAuth } from './backend/services/dashboardAuth.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,12 +50,13 @@ const app = express();
 app.use(cors());
 
 // Apply JSON body parsing only to Express-owned routes.
-// Remix routes (e.g. /api/dashboard/*) read the raw body stream themselves —
+// Remix routes (e.g. /api/dashboard/*, /webhooks/*) read the raw body stream themselves —
 // if express.json() consumes the stream first, request.json() in the Remix
 // action receives an empty body and throws "Unexpected end of JSON input".
+const REMIX_BODY_PATHS = ['/api/dashboard', '/webhooks/', '/api/post-purchase/'];
 const jsonParser = express.json();
 app.use((req, res, next) => {
-  if (req.path.startsWith('/api/dashboard')) {
+  if (REMIX_BODY_PATHS.some((prefix) => req.path.startsWith(prefix))) {
     return next();
   }
   return jsonParser(req, res, next);
@@ -69,15 +71,18 @@ app.use('/api/analytics', analyticsRouter);
 app.use('/api/proxy/analytics', analyticsRouter); // Handle proxy requests
 app.use('/api/cron', cronRouter); // Cron jobs for learning loop & optimization
 
-// Get all upsell events from MongoDB
-app.get('/api/upsell-events', async (req, res) => {
+// Raw collection dumps below are debug tools: admin key only, always for one shop
+// (Authorization: Bearer <DASHBOARD_ADMIN_KEY>, ?shop= or ?shopId=)
+const requireAdmin = requireDashboardAuth({ role: 'admin' });
+
+// Get a shop's upsell events from MongoDB
+app.get('/api/upsell-events', requireAdmin, async (req, res) => {
   try {
     await connectToMongoDB();
     const { getDb } = await import('./backend/database/connection.js');
     const db = await getDb();
-    const filter = req.query.shop ? { shopId: req.query.shop } : {};
     const events = await db.collection('upsell_events')
-      .find(filter)
+      .find({ shopId: req.dashboardShop })
       .sort({ timestamp: -1 })
       .toArray();
     res.json({
@@ -91,75 +96,13 @@ app.get('/api/upsell-events', async (req, res) => {
   }
 });
 
-// Fallback webhook (bypasses Remix build) for PostPurchase extension + local testing
-app.post('/webhooks/orders/created', async (req, res) => {
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('📨 [EXPRESS /webhooks/orders/created] REQUEST RECEIVED');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('📨 [EXPRESS] Request body:', JSON.stringify(req.body, null, 2));
-
-  try {
-    const { shopId, orderId, totalPrice, lineItems, customerId, createdAt } = req.body || {};
-
-    console.log('📨 [EXPRESS] Parsed fields:', { shopId, orderId, totalPrice, lineItemCount: lineItems?.length, customerId });
-
-    if (!shopId || !orderId || !Array.isArray(lineItems) || lineItems.length === 0) {
-      console.log('❌ [EXPRESS] VALIDATION FAILED:', {
-        hasShopId: !!shopId,
-        hasOrderId: !!orderId,
-        isLineItemsArray: Array.isArray(lineItems),
-        lineItemsLength: lineItems?.length
-      });
-      return res.status(400).json({ error: 'Missing required fields: shopId, orderId, lineItems' });
-    }
-
-    // Normalize line items — extension sends camelCase (productId, variantId),
-    // but processPurchaseEvent supports both camelCase and snake_case.
-    const normalizedLineItems = lineItems.map((item, idx) => {
-      const normalized = {
-        product_id: item.product_id || item.productId || '',
-        variant_id: item.variant_id || item.variantId || '',
-        productId: item.productId || item.product_id || '',
-        variantId: item.variantId || item.variant_id || '',
-        title: item.title || '',
-        price: String(item.price || '0'),
-        quantity: Number(item.quantity || 1),
-      };
-      console.log(`📨 [EXPRESS] Normalized lineItem[${idx}]:`, normalized);
-      return normalized;
-    });
-
-    const orderPayload = {
-      id: orderId,
-      total_price: totalPrice,
-      line_items: normalizedLineItems,
-      customer: customerId ? { id: customerId } : null,
-      created_at: createdAt || new Date().toISOString()
-    };
-
-    console.log('📨 [EXPRESS] Calling processPurchaseEvent...');
-    const result = await processPurchaseEvent(shopId, orderPayload);
-
-    console.log('✅ [EXPRESS] Result:', { upsellsAttributed: result.upsellsAttributed });
-    console.log('═══════════════════════════════════════════════════════════');
-
-    return res.json({ success: true, upsellsAttributed: result.upsellsAttributed });
-  } catch (error) {
-    console.error('❌ [EXPRESS /webhooks/orders/created] ERROR:', error.message);
-    console.error('❌ [EXPRESS] Stack:', error.stack);
-    console.log('═══════════════════════════════════════════════════════════');
-    return res.status(500).json({ error: error.message });
-  }
-});
-
-// Get all products from MongoDB
-app.get('/api/products', async (req, res) => {
+// Get a shop's products from MongoDB
+app.get('/api/products', requireAdmin, async (req, res) => {
   try {
     // Connect to MongoDB
     await connectToMongoDB();
 
-    // Fetch all products
-    const products = await getAllProducts();
+    const products = await getProductsByShop(req.dashboardShop);
 
     // Return JSON response
     res.json({
@@ -181,14 +124,14 @@ app.get('/api/products', async (req, res) => {
   }
 });
 
-// Get all merchant config documents from MongoDB
-app.get('/api/merchant_config', async (req, res) => {
+// Get a shop's merchant config document from MongoDB
+app.get('/api/merchant_config', requireAdmin, async (req, res) => {
   try {
     await connectToMongoDB();
     const { getDb } = await import('./backend/database/connection.js');
     const db = await getDb();
 
-    const filter = req.query.shopId ? { shopId: req.query.shopId } : {};
+    const filter = { shopId: req.dashboardShop };
     const configs = await db.collection('merchant_config')
       .find(filter)
       .sort({ updatedAt: -1 })
@@ -212,14 +155,14 @@ app.get('/api/merchant_config', async (req, res) => {
   }
 });
 
-// Get all merchant intelligence documents from MongoDB
-app.get('/api/merchant_intelligence', async (req, res) => {
+// Get a shop's merchant intelligence documents from MongoDB
+app.get('/api/merchant_intelligence', requireAdmin, async (req, res) => {
   try {
     await connectToMongoDB();
     const { getDb } = await import('./backend/database/connection.js');
     const db = await getDb();
 
-    const filter = req.query.shopId ? { shopId: req.query.shopId } : {};
+    const filter = { shopId: req.dashboardShop };
     const docs = await db.collection('merchant_intelligence')
       .find(filter)
       .sort({ updatedAt: -1 })
@@ -245,22 +188,20 @@ app.get('/api/merchant_intelligence', async (req, res) => {
 
 
 
-// Get post-purchase data from MongoDB
-// GET /api/post_purchase                          — all purchase_events
-// GET /api/post_purchase?shopId=store.myshopify.com  — filter by shop
+// Get a shop's post-purchase data from MongoDB
+// GET /api/post_purchase?shopId=store.myshopify.com  — purchase_events
 // GET /api/post_purchase?shopId=...&type=aov          — aov_impact records
 // GET /api/post_purchase?shopId=...&type=cart_adds    — thank-you page offer acceptances
 // GET /api/post_purchase?shopId=...&limit=50          — limit results (default 100)
-app.get('/api/post_purchase', async (req, res) => {
+app.get('/api/post_purchase', requireAdmin, async (req, res) => {
   try {
     await connectToMongoDB();
     const { getDb } = await import('./backend/database/connection.js');
     const db = await getDb();
 
-    const shopId = req.query.shopId;
     const type = req.query.type || 'events';
     const limit = Math.min(parseInt(req.query.limit || '100'), 500);
-    const shopFilter = shopId ? { shopId } : {};
+    const shopFilter = { shopId: req.dashboardShop };
 
     if (type === 'aov') {
       const docs = await db.collection('aov_impact')
@@ -359,17 +300,10 @@ app.post('/api/products/sync', async (req, res) => {
 });
 
 // Get upsell recommendations for a product (Step 3 & 4 of AI Upsell Flow)
-app.get('/api/products/upsell/:productId', async (req, res) => {
+app.get('/api/products/upsell/:productId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   try {
     const { productId } = req.params;
-    const { shopId } = req.query;
-
-    if (!shopId) {
-      return res.status(400).json({
-        success: false,
-        message: "shopId query parameter is required"
-      });
-    }
+    const shopId = req.dashboardShop;
 
     // Connect to MongoDB
     await connectToMongoDB();
@@ -379,7 +313,8 @@ app.get('/api/products/upsell/:productId', async (req, res) => {
     const aiEngine = new GroqAIEngine();
 
     // Get upsell recommendations from AI engine
-    const upsellProducts = await aiEngine.findUpsellProducts(shopId, productId, 4);
+    const { toPublicProduct } = await import('./backend/services/productService.js');
+    const upsellProducts = (await aiEngine.findUpsellProducts(shopId, productId, 4)).map(toPublicProduct);
 
     // Return product IDs (Step 4 of flow)
     res.json({
@@ -412,7 +347,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Analytics Dashboard API
-app.get('/api/analytics/dashboard/:shopId', async (req, res) => {
+app.get('/api/analytics/dashboard/:shopId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   try {
     const { shopId } = req.params;
     const { limit = 100 } = req.query;
@@ -453,7 +388,7 @@ app.get('/api/analytics/dashboard/:shopId', async (req, res) => {
 });
 
 // Recent Analytics Events API
-app.get('/api/analytics/recent/:shopId', async (req, res) => {
+app.get('/api/analytics/recent/:shopId', requireDashboardAuth({ scope: 'read' }), async (req, res) => {
   try {
     const { shopId } = req.params;
     const { limit = 20 } = req.query;
@@ -568,6 +503,8 @@ app.post('/api/webhooks/products/update', verifyShopifyWebhook, async (req, res)
 
     // Sync the updated product to MongoDB
     const syncedCount = await syncProductsToMongoDB(shop_domain, accessToken);
+    const { invalidateProductOffers } = await import('./backend/services/offerAvailability.js');
+    await invalidateProductOffers(shop_domain, productId);
 
     console.log(`✅ Product ${productId} updated for shop ${shop_domain}`);
 
@@ -603,6 +540,8 @@ app.post('/api/webhooks/products/delete', verifyShopifyWebhook, async (req, res)
     const { deleteProduct } = await import('./backend/database/collections.js');
 
     await deleteProduct(shop_domain, productId);
+    const { invalidateProductOffers } = await import('./backend/services/offerAvailability.js');
+    await invalidateProductOffers(shop_domain, productId);
 
     console.log(`🗑️ Product ${productId} deleted for shop ${shop_domain}`);
 
@@ -625,9 +564,13 @@ app.post('/api/track-purchase', async (req, res) => {
   res.status(200).json({ success: true });
 
   try {
-    const { shop, orderId, lineItems } = req.body || {};
+    const { shop, orderId, lineItems, currency, currencyRate } = req.body || {};
     if (!shop || !orderId || !Array.isArray(lineItems) || lineItems.length === 0) return;
 
+    // Line totals arrive in the buyer's currency — store revenue in shop currency
+    const { resolveOrderCurrency, roundMoney } = await import('./backend/services/marketPricing.js');
+    const money = await resolveOrderCurrency(shop, { orderId, currency, currencyRate });
+
     const { getDb } = await import('./backend/database/mongodb.js');
     const db = await getDb();
 
@@ -649,7 +592,7 @@ app.post('/api/track-purchase', async (req, res) => {
       const lineItem = lineItems.find(li => String(li.variantId) === String(event.variantId));
       if (!lineItem) continue;
       const qty = lineItem.quantity || 1;
-      const totalPrice = parseFloat(lineItem.totalPrice || 0);
+      const totalPrice = roundMoney(parseFloat(lineItem.totalPrice || 0) * money.rate, money.shopCurrency);
       const unitPrice = qty > 0 ? totalPrice / qty : totalPrice;
       const discountPct = event.discountPercent || 0;
       purchases.push({
@@ -667,6 +610,10 @@ app.post('/api/track-purchase', async (req, res) => {
         recommendationType: event.recommendationType || null,
         confidence: event.confidence || null,
         placement: event.metadata?.location || null,
+        currency: money.shopCurrency,
+        presentmentCurrency: money.presentmentCurrency,
+        exchangeRate: money.rate,
+        currencyNormalized: money.normalized,
         timestamp: now,
       });
     }
@@ -680,11 +627,11 @@ app.post('/api/track-purchase', async (req, res) => {
   }
 });
 
-// Checkout & Post-Purchase Upsell API (called by Shopify UI extensions)
+// Checkout & Post-Purchase Upsell API is served by the Remix route (app/routes/api.checkout-upsell.jsx)
+
 // Debug — check recent purchase_events for a shop
-app.get('/api/debug/purchase-events', async (req, res) => {
-  const shop = req.query.shop;
-  if (!shop) return res.status(400).json({ error: 'shop param required' });
+app.get('/api/debug/purchase-events', requireAdmin, async (req, res) => {
+  const shop = req.dashboardShop;
   try {
     const { getDb } = await import('./backend/database/mongodb.js');
     const db = await getDb();
@@ -699,63 +646,28 @@ app.get('/api/debug/purchase-events', async (req, res) => {
   }
 });
 
-app.get('/api/checkout-upsell', async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  try {
-    const shop = req.query.shop;
-    const idsParam = req.query.ids;
-    const placement = req.query.placement || 'checkout';
-    const limitParam = req.query.limit;
-
-    if (!shop) {
-      return res.status(400).json({ offers: [], offer: null });
-    }
+// Job queue status (backend/services/jobQueue.js) — ?shop= narrows to one shop, ?status=dead lists the dead letters
+const requireJobsAdmin = requireDashboardAuth({ role: 'admin', allowAllShops: true });
 
-    let productIds = [];
-    if (idsParam) {
-      try {
-        const parsed = JSON.parse(idsParam);
-        productIds = (Array.isArray(parsed) ? parsed : [parsed])
-          .map(Number)
-          .filter(id => id > 0);
-      } catch {
-        // ignore — proceed with empty ids
-      }
-    }
-
-    const defaultLimit = placement === 'post_purchase' ? 2 : 1;
-    const limit = Math.min(Number(limitParam) || defaultLimit, 4);
-
-    console.log(`🛒 Checkout upsell — shop: ${shop}, placement: ${placement}, products: ${productIds}`);
-
-    const { decideCartOffers } = await import('./backend/services/decisionEngine.js');
-    const decision = await decideCartOffers({ shopId: shop, cartProductIds: productIds, limit, placement });
-
-    const formattedOffers = (decision.offers || []).map(product => ({
-      id: product.productId,
-      title: product.title,
-      handle: product.handle,
-      price: String(product.aiData?.price || product.variants?.[0]?.price || '0'),
-      image: product.images?.[0]?.src || product.image?.src || '',
-      variantId: product.variants?.[0]?.id || product.variantId || null,
-      reason: product.aiReason || null,
-      confidence: product.confidence || 0,
-      offerType: product.offerType || 'addon_upsell',
-      discountPercent: product.discountPercent ?? 0,
-      type: product.recommendationType || 'complementary',
-    }));
+app.get('/api/jobs', requireJobsAdmin, async (req, res) => {
+  const shopId = req.dashboardShop;
+  try {
+    const [summary, jobs] = await Promise.all([
+      getQueueSummary({ shopId }),
+      listJobs({ shopId, status: req.query.status, type: req.query.type, limit: req.query.limit })
+    ]);
+    res.json({ success: true, shopId, summary, jobs });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    res.json({
-      offers: formattedOffers,
-      offer: formattedOffers[0] || null,
-      count: formattedOffers.length,
-      placement,
-      meta: decision.meta || null,
-    });
-  } catch (error) {
-    console.error('❌ Checkout upsell error:', error);
-    res.status(500).json({ offers: [], offer: null, error: error.message });
+app.post('/api/jobs/:jobId/retry', requireDashboardAuth({ role: 'admin', scope: 'write', allowAllShops: true }), async (req, res) => {
+  try {
+    const result = await retryDeadJob(req.params.jobId, { shopId: req.dashboardShop });
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
@@ -809,8 +721,12 @@ async function startServer() {
         await Promise.all([connectToMongoDB(), getRemixDb()]);
         await initializeCollections();
         console.log('📊 All collections and indexes initialized successfully');
-        startProductReconciliationJob();
-        startOptimizationCron();
+        // Background jobs — set JOB_WORKER_IN_PROCESS=false when `npm run worker` runs them instead
+        if (process.env.JOB_WORKER_IN_PROCESS !== 'false') {
+          startBackgroundWorker();
+        } else {
+          console.log('👷 Background jobs run in a separate worker (JOB_WORKER_IN_PROCESS=false)');
+        }
         registerScriptTagsForAllShops();
       } catch (error) {
         console.error('❌ Mongo init failed (server is still running):', error);
@@ -895,67 +811,5 @@ async function registerScriptTagsForAllShops() {
   }
 }
 
-// ─── Optimization Cron — Pillar 5 ────────────────────────────────────────────
-/**
- * Runs the learning & optimization loop every 24 hours for all active shops.
- * Reads all shops from merchant_config collection and runs optimizeForShop on each.
- */
-async function startOptimizationCron() {
-  const INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 hours
-
-  const runOptimization = async () => {
-    try {
-      console.log('⚙️ [Optimization Cron] Starting daily optimization run...');
-      const { getDb } = await import('./backend/database/mongodb.js');
-      const { optimizeForShop } = await import('./backend/services/optimizationEngine.js');
-      const db = await getDb();
-
-      const shops = await db.collection('merchant_config')
-        .find({}, { projection: { shopId: 1 } })
-        .toArray();
-
-      if (shops.length === 0) {
-        console.log('⚙️ [Optimization Cron] No shops to optimize.');
-        return;
-      }
-
-      let successCount = 0;
-      let skippedCount = 0;
-
-      for (const { shopId } of shops) {
-        if (!shopId) continue;
-        try {
-          const result = await optimizeForShop(shopId);
-          if (result.success) {
-            successCount++;
-            if (result.optimization?.updatesMade > 0) {
-              console.log(`✅ [Optimization Cron] ${shopId}: ${result.optimization.updatesMade} update(s) applied`);
-            }
-          } else {
-            skippedCount++;
-            if (result.reason !== 'insufficient_data') {
-              console.warn(`⚠️ [Optimization Cron] ${shopId}: ${result.reason || result.error}`);
-            }
-          }
-        } catch (shopErr) {
-          console.error(`❌ [Optimization Cron] ${shopId}:`, shopErr.message);
-        }
-      }
-
-      console.log(`⚙️ [Optimization Cron] Done. ${successCount} optimized, ${skippedCount} skipped.`);
-    } catch (err) {
-      console.error('❌ [Optimization Cron] Fatal error:', err.message);
-    }
-  };
-
-  // Run once after 2 min delay (let server warm up first), then every 24h
-  setTimeout(() => {
-    runOptimization();
-    setInterval(runOptimization, INTERVAL_MS);
-  }, 2 * 60 * 1000);
-
-  console.log('⚙️ [Optimization Cron] Scheduled — runs 2 min after startup, then every 24h');
-}
-
 // Start the server
 startServer();
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Background job worker
+ * Runs the MongoDB job queue (backend/services/jobQueue.js) outside the web
+ * server: optimization, learning loop, product reconciliation, bundle
+ * detection and cache warming.
+ *
+ * Usage:
+ *   npm run worker
+ *
+ * Set JOB_WORKER_IN_PROCESS=false on the web servers so only workers run
+ * jobs. JOB_CONCURRENCY (default 1) jobs run at once per worker; jobs for
+ * the same shop never overlap.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initializeCollections, closeMongoDB } from './backend/database/mongodb.js';
+import { closeMongoDB as closeConnection } from './backend/database/connection.js';
+import { startBackgroundWorker } from './backend/jobs/worker.js';
+
+await initializeCollections();
+const worker = startBackgroundWorker();
+
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`🛑 ${signal} received — finishing running jobs…`);
+  await worker.stop();
+  await Promise.all([closeMongoDB(), closeConnection()]);
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));